@@ -8,6 +8,10 @@
  * - /prompt: Handles AI prompt-related requests.
  * - /response: Handles AI response-related requests.
  * - /hi: Handles requests that checks if the server or API is up.
+ * - /jobs: Handles polling of asynchronous generation jobs.
+ * - /quiz: Handles retrieval of playable quizzes.
+ * - /:deckId/dedupe: Finds and removes duplicate flashcards of a deck.
+ * - /:deckId/review, /:deckId/due: Spaced-repetition reviews of a deck.
  * 
  * Middleware:
  * - express.json(): Parses incoming request bodies in JSON format.
@@ -27,13 +31,16 @@
  * 
  * @author Arthur M. Artugue
  * @created 2024-06-10
- * @updated 2025-03-14
+ * @updated 2026-10-19
  */
 
 import express from 'express';
 import flashcardRoute from './routes/flashcardRoute.js';
 import moderationRoute from './routes/moderationRoute.js'
 import quizRoute from './routes/quizRoute.js'
+import jobRoute from './routes/jobRoute.js'
+import deckRoute from './routes/deckRoute.js'
+import quizPlayRoute from './routes/quizPlayRoute.js'
 import cors from 'cors';
 import rateLimit from 'express-rate-limit';
 import { getDeckById } from './repositories/deckRepository.js';
@@ -88,6 +95,9 @@ app.use(errorHandler);
 app.use('/v2/deck/generate/flashcards', flashcardRoute);
 app.use('/v2/deck/moderate', moderationRoute);
 app.use('/v2/deck/generate/quiz', quizRoute );
+app.use('/v2/deck/jobs', jobRoute);
+app.use('/v2/deck/quiz', quizPlayRoute);
+app.use('/v2/deck', deckRoute);
 
 
 app.get('/v2/deck/hi', async (req, res) => {
@@ -0,0 +1,206 @@
+/**
+ * Deck API - Application Configuration
+ *
+ * @file app.config.js
+ * @description This module centralizes runtime settings of the Deck API that are read from environment variables.
+ *
+ * AI Provider Settings:
+ * - AI_PROVIDER: The provider used when a request does not name one ("gemini" or "openai"). Defaults to "gemini".
+ * - GEMINI_MODEL: The Gemini model used for generation tasks. Defaults to "gemini-2.0-flash".
+ * - OPENAI_MODEL: The OpenAI model used for generation tasks. Defaults to "gpt-4o-mini".
+ * - GEMINI_FALLBACK_MODEL: The Gemini model used when the main model fails. Defaults to "gemini-1.5-flash".
+ * - OPENAI_FALLBACK_MODEL: The OpenAI model used when the main model fails. Defaults to "gpt-4o".
+ * - AI_FAILOVER_PROVIDER: A second provider tried after every model of the requested provider failed (optional).
+ * - GEMINI_EMBEDDING_MODEL: The Gemini model used to embed flashcards. Defaults to "text-embedding-004".
+ * - OPENAI_EMBEDDING_MODEL: The OpenAI model used to embed flashcards. Defaults to "text-embedding-3-small".
+ *
+ * AI Resilience Settings:
+ * - AI_MAX_ATTEMPTS: Attempts per model before falling back to the next one. Defaults to 2.
+ * - AI_CALL_TIMEOUT_MS: Time limit of a single AI call. Defaults to 90 seconds.
+ * - AI_CALL_BUDGET_MS: Time limit of all attempts and fallbacks of one AI call together. Defaults to 180 seconds.
+ * - AI_STREAM_IDLE_TIMEOUT_MS: Longest wait for the next chunk of a started stream. Defaults to 30 seconds.
+ * - AI_BREAKER_THRESHOLD: Consecutive failures that open the circuit of a model. Defaults to 5.
+ * - AI_BREAKER_COOLDOWN_MS: Time an open circuit waits before letting a trial call through. Defaults to 30 seconds.
+ *
+ * De-duplication Settings:
+ * - DEDUPE_EMBEDDING_THRESHOLD: Definition similarity above which two cards with related terms are duplicates,
+ *   when the similarity comes from embeddings. Defaults to 0.85.
+ * - DEDUPE_LOCAL_THRESHOLD: Same threshold when the local similarity fallback is used. Defaults to 0.5.
+ *
+ * Document Settings:
+ * - PDF_MIN_CHARS_PER_PAGE: Average characters per page below which a PDF is treated as scanned and uploaded
+ *   to the AI instead of being read locally. Defaults to 200.
+ * - DOCUMENT_CHUNK_CHARS: Size of the chunks long documents are split into, one AI request per chunk. Defaults to 12000.
+ * - MAX_FILE_FLASHCARDS: Maximum number of flashcards that can be generated from an uploaded file. Defaults to 100.
+ * - DOCUMENT_MAX_EXTRACTED_BYTES: Maximum number of bytes the parts read from a DOCX or PPTX archive may unpack to
+ *   together. Larger documents are rejected. Defaults to 50 MB.
+ *
+ * Image Settings:
+ * - MAX_IMAGES_PER_REQUEST: Maximum number of photos that can be sent in one generation request. Defaults to 10.
+ * - IMAGE_MAX_DIMENSION: Longest side in pixels photos are scaled down to before they are sent to the AI. Defaults to 1600.
+ *
+ * Job Settings:
+ * - JOB_STALE_AFTER_MS: Time after which a queued or running job without updates is treated as interrupted (e.g. by
+ *   a restart) and marked as failed when it is polled. Defaults to 15 minutes.
+ *
+ * Moderation Settings:
+ * - MODERATION_POLICY: What happens to AI-generated content the moderation flags before it is saved: "reject" the whole
+ *   generation, "drop" the flagged cards or questions, or "review" (save them privately, pending review). Defaults to "review".
+ * - MODERATOR_CLAIM: Firebase custom claim that gives a user the moderator role when it is `true`. Defaults to "moderator".
+ * - MODERATION_PREFILTER: Set to "off" to send every flashcard to the AI, without the rule-based pre-filter. Defaults to on.
+ * - MODERATION_WORD_LIST_FILE: Path of a JSON file with extra words for the pre-filter per language code,
+ *   e.g. `{ "en": ["word", "a phrase"] }`. Optional.
+ *
+ * Usage:
+ * - Import `aiConfig` wherever the active provider or model has to be resolved.
+ * - Switching providers only requires changing the environment, no code has to be redeployed.
+ *
+ * @module appConfig
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+import * as dotenv from 'dotenv';
+dotenv.config();
+
+/**
+ * List of AI providers that have an adapter in `services/providers`.
+ */
+export const SUPPORTED_AI_PROVIDERS = ['gemini', 'openai'];
+
+/**
+ * List of quiz types that can be generated from a deck. A deck can have one quiz of each type.
+ */
+export const SUPPORTED_QUIZ_TYPES = ['multiple-choice', 'true-false', 'identification', 'fill-in-the-blank'];
+
+/**
+ * Difficulty levels flashcards and quizzes can be generated at.
+ */
+export const DIFFICULTY_LEVELS = ['intro', 'intermediate', 'advanced'];
+
+/**
+ * Levels of Bloom's taxonomy (revised), from the lowest to the highest, see `utils/bloomTaxonomy.js`.
+ */
+export const BLOOM_LEVELS = ['remember', 'understand', 'apply', 'analyze', 'evaluate', 'create'];
+
+/**
+ * Languages flashcards can be generated in or translated to, keyed by their ISO 639 code.
+ */
+export const SUPPORTED_LANGUAGES = {
+    en: 'English',
+    fil: 'Filipino',
+    es: 'Spanish',
+    fr: 'French',
+    de: 'German',
+    it: 'Italian',
+    pt: 'Portuguese',
+    nl: 'Dutch',
+    ru: 'Russian',
+    ar: 'Arabic',
+    hi: 'Hindi',
+    id: 'Indonesian',
+    vi: 'Vietnamese',
+    th: 'Thai',
+    ja: 'Japanese',
+    ko: 'Korean',
+    zh: 'Chinese (Simplified)',
+};
+
+/**
+ * List of image extensions that flashcards can be generated from, see `utils/imageProcessor.js`.
+ */
+export const SUPPORTED_IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'heic', 'heif'];
+
+/**
+ * List of file extensions that flashcards can be generated from.
+ * Documents other than PDF are turned into text locally, see `utils/documentExtractor.js`.
+ */
+export const SUPPORTED_FILE_EXTENSIONS = ['pdf', 'docx', 'pptx', 'txt', 'md', ...SUPPORTED_IMAGE_EXTENSIONS];
+
+/**
+ * AI provider configuration object.
+ */
+export const aiConfig = {
+    defaultProvider: (process.env.AI_PROVIDER || 'gemini').toLowerCase(),
+    models: {
+        gemini: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
+        openai: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    },
+    fallbackModels: {
+        gemini: process.env.GEMINI_FALLBACK_MODEL || 'gemini-1.5-flash',
+        openai: process.env.OPENAI_FALLBACK_MODEL || 'gpt-4o',
+    },
+    embeddingModels: {
+        gemini: process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004',
+        openai: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
+    },
+    failoverProvider: process.env.AI_FAILOVER_PROVIDER ? process.env.AI_FAILOVER_PROVIDER.toLowerCase() : null,
+    resilience: {
+        maxAttempts: parseInt(process.env.AI_MAX_ATTEMPTS) || 2,
+        baseDelayMs: 1000,
+        callTimeoutMs: parseInt(process.env.AI_CALL_TIMEOUT_MS) || 90_000,
+        budgetMs: parseInt(process.env.AI_CALL_BUDGET_MS) || 180_000,
+        streamIdleTimeoutMs: parseInt(process.env.AI_STREAM_IDLE_TIMEOUT_MS) || 30_000,
+        breakerThreshold: parseInt(process.env.AI_BREAKER_THRESHOLD) || 5,
+        breakerCooldownMs: parseInt(process.env.AI_BREAKER_COOLDOWN_MS) || 30_000,
+    },
+};
+
+/**
+ * Flashcard de-duplication configuration object.
+ * Cards with unrelated terms are only treated as duplicates above the `strict` thresholds.
+ */
+export const dedupeConfig = {
+    embeddingTimeoutMs: 30_000,
+    thresholds: {
+        embeddings: {
+            relatedTerms: parseFloat(process.env.DEDUPE_EMBEDDING_THRESHOLD) || 0.85,
+            strict: 0.95,
+        },
+        local: {
+            relatedTerms: parseFloat(process.env.DEDUPE_LOCAL_THRESHOLD) || 0.5,
+            strict: 0.9,
+        },
+    },
+};
+
+/**
+ * Uploaded document configuration object.
+ */
+export const documentConfig = {
+    minPdfCharsPerPage: parseInt(process.env.PDF_MIN_CHARS_PER_PAGE) || 200,
+    chunkChars: parseInt(process.env.DOCUMENT_CHUNK_CHARS) || 12_000,
+    maxFlashcardsPerChunk: 20,
+    maxFlashcards: parseInt(process.env.MAX_FILE_FLASHCARDS) || 100,
+    maxExtractedBytes: parseInt(process.env.DOCUMENT_MAX_EXTRACTED_BYTES) || 50 * 1024 * 1024,
+};
+
+/**
+ * Asynchronous generation job configuration object, see `jobService.js`.
+ */
+export const jobConfig = {
+    staleAfterMs: parseInt(process.env.JOB_STALE_AFTER_MS) || 15 * 60_000,
+};
+
+/**
+ * Moderation configuration object, see `moderationService.js`, `moderationReviewService.js` and `moderationRules.js`.
+ */
+export const moderationConfig = {
+    defaultPolicy: (process.env.MODERATION_POLICY || 'review').toLowerCase(),
+    moderatorClaim: process.env.MODERATOR_CLAIM || 'moderator',
+    maxQueueSize: 100,
+    prefilter: (process.env.MODERATION_PREFILTER || 'on').toLowerCase() !== 'off',
+    wordListFile: process.env.MODERATION_WORD_LIST_FILE || null,
+};
+
+/**
+ * Uploaded image configuration object.
+ */
+export const imageConfig = {
+    maxImages: parseInt(process.env.MAX_IMAGES_PER_REQUEST) || 10,
+    maxDimension: parseInt(process.env.IMAGE_MAX_DIMENSION) || 1600,
+    jpegQuality: 80,
+    maxOcclusionRegions: 30,
+};
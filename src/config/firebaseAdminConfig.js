@@ -13,6 +13,8 @@
  * - verifyFirebaseToken: Middleware that verifies Firebase ID tokens sent in Authorization headers.
  *   - If valid, attaches the decoded user data to `req.user` and allows the request to proceed.
  *   - If invalid or missing, returns an unauthorized error response.
+ * - verifyModerator: Middleware used after `verifyFirebaseToken` that only lets users with the moderator
+ *   custom claim through.
  *
  * External Dependencies:
  * - firebase-admin: Firebase Admin SDK for server-side authentication.
@@ -21,17 +23,19 @@
  *
  * Environment Variables:
  * - KEY_FILE: Path to the Firebase service account JSON file.
+ * - MODERATOR_CLAIM: Name of the custom claim of moderators (see `app.config.js`).
  *
  * @module firebaseAdminConfig
  * 
  * @author Arthur M. Artugue
  * @created 2025-02-20
- * @updated 2025-02-20
+ * @updated 2026-10-19
  */
 
 import admin from 'firebase-admin';
 import * as dotenv from 'dotenv';
 import { readFileSync } from 'fs'
+import { moderationConfig } from './app.config.js';
 
 dotenv.config();
 
@@ -44,6 +48,24 @@ admin.initializeApp({
 export const db = admin.firestore();
 export const timeStamp = admin.firestore.Timestamp.now();
 
+/**
+ * Returns the current time as a Firestore timestamp.
+ * Use this instead of `timeStamp` for fields that have to reflect when a write happened.
+ *
+ * @function currentTimeStamp
+ * @returns {admin.firestore.Timestamp} - The current timestamp.
+ */
+export const currentTimeStamp = () => admin.firestore.Timestamp.now();
+
+/**
+ * Converts a JavaScript date to a Firestore timestamp.
+ *
+ * @function toTimeStamp
+ * @param {Date} date - The date to convert.
+ * @returns {admin.firestore.Timestamp} - The matching timestamp.
+ */
+export const toTimeStamp = (date) => admin.firestore.Timestamp.fromDate(date);
+
 /**
  * Middleware to verify Firebase ID token from the request's Authorization header.
  *
@@ -71,4 +93,29 @@ export const verifyFirebaseToken = async (req, res, next) => {
     }
 };
 
+/**
+ * Checks if the decoded token of a user carries the moderator custom claim.
+ *
+ * @function isModerator
+ * @param {Object} user - The decoded Firebase ID token, see `verifyFirebaseToken`.
+ * @returns {boolean} - True if the user is a moderator.
+ */
+export const isModerator = (user) => user?.[moderationConfig.moderatorClaim] === true;
+
+/**
+ * Middleware to only let moderators through. Must run after `verifyFirebaseToken`.
+ * The role is a custom claim set with the Admin SDK, e.g. `admin.auth().setCustomUserClaims(uid, { moderator: true })`.
+ *
+ * @function verifyModerator
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Express next middleware function.
+ * @returns {void} Calls `next()` if the user is a moderator, otherwise sends a 403 error response.
+ */
+export const verifyModerator = (req, res, next) => {
+    if (!isModerator(req.user)) {
+        return res.status(403).json({ error: "Forbidden: Moderator role required" });
+    }
 
+    next();
+};
@@ -3,56 +3,56 @@
  *
  * @file openaiConfig.js
  * @description This module initializes and exports an instance of the OpenAI client, configured with an API key from
- * environment variables. It also retrieves and exports a specific assistant instance to manage conversations
- * and other AI-powered tasks.
+ * environment variables. The client is only created when an API key is present so that the API can still
+ * run on Gemini alone.
  *
  * External Dependencies:
  * - dotenv: Loads environment variables from a `.env` file into `process.env`.
- * - openai: Provides access to OpenAI’s API for generating responses, managing assistants, and more.
+ * - openai: Provides access to OpenAI’s API for generating responses.
  *
  * Key Exports:
- * - `openai`: The main OpenAI client configured with the API key.
- * - `assistant`: A retrieved instance of an OpenAI assistant, ready for use in applications requiring conversational AI.
+ * - `getOpenAIClient`: Returns the OpenAI client configured with the API key.
  *
  * Usage:
- * - Import the `openai` instance wherever you need to interact with OpenAI's services.
- * - Use the `assistant` export to handle assistant-specific operations like conversations.
- * - Ensure the `.env` file contains the necessary API key and assistant ID to avoid runtime errors.
- *
- * REMOVED SUPPORT FOR OPENAI
+ * - Import `getOpenAIClient` wherever you need to interact with OpenAI's services.
+ * - Ensure the `.env` file contains `OPENAI_API_KEY` before routing requests to the OpenAI provider.
  *
  * @module openaiConfig
  *
  * @author Arthur M. Artugue
  * @created 2024-06-10
- * @updated 2025-02-22
+ * @updated 2026-10-19
  */
 
-// import { OpenAI } from "openai";
-// import * as dotenv from 'dotenv';
+import { OpenAI } from "openai";
+import * as dotenv from 'dotenv';
+
+// Load environment variables from the .env file
+dotenv.config();
 
-// // Load environment variables from the .env file
-// dotenv.config();
+/**
+ * Lazily initialized OpenAI client.
+ * @type {OpenAI|null}
+ */
+let openai = null;
 
-// /**
-//  * Initializes the OpenAI client with the provided API key from environment variables.
-//  * @type {OpenAI}
-//  */
-// const openai = new OpenAI({
-//     apiKey: process.env.OPENAI_API_KEY.toString(), // API key for authentication
-// });
+/**
+ * Returns the OpenAI client, creating it on first use.
+ *
+ * @function getOpenAIClient
+ * @returns {OpenAI} - The configured OpenAI client.
+ * @throws {Error} - Throws an error if `OPENAI_API_KEY` is not set.
+ */
+export const getOpenAIClient = () => {
+    if (!process.env.OPENAI_API_KEY) {
+        throw new Error("OPENAI_API_KEY_MISSING");
+    }
 
-// /**
-//  * Retrieves and exports a specific assistant instance from OpenAI.
-//  * This assistant can manage conversations or other assistant-related tasks.
-//  * @type {Object}
-//  */
-// export const assistant = await openai.beta.assistants.retrieve(
-//     process.env.ASSISTANT_ID.toString() // The ID of the assistant to retrieve, from environment variables
-// );
+    if (!openai) {
+        openai = new OpenAI({
+            apiKey: process.env.OPENAI_API_KEY.toString(), // API key for authentication
+        });
+    }
 
-// /**
-//  * Default export of the OpenAI client.
-//  * Use this instance for interacting with OpenAI services.
-//  */
-// export default openai;
+    return openai;
+}
@@ -0,0 +1,244 @@
+/**
+ * Deck API - Deck Controller
+ * 
+ * @file deckController.js
+ * @description Handles requests that maintain the flashcards of an existing deck.
+ * 
+ * This module provides controllers for deck maintenance tasks such as removing duplicate flashcards and translating
+ * a deck, and for studying a deck with spaced repetition. 
+ * It validates user input and interacts with the respective services.
+ * 
+ * @module deckController
+ * 
+ * @requires ../services/dedupeService.js
+ * @requires ../services/reviewService.js
+ * @requires ../services/providerService.js
+ * @requires ../services/translationService.js
+ * 
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+import { dedupeDeckService } from '../services/dedupeService.js';
+import { reviewFlashcardsService, getDueFlashcardsService } from '../services/reviewService.js';
+import { isValidGrade, MIN_GRADE, MAX_GRADE } from '../utils/spacedRepetition.js';
+import { isSupportedProvider } from '../services/providerService.js';
+import { translateDeckService } from '../services/translationService.js';
+import { SUPPORTED_AI_PROVIDERS, SUPPORTED_LANGUAGES } from '../config/app.config.js';
+
+/**
+ * Reports the groups of duplicate flashcards in a deck and optionally soft-deletes the duplicates.
+ * 
+ * @async
+ * @function dedupeDeckController
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Object} JSON response with the duplicate groups or an error message.
+ */
+export const dedupeDeckController = async (req, res) => {
+    const { deckId } = req.params;
+    const { apply = false, provider } = req.body || {};
+    const userId = req.user.uid;
+
+    if (!deckId || !deckId.trim()) {
+        return res.status(400).json({
+            status: 400,
+            request_owner_id: userId,
+            message: "The parameter 'deckId' can't be empty or null",
+            data: null
+        });
+    }
+
+    if (typeof apply !== 'boolean') {
+        return res.status(400).json({
+            status: 400,
+            request_owner_id: userId,
+            message: "The field 'apply' must be a boolean",
+            data: null
+        });
+    }
+
+    // Validate the AI provider if the client picked one
+    if (provider !== undefined && !isSupportedProvider(provider)) {
+        return res.status(400).json({
+            status: 400,
+            request_owner_id: userId,
+            message: `Unsupported AI provider. Supported providers are: ${SUPPORTED_AI_PROVIDERS.join(', ')}`,
+            data: null
+        });
+    }
+
+    try {
+        const result = await dedupeDeckService(deckId, userId, { apply, provider });
+        return res.status(result.status).json(result);
+    } catch (error) {
+        console.error("Unexpected error in flashcard de-duplication:", error);
+        return res.status(500).json({
+            status: 500,
+            request_owner_id: userId,
+            message: "An unexpected error occurred during flashcard de-duplication.",
+            data: null
+        });
+    }
+}
+
+/**
+ * Records the grades of reviewed flashcards and schedules their next review.
+ * 
+ * @async
+ * @function reviewDeckController
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Object} JSON response with the new schedule or an error message.
+ */
+export const reviewDeckController = async (req, res) => {
+    const { deckId } = req.params;
+    const { grades } = req.body || {};
+    const userId = req.user.uid;
+
+    const validationError = validateGrades(grades);
+    if (validationError) {
+        return res.status(400).json({
+            status: 400,
+            request_owner_id: userId,
+            message: validationError,
+            data: null
+        });
+    }
+
+    try {
+        const result = await reviewFlashcardsService(deckId, userId, grades);
+        return res.status(result.status).json(result);
+    } catch (error) {
+        console.error("Unexpected error in flashcard review:", error);
+        return res.status(500).json({
+            status: 500,
+            request_owner_id: userId,
+            message: "An unexpected error occurred during flashcard review.",
+            data: null
+        });
+    }
+}
+
+/**
+ * Returns the flashcards of a deck that are due for review today.
+ * 
+ * Query parameters:
+ * - includeNew: "false" leaves out flashcards that were never reviewed.
+ * - limit: Maximum number of flashcards to return.
+ * 
+ * @async
+ * @function getDueFlashcardsController
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Object} JSON response with the due flashcards or an error message.
+ */
+export const getDueFlashcardsController = async (req, res) => {
+    const { deckId } = req.params;
+    const { includeNew, limit } = req.query;
+    const userId = req.user.uid;
+
+    const parsedLimit = limit === undefined ? null : Number(limit);
+    if (parsedLimit !== null && (!Number.isInteger(parsedLimit) || parsedLimit < 1)) {
+        return res.status(400).json({
+            status: 400,
+            request_owner_id: userId,
+            message: "The parameter 'limit' must be a positive integer",
+            data: null
+        });
+    }
+
+    try {
+        const result = await getDueFlashcardsService(deckId, userId, {
+            includeNew: includeNew !== 'false',
+            limit: parsedLimit
+        });
+        return res.status(result.status).json(result);
+    } catch (error) {
+        console.error("Unexpected error in due flashcard retrieval:", error);
+        return res.status(500).json({
+            status: 500,
+            request_owner_id: userId,
+            message: "An unexpected error occurred during due flashcard retrieval.",
+            data: null
+        });
+    }
+}
+
+/**
+ * Creates a translated copy of a deck for the requester.
+ * 
+ * @async
+ * @function translateDeckController
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Object} JSON response with the ID of the translated deck or an error message.
+ */
+export const translateDeckController = async (req, res) => {
+    const { deckId } = req.params;
+    const { language, provider } = req.body || {};
+    const userId = req.user.uid;
+
+    const languages = Object.keys(SUPPORTED_LANGUAGES);
+    if (!languages.includes(language)) {
+        return res.status(400).json({
+            status: 400,
+            request_owner_id: userId,
+            message: `The field 'language' must be one of: ${languages.join(', ')}`,
+            data: null
+        });
+    }
+
+    // Validate the AI provider if the client picked one
+    if (provider !== undefined && !isSupportedProvider(provider)) {
+        return res.status(400).json({
+            status: 400,
+            request_owner_id: userId,
+            message: `Unsupported AI provider. Supported providers are: ${SUPPORTED_AI_PROVIDERS.join(', ')}`,
+            data: null
+        });
+    }
+
+    try {
+        const result = await translateDeckService(deckId, userId, { language, provider });
+        return res.status(result.status).json(result);
+    } catch (error) {
+        console.error("Unexpected error in deck translation:", error);
+        return res.status(500).json({
+            status: 500,
+            request_owner_id: userId,
+            message: "An unexpected error occurred during deck translation.",
+            data: null
+        });
+    }
+}
+
+/**
+ * Validates the grades of a review request.
+ * 
+ * @function validateGrades
+ * @param {*} grades - The submitted grades.
+ * @returns {string|null} The validation error message, or null if the grades are valid.
+ */
+const validateGrades = (grades) => {
+    if (!Array.isArray(grades) || grades.length === 0) {
+        return "The field 'grades' must be a non-empty array";
+    }
+
+    const flashcardIds = new Set();
+    for (const item of grades) {
+        if (!item || typeof item.flashcardId !== 'string' || !item.flashcardId.trim()) {
+            return "Every grade needs a 'flashcardId'";
+        }
+        if (flashcardIds.has(item.flashcardId)) {
+            return `The flashcard '${item.flashcardId}' was graded more than once`;
+        }
+        if (!isValidGrade(item.grade)) {
+            return `The grade of flashcard '${item.flashcardId}' must be an integer between ${MIN_GRADE} and ${MAX_GRADE}`;
+        }
+        flashcardIds.add(item.flashcardId);
+    }
+
+    return null;
+}
@@ -11,14 +11,34 @@
  * 
  * @requires ../services/flashcardService.js
  * @requires ../utils/utils.js
+ * @requires ../services/providerService.js
+ * @requires ../services/jobService.js
+ * @requires ../utils/documentExtractor.js
+ * @requires ../services/verificationService.js
+ * @requires ../utils/imageProcessor.js
+ * @requires ../utils/bloomTaxonomy.js
+ * @requires ../services/moderationService.js
  * 
  * @author Arthur M. Artugue
  * @created 2025-02-12
- * @updated 2025-03-19
+ * @updated 2026-10-19
  */
 
-import { geminiFlashcardService } from '../services/flashcardService.js';
-import { isValidInteger } from '../utils/utils.js';
+import { geminiFlashcardService, geminiFlashcardStreamService, geminiOcclusionService } from '../services/flashcardService.js';
+import { isValidInteger, isAsyncRequest } from '../utils/utils.js';
+import { startGenerationJob } from '../services/jobService.js';
+import { isSupportedProvider } from '../services/providerService.js';
+import { SUPPORTED_AI_PROVIDERS, SUPPORTED_FILE_EXTENSIONS, SUPPORTED_IMAGE_EXTENSIONS, SUPPORTED_LANGUAGES, DIFFICULTY_LEVELS, BLOOM_LEVELS, documentConfig, imageConfig } from '../config/app.config.js';
+import { normalizeExtension } from '../utils/documentExtractor.js';
+import { isImage } from '../utils/imageProcessor.js';
+import { VERIFICATION_MODES } from '../services/verificationService.js';
+import { isValidBloomLevels } from '../utils/bloomTaxonomy.js';
+import { MODERATION_POLICIES } from '../services/moderationService.js';
+
+/**
+ * Supported generation modes: term/definition flashcards, or image occlusion cards from a diagram.
+ */
+const GENERATION_MODES = ['text', 'occlusion'];
 
 /**
  * Handles AI prompt requests using Gemini AI.
@@ -30,38 +50,235 @@ import { isValidInteger } from '../utils/utils.js';
  * @returns {Object} JSON response with generated prompts or an error message.
  */
 export const geminiFlashcardController = async (req, res) => {
-    const { subject, topic, fileName, numberOfFlashcards, deckTitle } = req.body;
-    const userId = req.params.id;
+    const userId = req.user.uid;
 
-    // Validate input: Either file or both subject and topic are required
-    if (!fileName?.trim() && (!subject?.trim() || !topic?.trim())) {
-        return res.status(400).json({
-                status: 400,
-                request_owner_id: userId,
-                message: 'Subject or topic is required if no file is uploaded.',
-                data: null
-            });
+    const validationError = validateFlashcardRequest(req.body);
+    if (validationError) {
+        return res.status(validationError.status).json({
+            status: validationError.status,
+            request_owner_id: userId,
+            message: validationError.message,
+            data: null
+        });
     }
 
-    if (!deckTitle?.trim()) {
-        return res.status(400).json({
-                status: 400,
+    const generate = req.body.mode === 'occlusion'
+        ? (onProgress) => geminiOcclusionService(req, userId, { onProgress })
+        : (onProgress) => geminiFlashcardService(req, userId, { onProgress });
+
+    // Queue the generation as a job if the client doesn't want to wait for the AI round-trip
+    if (isAsyncRequest(req)) {
+        try {
+            const jobId = await startGenerationJob("flashcard_generation", userId, generate);
+            return res.status(202).json({
+                status: 202,
+                request_owner_id: userId,
+                message: 'Flashcard generation job was queued',
+                data: {
+                    jobId: jobId,
+                    statusUrl: `/v2/deck/jobs/${jobId}`
+                }
+            });
+        } catch (error) {
+            console.error("Unexpected error while queueing flashcard generation:", error);
+            return res.status(500).json({
+                status: 500,
                 request_owner_id: userId,
-                message: 'Deck title is required: deckTitle',
+                message: 'An unexpected error occurred while queueing the flashcard generation.',
                 data: null
             });
+        }
     }
 
-    // Validate the number of flashcards
-    if (!isValidInteger(numberOfFlashcards)) {
-        return res.status(422).json({ 
-            status: 422,
+    const result = await generate();
+    return res.status(result.status).json(result)
+}
+
+/**
+ * Handles flashcard generation requests that stream each card to the client as a Server-Sent Event.
+ * 
+ * Events:
+ * - card: A generated flashcard (`{ index, term, definition }`), sent as soon as the model produced it.
+ * - verification: The verdict of a flashcard checked against the uploaded document (`{ index, term, verdict, reason }`),
+ *   sent once the part of the document the flashcard was generated from is complete.
+ * - done: Sent once the deck was saved (`{ deckId, numberOfFlashcards, verification }`).
+ * - error: Sent if the generation fails (`{ status, message }`).
+ * 
+ * @async
+ * @function geminiFlashcardStreamController
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Streams the events and ends the response.
+ */
+export const geminiFlashcardStreamController = async (req, res) => {
+    const userId = req.user.uid;
+
+    const validationError = req.body.mode === 'occlusion'
+        ? { status: 400, message: 'Image occlusion cards can\'t be streamed, use POST /generate/:id instead.' }
+        : validateFlashcardRequest(req.body);
+    if (validationError) {
+        return res.status(validationError.status).json({
+            status: validationError.status,
             request_owner_id: userId,
-            message: 'Invalid number of flashcards. It must be between 2 and 20.',
+            message: validationError.message,
             data: null
         });
     }
 
-    const result = await geminiFlashcardService(req, req.params.id);
-    return res.status(result.status).json(result)
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+    });
+
+    // Stop generating if the client goes away
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    const sendEvent = (event, data) => {
+        if (res.writableEnded) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    await geminiFlashcardStreamService(req, userId, sendEvent, { signal: controller.signal });
+    res.end();
+}
+
+/**
+ * Validates the body of a flashcard generation request.
+ * 
+ * @function validateFlashcardRequest
+ * @param {Object} body - The request body.
+ * @returns {{status: number, message: string}|null} The validation error, or null if the request is valid.
+ */
+const validateFlashcardRequest = (body) => {
+    const { subject, topic, fileName, fileExtension, numberOfFlashcards, deckTitle, provider, deckId, pageStart, pageEnd, verification, images, mode, language, translationLanguage, difficulty, bloomLevels, moderationPolicy } = body;
+
+    if (mode !== undefined && !GENERATION_MODES.includes(mode)) {
+        return { status: 400, message: `Invalid generation mode. Supported modes are: ${GENERATION_MODES.join(', ')}` };
+    }
+
+    if (deckId !== undefined && (typeof deckId !== 'string' || !deckId.trim())) {
+        return { status: 400, message: 'Invalid deck ID: deckId' };
+    }
+
+    // When appending to an existing deck, its title is used as the topic and the deck keeps its title
+    const isAppending = Boolean(deckId);
+
+    // Several photos can be sent instead of a single file
+    const hasImages = images !== undefined;
+    if (hasImages) {
+        const imageError = validateImages(images, fileName);
+        if (imageError) return imageError;
+    }
+
+    const hasUpload = Boolean(fileName?.trim()) || hasImages;
+
+    // Validate input: Either file or both subject and topic are required
+    if (!isAppending && !hasUpload && (!subject?.trim() || !topic?.trim())) {
+        return { status: 400, message: 'Subject or topic is required if no file is uploaded.' };
+    }
+
+    // Reject formats the AI can't read and that can't be turned into text locally
+    if (fileName?.trim() && fileExtension?.trim() && !SUPPORTED_FILE_EXTENSIONS.includes(normalizeExtension(fileExtension))) {
+        return { status: 415, message: `Unsupported file type. Supported file types are: ${SUPPORTED_FILE_EXTENSIONS.join(', ')}` };
+    }
+
+    // Page ranges select a part of an uploaded PDF
+    if (pageStart !== undefined || pageEnd !== undefined) {
+        const isPositiveInteger = (value) => value === undefined || (Number.isInteger(value) && value > 0);
+
+        if (!fileName?.trim() || normalizeExtension(fileExtension) !== 'pdf') {
+            return { status: 400, message: 'pageStart and pageEnd can only be used with PDF files.' };
+        }
+        if (!isPositiveInteger(pageStart) || !isPositiveInteger(pageEnd) || (pageStart && pageEnd && pageEnd < pageStart)) {
+            return { status: 400, message: 'Invalid page range. pageStart and pageEnd must be positive integers and pageEnd can\'t be before pageStart.' };
+        }
+    }
+
+    if (!isAppending && !deckTitle?.trim()) {
+        return { status: 400, message: 'Deck title is required: deckTitle' };
+    }
+
+    // Image occlusion cards are made from a single diagram
+    const isOcclusion = mode === 'occlusion';
+    if (isOcclusion && (!fileName?.trim() || !isImage(fileExtension))) {
+        return { status: 400, message: `Image occlusion needs a diagram uploaded as fileName with one of these types: ${SUPPORTED_IMAGE_EXTENSIONS.join(', ')}` };
+    }
+
+    // Validate the number of flashcards, documents are split into chunks so they can get more
+    const maxFlashcards = isOcclusion ? imageConfig.maxOcclusionRegions : (hasUpload ? documentConfig.maxFlashcards : 20);
+    if (!isValidInteger(numberOfFlashcards, maxFlashcards)) {
+        return { status: 422, message: `Invalid number of flashcards. It must be between 2 and ${maxFlashcards}.` };
+    }
+
+    // Validate the AI provider if the client picked one
+    if (provider !== undefined && !isSupportedProvider(provider)) {
+        return { status: 400, message: `Unsupported AI provider. Supported providers are: ${SUPPORTED_AI_PROVIDERS.join(', ')}` };
+    }
+
+    // Validate the languages, a translation language makes the deck bilingual
+    const languages = Object.keys(SUPPORTED_LANGUAGES);
+    if (language !== undefined && !languages.includes(language)) {
+        return { status: 400, message: `Unsupported language. Supported languages are: ${languages.join(', ')}` };
+    }
+    if (translationLanguage !== undefined) {
+        if (!languages.includes(translationLanguage)) {
+            return { status: 400, message: `Unsupported translation language. Supported languages are: ${languages.join(', ')}` };
+        }
+        if (translationLanguage === language) {
+            return { status: 400, message: 'translationLanguage must be different from language.' };
+        }
+        if (isOcclusion) {
+            return { status: 400, message: 'Image occlusion cards can\'t be bilingual.' };
+        }
+    }
+
+    // Validate the level the flashcards are written for
+    if (difficulty !== undefined && !DIFFICULTY_LEVELS.includes(difficulty)) {
+        return { status: 400, message: `Invalid difficulty. Supported difficulties are: ${DIFFICULTY_LEVELS.join(', ')}` };
+    }
+    if (bloomLevels !== undefined && !isValidBloomLevels(bloomLevels)) {
+        return { status: 400, message: `bloomLevels must be a list of levels or an object of levels and weights. Supported levels are: ${BLOOM_LEVELS.join(', ')}` };
+    }
+    if (isOcclusion && (difficulty !== undefined || bloomLevels !== undefined)) {
+        return { status: 400, message: 'difficulty and bloomLevels can\'t be used with image occlusion cards.' };
+    }
+
+    // Validate how flashcards flagged by the moderation are handled
+    if (moderationPolicy !== undefined && !MODERATION_POLICIES.includes(moderationPolicy)) {
+        return { status: 400, message: `Invalid moderation policy. Supported policies are: ${MODERATION_POLICIES.join(', ')}` };
+    }
+
+    // Validate how flashcards the uploaded file doesn't support are handled
+    if (verification !== undefined && !VERIFICATION_MODES.includes(verification)) {
+        return { status: 400, message: `Invalid verification mode. Supported modes are: ${VERIFICATION_MODES.join(', ')}` };
+    }
+
+    return null;
+}
+
+/**
+ * Validates the `images` of a flashcard generation request.
+ *
+ * @function validateImages
+ * @param {*} images - The `images` field of the request body.
+ * @param {string|undefined} fileName - The `fileName` field, a single file can't be combined with images.
+ * @returns {{status: number, message: string}|null} The validation error, or null if the images are valid.
+ */
+const validateImages = (images, fileName) => {
+    if (fileName?.trim()) {
+        return { status: 400, message: 'Send either fileName or images, not both.' };
+    }
+    if (!Array.isArray(images) || images.length === 0 || images.length > imageConfig.maxImages) {
+        return { status: 400, message: `images must be a list of 1 to ${imageConfig.maxImages} uploaded images.` };
+    }
+    if (!images.every(image => typeof image?.fileName === 'string' && image.fileName.trim() && typeof image.fileExtension === 'string')) {
+        return { status: 400, message: 'Every image needs a fileName and a fileExtension.' };
+    }
+    if (!images.every(image => SUPPORTED_IMAGE_EXTENSIONS.includes(normalizeExtension(image.fileExtension)))) {
+        return { status: 415, message: `Unsupported image type. Supported image types are: ${SUPPORTED_IMAGE_EXTENSIONS.join(', ')}` };
+    }
+
+    return null;
 }
@@ -0,0 +1,45 @@
+/**
+ * Deck API - Job Controller
+ * 
+ * @file jobController.js
+ * @description Handles requests for the status of asynchronous generation jobs.
+ * 
+ * This module provides controllers for polling flashcard and quiz generation jobs. 
+ * It validates user input and interacts with the job service.
+ * 
+ * @module jobController
+ * 
+ * @requires ../services/jobService.js
+ * 
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+import { getJobStatusService } from '../services/jobService.js';
+
+/**
+ * Returns the state, progress and result of a generation job.
+ * 
+ * @async
+ * @function getJobStatusController
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Object} JSON response with the job status or an error message.
+ */
+export const getJobStatusController = async (req, res) => {
+    const { jobId } = req.params;
+    const userId = req.user.uid;
+
+    if (!jobId || !jobId.trim()) {
+        return res.status(400).json({
+            status: 400,
+            request_owner_id: userId,
+            message: "The parameter 'jobId' can't be empty or null",
+            data: null
+        });
+    }
+
+    const result = await getJobStatusService(jobId, userId);
+    return res.status(result.status).json(result);
+}
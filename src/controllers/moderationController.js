@@ -10,17 +10,27 @@
  * @module moderationController
  * 
  * @requires ../services/moderationService.js
+ * @requires ../services/moderationReviewService.js
+ * @requires ../services/providerService.js
  * 
  * @author Arthur M. Artugue
  * @created 2025-02-20
- * @updated 2025-02-22
+ * @updated 2026-10-19
  */
 
-import { geminiModerationService } from '../services/moderationService.js';
+import { geminiModerationService, getModerationService } from '../services/moderationService.js';
+import { getModerationQueueService, reviewFlaggedFlashcardsService, appealModerationService, resolveAppealService, getModerationAuditService } from '../services/moderationReviewService.js';
+import { isSupportedProvider } from '../services/providerService.js';
+import { isModerator } from '../config/firebaseAdminConfig.js';
+import { CARD_DECISIONS, APPEAL_DECISIONS } from '../models/moderationModel.js';
+import { SUPPORTED_AI_PROVIDERS } from '../config/app.config.js';
+
+// Maximum length of the notes of moderators and the messages of appeals
+const MAX_NOTE_LENGTH = 1000;
 
 export const geminiModerationController = async (req, res) => {
-    const { deckId } = req.body;
-    const userId = req.params.id;
+    const { deckId, provider } = req.body;
+    const userId = req.user.uid;
 
     if (!deckId || !deckId.trim()) {
         return res.status(400).json(
@@ -33,8 +43,18 @@ export const geminiModerationController = async (req, res) => {
         );
     }
 
+    // Validate the AI provider if the client picked one
+    if (provider !== undefined && !isSupportedProvider(provider)) {
+        return res.status(400).json({
+            status: 400,
+            request_owner_id: userId,
+            message: `Unsupported AI provider. Supported providers are: ${SUPPORTED_AI_PROVIDERS.join(', ')}`,
+            data: null
+        });
+    }
+
     try {
-        const result = await geminiModerationService(deckId, userId);
+        const result = await geminiModerationService(deckId, userId, { provider, isModerator: isModerator(req.user) });
 
         return res.status(result.status).send(result);
     } catch (error) {
@@ -48,4 +68,273 @@ export const geminiModerationController = async (req, res) => {
             }
         );
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Returns the last moderation verdict stored on a deck, without calling the AI again.
+ *
+ * @async
+ * @function getModerationController
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Object} JSON response with the stored verdict or an error message.
+ */
+export const getModerationController = async (req, res) => {
+    const { deckId } = req.query;
+    const userId = req.user.uid;
+
+    if (typeof deckId !== 'string' || !deckId.trim()) {
+        return res.status(400).json({
+            status: 400,
+            request_owner_id: userId,
+            message: "The parameter 'deckId' can't be empty or null",
+            data: null
+        });
+    }
+
+    try {
+        const result = await getModerationService(deckId, userId);
+
+        return res.status(result.status).json(result);
+    } catch (error) {
+        console.error("Unexpected error in moderation retrieval:", error);
+        return res.status(500).json({
+            status: 500,
+            request_owner_id: userId,
+            message: "An unexpected error occurred during moderation retrieval.",
+            data: null
+        });
+    }
+}
+
+/**
+ * Lists the decks waiting for a moderator. Only moderators can use it.
+ *
+ * Query parameters:
+ * - limit: Maximum number of decks to return (at most `maxQueueSize`).
+ *
+ * @async
+ * @function getModerationQueueController
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Object} JSON response with the queued decks or an error message.
+ */
+export const getModerationQueueController = async (req, res) => {
+    const { limit } = req.query;
+    const userId = req.user.uid;
+
+    const parsedLimit = limit === undefined ? null : Number(limit);
+    if (parsedLimit !== null && (!Number.isInteger(parsedLimit) || parsedLimit < 1)) {
+        return res.status(400).json({
+            status: 400,
+            request_owner_id: userId,
+            message: "The parameter 'limit' must be a positive integer",
+            data: null
+        });
+    }
+
+    try {
+        const result = await getModerationQueueService(userId, { limit: parsedLimit });
+        return res.status(result.status).json(result);
+    } catch (error) {
+        console.error("Unexpected error in moderation queue retrieval:", error);
+        return res.status(500).json({
+            status: 500,
+            request_owner_id: userId,
+            message: "An unexpected error occurred during moderation queue retrieval.",
+            data: null
+        });
+    }
+}
+
+/**
+ * Approves or rejects flagged flashcards of a deck. Only moderators can use it.
+ *
+ * @async
+ * @function reviewFlaggedFlashcardsController
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Object} JSON response with the updated verdict or an error message.
+ */
+export const reviewFlaggedFlashcardsController = async (req, res) => {
+    const { deckId } = req.params;
+    const { decisions } = req.body || {};
+    const userId = req.user.uid;
+
+    const validationError = validateDecisions(decisions);
+    if (validationError) {
+        return res.status(400).json({
+            status: 400,
+            request_owner_id: userId,
+            message: validationError,
+            data: null
+        });
+    }
+
+    try {
+        const result = await reviewFlaggedFlashcardsService(deckId, userId, decisions);
+        return res.status(result.status).json(result);
+    } catch (error) {
+        console.error("Unexpected error in flashcard moderation review:", error);
+        return res.status(500).json({
+            status: 500,
+            request_owner_id: userId,
+            message: "An unexpected error occurred during flashcard moderation review.",
+            data: null
+        });
+    }
+}
+
+/**
+ * Appeals the moderation verdict of a deck. Only the owner of the deck can appeal.
+ *
+ * @async
+ * @function appealModerationController
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Object} JSON response with the appeal or an error message.
+ */
+export const appealModerationController = async (req, res) => {
+    const { deckId } = req.params;
+    const { message, flashcardIds } = req.body || {};
+    const userId = req.user.uid;
+
+    let validationError = null;
+    if (!isValidNote(message) || !message.trim()) {
+        validationError = `The field 'message' is required and can have at most ${MAX_NOTE_LENGTH} characters`;
+    } else if (flashcardIds !== undefined && (!Array.isArray(flashcardIds) || flashcardIds.length === 0 || flashcardIds.some(flashcardId => typeof flashcardId !== 'string' || !flashcardId.trim()))) {
+        validationError = "The field 'flashcardIds' must be a non-empty array of flashcard IDs";
+    }
+
+    if (validationError) {
+        return res.status(400).json({
+            status: 400,
+            request_owner_id: userId,
+            message: validationError,
+            data: null
+        });
+    }
+
+    try {
+        const result = await appealModerationService(deckId, userId, { message: message.trim(), flashcardIds });
+        return res.status(result.status).json(result);
+    } catch (error) {
+        console.error("Unexpected error in moderation appeal:", error);
+        return res.status(500).json({
+            status: 500,
+            request_owner_id: userId,
+            message: "An unexpected error occurred during the moderation appeal.",
+            data: null
+        });
+    }
+}
+
+/**
+ * Upholds or overturns an open appeal. Only moderators can use it.
+ *
+ * @async
+ * @function resolveAppealController
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Object} JSON response with the resolved appeal or an error message.
+ */
+export const resolveAppealController = async (req, res) => {
+    const { appealId } = req.params;
+    const { decision, note } = req.body || {};
+    const userId = req.user.uid;
+
+    let validationError = null;
+    if (!APPEAL_DECISIONS.includes(decision)) {
+        validationError = `Invalid decision. Supported decisions are: ${APPEAL_DECISIONS.join(', ')}`;
+    } else if (note !== undefined && !isValidNote(note)) {
+        validationError = `The field 'note' must be a string of at most ${MAX_NOTE_LENGTH} characters`;
+    }
+
+    if (validationError) {
+        return res.status(400).json({
+            status: 400,
+            request_owner_id: userId,
+            message: validationError,
+            data: null
+        });
+    }
+
+    try {
+        const result = await resolveAppealService(appealId, userId, { decision, note });
+        return res.status(result.status).json(result);
+    } catch (error) {
+        console.error("Unexpected error in appeal resolution:", error);
+        return res.status(500).json({
+            status: 500,
+            request_owner_id: userId,
+            message: "An unexpected error occurred during the appeal resolution.",
+            data: null
+        });
+    }
+}
+
+/**
+ * Returns the moderation audit trail of a deck. Moderators and the owner of the deck can read it.
+ *
+ * @async
+ * @function getModerationAuditController
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Object} JSON response with the audit entries or an error message.
+ */
+export const getModerationAuditController = async (req, res) => {
+    const { deckId } = req.params;
+    const userId = req.user.uid;
+
+    try {
+        const result = await getModerationAuditService(deckId, userId, { isModerator: isModerator(req.user) });
+        return res.status(result.status).json(result);
+    } catch (error) {
+        console.error("Unexpected error in moderation audit retrieval:", error);
+        return res.status(500).json({
+            status: 500,
+            request_owner_id: userId,
+            message: "An unexpected error occurred during moderation audit retrieval.",
+            data: null
+        });
+    }
+}
+
+/**
+ * Checks the decisions of a moderator on flagged flashcards.
+ *
+ * @function validateDecisions
+ * @param {*} decisions - The `decisions` field of the request body.
+ * @returns {string|null} The validation error, or null if the decisions are valid.
+ */
+const validateDecisions = (decisions) => {
+    if (!Array.isArray(decisions) || decisions.length === 0) {
+        return "The field 'decisions' must be a non-empty array of { flashcardId, decision, note }";
+    }
+
+    for (const item of decisions) {
+        if (typeof item?.flashcardId !== 'string' || !item.flashcardId.trim()) {
+            return "Every decision needs a 'flashcardId'";
+        }
+        if (!CARD_DECISIONS.includes(item.decision)) {
+            return `Invalid decision. Supported decisions are: ${CARD_DECISIONS.join(', ')}`;
+        }
+        if (item.note !== undefined && !isValidNote(item.note)) {
+            return `The field 'note' must be a string of at most ${MAX_NOTE_LENGTH} characters`;
+        }
+    }
+
+    if (new Set(decisions.map(item => item.flashcardId)).size !== decisions.length) {
+        return "Every flashcard can only be decided once per request";
+    }
+    return null;
+}
+
+/**
+ * Checks a note of a moderator or the message of an appeal.
+ *
+ * @function isValidNote
+ * @param {*} note - The note.
+ * @returns {boolean} True if the note is a string of at most `MAX_NOTE_LENGTH` characters.
+ */
+const isValidNote = (note) => typeof note === 'string' && note.length <= MAX_NOTE_LENGTH;
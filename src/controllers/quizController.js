@@ -10,17 +10,30 @@
  * @module moderationController
  * 
  * @requires ../services/quizService.js
+ * @requires ../services/providerService.js
+ * @requires ../services/jobService.js
+ * @requires ../utils/bloomTaxonomy.js
+ * @requires ../services/moderationService.js
  * 
  * @author Arthur M. Artugue
  * @created 2025-02-27
- * @updated 2025-02-27
+ * @updated 2026-10-19
  */
 
-import { geminiQuizService } from '../services/quizService.js';
+import { geminiQuizService, geminiPracticeQuizService } from '../services/quizService.js';
+import { isSupportedProvider } from '../services/providerService.js';
+import { SUPPORTED_AI_PROVIDERS, SUPPORTED_QUIZ_TYPES, DIFFICULTY_LEVELS, BLOOM_LEVELS } from '../config/app.config.js';
+import { startGenerationJob } from '../services/jobService.js';
+import { isAsyncRequest, isValidInteger } from '../utils/utils.js';
+import { isValidBloomLevels } from '../utils/bloomTaxonomy.js';
+import { MODERATION_POLICIES } from '../services/moderationService.js';
+
+const QUIZ_MODES = ['standard', 'practice'];
 
 export const geminiQuizController = async (req, res) => {
-    const { deckId } = req.body;
-    const userId = req.params.id;
+    const { deckId, provider, quizType = "multiple-choice", mode = "standard", numberOfQuestions = 10, difficulty, bloomLevels, moderationPolicy } = req.body;
+    // Practice quizzes read the user's attempts and reviews, so the user always comes from the token
+    const userId = req.user.uid;
 
     if (!deckId || !deckId.trim()) {
         return res.status(400).json(
@@ -33,8 +46,91 @@ export const geminiQuizController = async (req, res) => {
         );
     }
 
+    // Validate the AI provider if the client picked one
+    if (provider !== undefined && !isSupportedProvider(provider)) {
+        return res.status(400).json({
+            status: 400,
+            request_owner_id: userId,
+            message: `Unsupported AI provider. Supported providers are: ${SUPPORTED_AI_PROVIDERS.join(', ')}`,
+            data: null
+        });
+    }
+
+    if (!SUPPORTED_QUIZ_TYPES.includes(quizType)) {
+        return res.status(400).json({
+            status: 400,
+            request_owner_id: userId,
+            message: `Unsupported quiz type. Supported quiz types are: ${SUPPORTED_QUIZ_TYPES.join(', ')}`,
+            data: null
+        });
+    }
+
+    if (!QUIZ_MODES.includes(mode)) {
+        return res.status(400).json({
+            status: 400,
+            request_owner_id: userId,
+            message: `Unsupported quiz mode. Supported modes are: ${QUIZ_MODES.join(', ')}`,
+            data: null
+        });
+    }
+
+    if (mode === "practice" && !isValidInteger(numberOfQuestions)) {
+        return res.status(400).json({
+            status: 400,
+            request_owner_id: userId,
+            message: `The parameter 'numberOfQuestions' must be an integer between 2 and 20`,
+            data: null
+        });
+    }
+
+    if (difficulty !== undefined && !DIFFICULTY_LEVELS.includes(difficulty)) {
+        return res.status(400).json({
+            status: 400,
+            request_owner_id: userId,
+            message: `Invalid difficulty. Supported difficulties are: ${DIFFICULTY_LEVELS.join(', ')}`,
+            data: null
+        });
+    }
+
+    if (bloomLevels !== undefined && !isValidBloomLevels(bloomLevels)) {
+        return res.status(400).json({
+            status: 400,
+            request_owner_id: userId,
+            message: `bloomLevels must be a list of levels or an object of levels and weights. Supported levels are: ${BLOOM_LEVELS.join(', ')}`,
+            data: null
+        });
+    }
+
+    if (moderationPolicy !== undefined && !MODERATION_POLICIES.includes(moderationPolicy)) {
+        return res.status(400).json({
+            status: 400,
+            request_owner_id: userId,
+            message: `Invalid moderation policy. Supported policies are: ${MODERATION_POLICIES.join(', ')}`,
+            data: null
+        });
+    }
+
+    // Practice quizzes are picked from the user's own attempts and reviews
+    const generateQuiz = (onProgress) => mode === "practice"
+        ? geminiPracticeQuizService(deckId, userId, { provider, quizType, numberOfQuestions, difficulty, bloomLevels, moderationPolicy, onProgress })
+        : geminiQuizService(deckId, userId, { provider, quizType, difficulty, bloomLevels, moderationPolicy, onProgress });
+
     try {
-        const result = await geminiQuizService(deckId, userId);
+        // Queue the generation as a job if the client doesn't want to wait for the AI round-trip
+        if (isAsyncRequest(req)) {
+            const jobId = await startGenerationJob("quiz_generation", userId, generateQuiz);
+            return res.status(202).json({
+                status: 202,
+                request_owner_id: userId,
+                message: 'Quiz generation job was queued',
+                data: {
+                    jobId: jobId,
+                    statusUrl: `/v2/deck/jobs/${jobId}`
+                }
+            });
+        }
+
+        const result = await generateQuiz();
 
         return res.status(result.status).send(result);
     } catch (error) {
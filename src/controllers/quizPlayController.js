@@ -0,0 +1,172 @@
+/**
+ * Deck API - Quiz Play Controller
+ * 
+ * @file quizPlayController.js
+ * @description Handles requests for taking generated quizzes.
+ * 
+ * This module provides controllers for retrieving playable quizzes and submitting quiz attempts. 
+ * It validates user input and interacts with the quiz play service.
+ * 
+ * @module quizPlayController
+ * 
+ * @requires ../services/quizPlayService.js
+ * 
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+import { getPlayableQuizService, submitQuizAttemptService } from '../services/quizPlayService.js';
+import { BLOOM_LEVELS } from '../config/app.config.js';
+
+/**
+ * Returns a quiz with its questions and choices in one payload.
+ * 
+ * Query parameters:
+ * - shuffle: "true" shuffles both questions and choices.
+ * - shuffleQuestions / shuffleChoices: "true" shuffles only one of them.
+ * - limit: Maximum number of questions to return.
+ * - hideAnswers: "true" leaves out the answers.
+ * - bloomLevels: Comma-separated Bloom's levels, only questions tagged with one of them are returned (e.g. "apply").
+ * 
+ * @async
+ * @function getPlayableQuizController
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Object} JSON response with the quiz or an error message.
+ */
+export const getPlayableQuizController = async (req, res) => {
+    const { quizId } = req.params;
+    const { shuffle, shuffleQuestions, shuffleChoices, limit, hideAnswers, bloomLevels } = req.query;
+    const userId = req.user.uid;
+
+    if (!quizId || !quizId.trim()) {
+        return res.status(400).json({
+            status: 400,
+            request_owner_id: userId,
+            message: "The parameter 'quizId' can't be empty or null",
+            data: null
+        });
+    }
+
+    const parsedLimit = limit === undefined ? null : Number(limit);
+    if (parsedLimit !== null && (!Number.isInteger(parsedLimit) || parsedLimit < 1)) {
+        return res.status(400).json({
+            status: 400,
+            request_owner_id: userId,
+            message: "The parameter 'limit' must be a positive integer",
+            data: null
+        });
+    }
+
+    const parsedBloomLevels = typeof bloomLevels === 'string' ? bloomLevels.split(',').map(level => level.trim()) : null;
+    if (bloomLevels !== undefined && !(parsedBloomLevels && parsedBloomLevels.every(level => BLOOM_LEVELS.includes(level)))) {
+        return res.status(400).json({
+            status: 400,
+            request_owner_id: userId,
+            message: `The parameter 'bloomLevels' must be a comma-separated list of: ${BLOOM_LEVELS.join(', ')}`,
+            data: null
+        });
+    }
+
+    try {
+        const result = await getPlayableQuizService(quizId, userId, {
+            shuffleQuestions: shuffle === 'true' || shuffleQuestions === 'true',
+            shuffleChoices: shuffle === 'true' || shuffleChoices === 'true',
+            limit: parsedLimit,
+            hideAnswers: hideAnswers === 'true',
+            bloomLevels: parsedBloomLevels
+        });
+
+        return res.status(result.status).json(result);
+    } catch (error) {
+        console.error("Unexpected error in quiz retrieval:", error);
+        return res.status(500).json({
+            status: 500,
+            request_owner_id: userId,
+            message: "An unexpected error occurred during quiz retrieval.",
+            data: null
+        });
+    }
+}
+
+/**
+ * Grades a quiz attempt and saves it under the user.
+ * 
+ * @async
+ * @function submitQuizAttemptController
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Object} JSON response with the score or an error message.
+ */
+export const submitQuizAttemptController = async (req, res) => {
+    const { quizId } = req.params;
+    const { answers, sessionId } = req.body;
+    const userId = req.user.uid;
+
+    if (!quizId || !quizId.trim()) {
+        return res.status(400).json({
+            status: 400,
+            request_owner_id: userId,
+            message: "The parameter 'quizId' can't be empty or null",
+            data: null
+        });
+    }
+
+    const validationError = sessionId !== undefined && (typeof sessionId !== 'string' || !sessionId.trim())
+        ? "The field 'sessionId' must be the session ID returned with the quiz"
+        : validateAnswers(answers);
+    if (validationError) {
+        return res.status(400).json({
+            status: 400,
+            request_owner_id: userId,
+            message: validationError,
+            data: null
+        });
+    }
+
+    try {
+        const result = await submitQuizAttemptService(quizId, userId, answers, sessionId ?? null);
+        return res.status(result.status).json(result);
+    } catch (error) {
+        console.error("Unexpected error in quiz attempt submission:", error);
+        return res.status(500).json({
+            status: 500,
+            request_owner_id: userId,
+            message: "An unexpected error occurred during quiz attempt submission.",
+            data: null
+        });
+    }
+}
+
+/**
+ * Validates the answers of a quiz attempt.
+ * 
+ * @function validateAnswers
+ * @param {*} answers - The submitted answers.
+ * @returns {string|null} The validation error message, or null if the answers are valid.
+ */
+const validateAnswers = (answers) => {
+    if (!Array.isArray(answers) || answers.length === 0) {
+        return "The field 'answers' must be a non-empty array";
+    }
+
+    const questionIds = new Set();
+    for (const answer of answers) {
+        if (!answer || typeof answer.questionId !== 'string' || !answer.questionId.trim()) {
+            return "Every answer needs a 'questionId'";
+        }
+        if (questionIds.has(answer.questionId)) {
+            return `The question '${answer.questionId}' was answered more than once`;
+        }
+        if (typeof answer.choiceId !== 'string' && typeof answer.answer !== 'string') {
+            return "Every answer needs either a 'choiceId' or a typed 'answer'";
+        }
+        if (answer.timeMs !== undefined && (typeof answer.timeMs !== 'number' || !Number.isFinite(answer.timeMs) || answer.timeMs < 0)) {
+            return "The field 'timeMs' must be a non-negative number";
+        }
+        questionIds.add(answer.questionId);
+    }
+
+    return null;
+}
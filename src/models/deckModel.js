@@ -1,5 +1,7 @@
 // utils/formatDeck.js
 
+import { createHash } from 'crypto';
+
 export const formatDeck = (deckId, deckData, flashcards) => ({
     id: deckId,
     title: deckData.title,
@@ -7,10 +9,183 @@ export const formatDeck = (deckId, deckData, flashcards) => ({
     isPrivate: deckData.is_private,
     deckOwnerId: deckData.user_id,
     createdAt: deckData.created_at,
-    flashcards: flashcards.map(f => ({
+    language: deckData.language ?? null,
+    translatedFrom: deckData.translated_from ?? null,
+    difficulty: deckData.difficulty ?? null,
+    flashcards: flashcards.map(withOcclusionText).map(f => ({
         id: f.id,
+        type: f.type ?? 'text',
         definition: f.definition,
-        term: f.term
+        term: f.term,
+        source: f.source ?? null,
+        verification: f.verification ?? null,
+        language: f.language ?? null,
+        translation: f.translation ?? null,
+        originalFlashcardId: f.original_flashcard_id ?? null,
+        difficulty: f.difficulty ?? null,
+        bloomLevel: f.bloom_level ?? null,
+        moderationStatus: f.moderation_status ?? null,
+        moderationReason: f.moderation_reason ?? null,
+        ...(f.type === OCCLUSION_CARD_TYPE ? {
+            imageRef: f.image_ref,
+            imageWidth: f.image_width ?? null,
+            imageHeight: f.image_height ?? null,
+            regions: f.regions,
+            regionId: f.region_id
+        } : {})
     }))
 });
 
+/**
+ * Type of the flashcards that hide one labelled region of a diagram.
+ */
+export const OCCLUSION_CARD_TYPE = 'occlusion';
+
+/**
+ * Gives an image occlusion card the term and definition of the region it asks for, so it can be moderated,
+ * quizzed and de-duplicated like a text flashcard. Text flashcards are returned unchanged.
+ *
+ * @function withOcclusionText
+ * @param {Object} flashcard - The raw flashcard data.
+ * @returns {Object} - The flashcard, with `term` (the label) and `definition` (the description) for occlusion cards.
+ */
+export const withOcclusionText = (flashcard) => {
+    if (flashcard?.type !== OCCLUSION_CARD_TYPE) return flashcard;
+
+    const region = (flashcard.regions || []).find(region => region.id === flashcard.region_id);
+    return {
+        ...flashcard,
+        term: region?.label ?? '',
+        definition: region?.description || `A labelled part of the diagram "${flashcard.diagram_title}".`
+    };
+};
+
+
+/**
+ * Checks if a user owns a deck.
+ * Older decks store their owner in `user_id` instead of `owner_id`.
+ *
+ * @function isDeckOwner
+ * @param {Object} deckData - The raw deck data.
+ * @param {string} userId - The ID of the user.
+ * @returns {boolean} - True if the user owns the deck, otherwise false.
+ */
+export const isDeckOwner = (deckData, userId) => {
+    const ownerId = deckData?.owner_id ?? deckData?.user_id;
+    return Boolean(userId) && ownerId === userId;
+};
+
+/**
+ * Moderation status of flashcards (and decks) the AI moderation found inappropriate.
+ * A deck is flagged when the moderation of a saved deck (`POST /moderate/:id`) flags flashcards: only the flagged
+ * flashcards are hidden, the deck keeps its visibility.
+ */
+export const FLAGGED_STATUS = 'flagged';
+
+/**
+ * Moderation status of flashcards (and decks) that passed the moderation.
+ */
+export const APPROVED_STATUS = 'approved';
+
+/**
+ * Moderation status of decks and quizzes that were saved with flagged content, privately until they are reviewed.
+ * Set by the pre-save moderation of generated content under the review policy, the deck is made private as well.
+ * Their flagged flashcards and questions have `FLAGGED_STATUS`.
+ */
+export const PENDING_REVIEW_STATUS = 'pending_review';
+
+/**
+ * Moderation statuses of the decks waiting for a moderator. Both end the same way: the deck is approved once a
+ * moderator decided on every flagged flashcard.
+ */
+export const AWAITING_REVIEW_STATUSES = [FLAGGED_STATUS, PENDING_REVIEW_STATUS];
+
+/**
+ * Moderation status of flashcards a moderator rejected. Rejected flashcards are soft-deleted.
+ */
+export const REJECTED_STATUS = 'rejected';
+
+/**
+ * Checks if a flashcard was flagged by the moderation and is waiting for a review.
+ *
+ * @function isFlaggedFlashcard
+ * @param {Object} flashcard - The raw flashcard data.
+ * @returns {boolean} - True if the flashcard is flagged.
+ */
+export const isFlaggedFlashcard = (flashcard) => flashcard?.moderation_status === FLAGGED_STATUS;
+
+/**
+ * Checks if a deck is waiting for a moderator because of its moderation status, see `AWAITING_REVIEW_STATUSES`.
+ *
+ * @function isAwaitingReview
+ * @param {Object} deckData - The raw deck data.
+ * @returns {boolean} - True if the deck is flagged or pending review.
+ */
+export const isAwaitingReview = (deckData) => AWAITING_REVIEW_STATUSES.includes(deckData?.moderation_status);
+
+/**
+ * Filters the flashcards a user may see. Flagged flashcards are only shown to the owner of the deck.
+ *
+ * @function visibleFlashcards
+ * @param {Array<Object>} flashcards - The raw flashcards of the deck.
+ * @param {Object} deckData - The raw deck data.
+ * @param {string} userId - The ID of the user.
+ * @returns {Array<Object>} - The flashcards the user may see.
+ */
+export const visibleFlashcards = (flashcards, deckData, userId) => {
+    return isDeckOwner(deckData, userId) ? flashcards : flashcards.filter(flashcard => !isFlaggedFlashcard(flashcard));
+};
+
+/**
+ * Formats the moderation verdict stored on a deck.
+ *
+ * @function formatModeration
+ * @param {string} deckId - The ID of the deck.
+ * @param {Object} deckData - The raw deck data.
+ * @returns {Object} - The verdict, with a null `status` if the deck was never moderated. Flashcards a moderator
+ *   rejected are listed in `rejectedCards`, and `appeal` is the last appeal of the owner.
+ */
+export const formatModeration = (deckId, deckData) => ({
+    deckId: deckId,
+    status: deckData.moderation_status ?? null,
+    decision: deckData.moderation_decision ?? null,
+    moderatedAt: deckData.moderated_at ?? null,
+    model: deckData.moderation_model ?? null,
+    flaggedCards: (deckData.moderation_flags || []).map(flag => ({
+        flashcardId: flag.flashcard_id ?? null,
+        term: flag.term ?? null,
+        reason: flag.reason ?? null
+    })),
+    rejectedCards: (deckData.moderation_rejections || []).map(rejection => ({
+        flashcardId: rejection.flashcard_id,
+        term: rejection.term ?? null,
+        note: rejection.note ?? null
+    })),
+    reviewedAt: deckData.reviewed_at ?? null,
+    appeal: deckData.appeal_id ? { appealId: deckData.appeal_id, status: deckData.appeal_status ?? null } : null
+});
+
+/**
+ * Checks if a user can read a deck: either the user owns it or the deck is public.
+ *
+ * @function canAccessDeck
+ * @param {Object} deckData - The raw deck data.
+ * @param {string} userId - The ID of the user.
+ * @returns {boolean} - True if the user can read the deck, otherwise false.
+ */
+export const canAccessDeck = (deckData, userId) => {
+    return isDeckOwner(deckData, userId) || deckData?.is_private === false;
+};
+
+/**
+ * Computes a fingerprint of a flashcard's content.
+ * Quiz questions store the fingerprint of the flashcard they were made from to detect later edits.
+ *
+ * @function getFlashcardHash
+ * @param {Object} flashcard - The flashcard with its term and definition.
+ * @returns {string} - The SHA-256 hash of the term and definition.
+ */
+export const getFlashcardHash = (flashcard) => {
+    const content = JSON.stringify([flashcard?.term?.trim() ?? "", flashcard?.definition?.trim() ?? ""]);
+    return createHash('sha256').update(content).digest('hex');
+};
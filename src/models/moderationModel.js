@@ -0,0 +1,75 @@
+// models/moderationModel.js
+
+/**
+ * Status of an appeal waiting for a moderator.
+ */
+export const OPEN_APPEAL_STATUS = 'open';
+
+/**
+ * Decisions a moderator can take on a flagged flashcard.
+ */
+export const CARD_DECISIONS = ['approve', 'reject'];
+
+/**
+ * Decisions a moderator can take on an appeal: "uphold" keeps the verdict, "overturn" restores the appealed flashcards.
+ */
+export const APPEAL_DECISIONS = ['uphold', 'overturn'];
+
+/**
+ * Formats a deck of the moderation queue.
+ *
+ * @function formatQueueItem
+ * @param {Object} deckData - The raw deck data, with its ID.
+ * @param {Object} moderation - The verdict of the deck, see `formatModeration`.
+ * @returns {Object} - The queued deck.
+ */
+export const formatQueueItem = (deckData, moderation) => ({
+    deckId: deckData.id,
+    title: deckData.title ?? null,
+    ownerId: deckData.owner_id ?? deckData.user_id ?? null,
+    isPrivate: deckData.is_private ?? null,
+    moderation: moderation
+});
+
+/**
+ * Formats an appeal of a deck owner.
+ *
+ * @function formatAppeal
+ * @param {string} appealId - The ID of the appeal.
+ * @param {Object} appealData - The raw appeal data.
+ * @returns {Object} - The formatted appeal.
+ */
+export const formatAppeal = (appealId, appealData) => ({
+    id: appealId,
+    deckId: appealData.deck_id,
+    ownerId: appealData.owner_id,
+    message: appealData.message,
+    flashcardIds: appealData.flashcard_ids || [],
+    status: appealData.status,
+    createdAt: appealData.created_at ?? null,
+    resolvedBy: appealData.resolved_by ?? null,
+    resolvedAt: appealData.resolved_at ?? null,
+    note: appealData.note ?? null
+});
+
+/**
+ * Formats an entry of the moderation audit trail.
+ *
+ * @function formatAuditEntry
+ * @param {Object} entry - The raw audit entry, with its ID.
+ * @returns {Object} - The formatted entry.
+ */
+export const formatAuditEntry = (entry) => ({
+    id: entry.id,
+    action: entry.action,
+    deckId: entry.deck_id,
+    flashcardId: entry.flashcard_id ?? null,
+    appealId: entry.appeal_id ?? null,
+    actorId: entry.actor_id ?? null,
+    actorRole: entry.actor_role,
+    decision: entry.decision ?? null,
+    note: entry.note ?? null,
+    ...(entry.flagged_flashcard_ids ? { flaggedFlashcardIds: entry.flagged_flashcard_ids } : {}),
+    ...(entry.cleared_flashcard_ids ? { clearedFlashcardIds: entry.cleared_flashcard_ids } : {}),
+    createdAt: entry.created_at ?? null
+});
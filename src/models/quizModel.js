@@ -0,0 +1,45 @@
+// models/quizModel.js
+
+/**
+ * Quiz types where the user types the answer instead of picking a choice.
+ * Their stored choices are the accepted answers.
+ */
+export const TYPED_ANSWER_QUIZ_TYPES = ['identification', 'fill-in-the-blank'];
+
+/**
+ * Tells how a quiz of the given type is answered.
+ *
+ * @function getAnswerFormat
+ * @param {string} quizType - The type of the quiz.
+ * @returns {"choice"|"text"} - "text" if the user types the answer, otherwise "choice".
+ */
+export const getAnswerFormat = (quizType) => TYPED_ANSWER_QUIZ_TYPES.includes(quizType) ? 'text' : 'choice';
+
+/**
+ * Formats a quiz question and its choices for the API response.
+ * When answers are hidden `isCorrect` is left out, and so are the choices of typed-answer quizzes
+ * since they would give the answer away.
+ *
+ * @function formatQuestion
+ * @param {Object} question - The raw question data.
+ * @param {Array<Object>} choices - The raw choices of the question.
+ * @param {Object} options - Formatting options.
+ * @param {"choice"|"text"} options.answerFormat - How the quiz is answered.
+ * @param {boolean} options.hideAnswers - Whether to leave out the answers.
+ * @returns {Object} - The formatted question.
+ */
+export const formatQuestion = (question, choices, { answerFormat, hideAnswers }) => ({
+    id: question.id,
+    question: question.question,
+    relatedFlashcardId: question.related_flashcard_id ?? null,
+    bloomLevel: question.bloom_level ?? null,
+    difficulty: question.difficulty ?? null,
+    moderationStatus: question.moderation_status ?? null,
+    choices: hideAnswers && answerFormat === 'text'
+        ? []
+        : choices.map(choice => ({
+            id: choice.id,
+            text: choice.text,
+            ...(hideAnswers ? {} : { isCorrect: choice.is_correct })
+        }))
+});
@@ -0,0 +1,156 @@
+/**
+ * Attempt Repository
+ *
+ * @file attemptRepository.js
+ * @description Handles database operations related to quiz attempts.
+ *
+ * Attempts are stored under the user that took the quiz, in the 'quiz_attempts'
+ * subcollection of the user's document in the 'users' collection. The questions a quiz was served with are stored
+ * next to them, in the 'quiz_sessions' subcollection.
+ *
+ * @module attemptRepository
+ *
+ * @requires ../config/firebaseAdminConfig.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+import { db } from '../config/firebaseAdminConfig.js';
+
+/**
+ * Saves a quiz attempt under the given user.
+ *
+ * @async
+ * @function createQuizAttempt
+ * @param {string} userId - The ID of the user that took the quiz.
+ * @param {Object} attemptData - The data of the attempt.
+ * @param {string} attemptData.quiz_id - The ID of the quiz.
+ * @param {Array<Object>} attemptData.answers - The graded answers of the attempt.
+ * @returns {Promise<string>} - Returns the newly created attempt ID.
+ * @throws {Error} - Throws an error if the input is invalid or the Firestore operation fails.
+ */
+export async function createQuizAttempt(userId, attemptData) {
+    try {
+        // Validate inputs
+        if (!userId || typeof userId !== 'string') {
+            throw new Error("INVALID_USER_ID");
+        }
+        if (!attemptData || typeof attemptData !== 'object') {
+            throw new Error("INVALID_ATTEMPT_DATA");
+        }
+        if (!attemptData.quiz_id || typeof attemptData.quiz_id !== 'string') {
+            throw new Error("INVALID_QUIZ_ID");
+        }
+        if (!Array.isArray(attemptData.answers)) {
+            throw new Error("INVALID_ANSWERS");
+        }
+
+        const res = await db.collection('users').doc(userId).collection('quiz_attempts').add(attemptData);
+        return res.id;
+    } catch (error) {
+        console.error(`Create quiz attempt function error: ${error}`);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Retrieves the quiz attempts a user made on the quizzes of a deck.
+ *
+ * @async
+ * @function getQuizAttemptsByDeckId
+ * @param {string} userId - The ID of the user.
+ * @param {string} deckId - The ID of the deck.
+ * @returns {Promise<Array<Object>>} - Returns the attempts with their IDs.
+ * @throws {Error} - Throws an error if the input is invalid or the Firestore operation fails.
+ */
+export async function getQuizAttemptsByDeckId(userId, deckId) {
+    try {
+        // Validate inputs
+        if (!userId || typeof userId !== 'string') {
+            throw new Error("INVALID_USER_ID");
+        }
+        if (!deckId || typeof deckId !== 'string') {
+            throw new Error("INVALID_DECK_ID");
+        }
+
+        const attemptsSnap = await db.collection('users').doc(userId).collection('quiz_attempts')
+            .where("deck_id", "==", deckId)
+            .get();
+
+        return attemptsSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+        console.error(`Get quiz attempts function error: ${error}`);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Saves the questions a quiz was served with, so the attempt is graded against them.
+ *
+ * @async
+ * @function createQuizSession
+ * @param {string} userId - The ID of the user the quiz was served to.
+ * @param {Object} sessionData - The data of the session.
+ * @param {string} sessionData.quiz_id - The ID of the quiz.
+ * @param {Array<string>} sessionData.question_ids - The IDs of the served questions.
+ * @returns {Promise<string>} - Returns the newly created session ID.
+ * @throws {Error} - Throws an error if the input is invalid or the Firestore operation fails.
+ */
+export async function createQuizSession(userId, sessionData) {
+    try {
+        // Validate inputs
+        if (!userId || typeof userId !== 'string') {
+            throw new Error("INVALID_USER_ID");
+        }
+        if (!sessionData || typeof sessionData !== 'object') {
+            throw new Error("INVALID_SESSION_DATA");
+        }
+        if (!sessionData.quiz_id || typeof sessionData.quiz_id !== 'string') {
+            throw new Error("INVALID_QUIZ_ID");
+        }
+        if (!Array.isArray(sessionData.question_ids)) {
+            throw new Error("INVALID_QUESTION_IDS");
+        }
+
+        const res = await db.collection('users').doc(userId).collection('quiz_sessions').add(sessionData);
+        return res.id;
+    } catch (error) {
+        console.error(`Create quiz session function error: ${error}`);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Retrieves a quiz session of a user.
+ *
+ * @async
+ * @function getQuizSessionById
+ * @param {string} userId - The ID of the user.
+ * @param {string} sessionId - The ID of the session.
+ * @returns {Promise<Object>} - Returns the session with its ID.
+ * @throws {Error} - Throws `QUIZ_SESSION_NOT_FOUND` if the user has no such session, or an error if the input is
+ *   invalid or the Firestore operation fails.
+ */
+export async function getQuizSessionById(userId, sessionId) {
+    try {
+        // Validate inputs
+        if (!userId || typeof userId !== 'string') {
+            throw new Error("INVALID_USER_ID");
+        }
+        if (!sessionId || typeof sessionId !== 'string') {
+            throw new Error("INVALID_SESSION_ID");
+        }
+
+        const sessionSnap = await db.collection('users').doc(userId).collection('quiz_sessions').doc(sessionId).get();
+        if (!sessionSnap.exists) {
+            throw new Error("QUIZ_SESSION_NOT_FOUND");
+        }
+
+        return { id: sessionSnap.id, ...sessionSnap.data() };
+    } catch (error) {
+        console.error(`Get quiz session function error: ${error}`);
+        throw new Error(error.message);
+    }
+}
@@ -14,11 +14,11 @@
  * 
  * @author Arthur M. Artugue
  * @created 2025-02-21
- * @updated 2025-03-19
+ * @updated 2026-10-19
  */
 
-import { db, timeStamp } from '../config/firebaseAdminConfig.js';
-import { formatDeck } from '../models/deckModel.js';
+import { db, currentTimeStamp } from '../config/firebaseAdminConfig.js';
+import { formatDeck, withOcclusionText, OCCLUSION_CARD_TYPE } from '../models/deckModel.js';
 
 /**
  * Fetches a deck by its ID from Firestore.
@@ -57,13 +57,71 @@ export const getDeckById = async (deckId) => {
 };
 
 /**
- * Fetches a deck by its ID from Firestore.
+ * Fetches the document of a deck without its flashcards.
  * 
  * @async
- * @function getDeckById
+ * @function getDeckDocument
  * @param {string} deckId - The unique identifier of the deck.
- * @returns {Promise<Object>} - Returns a formatted deck object.
- * @throws {Error} - Throws an error if the deck ID is invalid, not found, or has no valid flashcards.
+ * @returns {Promise<Object>} - Returns the raw deck data along with its ID.
+ * @throws {Error} - Throws an error if the deck ID is invalid or the deck is not found.
+ */
+export const getDeckDocument = async (deckId) => {
+    try {
+        // Validate input
+        if (!deckId || typeof deckId !== 'string') {
+            throw new Error("INVALID_DECK_ID");
+        }
+
+        const deckSnap = await db.collection("decks").doc(deckId).get();
+
+        if (!deckSnap.exists || deckSnap.data().is_deleted) throw new Error("DECK_NOT_FOUND");
+
+        return { id: deckSnap.id, ...deckSnap.data() };
+    } catch (error) {
+        console.error(`Error in getDeckDocument (deckId: ${deckId}):`, error);
+        throw new Error(error.message);
+    }
+};
+
+/**
+ * Fetches the flashcards of a deck that are not deleted.
+ * Unlike `getDeckById`, an empty deck is not treated as an error.
+ * Image occlusion cards get the term and definition of the region they ask for.
+ * 
+ * @async
+ * @function getFlashcardsByDeckId
+ * @param {string} deckId - The unique identifier of the deck.
+ * @returns {Promise<Array<Object>>} - Returns the flashcards along with their IDs.
+ * @throws {Error} - Throws an error if the deck ID is invalid or the query fails.
+ */
+export const getFlashcardsByDeckId = async (deckId) => {
+    try {
+        // Validate input
+        if (!deckId || typeof deckId !== 'string') {
+            throw new Error("INVALID_DECK_ID");
+        }
+
+        const flashcardSnap = await db.collection("decks").doc(deckId)
+            .collection("flashcards")
+            .where("is_deleted", "==", false)
+            .get();
+
+        return flashcardSnap.docs.map(doc => withOcclusionText({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+        console.error(`Error in getFlashcardsByDeckId (deckId: ${deckId}):`, error);
+        throw new Error(error.message);
+    }
+};
+
+/**
+ * Fetches a deck by its ID from Firestore and checks if it has the given field.
+ * 
+ * @async
+ * @function getDeckAndCheckField
+ * @param {string} deckId - The unique identifier of the deck.
+ * @param {string} fieldName - The name of the field to check.
+ * @returns {Promise<Object>} - Returns whether the deck and field exist along with the field value.
+ * @throws {Error} - Throws an error if the deck ID or field name is invalid or the deck is not found.
  */
 export const getDeckAndCheckField = async (deckId, fieldName) => {
     try {
@@ -132,55 +190,76 @@ export const updateDeck = async (deckId, data) => {
 }
 
 /**
- * Fetches newly created flashcards for a given deck based on its last update time.
+ * Soft-deletes flashcards of a deck by setting their `is_deleted` field.
  * 
  * @async
- * @function getNewFlashcards
+ * @function softDeleteFlashcards
  * @param {string} deckId - The unique identifier of the deck.
- * @returns {Promise<Array<Object>>} - Returns an array of new flashcards.
- * @throws {Error} - Throws an error if the deck ID is invalid, the deck is not found, or the query operation fails.
+ * @param {Array<string>} flashcardIds - The IDs of the flashcards to delete.
+ * @returns {Promise<void>} - Resolves once every flashcard was updated.
+ * @throws {Error} - Throws an error if the inputs are invalid or the batch write fails.
  */
-export const getNewFlashcards = async (deckId, quizUpdateDate) => {
+export const softDeleteFlashcards = async (deckId, flashcardIds) => {
     try {
-        // Validate input
-        if (!deckId || typeof deckId !== "string") {
+        // Validate inputs
+        if (!deckId || typeof deckId !== 'string') {
             throw new Error("INVALID_DECK_ID");
         }
+        if (!Array.isArray(flashcardIds)) {
+            throw new Error("INVALID_FLASHCARD_IDS");
+        }
 
-        // Reference to the deck document
-        const deckRef = db.collection("decks").doc(deckId);
-        const deckSnap = await deckRef.get();
+        const ref = db.collection('decks').doc(deckId).collection('flashcards');
 
-        // Check if deck exists
-        if (!deckSnap.exists) {
-            throw new Error("DECK_NOT_FOUND");
+        // Firestore batches are limited to 500 writes
+        for (let i = 0; i < flashcardIds.length; i += 500) {
+            const batch = db.batch();
+            for (const flashcardId of flashcardIds.slice(i, i + 500)) {
+                batch.update(ref.doc(flashcardId), { is_deleted: true });
+            }
+            await batch.commit();
         }
+    } catch (error) {
+        console.error(`Error in softDeleteFlashcards (deckId: ${deckId}):`, error);
+        throw new Error(error.message);
+    }
+}
 
-        // Retrieve last updated timestamp
-        const deckData = deckSnap.data();
-        let madeToQuizAt = deckData?.made_to_quiz_at;
-        
-        if (!madeToQuizAt && (quizUpdateDate != "")) {
-            await updateDeck(deckId, {made_to_quiz_at: quizUpdateDate});
-            madeToQuizAt = quizUpdateDate;
+/**
+ * Updates flashcards of a deck with the provided data.
+ * 
+ * @async
+ * @function updateFlashcards
+ * @param {string} deckId - The unique identifier of the deck.
+ * @param {Array<{id: string, data: Object}>} updates - The flashcard IDs and the fields to update.
+ * @returns {Promise<void>} - Resolves once every flashcard was updated.
+ * @throws {Error} - Throws an error if the inputs are invalid or the batch write fails.
+ */
+export const updateFlashcards = async (deckId, updates) => {
+    try {
+        // Validate inputs
+        if (!deckId || typeof deckId !== 'string') {
+            throw new Error("INVALID_DECK_ID");
+        }
+        if (!Array.isArray(updates)) {
+            throw new Error("INVALID_UPDATE_DATA");
         }
 
-        // Query new flashcards created after the last update
-        const flashcardSnap = await deckRef
-            .collection("flashcards")
-            .where("is_deleted", "==", false)
-            .where("created_at", ">=", madeToQuizAt) 
-            .get();
-
-        // Extract flashcard data
-        const flashcards = flashcardSnap.docs.map(doc => ({ id: doc.id, ...doc.data() })) || [];
+        const ref = db.collection('decks').doc(deckId).collection('flashcards');
 
-        return flashcards;
+        // Firestore batches are limited to 500 writes
+        for (let i = 0; i < updates.length; i += 500) {
+            const batch = db.batch();
+            for (const { id, data } of updates.slice(i, i + 500)) {
+                batch.update(ref.doc(id), data);
+            }
+            await batch.commit();
+        }
     } catch (error) {
-        console.error(`Error in getNewFlashcards (deckId: ${deckId}):`, error);
+        console.error(`Error in updateFlashcards (deckId: ${deckId}):`, error);
         throw new Error(error.message);
     }
-};
+}
 
 /**
  * Creates a new deck in the Firestore database.
@@ -221,7 +300,18 @@ export const createDeck = async (deckData) => {
  * @param {Array<Object>} flashcards - The array of flashcard objects.
  * @param {string} flashcards[].term - The term of the flashcard.
  * @param {string} flashcards[].definition - The definition or answer of the flashcard.
- * @returns {Promise<void>} Resolves when all flashcards are added.
+ * @param {Object} [flashcards[].source] - Where the flashcard came from in the uploaded document (e.g. `{ section: "Pages 3-7" }`).
+ * @param {Object} [flashcards[].verification] - The verdict of the check against the uploaded document (`{ verdict, reason }`).
+ * @param {string} [flashcards[].language] - The language code of the term and definition.
+ * @param {Object} [flashcards[].translation] - The term and definition in the second language of a bilingual deck (`{ language, term, definition }`).
+ * @param {string} [flashcards[].original_flashcard_id] - The flashcard a translated copy was made from.
+ * @param {string} [flashcards[].difficulty] - The difficulty level the flashcard was generated for.
+ * @param {string} [flashcards[].bloom_level] - The Bloom's taxonomy level the flashcard targets.
+ * @param {string} [flashcards[].type] - "occlusion" for image occlusion cards, which store `image_ref`, `image_width`,
+ *   `image_height`, `diagram_title`, `regions` and the `region_id` they ask for instead of a term and definition.
+ * @param {string} [flashcards[].moderation_status] - "flagged" if the pre-save moderation flagged the flashcard.
+ * @param {string} [flashcards[].moderation_reason] - Why the flashcard was flagged.
+ * @returns {Promise<Array<string|null>>} The IDs of the added flashcards in the order given, null for skipped invalid flashcards.
  * @throws {Error} If input validation fails or Firestore operation encounters an error.
  */
 export async function createFlashcard(deckId, flashcards) {
@@ -236,8 +326,35 @@ export async function createFlashcard(deckId, flashcards) {
 
         // Reference to Firestore collection
         const ref = db.collection('decks').doc(deckId).collection('flashcards');
+        const ids = [];
 
         for (const item of flashcards) {
+            ids.push(null);
+
+            // Flashcards flagged by the pre-save moderation are saved hidden, see `moderationService.js`
+            const moderation = typeof item.moderation_status === 'string'
+                ? { moderation_status: item.moderation_status, moderation_reason: item.moderation_reason ?? null }
+                : {};
+
+            if (item.type === OCCLUSION_CARD_TYPE) {
+                if (!isValidOcclusionCard(item)) continue;
+
+                const occlusionRef = await ref.add({
+                    type: OCCLUSION_CARD_TYPE,
+                    image_ref: item.image_ref,
+                    image_width: item.image_width ?? null,
+                    image_height: item.image_height ?? null,
+                    diagram_title: item.diagram_title ?? null,
+                    regions: item.regions,
+                    region_id: item.region_id,
+                    created_at: currentTimeStamp(),
+                    is_deleted: false,
+                    is_starred: false,
+                    ...moderation,
+                });
+                ids[ids.length - 1] = occlusionRef.id;
+                continue;
+            }
 
              if (!item.term || typeof item.term !== 'string') {
                 continue;
@@ -247,17 +364,43 @@ export async function createFlashcard(deckId, flashcards) {
             }
 
             // Add term and definition to Firestore
-            await ref.add({
+            const flashcard = {
                 term: item.term,
-                created_at: timeStamp,
+                created_at: currentTimeStamp(),
                 definition: item.definition,
                 is_deleted: false,
                 is_starred: false,
-            });
+            };
+
+            // Flashcards generated from a document remember where they came from
+            if (item.source && typeof item.source === 'object') flashcard.source = item.source;
+            if (item.verification && typeof item.verification === 'object') flashcard.verification = item.verification;
+            if (typeof item.language === 'string') flashcard.language = item.language;
+            if (item.translation && typeof item.translation === 'object') flashcard.translation = item.translation;
+            if (typeof item.original_flashcard_id === 'string') flashcard.original_flashcard_id = item.original_flashcard_id;
+            if (typeof item.difficulty === 'string') flashcard.difficulty = item.difficulty;
+            if (typeof item.bloom_level === 'string') flashcard.bloom_level = item.bloom_level;
+
+            const flashcardRef = await ref.add({ ...flashcard, ...moderation });
+            ids[ids.length - 1] = flashcardRef.id;
         }
+
+        return ids;
     } catch (error) {
         console.error(`Error in create flashcard function (quizId: ${deckId}):`, error);
         throw new Error(error.message);
     }
 }
 
+/**
+ * Checks that an image occlusion card references an image and one of its regions.
+ *
+ * @function isValidOcclusionCard
+ * @param {Object} item - The occlusion card to save.
+ * @returns {boolean} - True if the card can be saved.
+ */
+const isValidOcclusionCard = (item) => {
+    return typeof item.image_ref === 'string' && Boolean(item.image_ref)
+        && Array.isArray(item.regions)
+        && item.regions.some(region => region?.id === item.region_id && typeof region.label === 'string');
+};
@@ -12,7 +12,7 @@
  * 
  * @author Arthur M. Artugue
  * @created 2025-02-15
- * @updated 2025-02-19
+ * @updated 2026-10-19
  * 
  */
 
@@ -27,9 +27,10 @@ dotenv.config();
  * @param {string} fileName - The name of the file to download.
  * @param {string} fileExtension - The file extension to append to the downloaded file.
  * @param {string} id - The unique identifier for the file.
+ * @param {string} [suffix=''] - Added to the local file name, keeps several files of one request apart.
  * @returns {Promise<string>} - The local path to the downloaded file.
  */
-export async function downloadFile(fileName, fileExtension, id) {
+export async function downloadFile(fileName, fileExtension, id, suffix = '') {
     let filePath = '';
     try {
         const storage = new Storage({
@@ -37,7 +38,7 @@ export async function downloadFile(fileName, fileExtension, id) {
         });
 
         const bucketName = process.env.STORAGE_BUCKET.toString();
-        const destFilename = `download-${id}${fileExtension}`;
+        const destFilename = `download-${id}${suffix}${fileExtension}`;
         const options = { destination: `./downloads/${destFilename}` };
 
         await storage.bucket(bucketName).file(`uploads/${id}/${fileName}`).download(options);
@@ -49,6 +50,31 @@ export async function downloadFile(fileName, fileExtension, id) {
     return filePath;
 }
 
+/**
+ * Uploads a local file to Google Cloud Storage.
+ *
+ * @async
+ * @param {string} filePath - The path to the local file.
+ * @param {string} destination - The path of the file in the bucket.
+ * @param {string} contentType - The MIME type of the file.
+ * @returns {Promise<string>} - The path of the file in the bucket.
+ * @throws {Error} - Throws `FILE_UPLOAD_FAILED` if the upload fails.
+ */
+export async function uploadFile(filePath, destination, contentType) {
+    try {
+        const storage = new Storage({
+            keyFilename: process.env.KEY_FILE.toString(),
+        });
+
+        const bucketName = process.env.STORAGE_BUCKET.toString();
+        await storage.bucket(bucketName).upload(filePath, { destination, metadata: { contentType } });
+    } catch (error) {
+        console.log(`UPLOAD FILE ERROR: ${error}`);
+        throw new Error("FILE_UPLOAD_FAILED");
+    }
+    return destination;
+}
+
 /**
  * Downloads a PDF from Google Cloud Storage.
  * @param {string} fileName - The name of the PDF file to download.
@@ -0,0 +1,106 @@
+/**
+ * Job Repository
+ *
+ * @file jobRepository.js
+ * @description Handles database operations related to asynchronous generation jobs.
+ *
+ * This module provides functions to create, update and fetch job records stored
+ * in the 'jobs' collection of Firestore, next to the 'decks' collection.
+ *
+ * @module jobRepository
+ *
+ * @requires ../config/firebaseAdminConfig.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+import { db } from '../config/firebaseAdminConfig.js';
+
+/**
+ * Creates a new job document in Firestore.
+ *
+ * @async
+ * @function createJob
+ * @param {Object} jobData - The data of the job to be created.
+ * @param {string} jobData.type - The kind of job (e.g., "flashcard_generation").
+ * @param {string} jobData.owner_id - The ID of the user that requested the job.
+ * @param {string} jobData.state - The state of the job ("queued", "running", "succeeded" or "failed").
+ * @returns {Promise<string>} - Returns the newly created job ID.
+ * @throws {Error} - Throws an error if the input is invalid or the Firestore operation fails.
+ */
+export async function createJob(jobData) {
+    try {
+        // Validate input
+        if (!jobData || typeof jobData !== 'object') {
+            throw new Error("INVALID_JOB_DATA");
+        }
+        if (!jobData.type || typeof jobData.type !== 'string') {
+            throw new Error("INVALID_JOB_TYPE");
+        }
+        if (!jobData.owner_id || typeof jobData.owner_id !== 'string') {
+            throw new Error("INVALID_USER_ID");
+        }
+
+        const res = await db.collection('jobs').add(jobData);
+        return res.id;
+    } catch (error) {
+        console.error(`Create job function error: ${error}`);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Updates a job document in Firestore with the provided data.
+ *
+ * @async
+ * @function updateJob
+ * @param {string} jobId - The unique identifier of the job to update.
+ * @param {Object} data - The key-value pairs representing the fields to update.
+ * @returns {Promise<void>} - Resolves if the update is successful.
+ * @throws {Error} - Throws an error if the input is invalid or the update operation fails.
+ */
+export async function updateJob(jobId, data) {
+    try {
+        // Validate inputs
+        if (!jobId || typeof jobId !== 'string') {
+            throw new Error("INVALID_JOB_ID");
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error("INVALID_UPDATE_DATA");
+        }
+
+        await db.collection('jobs').doc(jobId).update(data);
+    } catch (error) {
+        console.error(`Error in updateJob (jobId: ${jobId}):`, error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Fetches a job by its ID from Firestore.
+ *
+ * @async
+ * @function getJobById
+ * @param {string} jobId - The unique identifier of the job.
+ * @returns {Promise<Object>} - Returns the job data along with its ID.
+ * @throws {Error} - Throws an error if the job ID is invalid or the job is not found.
+ */
+export async function getJobById(jobId) {
+    try {
+        // Validate input
+        if (!jobId || typeof jobId !== 'string') {
+            throw new Error("INVALID_JOB_ID");
+        }
+
+        const jobSnap = await db.collection('jobs').doc(jobId).get();
+
+        if (!jobSnap.exists) throw new Error("JOB_NOT_FOUND");
+
+        return { id: jobSnap.id, ...jobSnap.data() };
+    } catch (error) {
+        console.error(`Error in getJobById (jobId: ${jobId}):`, error);
+        throw new Error(error.message);
+    }
+}
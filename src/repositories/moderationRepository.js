@@ -0,0 +1,235 @@
+/**
+ * Moderation Repository
+ *
+ * @file moderationRepository.js
+ * @description Handles database operations related to the human review of moderation verdicts.
+ *
+ * Decks waiting for a moderator are found through their `moderation_status` and `appeal_status` fields.
+ * Appeals of deck owners are stored in the 'moderation_appeals' collection, and every decision (of the AI,
+ * a moderator or a deck owner) is appended to the 'moderation_audit' collection. Audit entries are never changed.
+ *
+ * @module moderationRepository
+ *
+ * @requires ../config/firebaseAdminConfig.js
+ * @requires ../models/deckModel.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+import { db } from '../config/firebaseAdminConfig.js';
+import { withOcclusionText } from '../models/deckModel.js';
+
+/**
+ * Fetches the decks waiting for a moderator: decks with flagged flashcards, decks pending review and decks
+ * with an open appeal.
+ *
+ * @async
+ * @function getModerationQueue
+ * @param {Array<string>} statuses - The moderation statuses of the queued decks.
+ * @param {string} appealStatus - The appeal status of the queued decks.
+ * @returns {Promise<Array<Object>>} - The raw decks with their IDs, without deleted decks.
+ * @throws {Error} - Throws an error if the inputs are invalid or the query fails.
+ */
+export async function getModerationQueue(statuses, appealStatus) {
+    try {
+        // Validate inputs
+        if (!Array.isArray(statuses) || statuses.length === 0) {
+            throw new Error("INVALID_MODERATION_STATUSES");
+        }
+
+        const [flaggedSnap, appealedSnap] = await Promise.all([
+            db.collection('decks').where('moderation_status', 'in', statuses).get(),
+            db.collection('decks').where('appeal_status', '==', appealStatus).get()
+        ]);
+
+        // A deck can be both flagged and appealed
+        const decks = new Map();
+        for (const doc of [...flaggedSnap.docs, ...appealedSnap.docs]) {
+            if (!doc.data().is_deleted) decks.set(doc.id, { id: doc.id, ...doc.data() });
+        }
+
+        return [...decks.values()];
+    } catch (error) {
+        console.error(`Error in getModerationQueue:`, error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Fetches flashcards of a deck by their IDs, deleted ones included.
+ * Image occlusion cards get the term and definition of the region they ask for.
+ *
+ * @async
+ * @function getFlashcardsByIds
+ * @param {string} deckId - The unique identifier of the deck.
+ * @param {Array<string>} flashcardIds - The IDs of the flashcards.
+ * @returns {Promise<Map<string, Object>>} - The raw flashcards keyed by ID, flashcards that don't exist are left out.
+ * @throws {Error} - Throws an error if the inputs are invalid or the query fails.
+ */
+export async function getFlashcardsByIds(deckId, flashcardIds) {
+    try {
+        // Validate inputs
+        if (!deckId || typeof deckId !== 'string') {
+            throw new Error("INVALID_DECK_ID");
+        }
+        if (!Array.isArray(flashcardIds)) {
+            throw new Error("INVALID_FLASHCARD_IDS");
+        }
+        if (flashcardIds.length === 0) return new Map();
+
+        const ref = db.collection('decks').doc(deckId).collection('flashcards');
+        const snaps = await db.getAll(...flashcardIds.map(flashcardId => ref.doc(flashcardId)));
+
+        return new Map(snaps.filter(snap => snap.exists).map(snap => [snap.id, withOcclusionText({ id: snap.id, ...snap.data() })]));
+    } catch (error) {
+        console.error(`Error in getFlashcardsByIds (deckId: ${deckId}):`, error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Creates an appeal in the 'moderation_appeals' collection.
+ *
+ * @async
+ * @function createAppeal
+ * @param {Object} appealData - The data of the appeal.
+ * @param {string} appealData.deck_id - The ID of the appealed deck.
+ * @param {string} appealData.owner_id - The ID of the deck owner who appealed.
+ * @param {string} appealData.message - Why the owner disagrees with the verdict.
+ * @param {Array<string>} appealData.flashcard_ids - The IDs of the appealed flashcards.
+ * @param {string} appealData.status - The status of the appeal ("open").
+ * @returns {Promise<string>} - Returns the newly created appeal ID.
+ * @throws {Error} - Throws an error if the input is invalid or the Firestore operation fails.
+ */
+export async function createAppeal(appealData) {
+    try {
+        // Validate input
+        if (!appealData || typeof appealData !== 'object') {
+            throw new Error("INVALID_APPEAL_DATA");
+        }
+        if (!appealData.deck_id || typeof appealData.deck_id !== 'string') {
+            throw new Error("INVALID_DECK_ID");
+        }
+
+        const res = await db.collection('moderation_appeals').add(appealData);
+        return res.id;
+    } catch (error) {
+        console.error(`Error in createAppeal (deckId: ${appealData?.deck_id}):`, error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Fetches an appeal.
+ *
+ * @async
+ * @function getAppealById
+ * @param {string} appealId - The unique identifier of the appeal.
+ * @returns {Promise<Object>} - Returns the raw appeal data along with its ID.
+ * @throws {Error} - Throws `INVALID_APPEAL_ID`, `APPEAL_NOT_FOUND` or the error of the query.
+ */
+export async function getAppealById(appealId) {
+    try {
+        // Validate input
+        if (!appealId || typeof appealId !== 'string') {
+            throw new Error("INVALID_APPEAL_ID");
+        }
+
+        const appealSnap = await db.collection('moderation_appeals').doc(appealId).get();
+        if (!appealSnap.exists) throw new Error("APPEAL_NOT_FOUND");
+
+        return { id: appealSnap.id, ...appealSnap.data() };
+    } catch (error) {
+        console.error(`Error in getAppealById (appealId: ${appealId}):`, error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Updates an appeal with the provided data.
+ *
+ * @async
+ * @function updateAppeal
+ * @param {string} appealId - The unique identifier of the appeal.
+ * @param {Object} data - The key-value pairs representing the fields to update.
+ * @returns {Promise<void>} - Resolves if the update is successful.
+ * @throws {Error} - Throws an error if the inputs are invalid or the update operation fails.
+ */
+export async function updateAppeal(appealId, data) {
+    try {
+        // Validate inputs
+        if (!appealId || typeof appealId !== 'string') {
+            throw new Error("INVALID_APPEAL_ID");
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error("INVALID_UPDATE_DATA");
+        }
+
+        await db.collection('moderation_appeals').doc(appealId).update(data);
+    } catch (error) {
+        console.error(`Error in updateAppeal (appealId: ${appealId}):`, error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Appends entries to the moderation audit trail.
+ *
+ * @async
+ * @function createAuditEntries
+ * @param {Array<Object>} entries - The raw audit entries.
+ * @param {string} entries[].action - What happened, e.g. "ai_verdict", "card_reviewed", "appeal_opened" or "appeal_resolved".
+ * @param {string} entries[].deck_id - The ID of the deck.
+ * @param {string} entries[].actor_role - "ai", "moderator" or "owner".
+ * @returns {Promise<void>} - Resolves once every entry was written.
+ * @throws {Error} - Throws an error if the input is invalid or the batch write fails.
+ */
+export async function createAuditEntries(entries) {
+    try {
+        // Validate input
+        if (!Array.isArray(entries)) {
+            throw new Error("INVALID_AUDIT_ENTRIES");
+        }
+
+        const ref = db.collection('moderation_audit');
+
+        // Firestore batches are limited to 500 writes
+        for (let i = 0; i < entries.length; i += 500) {
+            const batch = db.batch();
+            for (const entry of entries.slice(i, i + 500)) {
+                batch.set(ref.doc(), entry);
+            }
+            await batch.commit();
+        }
+    } catch (error) {
+        console.error(`Error in createAuditEntries:`, error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Fetches the audit trail of a deck.
+ *
+ * @async
+ * @function getAuditEntriesByDeckId
+ * @param {string} deckId - The unique identifier of the deck.
+ * @returns {Promise<Array<Object>>} - The raw audit entries with their IDs.
+ * @throws {Error} - Throws an error if the deck ID is invalid or the query fails.
+ */
+export async function getAuditEntriesByDeckId(deckId) {
+    try {
+        // Validate input
+        if (!deckId || typeof deckId !== 'string') {
+            throw new Error("INVALID_DECK_ID");
+        }
+
+        const auditSnap = await db.collection('moderation_audit').where('deck_id', '==', deckId).get();
+
+        return auditSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+        console.error(`Error in getAuditEntriesByDeckId (deckId: ${deckId}):`, error);
+        throw new Error(error.message);
+    }
+}
@@ -14,10 +14,10 @@
  * 
  * @author Arthur M. Artugue
  * @created 2025-03-05
- * @updated 2025-03-07
+ * @updated 2026-10-19
  */
 
-import { db, timeStamp } from '../config/firebaseAdminConfig.js';
+import { db, currentTimeStamp } from '../config/firebaseAdminConfig.js';
 import { formatDeck } from '../models/deckModel.js';
 
 /**
@@ -27,7 +27,7 @@ import { formatDeck } from '../models/deckModel.js';
  * @function createQuizForDeck
  * @param {Object} quizData - The data for the quiz to be created.
  * @param {string} quizData.associated_deck_id - The ID of the deck the quiz is associated with.
- * @param {string} quizData.quiz_type - The type of quiz (e.g., "multiple-choice").
+ * @param {string} quizData.quiz_type - The type of quiz ("multiple-choice", "true-false", "identification" or "fill-in-the-blank").
  * @param {boolean} quizData.is_deleted - Indicates whether the quiz is deleted.
  * @param {string} quizData.created_at - The timestamp when the quiz was created.
  * @param {string} quizData.updated_at - The timestamp when the quiz was last updated.
@@ -64,6 +64,60 @@ export async function createQuizForDeck(quizData) {
     }
 }
 
+/**
+ * Updates a quiz document in Firestore with the provided data.
+ *
+ * @async
+ * @function updateQuiz
+ * @param {string} quizId - The unique identifier of the quiz to update.
+ * @param {Object} data - The key-value pairs representing the fields to update.
+ * @returns {Promise<void>} - Resolves if the update is successful.
+ * @throws {Error} - Throws an error if the quiz ID is invalid, the update data is not an object, or the update operation fails.
+ */
+export async function updateQuiz(quizId, data) {
+    try {
+        // Validate inputs
+        if (!quizId || typeof quizId !== 'string') {
+            throw new Error("INVALID_QUIZ_ID");
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error("INVALID_UPDATE_DATA");
+        }
+
+        await db.collection('quiz').doc(quizId).update(data);
+    } catch (error) {
+        console.error(`Error in updateQuiz (quizId: ${quizId}):`, error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Fetches a quiz by its ID from Firestore.
+ *
+ * @async
+ * @function getQuizById
+ * @param {string} quizId - The unique identifier of the quiz.
+ * @returns {Promise<Object>} - Returns the quiz data along with its ID.
+ * @throws {Error} - Throws an error if the quiz ID is invalid or the quiz is not found or deleted.
+ */
+export async function getQuizById(quizId) {
+    try {
+        // Validate input
+        if (!quizId || typeof quizId !== 'string') {
+            throw new Error("INVALID_QUIZ_ID");
+        }
+
+        const quizSnap = await db.collection('quiz').doc(quizId).get();
+
+        if (!quizSnap.exists || quizSnap.data().is_deleted) throw new Error("QUIZ_NOT_FOUND");
+
+        return { id: quizSnap.id, ...quizSnap.data() };
+    } catch (error) {
+        console.error(`Error in getQuizById (quizId: ${quizId}):`, error);
+        throw new Error(error.message);
+    }
+}
+
 /**
  * Creates question and answer entries for a given quiz in Firestore.
  *
@@ -73,6 +127,11 @@ export async function createQuizForDeck(quizData) {
  * @param {Array<Object>} questionAndAnswer - An array of question objects to be added.
  * @param {string} questionAndAnswer[].question - The text of the question.
  * @param {string} questionAndAnswer[].related_flashcard_id - The ID of the related flashcard (optional).
+ * @param {string} questionAndAnswer[].source_hash - The fingerprint of the related flashcard when the question was made (optional).
+ * @param {string} questionAndAnswer[].bloom_level - The Bloom's taxonomy level the question tests (optional).
+ * @param {string} questionAndAnswer[].difficulty - The difficulty level the question was written for (optional).
+ * @param {string} questionAndAnswer[].moderation_status - "flagged" if the pre-save moderation flagged the question (optional).
+ * @param {string} questionAndAnswer[].moderation_reason - Why the question was flagged (optional).
  * @param {Array<Object>} questionAndAnswer[].choices - The choices associated with the question.
  * @returns {Promise<void>} - Resolves when all questions and choices have been successfully added.
  * @throws {Error} - Throws an error if the input is invalid or if Firestore operations fail.
@@ -110,8 +169,14 @@ export async function createQuestionAndAnswer(quizId, questionAndAnswer) {
             // Add question and answer to Firestore
             const questionAndAnswerRef = await ref.add({
                 question: item.question,
-                created_at: timeStamp,
+                created_at: currentTimeStamp(),
                 related_flashcard_id: item.related_flashcard_id || null, // Allow null values
+                source_hash: item.source_hash || null,
+                bloom_level: item.bloom_level || null,
+                difficulty: item.difficulty || null,
+                ...(typeof item.moderation_status === 'string'
+                    ? { moderation_status: item.moderation_status, moderation_reason: item.moderation_reason ?? null }
+                    : {}),
             });
 
             // Create choices for the question
@@ -123,6 +188,139 @@ export async function createQuestionAndAnswer(quizId, questionAndAnswer) {
     }
 }
 
+/**
+ * Retrieves every question of a quiz, without their choices.
+ *
+ * @async
+ * @function getQuestionsByQuizId
+ * @param {string} quizId - The ID of the quiz.
+ * @returns {Promise<Array<Object>>} - Returns the questions along with their IDs.
+ * @throws {Error} - Throws an error if the quiz ID is invalid or Firestore retrieval fails.
+ */
+export async function getQuestionsByQuizId(quizId) {
+    try {
+        // Validate input
+        if (!quizId || typeof quizId !== 'string') {
+            throw new Error("INVALID_QUIZ_ID");
+        }
+
+        const questionSnap = await db.collection('quiz').doc(quizId).collection('question_and_answers').get();
+
+        return questionSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+        console.error(`Error in getQuestionsByQuizId (quizId: ${quizId}):`, error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Retrieves the choices of the given questions of a quiz.
+ *
+ * @async
+ * @function getChoicesByQuestionIds
+ * @param {string} quizId - The ID of the quiz.
+ * @param {Array<string>} questionIds - The IDs of the questions.
+ * @returns {Promise<Map<string, Array<Object>>>} - The choices along with their IDs, keyed by question ID.
+ * @throws {Error} - Throws an error if the input is invalid or Firestore retrieval fails.
+ */
+export async function getChoicesByQuestionIds(quizId, questionIds) {
+    try {
+        // Validate inputs
+        if (!quizId || typeof quizId !== 'string') {
+            throw new Error("INVALID_QUIZ_ID");
+        }
+        if (!Array.isArray(questionIds)) {
+            throw new Error("INVALID_QUESTION_IDS");
+        }
+
+        const ref = db.collection('quiz').doc(quizId).collection('question_and_answers');
+
+        const entries = await Promise.all(questionIds.map(async (questionId) => {
+            const choiceSnap = await ref.doc(questionId).collection('choices').get();
+            return [questionId, choiceSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }))];
+        }));
+
+        return new Map(entries);
+    } catch (error) {
+        console.error(`Error in getChoicesByQuestionIds (quizId: ${quizId}):`, error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Updates question documents of a quiz with the provided data.
+ *
+ * @async
+ * @function updateQuestions
+ * @param {string} quizId - The ID of the quiz.
+ * @param {Array<{id: string, data: Object}>} updates - The question IDs and the fields to update.
+ * @returns {Promise<void>} - Resolves when every question was updated.
+ * @throws {Error} - Throws an error if the input is invalid or the batch write fails.
+ */
+export async function updateQuestions(quizId, updates) {
+    try {
+        // Validate inputs
+        if (!quizId || typeof quizId !== 'string') {
+            throw new Error("INVALID_QUIZ_ID");
+        }
+        if (!Array.isArray(updates)) {
+            throw new Error("INVALID_UPDATE_DATA");
+        }
+
+        const ref = db.collection('quiz').doc(quizId).collection('question_and_answers');
+
+        // Firestore batches are limited to 500 writes
+        for (let i = 0; i < updates.length; i += 500) {
+            const batch = db.batch();
+            for (const update of updates.slice(i, i + 500)) {
+                batch.update(ref.doc(update.id), update.data);
+            }
+            await batch.commit();
+        }
+    } catch (error) {
+        console.error(`Error in updateQuestions (quizId: ${quizId}):`, error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Deletes questions of a quiz together with their choices.
+ *
+ * @async
+ * @function deleteQuestions
+ * @param {string} quizId - The ID of the quiz.
+ * @param {Array<string>} questionIds - The IDs of the questions to delete.
+ * @returns {Promise<void>} - Resolves when every question and its choices were deleted.
+ * @throws {Error} - Throws an error if the input is invalid or Firestore operations fail.
+ */
+export async function deleteQuestions(quizId, questionIds) {
+    try {
+        // Validate inputs
+        if (!quizId || typeof quizId !== 'string') {
+            throw new Error("INVALID_QUIZ_ID");
+        }
+        if (!Array.isArray(questionIds)) {
+            throw new Error("INVALID_QUESTION_IDS");
+        }
+
+        const ref = db.collection('quiz').doc(quizId).collection('question_and_answers');
+
+        for (const questionId of questionIds) {
+            // Subcollections are not deleted with their parent document
+            const choiceSnap = await ref.doc(questionId).collection('choices').get();
+            const batch = db.batch();
+
+            choiceSnap.docs.forEach(doc => batch.delete(doc.ref));
+            batch.delete(ref.doc(questionId));
+
+            await batch.commit();
+        }
+    } catch (error) {
+        console.error(`Error in deleteQuestions (quizId: ${quizId}):`, error);
+        throw new Error(error.message);
+    }
+}
+
 /**
  * Creates choices for a given question in Firestore.
  *
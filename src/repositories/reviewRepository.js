@@ -0,0 +1,87 @@
+/**
+ * Review Repository
+ *
+ * @file reviewRepository.js
+ * @description Handles database operations related to spaced-repetition review states.
+ *
+ * Every user has one review state per flashcard, stored in the 'review_states' subcollection
+ * of the user's document in the 'users' collection. The document ID is `<deckId>_<flashcardId>`.
+ *
+ * @module reviewRepository
+ *
+ * @requires ../config/firebaseAdminConfig.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+import { db } from '../config/firebaseAdminConfig.js';
+
+/**
+ * Fetches the review states of a user for the flashcards of a deck.
+ *
+ * @async
+ * @function getReviewStatesByDeckId
+ * @param {string} userId - The ID of the user.
+ * @param {string} deckId - The ID of the deck.
+ * @returns {Promise<Map<string, Object>>} - The raw review states keyed by flashcard ID.
+ * @throws {Error} - Throws an error if the inputs are invalid or the query fails.
+ */
+export async function getReviewStatesByDeckId(userId, deckId) {
+    try {
+        // Validate inputs
+        if (!userId || typeof userId !== 'string') {
+            throw new Error("INVALID_USER_ID");
+        }
+        if (!deckId || typeof deckId !== 'string') {
+            throw new Error("INVALID_DECK_ID");
+        }
+
+        const stateSnap = await db.collection('users').doc(userId)
+            .collection('review_states')
+            .where('deck_id', '==', deckId)
+            .get();
+
+        return new Map(stateSnap.docs.map(doc => [doc.data().flashcard_id, doc.data()]));
+    } catch (error) {
+        console.error(`Error in getReviewStatesByDeckId (userId: ${userId}, deckId: ${deckId}):`, error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Creates or replaces review states of a user.
+ *
+ * @async
+ * @function saveReviewStates
+ * @param {string} userId - The ID of the user.
+ * @param {Array<Object>} states - The raw review states, each with its `deck_id` and `flashcard_id`.
+ * @returns {Promise<void>} - Resolves once every state was written.
+ * @throws {Error} - Throws an error if the inputs are invalid or the batch write fails.
+ */
+export async function saveReviewStates(userId, states) {
+    try {
+        // Validate inputs
+        if (!userId || typeof userId !== 'string') {
+            throw new Error("INVALID_USER_ID");
+        }
+        if (!Array.isArray(states)) {
+            throw new Error("INVALID_REVIEW_STATES");
+        }
+
+        const ref = db.collection('users').doc(userId).collection('review_states');
+
+        // Firestore batches are limited to 500 writes
+        for (let i = 0; i < states.length; i += 500) {
+            const batch = db.batch();
+            for (const state of states.slice(i, i + 500)) {
+                batch.set(ref.doc(`${state.deck_id}_${state.flashcard_id}`), state);
+            }
+            await batch.commit();
+        }
+    } catch (error) {
+        console.error(`Error in saveReviewStates (userId: ${userId}):`, error);
+        throw new Error(error.message);
+    }
+}
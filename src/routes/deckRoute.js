@@ -0,0 +1,74 @@
+/**
+ * Deck API - Deck Router
+ *
+ * @file deckRoute.js
+ * @description This module defines the routes that maintain the flashcards of an existing deck. 
+ *
+ * Routes:
+ * - /v2/deck/:deckId/dedupe: Finds duplicate flashcards in a deck and optionally removes them.
+ * - /v2/deck/:deckId/review: Records spaced-repetition grades of flashcards.
+ * - /v2/deck/:deckId/due: Returns the flashcards due for review today.
+ * - /v2/deck/:deckId/translate: Creates a translated copy of a deck.
+ *
+ * External Dependencies:
+ * - Firebase: Firebase App initialization for configuration management.
+ * 
+ * @module router
+ * 
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+import express from 'express';
+import { verifyFirebaseToken } from '../config/firebaseAdminConfig.js';
+import { dedupeDeckController, reviewDeckController, getDueFlashcardsController, translateDeckController } from '../controllers/deckController.js';
+
+const router = express.Router();
+
+/**
+ * Route: POST /v2/deck/:deckId/dedupe
+ * Description: Reports groups of near-identical flashcards in a deck, the oldest card of every group is kept.
+ * Only the owner of the deck can use it.
+ * Parameters:
+ *   - deckId: The UID of the deck to check
+ * Request Body:
+ *   - apply: Soft-delete the duplicates with `is_deleted` instead of only reporting them (optional, defaults to false)
+ *   - provider: The AI provider used to embed the definitions (optional)
+ */
+router.post('/:deckId/dedupe', verifyFirebaseToken, dedupeDeckController)
+
+/**
+ * Route: POST /v2/deck/:deckId/review
+ * Description: Records the SM-2 grades of reviewed flashcards and stores their ease, interval and due date for the user.
+ * Parameters:
+ *   - deckId: The UID of the reviewed deck
+ * Request Body:
+ *   - grades: Array of { flashcardId, grade } where grade is 0 (blackout) to 5 (perfect)
+ */
+router.post('/:deckId/review', verifyFirebaseToken, reviewDeckController)
+
+/**
+ * Route: GET /v2/deck/:deckId/due
+ * Description: Returns the flashcards of a deck that are due for review today (UTC), most overdue first.
+ * Parameters:
+ *   - deckId: The UID of the deck
+ * Query:
+ *   - includeNew: "false" to leave out flashcards that were never reviewed (optional)
+ *   - limit: Maximum number of flashcards to return (optional)
+ */
+router.get('/:deckId/due', verifyFirebaseToken, getDueFlashcardsController)
+
+/**
+ * Route: POST /v2/deck/:deckId/translate
+ * Description: Translates a deck the user can read (own or public) into a new private deck of the user and moderates it.
+ * Every translated flashcard keeps the ID of its original in `original_flashcard_id`.
+ * Parameters:
+ *   - deckId: The UID of the deck to translate
+ * Request Body:
+ *   - language: Code of the target language, e.g. "es" or "fil"
+ *   - provider: The AI provider to use (optional)
+ */
+router.post('/:deckId/translate', verifyFirebaseToken, translateDeckController)
+
+export default router;
@@ -20,7 +20,7 @@
  *
  * Functions:
  * - createThread: Creates or retrieves a thread for OpenAI-based prompts.
- * - downloadPdf, extractPdfText, deleteFile: Handle PDF operations.
+ * - downloadFile, extractPdfText, deleteFile: Handle file operations.
  * - isValidInteger: Validates if the input is a valid integer.
  * - constructGoogleAIPrompt, sendPrompt: Gemini-related prompt handling.
  *
@@ -31,11 +31,11 @@
  * 
  * @author Arthur M. Artugue
  * @created 2024-06-10
- * @updated 2025-03-20
+ * @updated 2026-10-19
  */
 
 import express from 'express';
-import { geminiFlashcardController } from '../controllers/flashcardController.js';
+import { geminiFlashcardController, geminiFlashcardStreamController } from '../controllers/flashcardController.js';
 import { verifyFirebaseToken } from '../config/firebaseAdminConfig.js';
 
 const router = express.Router();
@@ -45,15 +45,40 @@ const router = express.Router();
  * Description: Handles requests to generate deck of flashcards using Google AI prompt construction. 
  * Supports both file-based and manual input.
  * Parameters:
- *   - id: Unique identifier from the request URL
+ *   - id: Unique identifier from the request URL. The deck and the job belong to the user of the Firebase token.
  * Request Body:
  *   - subject: Subject of the flashcard (optional if file is provided)
  *   - topic: Topic of the flashcard (optional if file is provided)
  *   - addDescription: Additional context or description (optional)
  *   - fileName: Name of the uploaded file (optional)
- *   - fileExtension: File extension (e.g., pdf, txt)
- *   - numberOfFlashcards: Number of flashcards to generate (2-20)
+ *   - fileExtension: File extension: pdf, docx, pptx, txt, md, jpg, jpeg, png, heic or heif. Other types are rejected with 415
+ *   - images: Several uploaded photos as [{ fileName, fileExtension }] instead of fileName (optional, up to MAX_IMAGES_PER_REQUEST)
+ *   - pageStart, pageEnd: Pages of an uploaded PDF to generate from (optional, 1-based and inclusive)
+ *   - numberOfFlashcards: Number of flashcards to generate (2-20, up to MAX_FILE_FLASHCARDS when a file is uploaded)
+ *   - deckId: ID of an existing deck to append the new flashcards to (optional)
+ *   - verification: How flashcards the uploaded file doesn't support are handled: "flag" (default), "drop" or "off"
+ *   - mode: "text" (default) or "occlusion" to make image occlusion cards from a diagram uploaded as fileName
+ *   - language: Code of the language of the flashcards, e.g. "es" (optional)
+ *   - translationLanguage: Code of a second language stored on every flashcard, makes the deck bilingual (optional)
+ *   - difficulty: "intro", "intermediate" or "advanced" (optional)
+ *   - bloomLevels: Bloom's levels to target, a list (["apply"]) or weights ({ "remember": 1, "apply": 3 }) (optional)
+ *   - moderationPolicy: What happens to flashcards the moderation flags before saving: "reject", "drop" or "review"
+ *     (optional, defaults to MODERATION_POLICY)
  */
 router.post('/:id', verifyFirebaseToken, geminiFlashcardController) // put verifyFirebaseToken as second parameter to enable jwt verification
 
+/**
+ * Route: POST /generate/:id/stream
+ * Description: Streaming variant of the route above. Responds with Server-Sent Events, sending a 'card' event
+ * for every flashcard as soon as the model generates it, a 'verification' event for every flashcard checked against
+ * the uploaded file and a final 'done' event carrying the saved deckId. 'card' events are provisional: before 'done'
+ * a 'card_removed' event is sent for every card that was not saved (verification, de-duplication or moderation) and
+ * a 'card_flagged' event for every card saved hidden pending review. Clients have to apply them.
+ * Parameters:
+ *   - id: Unique identifier from the request URL. The deck and the job belong to the user of the Firebase token.
+ * Request Body:
+ *   - Same as POST /generate/:id, except "occlusion" mode
+ */
+router.post('/:id/stream', verifyFirebaseToken, geminiFlashcardStreamController)
+
 export default router;
@@ -0,0 +1,32 @@
+/**
+ * Deck API - Job Router
+ *
+ * @file jobRoute.js
+ * @description This module defines the routes for polling asynchronous flashcard and quiz generation jobs. 
+ *
+ * External Dependencies:
+ * - Firebase: Firebase App initialization for configuration management.
+ * 
+ * @module router
+ * 
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+import express from 'express';
+import { verifyFirebaseToken } from '../config/firebaseAdminConfig.js';
+import { getJobStatusController } from '../controllers/jobController.js';
+
+const router = express.Router();
+
+/**
+ * Route: GET /v2/deck/jobs/:jobId
+ * Description: Returns the state (queued/running/succeeded/failed), progress and result of a generation job.
+ * Only the user that requested the job can read it.
+ * Parameters:
+ *   - jobId: The ID returned by the 202 Accepted response of a generation request
+ */
+router.get('/:jobId', verifyFirebaseToken, getJobStatusController)
+
+export default router;
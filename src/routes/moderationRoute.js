@@ -7,9 +7,16 @@
  *
  * Routes:
  * - /v2/gemini/:id: Handles requests through Gemini for doing AI-based deck content moderation.
+ * - GET /v2/gemini/:id: Returns the last stored moderation verdict of a deck.
+ * - GET /queue: Lists the decks waiting for a moderator (moderators only).
+ * - POST /decks/:deckId/review: Approves or rejects flagged flashcards (moderators only).
+ * - POST /decks/:deckId/appeal: Appeals the verdict of a deck (deck owner only).
+ * - POST /appeals/:appealId/resolve: Upholds or overturns an appeal (moderators only).
+ * - GET /decks/:deckId/audit: Returns the audit trail of a deck (moderators and the deck owner).
  *
  * Middleware:
  * - express.json(): Parses incoming request bodies in JSON format.
+ * - verifyModerator: Only lets users with the moderator custom claim through, after `verifyFirebaseToken`.
  *
  * External Dependencies:
  * - Gemini: Configured Gemini instance for interacting with the Google Gemini API.
@@ -19,15 +26,75 @@
  * 
  * @author Arthur M. Artugue
  * @created 2025-02-20
- * @updated 2025-03-20
+ * @updated 2026-10-19
  */
 
 import express from 'express';
-import { verifyFirebaseToken } from '../config/firebaseAdminConfig.js';
-import { geminiModerationController } from '../controllers/moderationController.js';
+import { verifyFirebaseToken, verifyModerator } from '../config/firebaseAdminConfig.js';
+import {
+    geminiModerationController,
+    getModerationController,
+    getModerationQueueController,
+    reviewFlaggedFlashcardsController,
+    appealModerationController,
+    resolveAppealController,
+    getModerationAuditController
+} from '../controllers/moderationController.js';
 
 const router = express.Router();
 
+/**
+ * Route: GET /moderate/queue
+ * Description: Lists the decks with flagged flashcards, the decks pending review and the decks with an open appeal,
+ * the longest waiting first. Only moderators can use it.
+ * Query Parameters:
+ *   - limit: Maximum number of decks to return (optional, at most 100)
+ */
+router.get('/queue', verifyFirebaseToken, verifyModerator, getModerationQueueController)
+
+/**
+ * Route: POST /moderate/decks/:deckId/review
+ * Description: Approves or rejects flagged flashcards of a deck. Rejected flashcards are soft-deleted, and the deck
+ * is approved once no flagged flashcard is left. Only moderators can use it.
+ * Parameters:
+ *   - deckId: The UID of the reviewed deck
+ * Request Body:
+ *   - decisions: Array of { flashcardId, decision, note } where decision is "approve" or "reject" and note is optional
+ */
+router.post('/decks/:deckId/review', verifyFirebaseToken, verifyModerator, reviewFlaggedFlashcardsController)
+
+/**
+ * Route: POST /moderate/decks/:deckId/appeal
+ * Description: Appeals the flagged and rejected flashcards of a deck. Only the owner of the deck can appeal,
+ * one appeal at a time.
+ * Parameters:
+ *   - deckId: The UID of the appealed deck
+ * Request Body:
+ *   - message: Why the verdict is wrong
+ *   - flashcardIds: The flagged or rejected flashcards to appeal (optional, all of them by default)
+ */
+router.post('/decks/:deckId/appeal', verifyFirebaseToken, appealModerationController)
+
+/**
+ * Route: POST /moderate/appeals/:appealId/resolve
+ * Description: Upholds an appeal (the appealed flagged flashcards are rejected) or overturns it (every appealed
+ * flashcard is approved and restored). Only moderators can use it.
+ * Parameters:
+ *   - appealId: The UID of the appeal
+ * Request Body:
+ *   - decision: "uphold" or "overturn"
+ *   - note: A note for the deck owner (optional)
+ */
+router.post('/appeals/:appealId/resolve', verifyFirebaseToken, verifyModerator, resolveAppealController)
+
+/**
+ * Route: GET /moderate/decks/:deckId/audit
+ * Description: Returns every moderation decision on a deck, oldest first. Moderators and the owner of the deck can read it.
+ * Parameters:
+ *   - deckId: The UID of the deck
+ */
+router.get('/decks/:deckId/audit', verifyFirebaseToken, getModerationAuditController)
+
 /**
  * Route: POST /moderate/:id
  * Description: Handles requests to generate questions using Google AI prompt construction. 
@@ -36,7 +103,19 @@ const router = express.Router();
  *   - id: Unique identifier from the request URL
  * Request Body:
  *   - deckId: The UID of a deck in the database that will be checked or moderated
+ * The verdict is stored on the deck and its flagged flashcards. Only the owner of the deck and moderators can
+ * moderate it, the request owner is taken from the Firebase token.
  */
 router.post('/:id', verifyFirebaseToken, geminiModerationController) // put verifyFirebaseToken as second parameter to enable jwt verification
 
+/**
+ * Route: GET /moderate/:id
+ * Description: Returns the last moderation verdict stored on a deck without calling the AI again.
+ * Parameters:
+ *   - id: Unique identifier from the request URL
+ * Query Parameters:
+ *   - deckId: The UID of the moderated deck
+ */
+router.get('/:id', verifyFirebaseToken, getModerationController)
+
 export default router;
@@ -0,0 +1,55 @@
+/**
+ * Deck API - Quiz Play Router
+ *
+ * @file quizPlayRoute.js
+ * @description This module defines the routes for taking the quizzes generated from a deck. 
+ *
+ * Routes:
+ * - /v2/deck/quiz/:quizId: Returns a playable quiz with its questions and choices.
+ * - /v2/deck/quiz/:quizId/attempts: Grades and saves a quiz attempt.
+ *
+ * External Dependencies:
+ * - Firebase: Firebase App initialization for configuration management.
+ * 
+ * @module router
+ * 
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+import express from 'express';
+import { verifyFirebaseToken } from '../config/firebaseAdminConfig.js';
+import { getPlayableQuizController, submitQuizAttemptController } from '../controllers/quizPlayController.js';
+
+const router = express.Router();
+
+/**
+ * Route: GET /v2/deck/quiz/:quizId
+ * Description: Returns the questions of a quiz with their choices in one payload, and the ID of the session that
+ * lists the served questions. Only the owner of the deck, or anyone if the deck is public, can read it.
+ * Parameters:
+ *   - quizId: The UID of the quiz
+ * Query:
+ *   - shuffle: "true" to shuffle the questions and choices (optional)
+ *   - shuffleQuestions / shuffleChoices: "true" to shuffle only one of them (optional)
+ *   - limit: Maximum number of questions to return (optional)
+ *   - hideAnswers: "true" to leave out which choices are correct (optional)
+ *   - bloomLevels: Comma-separated Bloom's levels, only questions tagged with one of them are returned (optional)
+ */
+router.get('/:quizId', verifyFirebaseToken, getPlayableQuizController)
+
+/**
+ * Route: POST /v2/deck/quiz/:quizId/attempts
+ * Description: Grades the submitted answers against the stored answers and saves the attempt under the user.
+ * The score is out of the served questions of the session, or out of every question of the quiz without one.
+ * Served questions that weren't answered count as incorrect.
+ * Parameters:
+ *   - quizId: The UID of the quiz
+ * Request Body:
+ *   - answers: Array of { questionId, choiceId or answer, timeMs (optional) }
+ *   - sessionId: The session returned with the quiz (optional)
+ */
+router.post('/:quizId/attempts', verifyFirebaseToken, submitQuizAttemptController)
+
+export default router;
@@ -13,7 +13,7 @@
  * 
  * @author Arthur M. Artugue
  * @created 2025-02-27
- * @updated 2025-03-20
+ * @updated 2026-10-19
  */
 
 import express from 'express';
@@ -24,12 +24,21 @@ const router = express.Router();
 
 /**
  * Route: POST /v2/deck/quiz/generate/:id
- * Description: Handles requests to generate quiz using Google AI. 
+ * Description: Handles requests to generate quiz using Google AI.
+ * Only the owner of the deck, or anyone if the deck is public, can make a quiz of it.
  * Parameters:
- *   - id: Unique identifier from the request URL
+ *   - id: Unique identifier from the request URL. The quiz is generated for the user of the Firebase token, not this ID.
  * Request Body:
  *   - deckId: The UID of a deck in the database that will be the reference for creating the quiz.
+ *   - quizType: "multiple-choice", "true-false", "identification" or "fill-in-the-blank" (optional, defaults to "multiple-choice")
+ *   - mode: "standard" or "practice" (optional, defaults to "standard"). Practice quizzes focus on the user's weak flashcards.
+ *   - numberOfQuestions: Number of questions of a practice quiz, 2 to 20 (optional, defaults to 10)
+ *   - difficulty: "intro", "intermediate" or "advanced" (optional)
+ *   - bloomLevels: Bloom's levels to target, a list (["apply"]) or weights ({ "remember": 1, "apply": 3 }) (optional).
+ *     A targeted quiz is kept apart from the default quiz of its type.
+ *   - moderationPolicy: What happens to questions the moderation flags before saving: "reject", "drop" or "review"
+ *     (optional, defaults to MODERATION_POLICY)
  */
-router.post('/:id', geminiQuizController) // put verifyFirebaseToken as second parameter to enable jwt verification
+router.post('/:id', verifyFirebaseToken, geminiQuizController)
 
 export default router;
@@ -20,6 +20,11 @@ export const moderatedFlashcardsSchema = {
             items: {
                 type: SchemaType.OBJECT,
                 properties: {
+                    id: {
+                        type: SchemaType.STRING,
+                        description: "The ID of the flagged flashcard.",
+                        nullable: true
+                    },
                     description: {
                         type: SchemaType.STRING,
                         description: "The flagged definition or description.",
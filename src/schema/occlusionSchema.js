@@ -0,0 +1,39 @@
+import { SchemaType } from "@google/generative-ai";
+
+export const occlusionSchema = {
+    description: "Labelled regions of a diagram",
+    type: SchemaType.OBJECT,
+    properties: {
+        title: {
+            type: SchemaType.STRING,
+            description: "What the diagram shows",
+        },
+        regions: {
+            type: SchemaType.ARRAY,
+            description: "The labelled parts of the diagram",
+            items: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    label: {
+                        type: SchemaType.STRING,
+                        description: "The name of the part",
+                    },
+                    description: {
+                        type: SchemaType.STRING,
+                        description: "One sentence on what the part is or does",
+                        nullable: true,
+                    },
+                    box_2d: {
+                        type: SchemaType.ARRAY,
+                        description: "Bounding box of the part as [ymin, xmin, ymax, xmax], normalized to 0-1000",
+                        items: {
+                            type: SchemaType.INTEGER,
+                        },
+                    },
+                },
+                required: ["label", "box_2d"],
+            },
+        },
+    },
+    required: ["title", "regions"],
+};
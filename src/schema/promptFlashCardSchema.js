@@ -1,10 +1,11 @@
 import { SchemaType } from "@google/generative-ai";
+import { BLOOM_LEVELS } from "../config/app.config.js";
 
 export const promptFlashCardSchema = {
     description: "List of definitions with terms or an error message if generation fails",
     type: SchemaType.OBJECT,
     properties: {
-        definition_and_terms: {
+        terms_and_definitions: {
             type: SchemaType.ARRAY,
             items: {
                 type: SchemaType.OBJECT,
@@ -19,6 +20,45 @@ export const promptFlashCardSchema = {
                         description: "The term that the definition pertains to",
                         nullable: true, // Now nullable in case AI cannot generate a response
                     },
+                    translation: {
+                        type: SchemaType.OBJECT,
+                        description: "The term and definition in the second language of a bilingual deck, null otherwise",
+                        nullable: true,
+                        properties: {
+                            term: {
+                                type: SchemaType.STRING,
+                                description: "The translated term",
+                            },
+                            definition: {
+                                type: SchemaType.STRING,
+                                description: "The translated definition",
+                            },
+                        },
+                    },
+                    bloom_level: {
+                        type: SchemaType.STRING,
+                        description: "The Bloom's taxonomy level the flashcard targets, null if no level was asked for",
+                        format: "enum",
+                        enum: BLOOM_LEVELS,
+                        nullable: true,
+                    },
+                    source: {
+                        type: SchemaType.OBJECT,
+                        description: "Where the definition comes from in the attached document, null if no document is attached",
+                        nullable: true,
+                        properties: {
+                            page: {
+                                type: SchemaType.INTEGER,
+                                description: "The page number the definition is based on",
+                                nullable: true,
+                            },
+                            excerpt: {
+                                type: SchemaType.STRING,
+                                description: "A short verbatim quote from the document that supports the definition",
+                                nullable: true,
+                            },
+                        },
+                    },
                 },
                 required: [], // No required fields, as they can be null
             },
@@ -29,5 +69,5 @@ export const promptFlashCardSchema = {
             nullable: true,
         },
     },
-    required: ["definition_and_terms"], // Keeping the array required, but it can be empty if errorMessage is present
+    required: ["terms_and_definitions"], // Keeping the array required, but it can be empty if errorMessage is present
 };
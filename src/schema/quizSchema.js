@@ -1,19 +1,58 @@
 import { SchemaType } from "@google/generative-ai";
+import { BLOOM_LEVELS } from "../config/app.config.js";
 
-export const quizSchema = {
+const relatedFlashcardId = {
+    type: SchemaType.STRING,
+    description: "The ID of the related flashcard where the question and answer is based from. Can be only one ID",
+    nullable: true,
+};
+
+const bloomLevel = {
+    type: SchemaType.STRING,
+    description: "The Bloom's taxonomy level the question tests",
+    format: "enum",
+    enum: BLOOM_LEVELS,
+    nullable: true,
+};
+
+const errorMessage = {
+    type: SchemaType.STRING,
+    description: "Error message if the quiz cannot be generated",
+    nullable: true, // Nullable for successful quiz generation
+};
+
+/**
+ * Wraps the schema of a single question into the `{ quiz: [...], errorMessage }` response.
+ *
+ * @param {string} description - The description of the quiz.
+ * @param {Object} questionSchema - The schema of a single question.
+ * @returns {Object} The schema of the whole response.
+ */
+const quizOf = (description, questionSchema) => ({
+    description: description,
+    type: SchemaType.OBJECT,
+    properties: {
+        quiz: {
+            type: SchemaType.ARRAY,
+            description: "List of generated questions",
+            items: questionSchema,
+        },
+        errorMessage: errorMessage,
+    },
+    required: ["quiz"],
+});
+
+export const quizSchema = quizOf("A multiple-choice quiz", {
     description: "A multiple-choice question with related flashcard ID and answer choices",
     type: SchemaType.OBJECT,
     properties: {
         question: {
             type: SchemaType.STRING,
             description: "The multiple-choice question",
-            nullable: true, 
-        },
-        related_flashcard_id: {
-            type: SchemaType.STRING,
-            description: "The ID of the related flashcard where the question and answer is based from. Can be only one ID",
-            nullable: true, 
+            nullable: true,
         },
+        related_flashcard_id: relatedFlashcardId,
+        bloom_level: bloomLevel,
         choices: {
             type: SchemaType.ARRAY,
             description: "List of answer choices with correctness indication",
@@ -31,13 +70,77 @@ export const quizSchema = {
                 },
                 required: ["text", "is_correct"],
             },
-            nullable: true, 
+            nullable: true,
         },
-        errorMessage: {
+    },
+    required: [],
+});
+
+export const trueFalseQuizSchema = quizOf("A true or false quiz", {
+    description: "A statement that is either true or false, with related flashcard ID",
+    type: SchemaType.OBJECT,
+    properties: {
+        question: {
             type: SchemaType.STRING,
-            description: "Error message if the quiz question cannot be generated",
-            nullable: true, // Nullable for successful quiz generation
+            description: "The statement the user has to judge",
+            nullable: true,
+        },
+        related_flashcard_id: relatedFlashcardId,
+        bloom_level: bloomLevel,
+        answer: {
+            type: SchemaType.BOOLEAN,
+            description: "Whether the statement is true",
         },
     },
-    required: [],
-};
+    required: ["question", "answer"],
+});
+
+export const identificationQuizSchema = quizOf("An identification quiz", {
+    description: "A description the user has to identify the term of, with related flashcard ID",
+    type: SchemaType.OBJECT,
+    properties: {
+        question: {
+            type: SchemaType.STRING,
+            description: "The description of the term to identify",
+            nullable: true,
+        },
+        related_flashcard_id: relatedFlashcardId,
+        bloom_level: bloomLevel,
+        answer: {
+            type: SchemaType.STRING,
+            description: "The term being described",
+        },
+        accepted_answers: {
+            type: SchemaType.ARRAY,
+            description: "Other spellings or abbreviations of the term that are also correct",
+            items: { type: SchemaType.STRING },
+            nullable: true,
+        },
+    },
+    required: ["question", "answer"],
+});
+
+export const fillInTheBlankQuizSchema = quizOf("A fill-in-the-blank quiz", {
+    description: "A sentence with a missing word or phrase marked by _____, with related flashcard ID",
+    type: SchemaType.OBJECT,
+    properties: {
+        question: {
+            type: SchemaType.STRING,
+            description: "The sentence, with the missing part replaced by _____",
+            nullable: true,
+        },
+        related_flashcard_id: relatedFlashcardId,
+        bloom_level: bloomLevel,
+        answer: {
+            type: SchemaType.STRING,
+            description: "The word or phrase that fills the blank",
+        },
+        accepted_answers: {
+            type: SchemaType.ARRAY,
+            description: "Other wordings that also correctly fill the blank",
+            items: { type: SchemaType.STRING },
+            nullable: true,
+        },
+    },
+    required: ["question", "answer"],
+});
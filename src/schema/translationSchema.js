@@ -0,0 +1,31 @@
+import { SchemaType } from "@google/generative-ai";
+
+export const flashcardTranslationSchema = {
+    description: "Translated flashcards",
+    type: SchemaType.OBJECT,
+    properties: {
+        flashcards: {
+            type: SchemaType.ARRAY,
+            description: "One translation per flashcard",
+            items: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    id: {
+                        type: SchemaType.STRING,
+                        description: "The ID of the flashcard",
+                    },
+                    term: {
+                        type: SchemaType.STRING,
+                        description: "The translated term",
+                    },
+                    definition: {
+                        type: SchemaType.STRING,
+                        description: "The translated definition",
+                    },
+                },
+                required: ["id", "term", "definition"],
+            },
+        },
+    },
+    required: ["flashcards"],
+};
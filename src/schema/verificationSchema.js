@@ -0,0 +1,34 @@
+import { SchemaType } from "@google/generative-ai";
+
+export const flashcardVerificationSchema = {
+    description: "Verdicts on whether the source document supports each flashcard",
+    type: SchemaType.OBJECT,
+    properties: {
+        verdicts: {
+            type: SchemaType.ARRAY,
+            description: "One verdict per flashcard",
+            items: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    id: {
+                        type: SchemaType.STRING,
+                        description: "The ID of the flashcard",
+                    },
+                    verdict: {
+                        type: SchemaType.STRING,
+                        description: "supported, unsupported or contradicted",
+                        format: "enum",
+                        enum: ["supported", "unsupported", "contradicted"],
+                    },
+                    reason: {
+                        type: SchemaType.STRING,
+                        description: "A short explanation for unsupported or contradicted flashcards",
+                        nullable: true,
+                    },
+                },
+                required: ["id", "verdict"],
+            },
+        },
+    },
+    required: ["verdicts"],
+};
@@ -4,306 +4,231 @@
  * @file aiService.js
  * @description Provides services for AI-related actions.
  * 
- * This module interacts with AI models (Gemini and OpenAI) to tasks like sending prompt, uploading files and checking if file uploaded.
+ * This module sends prompts to the configured AI provider (Gemini or OpenAI) for tasks like flashcard generation,
+ * moderation and quiz generation. The provider is picked per request through `options.provider`,
+ * or by the `AI_PROVIDER` environment variable. Every call goes through the resilience layer, which retries,
+ * falls back to secondary models and applies the circuit breaker and timeout budget.
  * 
  * @module aiService
  * 
- * @requires ../config/geminiConfig.js
- * @requires ../schema/promptFlashCardSchema.js
+ * @requires ./providerService.js
+ * @requires ./resilienceService.js
+ * @requires ../utils/utils.js
+ * @requires ../utils/jsonStreamParser.js
  * 
  * @author Arthur M. Artugue
  * @created 2025-02-12
- * @updated 2025-03-20
+ * @updated 2026-10-19
  * 
  */
 
-import { getModel, fileManager } from '../config/geminiConfig.js';
+import { getProvider } from './providerService.js';
+import { runWithResilience, withIdleTimeout, reportStreamFailure } from './resilienceService.js';
+import { getMimeType } from '../utils/utils.js';
+import { createArrayItemParser } from '../utils/jsonStreamParser.js';
 import { promptFlashCardSchema } from '../schema/promptFlashCardSchema.js'
 import { moderatedFlashcardsSchema } from '../schema/flashcardModerationSchema.js';
-// import { Threads } from 'openai/resources/beta/index.mjs';
+import { occlusionSchema } from '../schema/occlusionSchema.js';
+import { dedupeConfig } from '../config/app.config.js';
+
+const EMBEDDING_BATCH_SIZE = 100;
 
 /**
- * Sends a prompt to the Gemini model, optionally including a PDF file.
+ * Sends a prompt to the AI provider, optionally including a PDF file.
  * 
  * @async
  * @param {boolean} isTherePdf - Indicates whether a PDF file is included.
- * @param {string} prompt - The prompt text to be sent to the Gemini model.
+ * @param {string} prompt - The prompt text to be sent to the model.
  * @param {string} [filePath=""] - The path to the PDF file (if any).
  * @param {string} [fileExtension=""] - The file extension of the PDF.
- * @returns {Promise<string>} - The response content generated by the model.
+ * @param {Object} [options={}] - Additional options.
+ * @param {string} [options.provider] - The AI provider to use ("gemini" or "openai").
+ * @param {string|null} [options.inlineText=null] - Text extracted from an uploaded document, sent along with the prompt.
+ * @param {Array<{path: string, mimeType: string}>} [options.images=[]] - Normalized photos sent along with the prompt.
+ * @returns {Promise<Object>} - The response content generated by the model.
  */
-export async function sendPromptFlashcardGeneration(isTherePdf, prompt, filePath = "", fileExtension = "") {
-    let attempt = 0;
-    const MAX_RETRIES = 3; // Maximum retry attempts
-    const BASE_DELAY = 1000; // Initial delay in ms (1 second)
-
-    while (attempt < MAX_RETRIES) {
-        try {
-            console.log(`Attempt ${attempt + 1} to send prompt for flashcard generation...`);
+export async function sendPromptFlashcardGeneration(isTherePdf, prompt, filePath = "", fileExtension = "", options = {}) {
+    try {
+        // Validate input parameters
+        if (typeof isTherePdf !== "boolean") {
+            throw new Error("Invalid argument: isTherePdf must be a boolean.");
+        }
+        if (typeof prompt !== "string" || prompt.trim() === "") {
+            throw new Error("Invalid argument: prompt must be a non-empty string.");
+        }
+        if (isTherePdf && (typeof filePath !== "string" || filePath.trim() === "")) {
+            throw new Error("Invalid argument: filePath must be a non-empty string when isTherePdf is true.");
+        }
+        if (isTherePdf && (typeof fileExtension !== "string" || fileExtension.trim() === "")) {
+            throw new Error("Invalid argument: fileExtension must be a non-empty string when isTherePdf is true.");
+        }
 
-            // Validate input parameters
-            if (typeof isTherePdf !== "boolean") {
-                throw new Error("Invalid argument: isTherePdf must be a boolean.");
-            }
-            if (typeof prompt !== "string" || prompt.trim() === "") {
-                throw new Error("Invalid argument: prompt must be a non-empty string.");
-            }
-            if (isTherePdf && (typeof filePath !== "string" || filePath.trim() === "")) {
-                throw new Error("Invalid argument: filePath must be a non-empty string when isTherePdf is true.");
-            }
-            if (isTherePdf && (typeof fileExtension !== "string" || fileExtension.trim() === "")) {
-                throw new Error("Invalid argument: fileExtension must be a non-empty string when isTherePdf is true.");
+        const files = [];
+        if (isTherePdf) {
+            // Validate file extension
+            const fileType = getMimeType(fileExtension);
+            if (!fileType) {
+                throw new Error("Unsupported file type. Please provide a valid file extension.");
             }
+            files.push({ path: filePath, mimeType: fileType });
+        }
+        files.push(...(options.images || []));
 
-            let result;
-            const model = getModel(promptFlashCardSchema, "gemini-2.0-flash");
-
-            if (isTherePdf) {
-                // Validate file extension
-                const fileType = getMimeType(fileExtension);
-                if (!fileType) {
-                    throw new Error("Unsupported file type. Please provide a valid file extension.");
-                }
-
-                // Upload file and wait for activation
-                const files = [await uploadToGemini(filePath, fileType)];
-                await waitForFilesActive(files);
-
-                // Ensure file upload was successful
-                if (!files[0]?.uri) {
-                    throw new Error("File upload failed. No URI received.");
-                }
-
-                result = await model.generateContent([
-                    {
-                        fileData: {
-                            mimeType: files[0].mimeType,
-                            fileUri: files[0].uri,
-                        },
-                    },
-                    { text: prompt },
-                ]);
-            } else {
-                result = await model.generateContent(prompt);
-            }
+        const { result } = await runWithResilience(async ({ provider, model, signal }) => {
+            const response = await provider.generateJson({ schema: promptFlashCardSchema, prompt, files, inlineText: options.inlineText ?? null, model, signal });
 
             // Ensure response is valid
-            if (!result?.response?.candidates?.[0]?.content?.parts?.[0]?.text) throw new Error("INVALID_RESPONSE_FORMAT");
-            const response = JSON.parse(result.response.candidates[0].content.parts[0].text);
-            if(!validateFlashcardResponse(response)) throw new Error("INVALID_RESPONSE_FORMAT");
-
-            return {
-                success: true,
-                message: "Prompt was sent successfully",
-                data: response,
-            };
-
-        } catch (error) {
-            const retryableErrors = ["NetworkError", "TimeoutError", "ServiceUnavailable", "INVALID_RESPONSE_FORMAT"];
-            console.error(`Error on attempt ${attempt + 1}: ${error.message}`);
-
-            if (!retryableErrors.includes(error.name)) {
-                console.error("Non-retryable error encountered:", error.message);
-                return {
-                    success: false,
-                    message: error.message,
-                    data: null,
-                };
-            }
-
-            if (attempt === MAX_RETRIES - 1) {
-                console.error("Max retry attempts reached. Returning failure.");
-                return {
-                    success: false,
-                    message: error.message,
-                    data: null,
-                };
-            }
-
-            // Exponential backoff delay
-            const delay = BASE_DELAY * Math.pow(2, attempt); // 1s, 2s, 4s...
-            console.log(`Retrying in ${delay / 1000} seconds...`);
-            await new Promise(resolve => setTimeout(resolve, delay));
-        }
-        attempt++; // Increment attempt count
+            if (!validateFlashcardResponse(response.data)) throw new Error("INVALID_RESPONSE_FORMAT");
+            return response.data;
+        }, { provider: options.provider, label: "Flashcard generation" });
+
+        return {
+            success: true,
+            message: "Prompt was sent successfully",
+            data: result,
+        };
+    } catch (error) {
+        console.error("Flashcard generation failed:", error.message);
+        return {
+            success: false,
+            message: error.message,
+            data: null,
+        };
     }
 }
 
 /**
- * Sends a prompt to the Gemini model, to do moderation task
+ * Sends a flashcard generation prompt using the provider's streaming API, optionally including a file.
+ * Yields every flashcard as soon as the model finished generating it.
  * 
  * @async
- * @param {string} prompt - The prompt text to be sent to the Gemini model.
- * @returns {Promise<string>} - The response content generated by the model.
+ * @generator
+ * @param {string} prompt - The prompt text to be sent to the model.
+ * @param {string} [filePath=""] - The path to the file (if any).
+ * @param {string} [fileExtension=""] - The file extension of the file.
+ * @param {Object} [options={}] - Additional options.
+ * @param {string} [options.provider] - The AI provider to use ("gemini" or "openai").
+ * @param {AbortSignal} [options.signal] - Stops the generation when aborted.
+ * @param {string|null} [options.inlineText=null] - Text extracted from an uploaded document, sent along with the prompt.
+ * @param {Array<{path: string, mimeType: string}>} [options.images=[]] - Normalized photos sent along with the prompt.
+ * @yields {{term: string, definition: string, translation?: Object, bloom_level?: string, source?: Object}} - The generated
+ *   flashcards, with the translation of a bilingual deck, the Bloom's level and the cited source if they were asked for.
+ * @throws {Error} - Throws `AI_UNAVAILABLE` if no model could start the stream or the stream failed or stalled
+ *   once started, see `resilienceService.js`.
  */
-export async function sendPromptModeration(prompt) {
-    let attempt = 0;
-    const MAX_RETRIES = 3; // Maximum retry attempts
-    const BASE_DELAY = 1000; // Initial delay in ms (1 second)
+export async function* streamPromptFlashcardGeneration(prompt, filePath = "", fileExtension = "", options = {}) {
+    const files = filePath ? [{ path: filePath, mimeType: getMimeType(fileExtension) }] : [];
+    files.push(...(options.images || []));
 
-    while (attempt < MAX_RETRIES) {
-        try {
-            console.log(`Attempt ${attempt + 1} to send prompt for moderation...`);
+    // Cancels the request when the stream stalls, the client's signal cancels it when the client disconnects
+    const idleController = new AbortController();
+    const signals = [idleController.signal, ...(options.signal ? [options.signal] : [])];
 
-            let result;
-            const model = getModel(moderatedFlashcardsSchema, "gemini-2.0-flash");
+    // Fallbacks are only possible until the stream has started
+    const { result: stream, provider: providerName, model } = await runWithResilience(
+        ({ provider, model, signal }) => provider.streamText({ schema: promptFlashCardSchema, prompt, files, inlineText: options.inlineText ?? null, model, signal: AbortSignal.any([signal, ...signals]) }),
+        { provider: options.provider, label: "Flashcard streaming" }
+    );
 
-            result = await model.generateContent(prompt);
+    const parser = createArrayItemParser("terms_and_definitions");
 
-            // Ensure response is valid
-            if (!result?.response?.candidates?.[0]?.content?.parts?.[0]?.text) {
-                throw new Error("Invalid response received from the model.");
-            }
-
-            const response = result.response.candidates[0].content.parts[0].text;
-            return {
-                data: JSON.parse(response),
-            };
-
-        } catch (error) {
-            const retryableErrors = ["NetworkError", "TimeoutError", "ServiceUnavailable"];
-            console.error(`Error on attempt ${attempt + 1}: ${error.message}`);
-
-            if (!retryableErrors.includes(error.name)) {
-                console.error("Non-retryable error encountered:", error.message);
-                throw new Error("Non-retryable error encountered", error.message);
-            }
-
-            if (attempt === MAX_RETRIES - 1) {
-                console.error("Max retry attempts reached. Returning failure.");
-                throw new Error("Max retry attempts reached. Cause of error:", error.message);
+    try {
+        for await (const chunk of withIdleTimeout(stream, idleController)) {
+            if (options.signal?.aborted) return;
+
+            for (const item of parser.push(chunk)) {
+                if (typeof item?.term === "string" && typeof item?.definition === "string") {
+                    yield {
+                        term: item.term,
+                        definition: item.definition,
+                        ...(item.translation ? { translation: item.translation } : {}),
+                        ...(item.bloom_level ? { bloom_level: item.bloom_level } : {}),
+                        ...(item.source ? { source: item.source } : {})
+                    };
+                }
             }
 
-            // Exponential backoff delay
-            const delay = BASE_DELAY * Math.pow(2, attempt); // 1s, 2s, 4s...
-            console.log(`Retrying in ${delay / 1000} seconds...`);
-            await new Promise(resolve => setTimeout(resolve, delay));
+            if (parser.isDone()) return;
         }
-
-        attempt++; // Increment attempt count
+    } catch (error) {
+        // The client is gone, the aborted request is not a failure of the model
+        if (options.signal?.aborted) return;
+        throw reportStreamFailure(providerName, model, error, "Flashcard streaming");
     }
 }
 
 /**
- * Sends a prompt to the Gemini model using prompt and inline data, to do task
- * 
+ * Sends a diagram to the AI provider and asks for its labelled regions.
+ *
  * @async
- * @param {object} schema - The reponse schema that the ai will follow
- * @param {string} prompt - The prompt text to be sent to the Gemini model.
- * @param {object} data - The data to be included in the prompt.
- * @returns {Promise<string>} - The response content generated by the model.
+ * @param {string} prompt - The prompt text to be sent to the model.
+ * @param {{path: string, mimeType: string}} image - The normalized diagram.
+ * @param {Object} [options={}] - Additional options.
+ * @param {string} [options.provider] - The AI provider to use ("gemini" or "openai").
+ * @returns {Promise<Object>} - The title of the diagram and its regions, with `box_2d` bounding boxes.
+ * @throws {Error} - Throws `AI_UNAVAILABLE` if every model failed, see `resilienceService.js`.
  */
-export async function sendPromptInline(schema, prompt, data) {
-    let attempt = 0;
-    const MAX_RETRIES = 3; // Maximum retry attempts
-    const BASE_DELAY = 1000; // Initial delay in ms (1 second)
-
-    while (attempt < MAX_RETRIES) {
-        try {
-            console.log(`Attempt ${attempt + 1} to send inline prompt...`);
-
-            let result;
-            const model = getModel(schema, "gemini-2.0-flash");
+export async function sendPromptOcclusion(prompt, image, options = {}) {
+    const { result } = await runWithResilience(async ({ provider, model, signal }) => {
+        const response = await provider.generateJson({ schema: occlusionSchema, prompt, files: [image], model, signal });
 
-            const textContent = data;
-            const encoder = new TextEncoder();
-            const textBuffer = encoder.encode(textContent);
-            const base64Data = Buffer.from(textBuffer).toString('base64');
-            result = await model.generateContent([
-                {
-                    inlineData: {
-                        data: base64Data,
-                        mimeType: "text/plain",
-                    },
-                },
-                prompt ,
-            ]);
-
-            const inlineData = {
-                inlineData: {
-                    data: base64Data,
-                    mimeType: "text/plain",
-                }
-            }
-            const count = await countToken(null, [prompt, inlineData]);
-            console.log(`Request token count is: ${count}`);
-            
-            // Ensure response is valid
-            if (!result?.response?.candidates?.[0]?.content?.parts?.[0]?.text) {
-                throw new Error("Invalid response received from the model.");
-            }
+        if (!Array.isArray(response.data?.regions)) throw new Error("INVALID_RESPONSE_FORMAT");
+        return response.data;
+    }, { provider: options.provider, label: "Occlusion generation" });
 
-            const response = result.response.candidates[0].content.parts[0].text;
-            
-            return {
-                quiz_data: JSON.parse(response),
-            };
-
-        } catch (error) {
-            console.log(error);
-            
-            const retryableErrors = ["NetworkError", "TimeoutError", "ServiceUnavailable"];
-            console.error(`Error on attempt ${attempt + 1}: ${error.message}`);
-
-            if (!retryableErrors.includes(error.name)) {
-                console.error("Non-retryable error encountered:", error.message);
-                throw new Error("Non-retryable error encountered", error.message);
-            }
-
-            if (attempt === MAX_RETRIES - 1) {
-                console.error("Max retry attempts reached. Returning failure.");
-                throw new Error("Max retry attempts reached. Cause of error:", error.message);
-            }
-
-            // Exponential backoff delay
-            const delay = BASE_DELAY * Math.pow(2, attempt); // 1s, 2s, 4s...
-            console.log(`Retrying in ${delay / 1000} seconds...`);
-            await new Promise(resolve => setTimeout(resolve, delay));
-        }
-
-        attempt++; // Increment attempt count
-    }
+    return {
+        data: result,
+    };
 }
 
 /**
- * Uploads a file to Gemini and returns the file object.
+ * Sends a prompt to the AI provider, to do moderation task
  * 
  * @async
- * @param {string} path - The path to the file to upload.
- * @param {string} mimeType - The MIME type of the file.
- * @returns {Promise<Object>} - The uploaded file object.
+ * @param {string} prompt - The prompt text to be sent to the model.
+ * @param {Object} [options={}] - Additional options.
+ * @param {string} [options.provider] - The AI provider to use ("gemini" or "openai").
+ * @returns {Promise<Object>} - The response content generated by the model.
+ * @throws {Error} - Throws `AI_UNAVAILABLE` if every model failed, see `resilienceService.js`.
  */
-export async function uploadToGemini(path, mimeType) {
-    const uploadResult = await fileManager.uploadFile(path, {
-        mimeType,
-        displayName: path,
-    });
-    const file = uploadResult.file;
-    console.log(`Uploaded file ${file.displayName} as: ${file.name}`);
-    return file;
+export async function sendPromptModeration(prompt, options = {}) {
+    const { result } = await runWithResilience(
+        ({ provider, model, signal }) => provider.generateJson({ schema: moderatedFlashcardsSchema, prompt, model, signal }),
+        { provider: options.provider, label: "Moderation" }
+    );
+
+    return {
+        data: result.data,
+    };
 }
 
 /**
- * Waits until all uploaded files are in the 'ACTIVE' state.
+ * Sends a prompt to the AI provider using prompt and inline data, to do task
  * 
  * @async
- * @param {Array<Object>} files - List of uploaded file objects.
- * @throws {Error} - If a file fails to become active.
+ * @param {object} schema - The reponse schema that the ai will follow
+ * @param {string} prompt - The prompt text to be sent to the model.
+ * @param {string} data - The data to be included in the prompt.
+ * @param {Object} [options={}] - Additional options.
+ * @param {string} [options.provider] - The AI provider to use ("gemini" or "openai").
+ * @returns {Promise<{quiz_data: Object, provider: string, model: string}>} - The response content generated by the model,
+ *   and the provider and model that generated it.
+ * @throws {Error} - Throws `AI_UNAVAILABLE` if every model failed, see `resilienceService.js`.
  */
-export async function waitForFilesActive(files) {
-    console.log(`Waiting for file ${file.name} to become active...`);
-    for (const name of files.map((file) => file.name)) {
-        let file = await fileManager.getFile(name);
-        while (file.state === "PROCESSING") {
-            process.stdout.write(".");
-            await new Promise((resolve) => setTimeout(resolve, 10_000));
-            file = await fileManager.getFile(name);
-        }
-        if (file.state !== "ACTIVE") {
-            throw new Error(`File ${file.name} failed to process`);
-        }
-    }
-    console.log("...all files ready\n");
+export async function sendPromptInline(schema, prompt, data, options = {}) {
+    const { result, provider, model } = await runWithResilience(
+        ({ provider, model, signal }) => provider.generateJson({ schema, prompt, inlineText: data, model, signal }),
+        { provider: options.provider, label: "Inline prompt" }
+    );
+
+    const count = await countToken(null, [prompt, data], provider);
+    console.log(`Request token count is: ${count}`);
+
+    return {
+        quiz_data: result.data,
+        provider: provider,
+        model: model,
+    };
 }
 
 /**
@@ -312,23 +237,57 @@ export async function waitForFilesActive(files) {
  * @async
  * @param {string|null} [modelName=null] - The name of the AI model to use for token counting. Defaults to `null`, which selects the default model.
  * @param {string} content - The text content for which tokens need to be counted.
+ * @param {string|null} [providerName=null] - The AI provider to count with.
  * @returns {Promise<number>} - A promise that resolves to the total number of tokens in the content. Returns `0` if an error occurs.
  * @throws {Error} - Throws an error if `content` is not provided.
  */
-export async function countToken(modelName = null, content){
+export async function countToken(modelName = null, content, providerName = null){
     try {
         if (!content) {
             throw new Error("Content is required to count tokens.");
         }
-        const model = getModel(null, modelName);
-        const count = await model.countTokens(content);
-        return count.totalTokens;
+        return await getProvider(providerName).countTokens(content, modelName);
     } catch (error) {
         console.error(`Error counting tokens: ${error.message}`);
         return 0;
     }
 }
 
+/**
+ * Embeds the given texts with the embedding model of the AI provider.
+ * Embeddings are an optional refinement, so failures are not retried and resolve to `null`
+ * to let the caller fall back to a local comparison.
+ *
+ * @async
+ * @param {Array<string>} texts - The texts to embed.
+ * @param {Object} [options={}] - Additional options.
+ * @param {string} [options.provider] - The AI provider to use ("gemini" or "openai").
+ * @returns {Promise<Array<Array<number>>|null>} - One vector per text, or `null` if the embedding failed.
+ */
+export async function getTextEmbeddings(texts, options = {}) {
+    try {
+        if (!Array.isArray(texts) || texts.length === 0) return [];
+
+        const provider = getProvider(options.provider);
+        const signal = AbortSignal.timeout(dedupeConfig.embeddingTimeoutMs);
+        const vectors = [];
+
+        // Embedding endpoints limit the number of texts per request
+        for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+            const batch = texts.slice(i, i + EMBEDDING_BATCH_SIZE);
+            const batchVectors = await provider.embedTexts(batch, { signal });
+
+            if (!Array.isArray(batchVectors) || batchVectors.length !== batch.length) throw new Error("INVALID_RESPONSE_FORMAT");
+            vectors.push(...batchVectors);
+        }
+
+        return vectors;
+    } catch (error) {
+        console.error(`Error embedding texts: ${error.message}`);
+        return null;
+    }
+}
+
 /**
  * Validates if the given response follows the expected flashcard format.
  *
@@ -0,0 +1,215 @@
+/**
+ * Deck API - De-duplication Service
+ *
+ * @file dedupeService.js
+ * @description Finds flashcards of a deck that teach the same thing.
+ *
+ * Two flashcards are duplicates when:
+ * - Their normalized terms are the same (e.g. "Photosynthesis" and "photosynthesis process").
+ * - Their terms are related (the words of one are contained in the other) and their definitions are similar.
+ * - Their definitions are nearly identical, whatever their terms are.
+ *
+ * Definitions are compared with embeddings from the AI provider. If the provider can't embed them,
+ * local character trigram vectors are used instead, see `similarity.js`.
+ *
+ * @module dedupeService
+ *
+ * @requires ./aiService.js
+ * @requires ../repositories/deckRepository.js
+ * @requires ../utils/similarity.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+import { getTextEmbeddings } from './aiService.js';
+import { getDeckDocument, getFlashcardsByDeckId, softDeleteFlashcards } from '../repositories/deckRepository.js';
+import { isDeckOwner } from '../models/deckModel.js';
+import { normalizeTerm, compareTerms, textToVector, cosineSimilarity } from '../utils/similarity.js';
+import { dedupeConfig } from '../config/app.config.js';
+
+/**
+ * Finds the duplicate flashcards of a deck and optionally soft-deletes them.
+ * In every group the oldest flashcard is kept.
+ *
+ * @async
+ * @function dedupeDeckService
+ * @param {string} deckId - The ID of the deck.
+ * @param {string} id - The request owner ID.
+ * @param {Object} [options={}] - Additional options.
+ * @param {boolean} [options.apply=false] - Soft-delete the duplicates instead of only reporting them.
+ * @param {string} [options.provider] - The AI provider used for embeddings.
+ * @returns {Promise<Object>} Response object containing the duplicate groups or an error message.
+ */
+export const dedupeDeckService = async (deckId, id, options = {}) => {
+    try {
+        const deck = await getDeckDocument(deckId);
+        if (!isDeckOwner(deck, id)) {
+            return {
+                status: 403,
+                request_owner_id: id,
+                message: "You can only de-duplicate your own deck.",
+                data: null
+            };
+        }
+
+        const flashcards = (await getFlashcardsByDeckId(deckId))
+            .sort((a, b) => toMillis(a.created_at) - toMillis(b.created_at));
+
+        const { method, groups } = await findDuplicateGroups(flashcards, { provider: options.provider });
+
+        let deletedFlashcardIds = [];
+        if (options.apply && groups.length > 0) {
+            deletedFlashcardIds = groups.flatMap(group => group.duplicates.map(duplicate => duplicate.flashcard.id));
+            await softDeleteFlashcards(deckId, deletedFlashcardIds);
+        }
+
+        return {
+            status: 200,
+            request_owner_id: id,
+            message: `Found ${groups.length} group(s) of duplicate flashcards.`,
+            data: {
+                deckId: deckId,
+                method: method,
+                groups: groups.map(group => ({
+                    keep: formatCard(group.keep),
+                    duplicates: group.duplicates.map(duplicate => ({
+                        ...formatCard(duplicate.flashcard),
+                        similarity: Number(duplicate.similarity.toFixed(3)),
+                    })),
+                })),
+                deletedFlashcardIds: deletedFlashcardIds
+            }
+        };
+    } catch (error) {
+        console.error('Error during flashcard de-duplication:', error);
+
+        const statusByError = { INVALID_DECK_ID: 400, DECK_NOT_FOUND: 404 };
+        return {
+            status: statusByError[error.message] || 500,
+            request_owner_id: id,
+            message: "Flashcard de-duplication failed: " + error.message,
+            data: null
+        };
+    }
+}
+
+/**
+ * Removes generated flashcards that duplicate an existing flashcard or an earlier generated one.
+ *
+ * @async
+ * @function removeDuplicateFlashcards
+ * @param {Array<Object>} generated - The newly generated flashcards.
+ * @param {Array<Object>} [existing=[]] - The flashcards already stored in the deck.
+ * @param {Object} [options={}] - Additional options.
+ * @param {string} [options.provider] - The AI provider used for embeddings.
+ * @returns {Promise<{flashcards: Array<Object>, numberOfDuplicates: number}>} The unique generated flashcards.
+ */
+export const removeDuplicateFlashcards = async (generated, existing = [], options = {}) => {
+    const candidates = (generated || []).filter(flashcard => typeof flashcard?.term === 'string' && flashcard.term.trim());
+
+    // Existing cards come first so they are the ones kept
+    const { groups } = await findDuplicateGroups([...existing, ...candidates], options);
+    const duplicates = new Set(groups.flatMap(group => group.duplicates.map(duplicate => duplicate.flashcard)));
+    const flashcards = candidates.filter(flashcard => !duplicates.has(flashcard));
+
+    return {
+        flashcards: flashcards,
+        numberOfDuplicates: candidates.length - flashcards.length
+    };
+}
+
+/**
+ * Groups the given flashcards by duplicates.
+ * The first flashcard of a group, in the order given, is the one to keep.
+ *
+ * @async
+ * @function findDuplicateGroups
+ * @param {Array<Object>} flashcards - The flashcards to compare.
+ * @param {Object} [options={}] - Additional options.
+ * @param {string} [options.provider] - The AI provider used for embeddings.
+ * @returns {Promise<{method: "embeddings"|"local", groups: Array<{keep: Object, duplicates: Array<{flashcard: Object, similarity: number}>}>}>}
+ */
+export const findDuplicateGroups = async (flashcards, options = {}) => {
+    if (flashcards.length < 2) return { method: "local", groups: [] };
+
+    const terms = flashcards.map(flashcard => normalizeTerm(flashcard.term));
+    const { method, vectors } = await vectorizeDefinitions(flashcards, options.provider);
+    const thresholds = dedupeConfig.thresholds[method];
+
+    // Union-find over the flashcard indexes, a group's root is its lowest index
+    const parents = flashcards.map((_, index) => index);
+    const similarities = new Map();
+    const find = (index) => parents[index] === index ? index : (parents[index] = find(parents[index]));
+
+    for (let i = 0; i < flashcards.length; i++) {
+        for (let j = i + 1; j < flashcards.length; j++) {
+            const relation = compareTerms(terms[i], terms[j]);
+            const similarity = cosineSimilarity(vectors[i], vectors[j]);
+
+            const isDuplicate = relation === "same"
+                || (relation === "related" && similarity >= thresholds.relatedTerms)
+                || similarity >= thresholds.strict;
+            if (!isDuplicate) continue;
+
+            const rootI = find(i);
+            const rootJ = find(j);
+            if (rootI !== rootJ) parents[Math.max(rootI, rootJ)] = Math.min(rootI, rootJ);
+
+            // Report the highest similarity that linked the card to its group
+            similarities.set(j, Math.max(similarities.get(j) ?? 0, relation === "same" ? 1 : similarity));
+        }
+    }
+
+    const groupsByRoot = new Map();
+    flashcards.forEach((flashcard, index) => {
+        const root = find(index);
+        if (root === index) return;
+
+        if (!groupsByRoot.has(root)) groupsByRoot.set(root, { keep: flashcards[root], duplicates: [] });
+        groupsByRoot.get(root).duplicates.push({ flashcard, similarity: similarities.get(index) ?? 0 });
+    });
+
+    return { method, groups: [...groupsByRoot.values()] };
+}
+
+/**
+ * Turns the definitions of the flashcards into vectors, with provider embeddings when available.
+ *
+ * @async
+ * @function vectorizeDefinitions
+ * @param {Array<Object>} flashcards - The flashcards.
+ * @param {string} [provider] - The AI provider used for embeddings.
+ * @returns {Promise<{method: "embeddings"|"local", vectors: Array}>} The vectors, one per flashcard.
+ */
+const vectorizeDefinitions = async (flashcards, provider) => {
+    const texts = flashcards.map(flashcard => flashcard.definition?.trim() || flashcard.term);
+
+    const embeddings = await getTextEmbeddings(texts, { provider });
+    if (embeddings) return { method: "embeddings", vectors: embeddings };
+
+    return { method: "local", vectors: texts.map(textToVector) };
+}
+
+/**
+ * Formats a flashcard for the de-duplication report.
+ *
+ * @function formatCard
+ * @param {Object} flashcard - The flashcard.
+ * @returns {Object} The formatted flashcard.
+ */
+const formatCard = (flashcard) => ({
+    id: flashcard.id,
+    term: flashcard.term,
+    definition: flashcard.definition
+});
+
+/**
+ * Converts a Firestore timestamp to milliseconds, missing timestamps sort first.
+ *
+ * @function toMillis
+ * @param {Object|undefined} timestamp - The Firestore timestamp.
+ * @returns {number} The milliseconds since epoch.
+ */
+const toMillis = (timestamp) => typeof timestamp?.toMillis === 'function' ? timestamp.toMillis() : 0;
@@ -5,118 +5,774 @@
  * @description Provides services for processing AI-generated flashcard prompts.
  * 
  * This module interacts with AI models (Gemini and OpenAI) to generate flashcards based on user input.
+ * The AI provider can be picked per request through the `provider` field of the request body.
  * It handles file retrieval, prompt construction, and API communication.
+ * Uploads are turned into text locally and sent inline (PDF, DOCX, PPTX, TXT and MD). Only scanned or image-heavy PDFs,
+ * where too little text could be extracted, are uploaded to the AI as files.
+ * Photos (JPEG, PNG, HEIC) are normalized locally and sent to the AI as images, several photos can be sent at once.
+ * In occlusion mode a diagram is sent instead, and every labelled region the AI finds on it becomes an image occlusion card.
+ * Flashcards can be generated in any supported `language`. With a `translationLanguage` the deck is bilingual:
+ * every flashcard also stores its term and definition in that second language.
+ * A `difficulty` and a distribution of Bloom's taxonomy levels (`bloomLevels`) can be targeted, every flashcard then
+ * stores the difficulty and the level it was written for.
+ * Flashcards generated from a document store their `source`: the section, page and a quote of the document.
+ * Flashcards generated from extracted text are checked against that text before they are saved, unsupported and
+ * contradicted flashcards are flagged or dropped depending on the `verification` field (see `verificationService.js`).
+ * Every generated deck is moderated before it is saved, the `moderationPolicy` field decides if flagged content rejects
+ * the deck, is dropped or is saved hidden in a deck pending review (see `moderationService.js`).
  * 
  * @module flashcardService
  * 
  * @requires ../utils/utils.js
  * @requires ../services/aiService.js
  * @requires ../repositories/fileRepository.js
+ * @requires ../utils/documentExtractor.js
+ * @requires ../utils/documentChunker.js
+ * @requires ../utils/sourceCitation.js
+ * @requires ../utils/imageProcessor.js
+ * @requires ../utils/occlusionRegions.js
+ * @requires ../utils/bloomTaxonomy.js
+ * @requires ./dedupeService.js
+ * @requires ./verificationService.js
+ * @requires ./moderationService.js
  * 
  * @author Arthur M. Artugue
  * @created 2025-02-12
- * @updated 2025-03-20
+ * @updated 2026-10-19
  * 
  */
 
-import { cleanTitle, deleteFile } from '../utils/utils.js';
-import { sendPromptFlashcardGeneration } from './aiService.js';
-import { downloadFile, downloadPdf } from "../repositories/fileRepository.js";
-import { createDeck, createFlashcard } from '../repositories/deckRepository.js';
-import { timeStamp } from '../config/firebaseAdminConfig.js';
+import { cleanTitle, deleteFile, extractPdfText } from '../utils/utils.js';
+import { sendPromptFlashcardGeneration, streamPromptFlashcardGeneration, sendPromptOcclusion } from './aiService.js';
+import { downloadFile, uploadFile } from "../repositories/fileRepository.js";
+import { createDeck, createFlashcard, getDeckDocument, getFlashcardsByDeckId, updateDeck } from '../repositories/deckRepository.js';
+import { currentTimeStamp } from '../config/firebaseAdminConfig.js';
+import { isDeckOwner, isFlaggedFlashcard, OCCLUSION_CARD_TYPE, APPROVED_STATUS, PENDING_REVIEW_STATUS } from '../models/deckModel.js';
+import { removeDuplicateFlashcards } from './dedupeService.js';
+import { extractDocumentText, isLocallyExtracted, normalizeExtension } from '../utils/documentExtractor.js';
+import { documentConfig, imageConfig, SUPPORTED_LANGUAGES } from '../config/app.config.js';
+import { splitIntoSections, planChunks, splitFlashcards } from '../utils/documentChunker.js';
+import { resolveCitation } from '../utils/sourceCitation.js';
+import { verifyFlashcards, applyVerificationMode } from './verificationService.js';
+import { moderateBeforeSave, recordAiVerdict } from './moderationService.js';
+import { isImage, normalizeImage } from '../utils/imageProcessor.js';
+import { toRegions } from '../utils/occlusionRegions.js';
+import { normalizeBloomLevels, assignBloomLevels, countBloomLevels, toBloomLevel, BLOOM_LEVEL_DESCRIPTIONS, DIFFICULTY_DESCRIPTIONS } from '../utils/bloomTaxonomy.js';
+import { randomUUID } from 'crypto';
+
+const MAX_EXISTING_TERMS_IN_PROMPT = 200;
+
+// Position of a streamed flashcard in the 'card' events, kept on the copies the later steps make of it
+const STREAM_INDEX = Symbol('streamIndex');
+const DEFAULT_COVER_PHOTO = 'https://firebasestorage.googleapis.com/v0/b/deck-f429c.appspot.com/o/deckCovers%2Fdefault%2FdeckDefault.png?alt=media&token=de6ac50d-13d0-411c-934e-fbeac5b9f6e0';
 
 /**
  * Generates AI-generated flashcards using Gemini.
+ * When a `deckId` is given the new flashcards are appended to that deck instead of creating a new one.
+ * Long documents are split into chunks, every chunk is sent to the AI with its share of the requested flashcards.
  *
  * @async
  * @function geminiFlashcardService
  * @param {Object} request - The HTTP request object.
  * @param {string} id - The request owner ID.
+ * @param {Object} [options={}] - Additional options.
+ * @param {Function} [options.onProgress] - Called with `(completed, total)` as the document chunks finish.
  * @returns {Promise<Object>} Response object containing the generated flashcards or error message.
  */
-export const geminiFlashcardService = async (request, id) => {
-    const { subject, topic, addDescription, fileName, fileExtension, numberOfFlashcards, deckTitle, coverPhotoRef  } = request.body;
-    
-    const coverPhoto = coverPhotoRef || 'https://firebasestorage.googleapis.com/v0/b/deck-f429c.appspot.com/o/deckCovers%2Fdefault%2FdeckDefault.png?alt=media&token=de6ac50d-13d0-411c-934e-fbeac5b9f6e0';
-
-    const prompt = constructFlashCardGenerationPrompt(topic, subject, addDescription, numberOfFlashcards);
-
-    if (fileName?.trim()) {
-        if (!fileExtension?.trim()) return { status: 422, message: 'File extension is required.', data: null };
-
-        try {
-            const filePath = await downloadFile(fileName, fileExtension, id);
-
-            if (!filePath) return { status: 500, message: 'Error retrieving the file from the server.', data: null };
-
-            const response = await sendPromptFlashcardGeneration(true, prompt, filePath, fileExtension);
-            const flashcards = response.data.terms_and_definitions;
-            const deckId = await createDeck({
-                created_at: timeStamp,
-                is_deleted: false,
-                is_private: true,
-                title: cleanTitle(deckTitle),
-                owner_id: id,
-                cover_photo: coverPhoto
-            });
-
-            await createFlashcard(deckId, flashcards);
-
-            return {
-                status: 200,
-                request_owner_id: id,
-                message: response.message,
-                data: {
-                    deckId: deckId
-                }
-            };
-        } catch (error) {
-            return {
-                status: 500,
-                request_owner_id: id,
-                message: 'An Error has occured while sending information to AI.',
-                data: null
-            };
-        } finally {
-            deleteFile(filePath);
+export const geminiFlashcardService = async (request, id, options = {}) => {
+    const { fileExtension, numberOfFlashcards, provider, deckId } = request.body;
+    const onProgress = options.onProgress || (() => {});
+    const temporaryFiles = [];
+
+    try {
+        const targetDeck = await resolveTargetDeck(deckId, id);
+        const parts = planGeneration(await prepareSource(request.body, id, temporaryFiles), numberOfFlashcards, request.body.bloomLevels);
+        const flashcards = [];
+
+        await onProgress(0, parts.length);
+        for (const [index, part] of parts.entries()) {
+            const prompt = constructPartPrompt(request.body, targetDeck, part, flashcards);
+            const response = await sendPromptFlashcardGeneration(Boolean(part.file), prompt, part.file, fileExtension, { provider, inlineText: part.inlineText, images: part.images });
+            if (!response.success) throw new Error(response.message);
+
+            const generated = withLevel(withLanguage(withSource(response.data.terms_and_definitions, part), request.body), request.body);
+            flashcards.push(...await verifyPart(generated, part, request.body));
+            await onProgress(index + 1, parts.length);
         }
-    } else {
-        try {
-            const response = await sendPromptFlashcardGeneration(false, prompt);
-          
-            const flashcards = response.data.terms_and_definitions;
-            
-            const deckId = await createDeck({
-                created_at: timeStamp,
-                is_deleted: false,
-                is_private: true,
-                title: cleanTitle(deckTitle),
-                owner_id: id,
-                cover_photo: coverPhoto
-            });
-
-            await createFlashcard(deckId, flashcards);
-
-            return {
-                status: 200,
-                request_owner_id: id,
-                message: response.message,
-                data: {
-                    deckId: deckId // Replace with flashcards to show the processed ai response
-                }
-            };
-        } catch (error) {
-            console.error('Error during file retrieval:', error);
-            return {
-                status: 500,
-                request_owner_id: id,
-                message: 'An Error has occured and while retrieving response from AI',
-                data: null
-            };
+
+        const { flashcards: keptFlashcards, report } = applyVerification(flashcards, request.body);
+        const { data: savedData } = await saveGeneratedFlashcards(keptFlashcards, targetDeck, request.body, id);
+        const data = { ...savedData, verification: report };
+
+        return {
+            status: 200,
+            request_owner_id: id,
+            message: "Prompt was sent successfully",
+            data: data
+        };
+    } catch (error) {
+        console.error('Error during flashcard generation:', error);
+        return flashcardErrorResponse(error, id);
+    } finally {
+        temporaryFiles.forEach(deleteFile);
+    }
+}
+
+/**
+ * Generates AI-generated flashcards and streams every card to the client as soon as it was generated.
+ * The deck is only saved once the whole generation finished.
+ *
+ * 'card' events are sent before the verification, the de-duplication and the moderation, so they are provisional.
+ * Right before 'done', every streamed card that was not saved gets a 'card_removed' event and every card that was
+ * saved hidden, pending review, gets a 'card_flagged' event. An 'error' event means nothing was saved.
+ *
+ * @async
+ * @function geminiFlashcardStreamService
+ * @param {Object} request - The HTTP request object.
+ * @param {string} id - The request owner ID.
+ * @param {Function} sendEvent - Called with `(event, data)` for every 'card', 'verification', 'card_removed',
+ *   'card_flagged', 'done' or 'error' event.
+ * @param {Object} [options={}] - Additional options.
+ * @param {AbortSignal} [options.signal] - Aborted when the client disconnects, nothing is saved in that case.
+ * @returns {Promise<void>}
+ */
+export const geminiFlashcardStreamService = async (request, id, sendEvent, options = {}) => {
+    const { fileExtension, numberOfFlashcards, provider, deckId } = request.body;
+    const flashcards = [];
+    const temporaryFiles = [];
+
+    try {
+        const targetDeck = await resolveTargetDeck(deckId, id);
+        const parts = planGeneration(await prepareSource(request.body, id, temporaryFiles), numberOfFlashcards, request.body.bloomLevels);
+
+        for (const part of parts) {
+            const prompt = constructPartPrompt(request.body, targetDeck, part, flashcards);
+            const stream = streamPromptFlashcardGeneration(prompt, part.file, fileExtension, { provider, signal: options.signal, inlineText: part.inlineText, images: part.images });
+            const partFlashcards = [];
+
+            for await (const generated of stream) {
+                const [flashcard] = withLevel(withLanguage(withSource([generated], part), request.body), request.body);
+                const index = flashcards.length + partFlashcards.length;
+                sendEvent('card', { index, ...flashcard });
+                partFlashcards.push({ ...flashcard, [STREAM_INDEX]: index });
+            }
+
+            if (options.signal?.aborted) break;
+
+            // The cards of a chunk are checked once the chunk is complete, the client gets their verdicts afterwards
+            const verified = await verifyPart(partFlashcards, part, request.body);
+            for (const flashcard of verified) {
+                if (flashcard.verification) sendEvent('verification', { index: flashcards.length, term: flashcard.term, ...flashcard.verification });
+                flashcards.push(flashcard);
+            }
+        }
+
+        // The client is gone, don't save a deck nobody will receive
+        if (options.signal?.aborted) return;
+
+        const { flashcards: keptFlashcards, report } = applyVerification(flashcards, request.body);
+        const { data, uniqueFlashcards, savedFlashcards } = await saveGeneratedFlashcards(keptFlashcards, targetDeck, request.body, id);
+
+        // Take back the streamed cards that didn't make it into the deck as they were sent
+        const indexes = (list) => new Set(list.map(flashcard => flashcard[STREAM_INDEX]));
+        const [kept, unique, saved] = [indexes(keptFlashcards), indexes(uniqueFlashcards), indexes(savedFlashcards)];
+        for (const flashcard of flashcards) {
+            const index = flashcard[STREAM_INDEX];
+            if (saved.has(index)) continue;
+
+            const reason = !kept.has(index) ? 'verification' : (!unique.has(index) ? 'duplicate' : 'moderation');
+            sendEvent('card_removed', { index, term: flashcard.term, reason });
         }
+        for (const flashcard of savedFlashcards.filter(isFlaggedFlashcard)) {
+            sendEvent('card_flagged', { index: flashcard[STREAM_INDEX], term: flashcard.term, reason: flashcard.moderation_reason ?? null });
+        }
+
+        sendEvent('done', { ...data, numberOfFlashcards: savedFlashcards.length, verification: report });
+    } catch (error) {
+        console.error('Error during flashcard streaming:', error);
+        const { status, message } = flashcardErrorResponse(error, id);
+        sendEvent('error', { status, message });
+    } finally {
+        temporaryFiles.forEach(deleteFile);
     }
 }
 
+/**
+ * Generates image occlusion cards from an uploaded diagram.
+ * The AI labels the parts of the diagram, the diagram is stored in the bucket and every labelled region becomes a card
+ * that hides that region. `numberOfFlashcards` is the maximum number of regions.
+ *
+ * @async
+ * @function geminiOcclusionService
+ * @param {Object} request - The HTTP request object.
+ * @param {string} id - The request owner ID.
+ * @param {Object} [options={}] - Additional options.
+ * @param {Function} [options.onProgress] - Called with `(completed, total)` as the generation steps finish.
+ * @returns {Promise<Object>} Response object containing the deck ID and the regions, or an error message.
+ */
+export const geminiOcclusionService = async (request, id, options = {}) => {
+    const { numberOfFlashcards, provider, deckId, deckTitle, subject, topic, addDescription } = request.body;
+    const onProgress = options.onProgress || (() => {});
+    const temporaryFiles = [];
+
+    try {
+        const targetDeck = await resolveTargetDeck(deckId, id);
+        const [diagram] = (await prepareSource(request.body, id, temporaryFiles)).images || [];
+        if (!diagram) throw new Error("UNSUPPORTED_FILE_TYPE");
+
+        await onProgress(0, 2);
+        const prompt = constructOcclusionPrompt(topic || targetDeck?.title || deckTitle, subject, addDescription, numberOfFlashcards, request.body.language);
+        const response = await sendPromptOcclusion(prompt, diagram, { provider });
+
+        const regions = toRegions(response.data.regions, Math.min(numberOfFlashcards, imageConfig.maxOcclusionRegions));
+        if (regions.length === 0) throw new Error("NO_REGIONS_FOUND");
+
+        // The diagram is only stored once its labels passed the moderation
+        const { flashcards: moderatedRegions, report: moderation } = await moderateBeforeSave(
+            regions.map(region => ({ term: region.label, definition: region.description || '', region_id: region.id })),
+            { policy: request.body.moderationPolicy, provider, language: request.body.language }
+        );
+        const keptRegions = regions.filter(region => moderatedRegions.some(item => item.region_id === region.id));
+        await onProgress(1, 2);
+
+        const imageRef = await uploadFile(diagram.path, `occlusion/${id}/${randomUUID()}.jpg`, diagram.mimeType);
+        const diagramTitle = response.data.title?.trim() || topic || deckTitle || null;
+
+        const cards = moderatedRegions.map(item => ({
+            type: OCCLUSION_CARD_TYPE,
+            image_ref: imageRef,
+            image_width: diagram.width,
+            image_height: diagram.height,
+            diagram_title: diagramTitle,
+            regions: keptRegions,
+            region_id: item.region_id,
+            ...(item.moderation_status ? { moderation_status: item.moderation_status, moderation_reason: item.moderation_reason } : {})
+        }));
+
+        const savedDeckId = targetDeck ? targetDeck.id : await createDeck({
+            created_at: currentTimeStamp(),
+            is_deleted: false,
+            is_private: true,
+            title: cleanTitle(deckTitle),
+            owner_id: id,
+            cover_photo: request.body.coverPhotoRef || DEFAULT_COVER_PHOTO,
+            ...(request.body.language ? { language: request.body.language } : {})
+        });
+        const flashcardIds = await createFlashcard(savedDeckId, cards);
+        await saveDeckModeration(savedDeckId, targetDeck, moderation, cards, flashcardIds);
+        await onProgress(2, 2);
+
+        return {
+            status: 200,
+            request_owner_id: id,
+            message: "Prompt was sent successfully",
+            data: {
+                deckId: savedDeckId,
+                ...(targetDeck ? { appended: true } : {}),
+                numberOfFlashcards: cards.length,
+                imageRef: imageRef,
+                diagramTitle: diagramTitle,
+                regions: keptRegions,
+                moderation: moderation
+            }
+        };
+    } catch (error) {
+        console.error('Error during occlusion card generation:', error);
+        return flashcardErrorResponse(error, id);
+    } finally {
+        temporaryFiles.forEach(deleteFile);
+    }
+}
+
+/**
+ * Downloads the uploads of a request and reads them, see `readSource` and `readImages`.
+ * A single upload with an image extension is handled like a list of one image.
+ *
+ * @async
+ * @function prepareSource
+ * @param {Object} body - The request body.
+ * @param {string} id - The request owner ID, the uploads are stored under it.
+ * @param {Array<string>} temporaryFiles - Collects the local files to delete once the generation finished.
+ * @returns {Promise<Object>} - The source, see `readSource`.
+ * @throws {Error} - Throws `MISSING_FILE_EXTENSION`, `FILE_DOWNLOAD_FAILED` and the errors of `readSource` and `readImages`.
+ */
+const prepareSource = async (body, id, temporaryFiles) => {
+    const { fileName, fileExtension, images, pageStart, pageEnd } = body;
+
+    if (Array.isArray(images) && images.length > 0) return readImages(images, id, temporaryFiles);
+    if (!fileName?.trim()) return readSource('', fileExtension);
+    if (!fileExtension?.trim()) throw new Error("MISSING_FILE_EXTENSION");
+    if (isImage(fileExtension)) return readImages([{ fileName, fileExtension }], id, temporaryFiles);
+
+    const filePath = await downloadFile(fileName, fileExtension, id);
+    if (!filePath) throw new Error("FILE_DOWNLOAD_FAILED");
+    temporaryFiles.push(filePath);
+
+    return readSource(filePath, fileExtension, { pageStart, pageEnd });
+}
+
+/**
+ * Downloads uploaded photos and normalizes them one after the other, see `imageProcessor.js`.
+ *
+ * @async
+ * @function readImages
+ * @param {Array<{fileName: string, fileExtension: string}>} images - The uploaded photos, in the order the client sent them.
+ * @param {string} id - The request owner ID.
+ * @param {Array<string>} temporaryFiles - Collects the downloaded and normalized files.
+ * @returns {Promise<{file: string, sections: null, pageRange: null, images: Array<{path: string, mimeType: string}>}>} - The source.
+ * @throws {Error} - Throws `FILE_DOWNLOAD_FAILED`, `UNSUPPORTED_FILE_TYPE` or `INVALID_IMAGE`.
+ */
+const readImages = async (images, id, temporaryFiles) => {
+    const normalized = [];
+
+    for (const [index, image] of images.entries()) {
+        const filePath = await downloadFile(image.fileName, image.fileExtension, id, `-${index + 1}`);
+        if (!filePath) throw new Error("FILE_DOWNLOAD_FAILED");
+        temporaryFiles.push(filePath);
+
+        const normalizedImage = await normalizeImage(filePath, image.fileExtension);
+        temporaryFiles.push(normalizedImage.path);
+        normalized.push(normalizedImage);
+    }
+
+    return { file: '', sections: null, pageRange: null, images: normalized };
+}
+
+/**
+ * Decides how a downloaded file is sent to the AI. Documents are turned into text locally whenever possible.
+ * PDFs are read page by page, only the requested pages are kept. A PDF with too little text (scanned or image-heavy)
+ * is uploaded to the AI instead, together with the page range the AI has to stick to.
+ *
+ * @async
+ * @function readSource
+ * @param {string} filePath - The path to the downloaded file, or an empty string if no file was uploaded.
+ * @param {string} fileExtension - The file extension of the upload.
+ * @param {Object} [range={}] - The pages of a PDF to use.
+ * @param {number} [range.pageStart] - The first page (1-based).
+ * @param {number} [range.pageEnd] - The last page.
+ * @returns {Promise<{file: string, sections: Array<Object>|null, pageRange: Object|null}>}
+ *   The file to upload, or the sections of the extracted text, and the page range the prompt has to mention.
+ * @throws {Error} - Throws `INVALID_PAGE_RANGE` if the PDF has no page in the range, or `UNSUPPORTED_FILE_TYPE`,
+ *   `INVALID_DOCUMENT`, `DOCUMENT_TOO_LARGE` and `EMPTY_DOCUMENT`, see `documentExtractor.js`.
+ */
+const readSource = async (filePath, fileExtension, range = {}) => {
+    if (!filePath) return { file: '', sections: null, pageRange: null };
+
+    if (isLocallyExtracted(fileExtension)) {
+        return { file: '', sections: splitIntoSections(await extractDocumentText(filePath, fileExtension)), pageRange: null };
+    }
+
+    if (normalizeExtension(fileExtension) !== 'pdf') return { file: filePath, sections: null, pageRange: null };
+
+    const hasRange = Boolean(range.pageStart || range.pageEnd);
+    let pages;
+    try {
+        pages = await extractPdfText(filePath, range);
+    } catch (error) {
+        // Let the AI try to read PDFs the local extractor can't open
+        return { file: filePath, sections: null, pageRange: hasRange ? range : null };
+    }
+
+    if (pages.length === 0) throw new Error("INVALID_PAGE_RANGE");
+
+    const numberOfCharacters = pages.reduce((sum, page) => sum + page.text.length, 0);
+    if (numberOfCharacters / pages.length < documentConfig.minPdfCharsPerPage) {
+        console.log(`PDF has ${numberOfCharacters} characters on ${pages.length} page(s), uploading it to the AI instead`);
+        return { file: filePath, sections: null, pageRange: hasRange ? range : null };
+    }
+
+    const sections = pages
+        .filter(page => page.text)
+        .map(page => ({ label: `Page ${page.page}`, page: page.page, text: page.text }));
+
+    return { file: '', sections: sections, pageRange: null };
+}
+
+/**
+ * Splits the generation into the AI requests to send. Extracted text is split into chunks that each get a share of
+ * the requested flashcards, uploaded files and requests without a file are sent as they are. No request asks for more
+ * than `maxFlashcardsPerChunk` flashcards, larger shares are spread over several requests with the same content.
+ *
+ * @function planGeneration
+ * @param {Object} source - The source returned by `readSource`.
+ * @param {number} numberOfFlashcards - The number of flashcards requested.
+ * @param {Array<string>|Object<string, number>} [bloomLevels] - The requested distribution of Bloom's levels, spread over the requests.
+ * @returns {Array<{file: string, inlineText: string|null, images: Array<Object>, pageRange: Object|null, section: string|null, isPartOfDocument: boolean, numberOfFlashcards: number, bloomLevels: Object|null}>}
+ *   The AI requests to send, in document order, each with the number of flashcards it asks for at every Bloom's level.
+ */
+const planGeneration = (source, numberOfFlashcards, bloomLevels) => {
+    let parts;
+
+    if (!source.sections) {
+        parts = splitFlashcards(numberOfFlashcards).map(share => ({
+            file: source.file,
+            inlineText: null,
+            images: source.images || [],
+            pageRange: source.pageRange,
+            section: null,
+            isPartOfDocument: false,
+            numberOfFlashcards: share
+        }));
+    } else {
+        const chunks = planChunks(source.sections, numberOfFlashcards);
+        if (chunks.length === 0) throw new Error("EMPTY_DOCUMENT");
+
+        parts = chunks.map(chunk => ({
+            file: '',
+            inlineText: chunk.text,
+            images: [],
+            pageRange: null,
+            section: chunk.label,
+            // Repetitions of the same chunk don't make it a part of the document
+            isPartOfDocument: chunks.some(other => other.text !== chunk.text),
+            numberOfFlashcards: chunk.numberOfFlashcards
+        }));
+    }
+
+    // The levels are assigned over the whole generation so the deck follows the distribution, not every chunk alone
+    const shares = normalizeBloomLevels(bloomLevels);
+    const levels = shares ? assignBloomLevels(shares, parts.reduce((sum, part) => sum + part.numberOfFlashcards, 0)) : [];
+
+    let offset = 0;
+    return parts.map(part => {
+        const partLevels = levels.slice(offset, offset + part.numberOfFlashcards);
+        offset += part.numberOfFlashcards;
+        return { ...part, bloomLevels: shares ? countBloomLevels(partLevels) : null };
+    });
+}
+
+/**
+ * Builds the prompt of one AI request. Terms generated by the previous requests are excluded like the terms of the deck.
+ *
+ * @function constructPartPrompt
+ * @param {Object} body - The request body.
+ * @param {Object|null} targetDeck - The deck to append to, or null when a new deck is created.
+ * @param {Object} part - The AI request, see `planGeneration`.
+ * @param {Array<Object>} generated - The flashcards generated so far.
+ * @returns {string} - The prompt.
+ */
+const constructPartPrompt = (body, targetDeck, part, generated) => {
+    const existingTerms = [...(targetDeck?.existingTerms || []), ...generated.map(flashcard => flashcard.term)];
+
+    return constructFlashCardGenerationPrompt(
+        body.topic || targetDeck?.title,
+        body.subject,
+        body.addDescription,
+        part.numberOfFlashcards,
+        existingTerms,
+        {
+            pageRange: part.pageRange,
+            section: part.isPartOfDocument ? part.section : null,
+            numberOfImages: part.images.length,
+            cite: Boolean(part.inlineText || part.file || part.images.length > 0)
+        },
+        { language: body.language, translationLanguage: body.translationLanguage },
+        { difficulty: body.difficulty, bloomLevels: part.bloomLevels }
+    );
+}
+
+/**
+ * Records the difficulty and the Bloom's level every flashcard was written for, if the request targeted them.
+ * A level the AI returned that isn't one of `BLOOM_LEVELS` is left out.
+ *
+ * @function withLevel
+ * @param {Array<Object>} flashcards - The generated flashcards, with the level returned by the AI.
+ * @param {Object} body - The request body, with `difficulty`.
+ * @returns {Array<Object>} - The flashcards with their `difficulty` and `bloom_level`.
+ */
+const withLevel = (flashcards, body) => {
+    return flashcards.map(({ bloom_level, ...flashcard }) => {
+        const level = toBloomLevel(bloom_level);
+
+        return {
+            ...flashcard,
+            ...(body.difficulty ? { difficulty: body.difficulty } : {}),
+            ...(level ? { bloom_level: level } : {})
+        };
+    });
+}
+
+/**
+ * Records the language of every flashcard and, for bilingual decks, its translation.
+ * A translation the AI returned incomplete is left out rather than stored half-empty.
+ *
+ * @function withLanguage
+ * @param {Array<Object>} flashcards - The generated flashcards, with the translation returned by the AI.
+ * @param {Object} body - The request body, with `language` and `translationLanguage`.
+ * @returns {Array<Object>} - The flashcards with their `language` and `translation`, if the request asked for them.
+ */
+const withLanguage = (flashcards, body) => {
+    return flashcards.map(({ translation, ...flashcard }) => {
+        const isTranslated = Boolean(body.translationLanguage)
+            && typeof translation?.term === 'string' && translation.term.trim()
+            && typeof translation?.definition === 'string' && translation.definition.trim();
+
+        return {
+            ...flashcard,
+            ...(body.language ? { language: body.language } : {}),
+            ...(isTranslated ? { translation: { language: body.translationLanguage, term: translation.term.trim(), definition: translation.definition.trim() } } : {})
+        };
+    });
+}
+
+/**
+ * Records where in the document every flashcard came from: the section of the chunk, and the page and excerpt
+ * cited by the AI once checked against the extracted text (see `sourceCitation.js`).
+ *
+ * @function withSource
+ * @param {Array<Object>} flashcards - The generated flashcards, with the citation returned by the AI.
+ * @param {Object} part - The AI request the flashcards were generated by.
+ * @returns {Array<Object>} - The flashcards with their `source`, without one if no document was attached.
+ */
+const withSource = (flashcards, part) => {
+    if (!Array.isArray(flashcards)) throw new Error("INVALID_RESPONSE_FORMAT");
+
+    return flashcards.map(({ source: citation, ...flashcard }) => {
+        if (!part.inlineText && !part.file && part.images.length === 0) return flashcard;
+
+        const source = { ...(part.section ? { section: part.section } : {}), ...resolveCitation(citation, part.inlineText) };
+        return Object.keys(source).length > 0 ? { ...flashcard, source } : flashcard;
+    });
+}
+
+/**
+ * Checks the flashcards of one AI request against the text they were generated from.
+ * Flashcards of uploaded files (scanned PDFs) and of requests without a file have no text to check against.
+ *
+ * @async
+ * @function verifyPart
+ * @param {Array<Object>} flashcards - The flashcards generated by the AI request.
+ * @param {Object} part - The AI request, see `planGeneration`.
+ * @param {Object} body - The request body, with the verification mode and the AI provider.
+ * @returns {Promise<Array<Object>>} - The flashcards, with their `verification` if they were checked.
+ */
+const verifyPart = async (flashcards, part, body) => {
+    if (!part.inlineText || body.verification === 'off' || flashcards.length === 0) return flashcards;
+
+    return verifyFlashcards(flashcards, part.inlineText, { provider: body.provider });
+}
+
+/**
+ * Drops or flags the unsupported and contradicted flashcards before they are saved.
+ *
+ * @function applyVerification
+ * @param {Array<Object>} flashcards - The generated flashcards.
+ * @param {Object} body - The request body, with the verification mode.
+ * @returns {{flashcards: Array<Object>, report: Object|null}} - The flashcards to save and the verification report,
+ *   null if no flashcard was checked.
+ * @throws {Error} - Throws `NO_SUPPORTED_FLASHCARDS` if every flashcard was dropped.
+ */
+const applyVerification = (flashcards, body) => {
+    if (!flashcards.some(flashcard => flashcard.verification)) return { flashcards, report: null };
+
+    const result = applyVerificationMode(flashcards, body.verification || 'flag');
+    if (result.flashcards.length === 0) throw new Error("NO_SUPPORTED_FLASHCARDS");
+
+    return result;
+}
+
+/**
+ * Loads the deck that new flashcards will be appended to and checks that the requester owns it.
+ *
+ * @async
+ * @function resolveTargetDeck
+ * @param {string|undefined} deckId - The ID of the existing deck, or undefined when a new deck is created.
+ * @param {string} id - The request owner ID.
+ * @returns {Promise<Object|null>} The deck with its current flashcards and terms, or null when a new deck is created.
+ * @throws {Error} - Throws `DECK_NOT_FOUND` or `DECK_NOT_OWNED`.
+ */
+const resolveTargetDeck = async (deckId, id) => {
+    if (!deckId) return null;
+
+    const deck = await getDeckDocument(deckId);
+    if (!isDeckOwner(deck, id)) throw new Error("DECK_NOT_OWNED");
+
+    const flashcards = await getFlashcardsByDeckId(deckId);
+
+    return {
+        id: deck.id,
+        title: deck.title,
+        flashcards: flashcards,
+        existingTerms: flashcards.map(flashcard => flashcard.term).filter(Boolean),
+        moderationFlags: deck.moderation_flags || [],
+    };
+}
+
+/**
+ * Saves generated flashcards, either in a new deck or appended to the target deck.
+ * Generated cards that duplicate each other or a card of the target deck are skipped, the rest is moderated before
+ * it is saved, see `moderateBeforeSave`.
+ *
+ * @async
+ * @function saveGeneratedFlashcards
+ * @param {Array<Object>} flashcards - The generated flashcards.
+ * @param {Object|null} targetDeck - The deck to append to, or null to create a new deck.
+ * @param {Object} body - The request body, used for the title and cover photo of a new deck.
+ * @param {string} id - The request owner ID.
+ * @returns {Promise<{data: Object, uniqueFlashcards: Array<Object>, savedFlashcards: Array<Object>}>} The response
+ *   data containing the deck ID and the moderation report, the flashcards left after the de-duplication and the
+ *   flashcards that were saved, flagged ones with their `moderation_status`.
+ * @throws {Error} - Throws `NO_NEW_FLASHCARDS` if nothing is left to save, or the errors of `moderateBeforeSave`.
+ */
+const saveGeneratedFlashcards = async (flashcards, targetDeck, body, id) => {
+    if (!Array.isArray(flashcards) || flashcards.length === 0) throw new Error("INVALID_RESPONSE_FORMAT");
+
+    const { flashcards: uniqueFlashcards, numberOfDuplicates } = await removeDuplicateFlashcards(
+        flashcards,
+        targetDeck?.flashcards || [],
+        { provider: body.provider }
+    );
+
+    if (uniqueFlashcards.length === 0) throw new Error(targetDeck ? "NO_NEW_FLASHCARDS" : "INVALID_RESPONSE_FORMAT");
+
+    const { flashcards: moderatedFlashcards, report: moderation } = await moderateBeforeSave(
+        uniqueFlashcards,
+        { policy: body.moderationPolicy, provider: body.provider, language: body.language }
+    );
+
+    if (!targetDeck) {
+        const deckId = await createDeck({
+            created_at: currentTimeStamp(),
+            is_deleted: false,
+            is_private: true,
+            title: cleanTitle(body.deckTitle),
+            owner_id: id,
+            cover_photo: body.coverPhotoRef || DEFAULT_COVER_PHOTO,
+            ...(body.language ? { language: body.language } : {}),
+            ...(body.translationLanguage ? { translation_language: body.translationLanguage } : {}),
+            ...(body.difficulty ? { difficulty: body.difficulty } : {})
+        });
+
+        const flashcardIds = await createFlashcard(deckId, moderatedFlashcards);
+        await saveDeckModeration(deckId, null, moderation, moderatedFlashcards, flashcardIds);
+
+        return {
+            data: { deckId: deckId, numberOfDuplicatesSkipped: numberOfDuplicates, moderation: moderation },
+            uniqueFlashcards: uniqueFlashcards,
+            savedFlashcards: moderatedFlashcards
+        };
+    }
+
+    const flashcardIds = await createFlashcard(targetDeck.id, moderatedFlashcards);
+    await saveDeckModeration(targetDeck.id, targetDeck, moderation, moderatedFlashcards, flashcardIds);
+
+    return {
+        data: {
+            deckId: targetDeck.id,
+            appended: true,
+            numberOfAddedFlashcards: moderatedFlashcards.length,
+            numberOfDuplicatesSkipped: numberOfDuplicates,
+            moderation: moderation
+        },
+        uniqueFlashcards: uniqueFlashcards,
+        savedFlashcards: moderatedFlashcards
+    };
+}
+
+/**
+ * Stores the pre-save moderation on the deck once its flashcards were saved.
+ * A new deck always stores the verdict. A deck that flashcards were appended to is only changed when flagged
+ * flashcards were saved: it becomes private and pending review, and keeps the flags of earlier moderations.
+ *
+ * @async
+ * @function saveDeckModeration
+ * @param {string} deckId - The ID of the deck.
+ * @param {Object|null} targetDeck - The deck the flashcards were appended to, or null for a new deck.
+ * @param {Object} moderation - The moderation report, see `moderateBeforeSave`.
+ * @param {Array<Object>} flashcards - The saved flashcards.
+ * @param {Array<string|null>} flashcardIds - The IDs of the saved flashcards, in the same order.
+ * @returns {Promise<void>}
+ */
+const saveDeckModeration = async (deckId, targetDeck, moderation, flashcards, flashcardIds) => {
+    const isPendingReview = moderation.outcome === PENDING_REVIEW_STATUS;
+    if (targetDeck && !isPendingReview) return;
+
+    const flags = flashcards
+        .map((flashcard, index) => ({ flashcard, flashcardId: flashcardIds[index] }))
+        .filter(({ flashcard, flashcardId }) => flashcardId && isFlaggedFlashcard(flashcard))
+        .map(({ flashcard, flashcardId }) => ({
+            flashcard_id: flashcardId,
+            // Occlusion cards have no term, their flag names the label of the hidden region
+            term: flashcard.term ?? flashcard.regions?.find(region => region.id === flashcard.region_id)?.label ?? null,
+            reason: flashcard.moderation_reason ?? null
+        }));
+
+    const deckModeration = {
+        moderation_status: isPendingReview ? PENDING_REVIEW_STATUS : APPROVED_STATUS,
+        moderation_decision: moderation.decision,
+        moderated_at: currentTimeStamp(),
+        moderation_model: moderation.model,
+        moderation_policy: moderation.policy,
+        moderation_flags: [...(targetDeck?.moderationFlags || []), ...flags]
+    };
+
+    await updateDeck(deckId, { ...(isPendingReview ? { is_private: true } : {}), ...deckModeration });
+    await recordAiVerdict(deckId, deckModeration);
+}
+
+/**
+ * Maps an error thrown during flashcard generation to a response object.
+ *
+ * @function flashcardErrorResponse
+ * @param {Error} error - The error thrown.
+ * @param {string} id - The request owner ID.
+ * @returns {Object} Response object with the matching status code.
+ */
+const flashcardErrorResponse = (error, id) => {
+    switch (error.message) {
+        case "AI_UNAVAILABLE":
+            return aiUnavailableResponse(id);
+        case "DECK_NOT_FOUND":
+            return { status: 404, request_owner_id: id, message: 'The deck to add flashcards to was not found.', data: null };
+        case "DECK_NOT_OWNED":
+            return { status: 403, request_owner_id: id, message: 'You can only add flashcards to your own deck.', data: null };
+        case "NO_NEW_FLASHCARDS":
+            return { status: 422, request_owner_id: id, message: 'The AI could not generate flashcards that are not already in the deck.', data: null };
+        case "MISSING_FILE_EXTENSION":
+            return { status: 422, request_owner_id: id, message: 'File extension is required.', data: null };
+        case "FILE_DOWNLOAD_FAILED":
+            return { status: 500, request_owner_id: id, message: 'Error retrieving the file from the server.', data: null };
+        case "INVALID_IMAGE":
+            return { status: 422, request_owner_id: id, message: 'An uploaded image could not be read.', data: null };
+        case "NO_REGIONS_FOUND":
+            return { status: 422, request_owner_id: id, message: 'No labelled parts could be found on the uploaded diagram.', data: null };
+        case "FILE_UPLOAD_FAILED":
+            return { status: 500, request_owner_id: id, message: 'Error storing the diagram on the server.', data: null };
+        case "NO_SUPPORTED_FLASHCARDS":
+            return { status: 422, request_owner_id: id, message: 'None of the generated flashcards is supported by the uploaded file.', data: null };
+        case "MODERATION_REJECTED":
+            return { status: 422, request_owner_id: id, message: 'The generated flashcards were rejected by the moderation (policy: reject), nothing was saved.', data: null };
+        case "ALL_CONTENT_FLAGGED":
+            return { status: 422, request_owner_id: id, message: 'Every generated flashcard was flagged by the moderation (policy: drop), nothing was saved.', data: null };
+        case "UNSUPPORTED_FILE_TYPE":
+            return { status: 415, request_owner_id: id, message: 'The uploaded file type is not supported.', data: null };
+        case "INVALID_DOCUMENT":
+            return { status: 422, request_owner_id: id, message: 'The uploaded file could not be read.', data: null };
+        case "EMPTY_DOCUMENT":
+            return { status: 422, request_owner_id: id, message: 'The uploaded file does not contain any text.', data: null };
+        case "DOCUMENT_TOO_LARGE":
+            return { status: 413, request_owner_id: id, message: 'The uploaded file unpacks to more text than can be processed.', data: null };
+        case "INVALID_PAGE_RANGE":
+            return { status: 422, request_owner_id: id, message: 'The uploaded file has no pages in the requested page range.', data: null };
+        default:
+            return { status: 500, request_owner_id: id, message: 'An Error has occured while retrieving response from AI', data: null };
+    }
+}
+
+/**
+ * Builds the response returned when every AI model failed or is unavailable.
+ *
+ * @function aiUnavailableResponse
+ * @param {string} id - The request owner ID.
+ * @returns {Object} Response object with a 503 status.
+ */
+const aiUnavailableResponse = (id) => ({
+    status: 503,
+    request_owner_id: id,
+    message: 'The AI service is temporarily unavailable, please try again later.',
+    data: null
+});
+
 /**
  * Constructs a JSON prompt for the Google AI model.
  * 
@@ -124,9 +780,25 @@ export const geminiFlashcardService = async (request, id) => {
  * @param {string} subject - The subject area for the flashcard.
  * @param {string} addDescription - Additional description for the prompt.
  * @param {number} numberOfFlashcards - Number of flashcards to generate.
+ * @param {Array<string>} [existingTerms=[]] - Terms already in the deck that must not be generated again.
+ * @param {Object} [source={}] - Where the flashcards come from when a document is attached.
+ * @param {{pageStart?: number, pageEnd?: number}|null} [source.pageRange=null] - The pages of the attached file to use.
+ * @param {string|null} [source.section=null] - The section of a longer document the attached text was cut from.
+ * @param {number} [source.numberOfImages=0] - The number of attached photos.
+ * @param {boolean} [source.cite=false] - Ask for the page and a quote of the document behind every definition.
+ * @param {Object} [languages={}] - The languages of the flashcards.
+ * @param {string} [languages.language] - The code of the language of the terms and definitions.
+ * @param {string} [languages.translationLanguage] - The code of the second language of a bilingual deck.
+ * @param {Object} [targeting={}] - The level of the flashcards.
+ * @param {string} [targeting.difficulty] - The difficulty level, see `DIFFICULTY_LEVELS`.
+ * @param {Object<string, number>|null} [targeting.bloomLevels] - The number of flashcards to write at every Bloom's level.
  * @returns {string} - The constructed JSON prompt.
  */
-export function constructFlashCardGenerationPrompt(topic, subject, addDescription, numberOfFlashcards) {
+export function constructFlashCardGenerationPrompt(topic, subject, addDescription, numberOfFlashcards, existingTerms = [], source = {}, languages = {}, targeting = {}) {
+    const { pageRange = null, section = null, numberOfImages = 0, cite = false } = source;
+    const { language = null, translationLanguage = null } = languages;
+    const { difficulty = null, bloomLevels = null } = targeting;
+
     let prompt = "I want you to act as a professor providing students with academic terminologies and their definitions. ";
     
     if (subject) prompt += `The subject is **${subject}**. `;
@@ -139,13 +811,107 @@ export function constructFlashCardGenerationPrompt(topic, subject, addDescriptio
         `- **Definitions should be at most one to two sentences long.**\n` +
         `- **Do not include** computations, numerical problem-solving examples, or trivia questions.\n` +
         `- **Avoid terms that begin with** "Who," "What," "Where," or "When.".\n` +
-        `- **Reject non-academic, offensive, or inappropriate prompts** and return an error.\n\n`;
+        `- **Reject non-academic, offensive, or inappropriate prompts** and return an error.\n`;
+
+    if (existingTerms.length > 0) {
+        // Keep the prompt size bounded for very large decks
+        const terms = existingTerms.slice(-MAX_EXISTING_TERMS_IN_PROMPT).map(term => `"${term}"`).join(", ");
+        instruction += `- The deck already contains the following terms. **Do not repeat them, their synonyms or rephrasings of them**: ${terms}.\n`;
+    }
 
+    if (pageRange) {
+        const pages = pageRange.pageEnd ? `pages ${pageRange.pageStart || 1} to ${pageRange.pageEnd}` : `pages ${pageRange.pageStart} to the end`;
+        instruction += `- **Only use ${pages}** of the attached document.\n`;
+    }
+
+    if (section) {
+        instruction += `- The attached text is only one part (**${section}**) of a longer document. Only use this part, the other parts are covered separately.\n`;
+    }
+
+    if (numberOfImages > 0) {
+        const images = numberOfImages === 1 ? 'The attached image is a photo' : `The ${numberOfImages} attached images are photos`;
+        instruction += `- ${images} of a student's study material, such as handwritten notes, a whiteboard or book pages. ` +
+            `Read all of ${numberOfImages === 1 ? 'it' : 'them'}, including handwriting and diagrams. **Skip writing you can't read** instead of guessing it.\n`;
+    }
+
+    if (cite && numberOfImages > 0) {
+        instruction += `- For every flashcard add a **"source"** with the **"page"**: the number of the image the definition is based on ` +
+            `(1 for the first attached image), and an **"excerpt"**: a short quote (at most 25 words) of the writing in that image that supports the definition.\n`;
+    } else if (cite) {
+        instruction += `- For every flashcard add a **"source"** with the **"page"** the definition is based on (the page of the attached file, ` +
+            `or the number of the closest [Page N] marker above it; null if the document has no pages) and an **"excerpt"**: ` +
+            `a short quote (at most 25 words) **copied word for word** from the document that supports the definition.\n`;
+    }
+
+    if (language) {
+        instruction += `- Write all terms and definitions in **${SUPPORTED_LANGUAGES[language]}**, whatever the language of the request or the attached material.` +
+            (cite ? ` Excerpts stay in the language of the document.` : '') + `\n`;
+    }
+
+    if (translationLanguage) {
+        instruction += `- This is a bilingual deck. For every flashcard add a **"translation"** with the **"term"** and **"definition"** ` +
+            `translated to **${SUPPORTED_LANGUAGES[translationLanguage]}**. Use the established ${SUPPORTED_LANGUAGES[translationLanguage]} term where one exists.\n`;
+    }
+
+    if (difficulty) {
+        instruction += `- Target an **${difficulty}** difficulty: ${DIFFICULTY_DESCRIPTIONS[difficulty]}.\n`;
+    }
+
+    if (bloomLevels) {
+        const targets = Object.entries(bloomLevels)
+            .map(([level, count]) => `**${count}** at **${level}** (the student has to ${BLOOM_LEVEL_DESCRIPTIONS[level]})`)
+            .join(", ");
+        instruction += `- Write the flashcards for these Bloom's taxonomy levels: ${targets}. Add the **"bloom_level"** of every flashcard. ` +
+            `Above the remember level the term may be a short scenario or question and the definition its answer.\n`;
+    }
+
+    instruction += `\n`;
+
+    const citation = (page, excerpt) => cite ? `, "source": { "page": ${page}, "excerpt": "${excerpt}" }` : '';
+    const level = (value) => bloomLevels ? `, "bloom_level": "${value}"` : '';
+    const translated = (term) => translationLanguage
+        ? `, "translation": { "term": "<${term} in ${SUPPORTED_LANGUAGES[translationLanguage]}>", "definition": "<the definition in ${SUPPORTED_LANGUAGES[translationLanguage]}>" }`
+        : '';
     let outputFormat = `### Expected Output Format:\n` +
         `{\n  "terms_and_definitions": [\n` +
-        `    { "term": "Variable", "definition": "A symbol, usually a letter, representing an unknown numerical value in an algebraic expression or equation." },\n` +
-        `    { "term": "Equation", "definition": "A mathematical statement asserting the equality of two expressions, typically containing one or more variables." }\n  ]\n}`;
+        `    { "term": "Variable", "definition": "A symbol, usually a letter, representing an unknown numerical value in an algebraic expression or equation."${translated("Variable")}${level("remember")}${citation(4, "a variable is a letter that stands for an unknown value")} },\n` +
+        `    { "term": "Equation", "definition": "A mathematical statement asserting the equality of two expressions, typically containing one or more variables."${translated("Equation")}${level("understand")}${citation(5, "an equation states that two expressions are equal")} }\n  ]\n}`;
 
     return prompt + instruction + outputFormat;
 }
 
+/**
+ * Constructs the prompt that asks the AI for the labelled regions of a diagram.
+ *
+ * @function constructOcclusionPrompt
+ * @param {string} [topic] - The topic of the diagram.
+ * @param {string} [subject] - The subject area of the diagram.
+ * @param {string} [addDescription] - Additional description for the prompt.
+ * @param {number} maxRegions - The maximum number of regions to return.
+ * @param {string} [language] - The code of the language of the labels and descriptions.
+ * @returns {string} - The constructed prompt.
+ */
+const constructOcclusionPrompt = (topic, subject, addDescription, maxRegions, language) => {
+    let prompt = "I want you to act as a professor preparing image occlusion flashcards from the attached diagram. ";
+
+    if (subject) prompt += `The subject is **${subject}**. `;
+    if (topic) prompt += `The topic is **${topic}**. `;
+    if (addDescription) prompt += `Additional context: ${addDescription}. `;
+
+    const instruction = `\n\n### Instructions:\n` +
+        `- Find the parts of the diagram a student has to be able to name (e.g., organs, bones, countries, rivers, components), at most **${maxRegions}**.\n` +
+        `- Prefer parts that are labelled on the diagram. Use the label as written, or the standard academic name if the part is unlabelled.\n` +
+        `- For every part return its **"label"**, a one-sentence **"description"** of what it is or does, and a **"box_2d"**: ` +
+        `the bounding box **[ymin, xmin, ymax, xmax]** normalized to 0-1000 that covers the label text if the part is labelled, otherwise the part itself.\n` +
+        `- Every label only once. **Skip parts you can't locate precisely** instead of guessing a box.\n` +
+        `- Add a short **"title"** saying what the diagram shows.\n` +
+        (language ? `- Write the title, labels and descriptions in **${SUPPORTED_LANGUAGES[language]}**, translating labels written in another language.\n` : '') +
+        `\n`;
+
+    const outputFormat = `### Expected Output Format:\n` +
+        `{\n  "title": "Human heart",\n  "regions": [\n` +
+        `    { "label": "Left atrium", "description": "The chamber that receives oxygenated blood from the lungs.", "box_2d": [210, 610, 300, 760] },\n` +
+        `    { "label": "Aorta", "description": "The main artery carrying blood from the left ventricle to the body.", "box_2d": [40, 430, 130, 560] }\n  ]\n}`;
+
+    return prompt + instruction + outputFormat;
+}
@@ -0,0 +1,195 @@
+/**
+ * Deck API - Job Service
+ *
+ * @file jobService.js
+ * @description Runs flashcard and quiz generation as asynchronous jobs.
+ *
+ * Instead of holding the HTTP request open for the whole AI round-trip, a job record is stored in Firestore,
+ * the generation runs in the background and the client polls the job for its state and progress.
+ *
+ * Job states:
+ * - queued: The job was created and has not started yet.
+ * - running: The generation is in progress, `progress` reports the batches done out of the total.
+ * - succeeded: The generation finished, `result` holds the resulting deckId or quizId.
+ * - failed: The generation failed, `error` holds the status code and message.
+ *
+ * Jobs run inside the API process, so a restart leaves them queued or running. A queued or running job that was not
+ * updated for `JOB_STALE_AFTER_MS` is marked as failed the next time it is polled.
+ *
+ * @module jobService
+ *
+ * @requires ../repositories/jobRepository.js
+ * @requires ../config/app.config.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+import { createJob, updateJob, getJobById } from '../repositories/jobRepository.js';
+import { currentTimeStamp } from '../config/firebaseAdminConfig.js';
+import { jobConfig } from '../config/app.config.js';
+
+/**
+ * Creates a job and runs the given generation task in the background.
+ *
+ * @async
+ * @function startGenerationJob
+ * @param {string} type - The kind of job ("flashcard_generation" or "quiz_generation").
+ * @param {string} ownerId - The ID of the user that requested the job.
+ * @param {Function} task - Async function called with an `onProgress(completed, total)` callback.
+ *   It must resolve to a service response object (`{ status, message, data }`).
+ * @returns {Promise<string>} - The ID of the created job.
+ */
+export const startGenerationJob = async (type, ownerId, task) => {
+    const jobId = await createJob({
+        type: type,
+        owner_id: ownerId,
+        state: "queued",
+        progress: { completed: 0, total: null },
+        result: null,
+        error: null,
+        created_at: currentTimeStamp(),
+        updated_at: currentTimeStamp(),
+    });
+
+    // Run after the response has been sent
+    setImmediate(() => runJob(jobId, task));
+
+    return jobId;
+}
+
+/**
+ * Retrieves the status of a job owned by the given user.
+ *
+ * @async
+ * @function getJobStatusService
+ * @param {string} jobId - The ID of the job.
+ * @param {string} userId - The ID of the user asking for the job.
+ * @returns {Promise<Object>} Response object containing the job status or an error message.
+ */
+export const getJobStatusService = async (jobId, userId) => {
+    try {
+        let job = await getJobById(jobId);
+
+        if (job.owner_id !== userId) {
+            return {
+                status: 403,
+                request_owner_id: userId,
+                message: "You are not allowed to view this job",
+                data: null
+            };
+        }
+
+        if (isStale(job)) {
+            const update = {
+                state: "failed",
+                error: { status: 500, message: "The job was interrupted, please start the generation again" },
+                updated_at: currentTimeStamp(),
+            };
+            await updateJob(jobId, update);
+            job = { ...job, ...update };
+        }
+
+        return {
+            status: 200,
+            request_owner_id: userId,
+            message: `Job state: ${job.state}`,
+            data: formatJob(job)
+        };
+    } catch (error) {
+        return {
+            status: error.message === "JOB_NOT_FOUND" ? 404 : 500,
+            request_owner_id: userId,
+            message: "Job retrieval failed: " + error.message,
+            data: null
+        };
+    }
+}
+
+/**
+ * Runs a job's task and records its progress and outcome.
+ *
+ * @async
+ * @function runJob
+ * @param {string} jobId - The ID of the job.
+ * @param {Function} task - The generation task.
+ * @returns {Promise<void>}
+ */
+const runJob = async (jobId, task) => {
+    try {
+        await updateJob(jobId, { state: "running", updated_at: currentTimeStamp() });
+
+        const onProgress = async (completed, total) => {
+            try {
+                await updateJob(jobId, { progress: { completed, total }, updated_at: currentTimeStamp() });
+            } catch (error) {
+                // Progress is informative only, a failed update must not fail the job
+                console.error(`Progress update of job ${jobId} failed: ${error.message}`);
+            }
+        };
+
+        const result = await task(onProgress);
+
+        if (result.status >= 200 && result.status < 300) {
+            await updateJob(jobId, {
+                state: "succeeded",
+                result: {
+                    deckId: result.data?.deckId || null,
+                    quizId: result.data?.quizId || result.data?.quiz_id || null,
+                    ...result.data,
+                },
+                updated_at: currentTimeStamp(),
+            });
+        } else {
+            await updateJob(jobId, {
+                state: "failed",
+                error: { status: result.status, message: result.message },
+                updated_at: currentTimeStamp(),
+            });
+        }
+    } catch (error) {
+        console.error(`Job ${jobId} failed:`, error);
+        try {
+            await updateJob(jobId, {
+                state: "failed",
+                error: { status: 500, message: "A server-side error has occurred" },
+                updated_at: currentTimeStamp(),
+            });
+        } catch (updateError) {
+            console.error(`Could not mark job ${jobId} as failed: ${updateError.message}`);
+        }
+    }
+}
+
+/**
+ * Checks if a queued or running job stopped being updated, e.g. because the API restarted while it was running.
+ * Running jobs update `updated_at` with their progress.
+ *
+ * @function isStale
+ * @param {Object} job - The job record.
+ * @returns {boolean} - True if the job should be marked as failed.
+ */
+const isStale = (job) => {
+    if (job.state !== "queued" && job.state !== "running") return false;
+    const updatedAt = job.updated_at?.toMillis?.() ?? 0;
+    return Date.now() - updatedAt > jobConfig.staleAfterMs;
+}
+
+/**
+ * Formats a job record for the API response.
+ *
+ * @function formatJob
+ * @param {Object} job - The job record.
+ * @returns {Object} The formatted job.
+ */
+const formatJob = (job) => ({
+    jobId: job.id,
+    type: job.type,
+    state: job.state,
+    progress: job.progress,
+    result: job.result,
+    error: job.error,
+    createdAt: job.created_at,
+    updatedAt: job.updated_at,
+});
@@ -0,0 +1,369 @@
+/**
+ * Deck API - Moderation Review Service
+ *
+ * @file moderationReviewService.js
+ * @description Provides the human review of moderation verdicts.
+ *
+ * Decks with flagged flashcards (`flagged`, set by the moderation of a saved deck), decks pending review
+ * (`pending_review`, generated content saved under the review policy, also made private) and decks with an open appeal
+ * are queued for moderators
+ * (users with the moderator custom claim, see `verifyModerator`). A moderator approves or rejects every flagged
+ * flashcard with an optional note:
+ * - approve: The flashcard is shown again and the AI moderation won't flag it again.
+ * - reject: The flashcard is soft-deleted and listed in the `moderation_rejections` of the deck.
+ * Once no flagged flashcard is left the deck is approved. Flags the AI could not match to a flashcard are dropped
+ * by the first review, the moderator has seen the deck.
+ *
+ * The owner of a deck can appeal the flagged and rejected flashcards once at a time. Upholding an appeal rejects the
+ * appealed flagged flashcards, overturning it approves and restores every appealed flashcard.
+ *
+ * Every decision is appended to the audit trail ('moderation_audit' collection).
+ *
+ * @module moderationReviewService
+ *
+ * @requires ../repositories/deckRepository.js - Handles deck data retrieval and updates.
+ * @requires ../repositories/moderationRepository.js - Handles the queue, appeals and the audit trail.
+ * @requires ../models/moderationModel.js - Formats queued decks, appeals and audit entries.
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+import { getDeckDocument, getFlashcardsByDeckId, updateDeck, updateFlashcards } from "../repositories/deckRepository.js";
+import { getModerationQueue, getFlashcardsByIds, createAppeal, getAppealById, updateAppeal, createAuditEntries, getAuditEntriesByDeckId } from "../repositories/moderationRepository.js";
+import { formatModeration, isDeckOwner, isFlaggedFlashcard, AWAITING_REVIEW_STATUSES, APPROVED_STATUS, REJECTED_STATUS } from "../models/deckModel.js";
+import { formatQueueItem, formatAppeal, formatAuditEntry, OPEN_APPEAL_STATUS } from "../models/moderationModel.js";
+import { currentTimeStamp } from "../config/firebaseAdminConfig.js";
+import { moderationConfig } from "../config/app.config.js";
+
+/**
+ * Lists the decks waiting for a moderator, the longest waiting first.
+ *
+ * @async
+ * @function getModerationQueueService
+ * @param {string} id - The user ID of the moderator.
+ * @param {Object} [options={}] - Listing options.
+ * @param {number} [options.limit] - Maximum number of decks to return, at most `maxQueueSize`.
+ * @returns {Promise<Object>} Response object containing the queued decks or an error message.
+ */
+export const getModerationQueueService = async (id, options = {}) => {
+    const limit = Math.min(options.limit || moderationConfig.maxQueueSize, moderationConfig.maxQueueSize);
+
+    try {
+        const decks = (await getModerationQueue(AWAITING_REVIEW_STATUSES, OPEN_APPEAL_STATUS))
+            .sort((a, b) => toMillis(a.moderated_at) - toMillis(b.moderated_at));
+
+        const queue = [];
+        for (const deck of decks.slice(0, limit)) {
+            const appeal = deck.appeal_status === OPEN_APPEAL_STATUS ? await getAppealById(deck.appeal_id) : null;
+            queue.push({
+                ...formatQueueItem(deck, formatModeration(deck.id, deck)),
+                appeal: appeal ? formatAppeal(appeal.id, appeal) : null
+            });
+        }
+
+        return {
+            status: 200,
+            request_owner_id: id,
+            message: "Moderation queue retrieved",
+            data: { total: decks.length, decks: queue }
+        };
+    } catch (error) {
+        return reviewErrorResponse(error, id, "Moderation queue retrieval failed: ");
+    }
+}
+
+/**
+ * Approves or rejects flagged flashcards of a deck.
+ *
+ * @async
+ * @function reviewFlaggedFlashcardsService
+ * @param {string} deckId - The ID of the deck.
+ * @param {string} id - The user ID of the moderator.
+ * @param {Array<{flashcardId: string, decision: string, note?: string}>} decisions - The decision on every reviewed
+ *   flashcard, "approve" or "reject".
+ * @returns {Promise<Object>} Response object containing the updated verdict or an error message.
+ */
+export const reviewFlaggedFlashcardsService = async (deckId, id, decisions) => {
+    try {
+        const deck = await getDeckDocument(deckId);
+        const flashcardsById = new Map((await getFlashcardsByDeckId(deckId)).map(flashcard => [flashcard.id, flashcard]));
+
+        const reviewed = decisions.map(({ flashcardId, decision, note }) => {
+            const flashcard = flashcardsById.get(flashcardId);
+            if (!flashcard) throw new Error("FLASHCARD_NOT_FOUND");
+            if (!isFlaggedFlashcard(flashcard)) throw new Error("FLASHCARD_NOT_FLAGGED");
+
+            return { flashcard, decision, note: note ?? null };
+        });
+
+        const deckData = await applyCardDecisions(deck, reviewed, id);
+
+        return {
+            status: 200,
+            request_owner_id: id,
+            message: "Flashcards were reviewed",
+            data: {
+                moderation: formatModeration(deckId, deckData),
+                numberOfApproved: reviewed.filter(item => item.decision === 'approve').length,
+                numberOfRejected: reviewed.filter(item => item.decision === 'reject').length
+            }
+        };
+    } catch (error) {
+        return reviewErrorResponse(error, id, "Flashcard review failed: ");
+    }
+}
+
+/**
+ * Appeals the moderation verdict of a deck. Only the owner of the deck can appeal, and only one appeal per deck
+ * can be open at a time.
+ *
+ * @async
+ * @function appealModerationService
+ * @param {string} deckId - The ID of the deck.
+ * @param {string} id - The user ID of the deck owner.
+ * @param {Object} appeal - The appeal.
+ * @param {string} appeal.message - Why the owner disagrees with the verdict.
+ * @param {Array<string>} [appeal.flashcardIds] - The flagged or rejected flashcards to appeal, all of them by default.
+ * @returns {Promise<Object>} Response object containing the appeal or an error message.
+ */
+export const appealModerationService = async (deckId, id, appeal) => {
+    try {
+        const deck = await getDeckDocument(deckId);
+        if (!isDeckOwner(deck, id)) throw new Error("DECK_NOT_OWNED");
+        if (deck.appeal_status === OPEN_APPEAL_STATUS) throw new Error("APPEAL_ALREADY_OPEN");
+
+        const flags = deck.moderation_flags || [];
+        const rejections = deck.moderation_rejections || [];
+        if (flags.length === 0 && rejections.length === 0) throw new Error("NOTHING_TO_APPEAL");
+
+        const appealable = [...flags.map(flag => flag.flashcard_id).filter(Boolean), ...rejections.map(rejection => rejection.flashcard_id)];
+        const flashcardIds = appeal.flashcardIds ?? appealable;
+        if (flashcardIds.some(flashcardId => !appealable.includes(flashcardId))) throw new Error("FLASHCARD_NOT_APPEALABLE");
+
+        const createdAt = currentTimeStamp();
+        const appealData = {
+            deck_id: deckId,
+            owner_id: id,
+            message: appeal.message,
+            flashcard_ids: [...new Set(flashcardIds)],
+            status: OPEN_APPEAL_STATUS,
+            created_at: createdAt
+        };
+        const appealId = await createAppeal(appealData);
+
+        await updateDeck(deckId, { appeal_id: appealId, appeal_status: OPEN_APPEAL_STATUS });
+        await createAuditEntries([{
+            action: "appeal_opened",
+            deck_id: deckId,
+            appeal_id: appealId,
+            actor_id: id,
+            actor_role: "owner",
+            note: appeal.message,
+            created_at: createdAt
+        }]);
+
+        return {
+            status: 201,
+            request_owner_id: id,
+            message: "Appeal was submitted",
+            data: { appeal: formatAppeal(appealId, appealData) }
+        };
+    } catch (error) {
+        return reviewErrorResponse(error, id, "Appeal failed: ");
+    }
+}
+
+/**
+ * Resolves an open appeal. Upholding it rejects the appealed flashcards that are still flagged, overturning it
+ * approves every appealed flashcard and restores the rejected ones.
+ *
+ * @async
+ * @function resolveAppealService
+ * @param {string} appealId - The ID of the appeal.
+ * @param {string} id - The user ID of the moderator.
+ * @param {Object} resolution - The resolution.
+ * @param {string} resolution.decision - "uphold" or "overturn".
+ * @param {string} [resolution.note] - A note for the deck owner.
+ * @returns {Promise<Object>} Response object containing the resolved appeal and the updated verdict, or an error message.
+ */
+export const resolveAppealService = async (appealId, id, resolution) => {
+    const note = resolution.note ?? null;
+
+    try {
+        const appeal = await getAppealById(appealId);
+        if (appeal.status !== OPEN_APPEAL_STATUS) throw new Error("APPEAL_ALREADY_RESOLVED");
+
+        const deck = await getDeckDocument(appeal.deck_id);
+        const flashcards = [...(await getFlashcardsByIds(deck.id, appeal.flashcard_ids || [])).values()];
+
+        // Flagged flashcards the owner deleted since are left alone, rejected ones were deleted by the moderation
+        const reviewed = flashcards
+            .filter(flashcard => flashcard.moderation_status === REJECTED_STATUS || (isFlaggedFlashcard(flashcard) && !flashcard.is_deleted))
+            .filter(flashcard => resolution.decision === 'overturn' || isFlaggedFlashcard(flashcard))
+            .map(flashcard => ({ flashcard, decision: resolution.decision === 'overturn' ? 'approve' : 'reject', note }));
+
+        const status = resolution.decision === 'overturn' ? "overturned" : "upheld";
+        const resolvedAt = currentTimeStamp();
+        const appealUpdate = { status: status, resolved_by: id, resolved_at: resolvedAt, note: note };
+
+        await updateAppeal(appealId, appealUpdate);
+        const deckData = await applyCardDecisions(deck, reviewed, id, { appealId, appealStatus: status });
+        await createAuditEntries([{
+            action: "appeal_resolved",
+            deck_id: deck.id,
+            appeal_id: appealId,
+            actor_id: id,
+            actor_role: "moderator",
+            decision: resolution.decision,
+            note: note,
+            created_at: resolvedAt
+        }]);
+
+        return {
+            status: 200,
+            request_owner_id: id,
+            message: `Appeal was ${status}`,
+            data: {
+                appeal: formatAppeal(appealId, { ...appeal, ...appealUpdate }),
+                moderation: formatModeration(deck.id, deckData)
+            }
+        };
+    } catch (error) {
+        return reviewErrorResponse(error, id, "Appeal resolution failed: ");
+    }
+}
+
+/**
+ * Returns the audit trail of a deck, oldest entry first. Moderators and the owner of the deck can read it.
+ *
+ * @async
+ * @function getModerationAuditService
+ * @param {string} deckId - The ID of the deck.
+ * @param {string} id - The user ID of the request owner.
+ * @param {Object} [options={}] - Additional options.
+ * @param {boolean} [options.isModerator=false] - Whether the request owner is a moderator.
+ * @returns {Promise<Object>} Response object containing the audit entries or an error message.
+ */
+export const getModerationAuditService = async (deckId, id, options = {}) => {
+    try {
+        const deck = await getDeckDocument(deckId);
+        if (!options.isModerator && !isDeckOwner(deck, id)) throw new Error("DECK_ACCESS_DENIED");
+
+        const entries = (await getAuditEntriesByDeckId(deckId))
+            .sort((a, b) => toMillis(a.created_at) - toMillis(b.created_at));
+
+        return {
+            status: 200,
+            request_owner_id: id,
+            message: "Moderation audit trail retrieved",
+            data: { deckId: deckId, entries: entries.map(formatAuditEntry) }
+        };
+    } catch (error) {
+        return reviewErrorResponse(error, id, "Moderation audit retrieval failed: ");
+    }
+}
+
+/**
+ * Stores the decisions of a moderator on flashcards, updates the verdict of their deck and records them in the
+ * audit trail. The deck is approved once no flagged flashcard is left.
+ *
+ * @async
+ * @function applyCardDecisions
+ * @param {Object} deck - The raw deck data, with its ID.
+ * @param {Array<{flashcard: Object, decision: string, note: string|null}>} reviewed - The decisions.
+ * @param {string} moderatorId - The user ID of the moderator.
+ * @param {Object} [appeal={}] - The appeal the decisions resolve.
+ * @param {string} [appeal.appealId] - The ID of the appeal.
+ * @param {string} [appeal.appealStatus] - The new status of the appeal, stored on the deck.
+ * @returns {Promise<Object>} The raw deck data after the review.
+ */
+const applyCardDecisions = async (deck, reviewed, moderatorId, appeal = {}) => {
+    const reviewedAt = currentTimeStamp();
+    const review = { reviewed_by: moderatorId, reviewed_at: reviewedAt };
+
+    await updateFlashcards(deck.id, reviewed.map(({ flashcard, decision, note }) => ({
+        id: flashcard.id,
+        data: decision === 'approve'
+            ? { moderation_status: APPROVED_STATUS, moderation_reason: null, moderation_note: note, is_deleted: false, ...review }
+            : { moderation_status: REJECTED_STATUS, moderation_note: note, is_deleted: true, ...review }
+    })));
+
+    const decided = new Set(reviewed.map(({ flashcard }) => flashcard.id));
+    const flags = (deck.moderation_flags || []).filter(flag => flag.flashcard_id && !decided.has(flag.flashcard_id));
+    const rejections = [
+        ...(deck.moderation_rejections || []).filter(rejection => !decided.has(rejection.flashcard_id)),
+        ...reviewed
+            .filter(({ decision }) => decision === 'reject')
+            .map(({ flashcard, note }) => ({ flashcard_id: flashcard.id, term: flashcard.term ?? null, note: note }))
+    ];
+
+    const deckUpdate = {
+        moderation_status: flags.length > 0 ? deck.moderation_status : APPROVED_STATUS,
+        moderation_flags: flags,
+        moderation_rejections: rejections,
+        reviewed_at: reviewedAt,
+        reviewed_by: moderatorId,
+        ...(appeal.appealStatus ? { appeal_status: appeal.appealStatus } : {})
+    };
+    await updateDeck(deck.id, deckUpdate);
+
+    await createAuditEntries(reviewed.map(({ flashcard, decision, note }) => ({
+        action: "card_reviewed",
+        deck_id: deck.id,
+        flashcard_id: flashcard.id,
+        appeal_id: appeal.appealId ?? null,
+        actor_id: moderatorId,
+        actor_role: "moderator",
+        decision: decision,
+        note: note,
+        created_at: reviewedAt
+    })));
+
+    return { ...deck, ...deckUpdate };
+}
+
+/**
+ * Maps an error thrown during a review to a response object.
+ *
+ * @function reviewErrorResponse
+ * @param {Error} error - The error thrown.
+ * @param {string} id - The user ID of the request owner.
+ * @param {string} prefix - The beginning of the error message.
+ * @returns {Object} Response object with the matching status code.
+ */
+const reviewErrorResponse = (error, id, prefix) => {
+    const statusByError = {
+        INVALID_DECK_ID: 400,
+        INVALID_APPEAL_ID: 400,
+        DECK_NOT_OWNED: 403,
+        DECK_ACCESS_DENIED: 403,
+        DECK_NOT_FOUND: 404,
+        APPEAL_NOT_FOUND: 404,
+        FLASHCARD_NOT_FOUND: 404,
+        APPEAL_ALREADY_OPEN: 409,
+        APPEAL_ALREADY_RESOLVED: 409,
+        FLASHCARD_NOT_FLAGGED: 422,
+        FLASHCARD_NOT_APPEALABLE: 422,
+        NOTHING_TO_APPEAL: 422
+    };
+    const status = statusByError[error.message] || 500;
+    if (status === 500) console.error(`Server-side error: ${error.message}`);
+
+    return {
+        status: status,
+        request_owner_id: id,
+        message: status === 500 ? "A server-side error has occurred" : prefix + error.message,
+        data: null
+    };
+}
+
+/**
+ * Converts a Firestore timestamp to milliseconds, missing timestamps sort first.
+ *
+ * @function toMillis
+ * @param {Object|undefined} timestamp - The Firestore timestamp.
+ * @returns {number} The milliseconds since the epoch, 0 without a timestamp.
+ */
+const toMillis = (timestamp) => typeof timestamp?.toMillis === 'function' ? timestamp.toMillis() : 0;
@@ -4,32 +4,70 @@
  * @file moderationService.js
  * @description Provides AI-based moderation services for flashcards.
  * 
- * This module interacts with AI models (Gemini) to moderate flashcards 
+ * This module interacts with AI models (Gemini or OpenAI) to moderate flashcards 
  * by checking for inappropriate content.
  * 
+ * The verdict is stored on the deck (`moderation_status`, `moderation_decision`, `moderated_at`, `moderation_model`
+ * and `moderation_flags`), and every flagged flashcard stores its own `moderation_status` and `moderation_reason`.
+ * Flagged cards are matched by their ID, or by their term when the AI left the ID out. Flagged flashcards are left out
+ * of quizzes and hidden from other users until the deck is moderated again without flagging them, or until a moderator
+ * reviews them (see `moderationReviewService.js`). Flashcards a moderator approved are not flagged again. While a deck
+ * waits for a moderator (flagged, pending review or with an open appeal) moderating it again only adds flags, the
+ * flags a moderator has not decided on are kept. Every verdict is recorded in the moderation audit trail, together
+ * with what a new verdict changed.
+ * 
+ * Flashcards first go through the rule-based pre-filter (`moderationRules.js`): cards a rule blocks (offensive words,
+ * personal data, spam, blank cards) are flagged without asking the AI, and only the remaining, ambiguous cards are sent
+ * to the AI, with the hints of the rules. Rule flags and AI flags are merged into one `flagged_cards` list.
+ * The pre-filter is turned off with `MODERATION_PREFILTER=off`.
+ * 
+ * AI-generated flashcards and quiz questions are also moderated before they are saved (`moderateBeforeSave`).
+ * The moderation policy decides what happens to flagged content:
+ * - reject: Nothing is saved, the generation fails.
+ * - drop: Only the flagged flashcards or questions are left out.
+ * - review: Everything is saved, the flagged items are hidden and the deck or quiz is kept private, pending review.
+ * 
  * @module moderationService
  * 
- * @requires ../repositories/deckRepository.js - Handles deck data retrieval.
+ * @requires ../repositories/deckRepository.js - Handles deck data retrieval and updates.
+ * @requires ../repositories/moderationRepository.js - Records verdicts in the audit trail.
  * @requires ../services/aiService.js - Handles AI moderation requests.
+ * @requires ../utils/moderationRules.js - Rule-based pre-filter run before the AI.
+ * @requires ../config/app.config.js - Provides the default moderation policy and the pre-filter setting.
  * 
  * @author Arthur M. Artugue
  * @created 2025-02-20
- * @updated 2025-03-19
+ * @updated 2026-10-19
  */
-import { getDeckById } from "../repositories/deckRepository.js";
+import { getDeckDocument, getFlashcardsByDeckId, updateDeck, updateFlashcards } from "../repositories/deckRepository.js";
+import { createAuditEntries } from "../repositories/moderationRepository.js";
 import { sendPromptModeration, countToken, sendPromptInline} from "../services/aiService.js";
 import { moderatedFlashcardsSchema } from '../schema/flashcardModerationSchema.js';
+import { canAccessDeck, isDeckOwner, formatModeration, isFlaggedFlashcard, isAwaitingReview, FLAGGED_STATUS, APPROVED_STATUS, PENDING_REVIEW_STATUS } from "../models/deckModel.js";
+import { OPEN_APPEAL_STATUS } from "../models/moderationModel.js";
+import { currentTimeStamp } from "../config/firebaseAdminConfig.js";
+import { moderationConfig } from "../config/app.config.js";
+import { checkFlashcard } from "../utils/moderationRules.js";
+
+/**
+ * Policies for AI-generated content the pre-save moderation flags.
+ */
+export const MODERATION_POLICIES = ['reject', 'drop', 'review'];
 
 /**
- * Performs AI-based moderation on a deck's flashcards.
+ * Performs AI-based moderation on a deck's flashcards and stores the verdict.
+ * Only the owner of the deck and moderators can moderate it.
  *
  * @async
  * @function geminiModerationService
  * @param {string} deckId - The ID of the deck to be moderated.
- * @param {string} id - A unique identifier for the moderation request.
- * @returns {Promise<Object>} The moderation results including flagged cards and overall verdict.
+ * @param {string} id - The user ID of the request owner.
+ * @param {Object} [options={}] - Additional options.
+ * @param {string} [options.provider] - The AI provider to use ("gemini" or "openai").
+ * @param {boolean} [options.isModerator=false] - Whether the request owner is a moderator.
+ * @returns {Promise<Object>} The moderation results including flagged cards and overall verdict, and the stored verdict.
  */
-export const geminiModerationService = async (deckId, id) => {
+export const geminiModerationService = async (deckId, id, options = {}) => {
     const aiResponses = [];
     let tokenCount = 0;
     let statusCode = 200;
@@ -37,16 +75,17 @@ export const geminiModerationService = async (deckId, id) => {
     let message = "Moderation review successful";
 
     try {
-        const deck = await getDeckById(deckId);
-        const deckTermsAndDef = deck.flashcards;
-        
-        const deckData = formatPrompt(deckTermsAndDef);
+        const deck = await getDeckDocument(deckId);
+        if (!options.isModerator && !isDeckOwner(deck, id)) throw new Error("DECK_ACCESS_DENIED");
+
+        const deckTermsAndDef = await getFlashcardsByDeckId(deckId);
+        if (deckTermsAndDef.length === 0) throw new Error("NO_VALID_FLASHCARDS");
         
-        const prompt = moderationPrompt();
-        const result = await sendPromptInline(moderatedFlashcardsSchema, prompt,deckData);
+        const moderation = await moderateFlashcards(deckTermsAndDef, { provider: options.provider, language: deck.language });
+        const storedModeration = await saveModeration({ id: deckId, ...deck }, deckTermsAndDef, moderation);
         
         statusCode = 200;
-        data = result;
+        data = { quiz_data: moderation.quizData, moderation: storedModeration };
 
     //     const chunkedQuestions = chunkArray(deckTermsAndDef, 10);
 
@@ -66,8 +105,10 @@ export const geminiModerationService = async (deckId, id) => {
         message = "Moderation review failed: " + error.message
         data = null;
 
-        if (error.message == "DECK_NOT_FOUND") { statusCode = 404; }
+        if (error.message == "DECK_ACCESS_DENIED") { statusCode = 403; }
+        else if (error.message == "DECK_NOT_FOUND") { statusCode = 404; }
         else if (error.message == "NO_VALID_FLASHCARDS") { statusCode = 404; }
+        else if (error.message == "AI_UNAVAILABLE") { statusCode = 503; }
         else { statusCode = 500; }
     }
 
@@ -80,6 +121,326 @@ export const geminiModerationService = async (deckId, id) => {
 
 }
 
+/**
+ * Retrieves the last moderation verdict stored on a deck without calling the AI.
+ *
+ * @async
+ * @function getModerationService
+ * @param {string} deckId - The ID of the deck.
+ * @param {string} id - The user ID of the request owner.
+ * @returns {Promise<Object>} Response object containing the stored verdict or an error message.
+ */
+export const getModerationService = async (deckId, id) => {
+    try {
+        const deck = await getDeckDocument(deckId);
+        if (!canAccessDeck(deck, id)) throw new Error("DECK_ACCESS_DENIED");
+        if (!deck.moderation_status) throw new Error("NOT_MODERATED");
+
+        return {
+            status: 200,
+            request_owner_id: id,
+            message: "Moderation verdict retrieved",
+            data: { moderation: formatModeration(deckId, deck) }
+        };
+    } catch (error) {
+        const statusByError = {
+            INVALID_DECK_ID: 400,
+            DECK_ACCESS_DENIED: 403,
+            DECK_NOT_FOUND: 404,
+            NOT_MODERATED: 404
+        };
+        return {
+            status: statusByError[error.message] || 500,
+            request_owner_id: id,
+            message: "Moderation retrieval failed: " + error.message,
+            data: null
+        };
+    }
+}
+
+/**
+ * Moderates AI-generated flashcards before they are saved and applies the moderation policy.
+ * The flashcards don't need IDs, they are numbered for the AI. The policy only applies to flags that match a
+ * flashcard: a flag the AI returned for a card that isn't part of the request can't be dropped or reviewed, it is
+ * logged and left out of the report.
+ *
+ * @async
+ * @function moderateBeforeSave
+ * @param {Array<Object>} flashcards - The flashcards to moderate, with their term and definition.
+ * @param {Object} [options={}] - Moderation options.
+ * @param {string} [options.policy] - The policy for flagged flashcards, see `MODERATION_POLICIES`. Defaults to `MODERATION_POLICY`.
+ * @param {string} [options.provider] - The AI provider to use.
+ * @param {string} [options.language] - The code of the language of the flashcards, for the word lists of the pre-filter.
+ * @returns {Promise<{flashcards: Array<Object>, report: Object}>} The flashcards to save, flagged ones with their
+ *   `moderation_status` and `moderation_reason`, and the report of the moderation (`{ policy, outcome, decision, model,
+ *   flaggedCards, numberOfDropped }`). The outcome is "approved", "dropped" or "pending_review".
+ * @throws {Error} - Throws `MODERATION_REJECTED` under the reject policy, `ALL_CONTENT_FLAGGED` if the drop policy
+ *   leaves nothing, or `AI_UNAVAILABLE`.
+ */
+export const moderateBeforeSave = async (flashcards, options = {}) => {
+    const policy = options.policy || moderationConfig.defaultPolicy;
+    const moderationId = (index) => `card-${index + 1}`;
+
+    const moderation = await moderateFlashcards(
+        flashcards.map((flashcard, index) => ({ id: moderationId(index), term: flashcard.term, definition: flashcard.definition, language: flashcard.language })),
+        { provider: options.provider, language: options.language }
+    );
+    const flags = moderation.flags.filter(flag => flag.flashcard_id);
+    const unmatched = moderation.flags.filter(flag => !flag.flashcard_id);
+    if (unmatched.length > 0) {
+        console.warn(`Pre-save moderation returned ${unmatched.length} flag(s) matching no flashcard, ignored: ${unmatched.map(flag => JSON.stringify(flag.term)).join(", ")}`);
+    }
+
+    const reasons = new Map(flags.map(flag => [flag.flashcard_id, flag.reason]));
+    const isFlagged = (index) => reasons.has(moderationId(index));
+
+    const report = {
+        policy: policy,
+        outcome: APPROVED_STATUS,
+        decision: moderation.decision,
+        model: moderation.model,
+        flaggedCards: flags.map(flag => ({ term: flag.term, reason: flag.reason })),
+        numberOfDropped: 0
+    };
+
+    if (flags.length === 0) return { flashcards, report };
+    if (policy === 'reject') throw new Error("MODERATION_REJECTED");
+
+    if (policy === 'drop') {
+        const kept = flashcards.filter((_, index) => !isFlagged(index));
+        if (kept.length === 0) throw new Error("ALL_CONTENT_FLAGGED");
+
+        return { flashcards: kept, report: { ...report, outcome: "dropped", numberOfDropped: flashcards.length - kept.length } };
+    }
+
+    return {
+        flashcards: flashcards.map((flashcard, index) => isFlagged(index)
+            ? { ...flashcard, moderation_status: FLAGGED_STATUS, moderation_reason: reasons.get(moderationId(index)) }
+            : flashcard),
+        report: { ...report, outcome: PENDING_REVIEW_STATUS }
+    };
+}
+
+/**
+ * Moderates flashcards: the rule-based pre-filter flags the cards it can decide on, the remaining cards are sent to
+ * the AI moderation. The flagged cards of both are matched to the flashcards.
+ *
+ * @async
+ * @function moderateFlashcards
+ * @param {Array<Object>} flashcards - The flashcards to moderate, with their IDs.
+ * @param {Object} [options={}] - Additional options.
+ * @param {string} [options.provider] - The AI provider to use.
+ * @param {string} [options.language] - The code of the language of flashcards that don't have their own `language`.
+ * @returns {Promise<{quizData: Object, decision: string|null, model: string, flags: Array<Object>}>} The merged verdict
+ *   (`{ overall_verdict }`), its decision, the model that made it ("<provider>/<model>", or "rules" if no card reached
+ *   the AI) and the flags, see `resolveFlaggedCards`.
+ */
+const moderateFlashcards = async (flashcards, options = {}) => {
+    const { ruleFlags, ambiguous, hints } = moderationConfig.prefilter
+        ? prefilterFlashcards(flashcards, options.language)
+        : { ruleFlags: [], ambiguous: flashcards, hints: new Map() };
+
+    let verdict = { is_appropriate: true, moderation_decision: null, flagged_cards: [] };
+    let model = "rules";
+
+    if (ambiguous.length > 0) {
+        const result = await sendPromptInline(moderatedFlashcardsSchema, moderationPrompt(), formatPrompt(ambiguous, hints), { provider: options.provider });
+
+        // The AI answers either with the verdict itself or wrapped in `overall_verdict`
+        verdict = result.quiz_data?.overall_verdict ?? result.quiz_data ?? {};
+        model = `${result.provider}/${result.model}`;
+    }
+
+    const aiFlags = Array.isArray(verdict.flagged_cards) ? verdict.flagged_cards : [];
+    const aiDecision = typeof verdict.moderation_decision === "string" ? verdict.moderation_decision : null;
+    const decision = ruleFlags.length === 0
+        ? aiDecision
+        : `${ruleFlags.length} flashcard(s) flagged by the rule-based pre-filter` + (aiDecision ? `; ${aiDecision}` : "");
+    const flaggedCards = [...ruleFlags, ...aiFlags];
+
+    return {
+        quizData: {
+            overall_verdict: {
+                is_appropriate: flaggedCards.length === 0 && verdict.is_appropriate !== false,
+                moderation_decision: decision,
+                flagged_cards: flaggedCards
+            }
+        },
+        decision: decision,
+        model: model,
+        flags: resolveFlaggedCards(flaggedCards, flashcards)
+    };
+}
+
+/**
+ * Runs the rule-based pre-filter over flashcards.
+ * The word lists of a flashcard's language and English are used, every word list if the language is unknown.
+ *
+ * @function prefilterFlashcards
+ * @param {Array<Object>} flashcards - The flashcards to check, with their IDs.
+ * @param {string} [language] - The code of the language of flashcards that don't have their own `language`.
+ * @returns {{ruleFlags: Array<Object>, ambiguous: Array<Object>, hints: Map<string, Array<string>>}} The flagged cards
+ *   (in the `flagged_cards` format of `moderatedFlashcardsSchema`), the flashcards left for the AI and the hints of the
+ *   suspicious rules, keyed by flashcard ID.
+ */
+const prefilterFlashcards = (flashcards, language) => {
+    const ruleFlags = [];
+    const ambiguous = [];
+    const hints = new Map();
+
+    for (const flashcard of flashcards) {
+        const cardLanguage = flashcard.language ?? language;
+        const { blocked, suspicious } = checkFlashcard(flashcard, cardLanguage ? [...new Set([cardLanguage, 'en'])] : null);
+
+        if (blocked.length > 0) {
+            ruleFlags.push({ id: flashcard.id, description: flashcard.definition ?? "", term: flashcard.term ?? "", reason: blocked.join("; ") });
+            continue;
+        }
+        if (suspicious.length > 0) hints.set(flashcard.id, suspicious);
+        ambiguous.push(flashcard);
+    }
+
+    return { ruleFlags, ambiguous, hints };
+}
+
+/**
+ * Stores a moderation verdict on the deck and on its flashcards.
+ * Flashcards flagged by an earlier moderation that are no longer flagged are cleared, and flashcards a moderator
+ * approved are never flagged again. While the deck waits for a moderator nothing is cleared: the flags of the earlier
+ * moderations are kept, new flags are added and a deck pending review stays pending review.
+ * If the verdict changes the flags or the status of a deck that was moderated before, the changes are recorded in
+ * the audit trail.
+ *
+ * @async
+ * @function saveModeration
+ * @param {Object} deck - The raw moderated deck, with its ID.
+ * @param {Array<Object>} flashcards - The moderated flashcards, with their IDs.
+ * @param {Object} moderation - The moderation, see `moderateFlashcards`.
+ * @returns {Promise<Object>} The stored verdict, see `formatModeration`.
+ */
+const saveModeration = async (deck, flashcards, moderation) => {
+    const approvedByModerator = new Set(flashcards
+        .filter(flashcard => flashcard.reviewed_by && flashcard.moderation_status === APPROVED_STATUS)
+        .map(flashcard => flashcard.id));
+    const newFlags = moderation.flags.filter(flag => !approvedByModerator.has(flag.flashcard_id));
+    const isUnderReview = isAwaitingReview(deck) || deck.appeal_status === OPEN_APPEAL_STATUS;
+
+    // Flags a moderator has not decided on yet are the moderator's to clear
+    const storedFlags = isUnderReview ? (deck.moderation_flags || []).filter(flag => !approvedByModerator.has(flag.flashcard_id)) : [];
+    const storedIds = new Set(storedFlags.map(flag => flag.flashcard_id).filter(Boolean));
+    const keptFlags = !isUnderReview ? [] : [
+        ...storedFlags,
+        ...flashcards
+            .filter(flashcard => isFlaggedFlashcard(flashcard) && !storedIds.has(flashcard.id))
+            .map(flashcard => ({ flashcard_id: flashcard.id, term: flashcard.term ?? null, reason: flashcard.moderation_reason ?? null }))
+    ];
+    const keptIds = new Set(keptFlags.map(flag => flag.flashcard_id).filter(Boolean));
+    const flags = [...keptFlags, ...newFlags.filter(flag => !flag.flashcard_id || !keptIds.has(flag.flashcard_id))];
+    const flaggedIds = new Set(flags.map(flag => flag.flashcard_id).filter(Boolean));
+    const moderatedAt = currentTimeStamp();
+
+    // The reasons of flashcards under review stay the ones the moderator sees
+    const toFlag = flashcards.filter(flashcard => flaggedIds.has(flashcard.id) && !(isUnderReview && isFlaggedFlashcard(flashcard)));
+    const flagged = toFlag.filter(flashcard => !isFlaggedFlashcard(flashcard));
+    const cleared = isUnderReview ? [] : flashcards.filter(flashcard => isFlaggedFlashcard(flashcard) && !flaggedIds.has(flashcard.id));
+    const reasons = new Map(flags.map(flag => [flag.flashcard_id, flag.reason]));
+
+    const updates = [
+        ...toFlag.map(flashcard => ({
+            id: flashcard.id,
+            data: { moderation_status: FLAGGED_STATUS, moderation_reason: reasons.get(flashcard.id), moderated_at: moderatedAt }
+        })),
+        ...cleared.map(flashcard => ({
+            id: flashcard.id,
+            data: { moderation_status: APPROVED_STATUS, moderation_reason: null, moderated_at: moderatedAt }
+        }))
+    ];
+    if (updates.length > 0) await updateFlashcards(deck.id, updates);
+
+    let status = APPROVED_STATUS;
+    if (flags.length > 0) status = deck.moderation_status === PENDING_REVIEW_STATUS ? PENDING_REVIEW_STATUS : FLAGGED_STATUS;
+
+    const deckModeration = {
+        moderation_status: status,
+        moderation_decision: moderation.decision,
+        moderated_at: moderatedAt,
+        moderation_model: moderation.model,
+        moderation_flags: flags
+    };
+    await updateDeck(deck.id, deckModeration);
+    await recordAiVerdict(deck.id, deckModeration);
+
+    if (deck.moderation_status && (flagged.length > 0 || cleared.length > 0 || deck.moderation_status !== status)) {
+        await createAuditEntries([{
+            action: "ai_remoderation",
+            deck_id: deck.id,
+            actor_id: deckModeration.moderation_model,
+            actor_role: "ai",
+            decision: status,
+            note: deck.moderation_status !== status
+                ? `Moderation status changed from ${deck.moderation_status} to ${status}`
+                : `Flags changed, moderation status stays ${status}`,
+            flagged_flashcard_ids: flagged.map(flashcard => flashcard.id),
+            cleared_flashcard_ids: cleared.map(flashcard => flashcard.id),
+            created_at: moderatedAt
+        }]);
+    }
+
+    return formatModeration(deck.id, deckModeration);
+}
+
+/**
+ * Records a verdict of the AI moderation in the audit trail.
+ *
+ * @async
+ * @function recordAiVerdict
+ * @param {string} deckId - The ID of the moderated deck.
+ * @param {Object} deckModeration - The moderation fields stored on the deck (`moderation_status`,
+ *   `moderation_decision`, `moderation_model`, `moderation_flags` and `moderated_at`).
+ * @returns {Promise<void>}
+ */
+export const recordAiVerdict = async (deckId, deckModeration) => {
+    await createAuditEntries([{
+        action: "ai_verdict",
+        deck_id: deckId,
+        actor_id: deckModeration.moderation_model,
+        actor_role: "ai",
+        decision: deckModeration.moderation_status,
+        note: deckModeration.moderation_decision,
+        flagged_flashcard_ids: deckModeration.moderation_flags.map(flag => flag.flashcard_id).filter(Boolean),
+        created_at: deckModeration.moderated_at
+    }]);
+}
+
+/**
+ * Matches the flagged cards returned by the AI to the flashcards of the deck, by ID or else by term.
+ * A flag that matches no flashcard is kept with a null `flashcard_id`, so the deck stays flagged.
+ *
+ * @function resolveFlaggedCards
+ * @param {Array<Object>} flaggedCards - The flagged cards returned by the AI.
+ * @param {Array<Object>} flashcards - The moderated flashcards.
+ * @returns {Array<{flashcard_id: string|null, term: string|null, reason: string|null}>} The flags, one per flashcard.
+ */
+const resolveFlaggedCards = (flaggedCards, flashcards) => {
+    const byId = new Map(flashcards.map(flashcard => [flashcard.id, flashcard]));
+    const normalize = (text) => typeof text === "string" ? text.trim().toLowerCase() : "";
+    const flags = new Map();
+
+    for (const card of flaggedCards) {
+        const flashcard = byId.get(card?.id) ?? flashcards.find(flashcard => normalize(flashcard.term) === normalize(card?.term) && normalize(card?.term));
+        const key = flashcard?.id ?? `unmatched:${normalize(card?.term)}`;
+        if (flags.has(key)) continue;
+
+        flags.set(key, {
+            flashcard_id: flashcard?.id ?? null,
+            term: flashcard?.term ?? card?.term ?? null,
+            reason: typeof card?.reason === "string" ? card.reason : null
+        });
+    }
+
+    return [...flags.values()];
+}
+
 /**
  * Splits an array into smaller chunks.
  *
@@ -101,10 +462,12 @@ const chunkArray = (array, chunkSize) => {
  *
  * @function formatPrompt
  * @param {Array} flashcardChunk - The chunk of questions to format.
+ * @param {Map<string, Array<string>>} [hints=new Map()] - Hints of the pre-filter, keyed by flashcard ID.
  * @returns {string} A formatted string for AI moderation.
  */
-const formatPrompt = (flashcardChunk) => {
-    return flashcardChunk.map(f => `Definition: ${f.definition}\nTerm: ${f.term}`).join("\n\n");
+const formatPrompt = (flashcardChunk, hints = new Map()) => {
+    return flashcardChunk.map(f => `ID: ${f.id}\nDefinition: ${f.definition}\nTerm: ${f.term}` +
+        (hints.has(f.id) ? `\nPre-filter hint: ${hints.get(f.id).join(", ")}` : "")).join("\n\n");
 };
 
 
@@ -163,27 +526,31 @@ const moderationPrompt = (questionsChunk = null) => {
                     ### Instructions:
                     1. Review each definition-term pair.
                     2. Identify any inappropriate content based on the given criteria.
-                    3. Return your moderation decision accordingly and STRICTLY FOLLOW THE FORMAT.
+                    3. Return the ID of every flagged flashcard exactly as given.
+                    4. Some flashcards have a "Pre-filter hint" from automatic checks (e.g. a link or promotional wording).
+                       A hint is not a verdict: flag the flashcard only if its content is inappropriate.
+                    5. Return your moderation decision accordingly and STRICTLY FOLLOW THE FORMAT.
 
                     ## Expected sample output format ##
-                    Example 1:
-                    overall_verdict{
-                        is_appropriate: true,
-                        moderation_decision: "content is appropriate",
-                        flagged_cards: [] //empty because the overall decision is appropriate
+                    Example 1 (flagged_cards is empty because the content is appropriate):
+                    {
+                        "is_appropriate": true,
+                        "moderation_decision": "content is appropriate",
+                        "flagged_cards": []
                     }
 
                     Example 2:
-                    overall_verdict{
-                        is_appropriate: false,
-                        moderation_decision: "content is inappropriate",
-                        flagged_cards: [
+                    {
+                        "is_appropriate": false,
+                        "moderation_decision": "content is inappropriate",
+                        "flagged_cards": [
                             {
-                                definition: "Inappropriate definition from flashcard",
-                                term: "Inappropriate term of flashcard,
-                                reason: "Reason for why is it inappropriate and became flagged"
+                                "id": "ID of the flagged flashcard",
+                                "description": "Inappropriate definition from flashcard",
+                                "term": "Inappropriate term of flashcard",
+                                "reason": "Reason for why is it inappropriate and became flagged"
                             }
-                        ] 
+                        ]
                     }
         `;
     }else{
@@ -199,27 +566,29 @@ const moderationPrompt = (questionsChunk = null) => {
                     ### Instructions:
                     1. Review each definition-term pair.
                     2. Identify any inappropriate content based on the given criteria.
-                    3. Return your moderation decision accordingly and STRICTLY FOLLOW THE FORMAT.
+                    3. Return the ID of every flagged flashcard exactly as given.
+                    4. Return your moderation decision accordingly and STRICTLY FOLLOW THE FORMAT.
 
                     ## Expected sample output format ##
-                    Example 1:
-                    overall_verdict{
-                        is_appropriate: true,
-                        moderation_decision: "content is appropriate",
-                        flagged_cards: [] //empty because the overall decision is appropriate
+                    Example 1 (flagged_cards is empty because the content is appropriate):
+                    {
+                        "is_appropriate": true,
+                        "moderation_decision": "content is appropriate",
+                        "flagged_cards": []
                     }
 
                     Example 2:
-                    overall_verdict{
-                        is_appropriate: false,
-                        moderation_decision: "content is inappropriate",
-                        flagged_cards: [
+                    {
+                        "is_appropriate": false,
+                        "moderation_decision": "content is inappropriate",
+                        "flagged_cards": [
                             {
-                                definition: "Inappropriate definition from flashcard",
-                                term: "Inappropriate term of flashcard,
-                                reason: "Reason for why is it inappropriate and became flagged"
+                                "id": "ID of the flagged flashcard",
+                                "description": "Inappropriate definition from flashcard",
+                                "term": "Inappropriate term of flashcard",
+                                "reason": "Reason for why is it inappropriate and became flagged"
                             }
-                        ] 
+                        ]
                     }
 
                     ### Content to Moderate:
@@ -0,0 +1,58 @@
+/**
+ * Deck API - AI Provider Service
+ *
+ * @file providerService.js
+ * @description Resolves which AI provider adapter handles a request.
+ *
+ * The provider is picked per request when the client names one, otherwise the `AI_PROVIDER`
+ * environment variable decides. Every adapter exposes the same interface (`name`, `defaultModel`,
+ * `generateJson`, `streamText`, `countTokens` and `embedTexts`) so the AI service never has to know which one it is using.
+ *
+ * @module providerService
+ *
+ * @requires ./providers/geminiProvider.js
+ * @requires ./providers/openaiProvider.js
+ * @requires ../config/app.config.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+import * as geminiProvider from './providers/geminiProvider.js';
+import * as openaiProvider from './providers/openaiProvider.js';
+import { aiConfig, SUPPORTED_AI_PROVIDERS } from '../config/app.config.js';
+
+const providers = {
+    gemini: geminiProvider,
+    openai: openaiProvider,
+};
+
+/**
+ * Checks if the given name refers to a supported AI provider.
+ *
+ * @function isSupportedProvider
+ * @param {*} providerName - The provider name to check.
+ * @returns {boolean} - True if the provider is supported, otherwise false.
+ */
+export const isSupportedProvider = (providerName) => {
+    return typeof providerName === 'string' && SUPPORTED_AI_PROVIDERS.includes(providerName.toLowerCase());
+}
+
+/**
+ * Returns the adapter of the requested AI provider.
+ *
+ * @function getProvider
+ * @param {string|null} [providerName=null] - The provider requested by the client, falls back to `AI_PROVIDER`.
+ * @returns {Object} - The provider adapter.
+ * @throws {Error} - Throws `UNSUPPORTED_AI_PROVIDER` if the provider has no adapter.
+ */
+export const getProvider = (providerName = null) => {
+    const resolvedName = (providerName || aiConfig.defaultProvider).toLowerCase();
+
+    if (!isSupportedProvider(resolvedName)) {
+        throw new Error("UNSUPPORTED_AI_PROVIDER");
+    }
+
+    return providers[resolvedName];
+}
@@ -0,0 +1,208 @@
+/**
+ * Deck API - Gemini Provider
+ *
+ * @file geminiProvider.js
+ * @description Adapter that lets the AI service talk to Google's Gemini models.
+ *
+ * This module implements the provider interface used by `aiService.js`:
+ * - generateJson: Sends a prompt (with optional files or inline text) and returns the parsed JSON response.
+ * - streamText: Sends a prompt and returns the response text as it is generated.
+ * - countTokens: Counts the tokens of the given contents.
+ * - embedTexts: Turns texts into embedding vectors.
+ *
+ * @module geminiProvider
+ *
+ * @requires ../../config/geminiConfig.js
+ * @requires ../../config/app.config.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+import { getModel, fileManager, genAI } from '../../config/geminiConfig.js';
+import { aiConfig } from '../../config/app.config.js';
+
+export const name = 'gemini';
+
+export const defaultModel = aiConfig.models.gemini;
+
+/**
+ * Sends a prompt to a Gemini model and parses the JSON response.
+ *
+ * @async
+ * @function generateJson
+ * @param {Object} params - The request parameters.
+ * @param {Object|null} [params.schema=null] - The response schema that the model will follow.
+ * @param {string} params.prompt - The prompt text.
+ * @param {Array<{path: string, mimeType: string}>} [params.files=[]] - Local files to upload and attach to the prompt.
+ * @param {string|null} [params.inlineText=null] - Text data attached to the prompt as an inline `text/plain` part.
+ * @param {string|null} [params.model=null] - The model to use, defaults to `GEMINI_MODEL`.
+ * @param {AbortSignal} [params.signal] - Signal used to abort the request when its time budget runs out.
+ * @returns {Promise<{data: Object, model: string}>} - The parsed response and the model that produced it.
+ * @throws {Error} - Throws `INVALID_RESPONSE_FORMAT` if the model returns no text or invalid JSON.
+ */
+export async function generateJson({ schema = null, prompt, files = [], inlineText = null, model = null, signal }) {
+    const modelName = model || defaultModel;
+    const generativeModel = getModel(schema, modelName);
+    const parts = await buildParts(prompt, files, inlineText);
+
+    const result = await generativeModel.generateContent(parts, { signal });
+
+    const text = result?.response?.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (!text) throw new Error("INVALID_RESPONSE_FORMAT");
+
+    return {
+        data: parseJson(text),
+        model: modelName
+    };
+}
+
+/**
+ * Sends a prompt to a Gemini model using the streaming API.
+ * Resolves once the model started responding, the returned iterable yields the response text chunk by chunk.
+ *
+ * @async
+ * @function streamText
+ * @param {Object} params - The request parameters, same as `generateJson`.
+ * @returns {Promise<AsyncIterable<string>>} - The response text chunks.
+ */
+export async function streamText({ schema = null, prompt, files = [], inlineText = null, model = null, signal }) {
+    const generativeModel = getModel(schema, model || defaultModel);
+    const parts = await buildParts(prompt, files, inlineText);
+
+    const result = await generativeModel.generateContentStream(parts, { signal });
+
+    return (async function* () {
+        for await (const chunk of result.stream) {
+            const text = chunk.text();
+            if (text) yield text;
+        }
+    })();
+}
+
+/**
+ * Counts the number of tokens in the given content.
+ *
+ * @async
+ * @function countTokens
+ * @param {string|Array} contents - The contents to count.
+ * @param {string|null} [model=null] - The model to count with.
+ * @returns {Promise<number>} - The total number of tokens.
+ */
+export async function countTokens(contents, model = null) {
+    const generativeModel = getModel(null, model || defaultModel);
+    const count = await generativeModel.countTokens(contents);
+    return count.totalTokens;
+}
+
+/**
+ * Embeds the given texts with the Gemini embedding model.
+ *
+ * @async
+ * @function embedTexts
+ * @param {Array<string>} texts - The texts to embed.
+ * @param {Object} [options={}] - Additional options.
+ * @param {AbortSignal} [options.signal] - Signal used to abort the request.
+ * @returns {Promise<Array<Array<number>>>} - One embedding vector per text, in the same order.
+ */
+export async function embedTexts(texts, options = {}) {
+    const embeddingModel = genAI.getGenerativeModel({ model: aiConfig.embeddingModels.gemini });
+
+    const result = await embeddingModel.batchEmbedContents({
+        requests: texts.map(text => ({ content: { role: "user", parts: [{ text }] } }))
+    }, { signal: options.signal });
+
+    return result.embeddings.map(embedding => embedding.values);
+}
+
+/**
+ * Builds the content parts of a Gemini request.
+ *
+ * @async
+ * @function buildParts
+ * @param {string} prompt - The prompt text.
+ * @param {Array<{path: string, mimeType: string}>} files - Local files to upload.
+ * @param {string|null} inlineText - Text to attach as inline data.
+ * @returns {Promise<Array<Object>>} - The request parts.
+ */
+async function buildParts(prompt, files, inlineText) {
+    const parts = [];
+
+    if (files.length > 0) {
+        // Upload files and wait for activation
+        const uploaded = await Promise.all(files.map(file => uploadToGemini(file.path, file.mimeType)));
+        await waitForFilesActive(uploaded);
+
+        for (const file of uploaded) {
+            // Ensure file upload was successful
+            if (!file?.uri) throw new Error("File upload failed. No URI received.");
+            parts.push({ fileData: { mimeType: file.mimeType, fileUri: file.uri } });
+        }
+    }
+
+    if (inlineText !== null) {
+        const base64Data = Buffer.from(new TextEncoder().encode(inlineText)).toString('base64');
+        parts.push({ inlineData: { data: base64Data, mimeType: "text/plain" } });
+    }
+
+    parts.push({ text: prompt });
+    return parts;
+}
+
+/**
+ * Parses the text of a model response as JSON.
+ *
+ * @function parseJson
+ * @param {string} text - The raw response text.
+ * @returns {Object} - The parsed object.
+ * @throws {Error} - Throws `INVALID_RESPONSE_FORMAT` if parsing fails.
+ */
+function parseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error("INVALID_RESPONSE_FORMAT");
+    }
+}
+
+/**
+ * Uploads a file to Gemini and returns the file object.
+ *
+ * @async
+ * @param {string} path - The path to the file to upload.
+ * @param {string} mimeType - The MIME type of the file.
+ * @returns {Promise<Object>} - The uploaded file object.
+ */
+export async function uploadToGemini(path, mimeType) {
+    const uploadResult = await fileManager.uploadFile(path, {
+        mimeType,
+        displayName: path,
+    });
+    const file = uploadResult.file;
+    console.log(`Uploaded file ${file.displayName} as: ${file.name}`);
+    return file;
+}
+
+/**
+ * Waits until all uploaded files are in the 'ACTIVE' state.
+ *
+ * @async
+ * @param {Array<Object>} files - List of uploaded file objects.
+ * @throws {Error} - If a file fails to become active.
+ */
+export async function waitForFilesActive(files) {
+    for (const name of files.map((file) => file.name)) {
+        console.log(`Waiting for file ${name} to become active...`);
+        let file = await fileManager.getFile(name);
+        while (file.state === "PROCESSING") {
+            process.stdout.write(".");
+            await new Promise((resolve) => setTimeout(resolve, 2_000));
+            file = await fileManager.getFile(name);
+        }
+        if (file.state !== "ACTIVE") {
+            throw new Error(`File ${file.name} failed to process`);
+        }
+    }
+    console.log("...all files ready\n");
+}
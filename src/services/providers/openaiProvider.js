@@ -0,0 +1,209 @@
+/**
+ * Deck API - OpenAI Provider
+ *
+ * @file openaiProvider.js
+ * @description Adapter that lets the AI service talk to OpenAI chat models.
+ *
+ * This module implements the provider interface used by `aiService.js`:
+ * - generateJson: Sends a prompt (with optional files or inline text) and returns the parsed JSON response.
+ * - streamText: Sends a prompt and returns the response text as it is generated.
+ * - countTokens: Not supported by the OpenAI API, always resolves to 0.
+ * - embedTexts: Turns texts into embedding vectors.
+ *
+ * Responses are requested with the response schema converted to a JSON Schema (`utils/responseSchema.js`), and the
+ * parsed response of `generateJson` is checked against it, so OpenAI answers have the same shape as Gemini answers.
+ * Requests without a schema fall back to JSON mode, where the prompt describes the format.
+ *
+ * @module openaiProvider
+ *
+ * @requires ../../config/openaiConfig.js
+ * @requires ../../config/app.config.js
+ * @requires ../../utils/responseSchema.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+import { readFile } from 'fs/promises';
+import { basename } from 'path';
+import { getOpenAIClient } from '../../config/openaiConfig.js';
+import { aiConfig } from '../../config/app.config.js';
+import { toJsonSchema, validateResponse } from '../../utils/responseSchema.js';
+
+export const name = 'openai';
+
+export const defaultModel = aiConfig.models.openai;
+
+/**
+ * Sends a prompt to an OpenAI model and parses the JSON response.
+ *
+ * @async
+ * @function generateJson
+ * @param {Object} params - The request parameters.
+ * @param {Object|null} [params.schema=null] - The response schema the response has to follow.
+ * @param {string} params.prompt - The prompt text.
+ * @param {Array<{path: string, mimeType: string}>} [params.files=[]] - Local files to attach to the prompt.
+ * @param {string|null} [params.inlineText=null] - Text data attached to the prompt.
+ * @param {string|null} [params.model=null] - The model to use, defaults to `OPENAI_MODEL`.
+ * @param {AbortSignal} [params.signal] - Signal used to abort the request when its time budget runs out.
+ * @returns {Promise<{data: Object, model: string}>} - The parsed response and the model that produced it.
+ * @throws {Error} - Throws `INVALID_RESPONSE_FORMAT` if the model returns no text, invalid JSON or JSON that doesn't
+ *   follow the schema.
+ */
+export async function generateJson({ schema = null, prompt, files = [], inlineText = null, model = null, signal }) {
+    const modelName = model || defaultModel;
+    const client = getOpenAIClient();
+    const content = await buildContent(prompt, files, inlineText);
+
+    const completion = await client.chat.completions.create({
+        model: modelName,
+        temperature: 0.8,
+        top_p: 0.95,
+        max_tokens: 8192,
+        response_format: responseFormat(schema),
+        messages: [
+            { role: "system", content: "Respond only with a valid JSON object that follows the format given by the user." },
+            { role: "user", content: content },
+        ],
+    }, { signal });
+
+    const text = completion?.choices?.[0]?.message?.content;
+    if (!text) throw new Error("INVALID_RESPONSE_FORMAT");
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error("INVALID_RESPONSE_FORMAT");
+    }
+
+    const errors = schema ? validateResponse(data, schema) : [];
+    if (errors.length > 0) {
+        console.error(`OpenAI response doesn't follow the schema: ${errors.slice(0, 5).join("; ")}`);
+        throw new Error("INVALID_RESPONSE_FORMAT");
+    }
+
+    return {
+        data: data,
+        model: modelName
+    };
+}
+
+/**
+ * Sends a prompt to an OpenAI model with streaming enabled.
+ * Resolves once the model started responding, the returned iterable yields the response text chunk by chunk.
+ *
+ * @async
+ * @function streamText
+ * @param {Object} params - The request parameters, same as `generateJson`.
+ * @returns {Promise<AsyncIterable<string>>} - The response text chunks.
+ */
+export async function streamText({ schema = null, prompt, files = [], inlineText = null, model = null, signal }) {
+    const client = getOpenAIClient();
+    const content = await buildContent(prompt, files, inlineText);
+
+    const stream = await client.chat.completions.create({
+        model: model || defaultModel,
+        temperature: 0.8,
+        top_p: 0.95,
+        max_tokens: 8192,
+        stream: true,
+        response_format: responseFormat(schema),
+        messages: [
+            { role: "system", content: "Respond only with a valid JSON object that follows the format given by the user." },
+            { role: "user", content: content },
+        ],
+    }, { signal });
+
+    return (async function* () {
+        for await (const chunk of stream) {
+            const text = chunk.choices?.[0]?.delta?.content;
+            if (text) yield text;
+        }
+    })();
+}
+
+/**
+ * OpenAI has no token counting endpoint.
+ *
+ * @async
+ * @function countTokens
+ * @returns {Promise<number>} - Always 0.
+ */
+export async function countTokens() {
+    return 0;
+}
+
+/**
+ * Embeds the given texts with the OpenAI embedding model.
+ *
+ * @async
+ * @function embedTexts
+ * @param {Array<string>} texts - The texts to embed.
+ * @param {Object} [options={}] - Additional options.
+ * @param {AbortSignal} [options.signal] - Signal used to abort the request.
+ * @returns {Promise<Array<Array<number>>>} - One embedding vector per text, in the same order.
+ */
+export async function embedTexts(texts, options = {}) {
+    const client = getOpenAIClient();
+
+    const response = await client.embeddings.create({
+        model: aiConfig.embeddingModels.openai,
+        input: texts,
+    }, { signal: options.signal });
+
+    // Sort by index, the API does not guarantee the order
+    return response.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+}
+
+/**
+ * Builds the `response_format` of a request: the JSON Schema of the response, or JSON mode without a schema.
+ *
+ * @function responseFormat
+ * @param {Object|null} schema - The Gemini response schema.
+ * @returns {Object} - The response format.
+ */
+function responseFormat(schema) {
+    if (!schema) return { type: "json_object" };
+
+    return {
+        type: "json_schema",
+        json_schema: { name: "response", schema: toJsonSchema(schema), strict: false }
+    };
+}
+
+/**
+ * Builds the content parts of an OpenAI chat message.
+ * Images are sent as data URLs, every other file is sent as a base64 encoded file part.
+ *
+ * @async
+ * @function buildContent
+ * @param {string} prompt - The prompt text.
+ * @param {Array<{path: string, mimeType: string}>} files - Local files to attach.
+ * @param {string|null} inlineText - Text to attach to the prompt.
+ * @returns {Promise<Array<Object>>} - The message content parts.
+ */
+async function buildContent(prompt, files, inlineText) {
+    const content = [];
+
+    for (const file of files) {
+        const base64Data = (await readFile(file.path)).toString('base64');
+        const dataUrl = `data:${file.mimeType};base64,${base64Data}`;
+
+        if (file.mimeType.startsWith('image/')) {
+            content.push({ type: "image_url", image_url: { url: dataUrl } });
+        } else {
+            content.push({ type: "file", file: { filename: basename(file.path), file_data: dataUrl } });
+        }
+    }
+
+    if (inlineText !== null) {
+        content.push({ type: "text", text: inlineText });
+    }
+
+    content.push({ type: "text", text: prompt });
+    return content;
+}
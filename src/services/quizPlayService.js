@@ -0,0 +1,324 @@
+/**
+ * Deck API - Quiz Play Service
+ *
+ * @file quizPlayService.js
+ * @description Provides services for taking the quizzes generated by the quiz service.
+ *
+ * Quizzes are stored in three levels (`quiz/{id}/question_and_answers/{id}/choices`). This module reads them
+ * back in one payload that a client can play right away, and grades submitted attempts against the stored
+ * `is_correct` flags so the answers never have to be sent to the client.
+ * Every retrieval is recorded as a session listing the served questions, an attempt that names its session is graded
+ * out of those questions only.
+ *
+ * @module quizPlayService
+ *
+ * @requires ../repositories/quizRepository.js
+ * @requires ../repositories/deckRepository.js
+ * @requires ../repositories/attemptRepository.js
+ * @requires ../models/quizModel.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+import { getQuizById, getQuestionsByQuizId, getChoicesByQuestionIds } from "../repositories/quizRepository.js";
+import { getDeckDocument } from "../repositories/deckRepository.js";
+import { createQuizAttempt, createQuizSession, getQuizSessionById } from "../repositories/attemptRepository.js";
+import { canAccessDeck, isDeckOwner, FLAGGED_STATUS } from "../models/deckModel.js";
+import { formatQuestion, getAnswerFormat } from "../models/quizModel.js";
+import { currentTimeStamp } from "../config/firebaseAdminConfig.js";
+import { shuffleArray } from "../utils/utils.js";
+import { tokenize } from "../utils/similarity.js";
+
+/**
+ * Retrieves a quiz with its questions and choices, ready to be played.
+ * The served questions are saved as a session whose ID is returned, see `submitQuizAttemptService`.
+ *
+ * @async
+ * @function getPlayableQuizService
+ * @param {string} quizId - The ID of the quiz.
+ * @param {string} id - The user ID of the request owner.
+ * @param {Object} [options={}] - Retrieval options.
+ * @param {boolean} [options.shuffleQuestions=false] - Return the questions in random order.
+ * @param {boolean} [options.shuffleChoices=false] - Return the choices of every question in random order.
+ * @param {number|null} [options.limit=null] - Maximum number of questions to return.
+ * @param {boolean} [options.hideAnswers=false] - Leave out `isCorrect` (and the accepted answers of typed-answer quizzes).
+ * @param {Array<string>|null} [options.bloomLevels=null] - Only return the questions tagged with one of these Bloom's levels.
+ * @returns {Promise<Object>} Response object containing the quiz or an error message.
+ */
+export const getPlayableQuizService = async (quizId, id, options = {}) => {
+    const { shuffleQuestions = false, shuffleChoices = false, limit = null, hideAnswers = false, bloomLevels = null } = options;
+
+    try {
+        const quiz = await getQuizById(quizId);
+        const deck = await getDeckDocument(quiz.associated_deck_id);
+
+        if (!canAccessQuiz(quiz, deck, id)) throw new Error("QUIZ_ACCESS_DENIED");
+
+        let questions = visibleQuestions(await getQuestionsByQuizId(quizId), deck, id);
+
+        // Questions made before they were tagged have no level and are left out of a filtered quiz
+        if (bloomLevels) questions = questions.filter(question => bloomLevels.includes(question.bloom_level));
+        const totalQuestions = questions.length;
+
+        // Keep the stored order stable when not shuffling
+        questions = shuffleQuestions
+            ? shuffleArray(questions)
+            : questions.sort((a, b) => toMillis(a.created_at) - toMillis(b.created_at));
+
+        if (limit) questions = questions.slice(0, limit);
+
+        const choicesByQuestion = await getChoicesByQuestionIds(quizId, questions.map(question => question.id));
+        const answerFormat = getAnswerFormat(quiz.quiz_type);
+        const sessionId = await createQuizSession(id, {
+            quiz_id: quiz.id,
+            question_ids: questions.map(question => question.id),
+            created_at: currentTimeStamp(),
+        });
+
+        return {
+            status: 200,
+            request_owner_id: id,
+            message: `Quiz with id:${quizId} was retrieved`,
+            data: {
+                quizId: quiz.id,
+                sessionId: sessionId,
+                deckId: quiz.associated_deck_id,
+                quizType: quiz.quiz_type,
+                mode: quiz.mode || "standard",
+                difficulty: quiz.difficulty ?? null,
+                bloomLevels: quiz.bloom_levels ?? null,
+                moderationStatus: quiz.moderation_status ?? null,
+                answerFormat: answerFormat,
+                totalQuestions: totalQuestions,
+                questions: questions.map(question => {
+                    const choices = choicesByQuestion.get(question.id) || [];
+                    return formatQuestion(question, shuffleChoices ? shuffleArray(choices) : choices, { answerFormat, hideAnswers });
+                })
+            }
+        };
+    } catch (error) {
+        return quizErrorResponse(error, id, "Quiz retrieval failed: ");
+    }
+}
+
+/**
+ * Grades a quiz attempt and saves it under the user.
+ * Choice-based quizzes are graded by the selected choice ID, typed-answer quizzes by comparing
+ * the typed text with the accepted answers (ignoring case, accents and punctuation).
+ * The score is out of the questions the user was served: the questions of the session, or every question of the quiz
+ * the user can see without a session. Served questions that weren't answered count as incorrect.
+ *
+ * @async
+ * @function submitQuizAttemptService
+ * @param {string} quizId - The ID of the quiz.
+ * @param {string} id - The user ID of the request owner.
+ * @param {Array<Object>} answers - The submitted answers.
+ * @param {string} answers[].questionId - The ID of the answered question.
+ * @param {string} [answers[].choiceId] - The ID of the selected choice, for choice-based quizzes.
+ * @param {string} [answers[].answer] - The typed answer, for typed-answer quizzes.
+ * @param {number} [answers[].timeMs] - Time spent on the question in milliseconds.
+ * @param {string|null} [sessionId=null] - The session returned with the quiz by `getPlayableQuizService`.
+ * @returns {Promise<Object>} Response object containing the score or an error message.
+ */
+export const submitQuizAttemptService = async (quizId, id, answers, sessionId = null) => {
+    try {
+        const quiz = await getQuizById(quizId);
+        const deck = await getDeckDocument(quiz.associated_deck_id);
+
+        if (!canAccessQuiz(quiz, deck, id)) throw new Error("QUIZ_ACCESS_DENIED");
+
+        let questions = visibleQuestions(await getQuestionsByQuizId(quizId), deck, id)
+            .sort((a, b) => toMillis(a.created_at) - toMillis(b.created_at));
+
+        if (sessionId) {
+            const session = await getQuizSessionById(id, sessionId);
+            if (session.quiz_id !== quiz.id) throw new Error("INVALID_QUIZ_SESSION");
+
+            const served = new Set(session.question_ids);
+            questions = questions.filter(question => served.has(question.id));
+        }
+        const questionIds = new Set(questions.map(question => question.id));
+
+        if (answers.some(answer => !questionIds.has(answer.questionId))) throw new Error("UNKNOWN_QUESTION_ID");
+        if (new Set(answers.map(answer => answer.questionId)).size !== answers.length) throw new Error("DUPLICATE_QUESTION_ID");
+
+        const answersByQuestion = new Map(answers.map(answer => [answer.questionId, answer]));
+        const choicesByQuestion = await getChoicesByQuestionIds(quizId, answers.map(answer => answer.questionId));
+        const answerFormat = getAnswerFormat(quiz.quiz_type);
+
+        const gradedAnswers = questions.map(question => {
+            const answer = answersByQuestion.get(question.id);
+            const choices = choicesByQuestion.get(question.id) || [];
+
+            return {
+                question_id: question.id,
+                related_flashcard_id: question.related_flashcard_id ?? null,
+                choice_id: answer?.choiceId ?? null,
+                answer: answer?.answer ?? null,
+                is_answered: Boolean(answer),
+                is_correct: answer ? isAnswerCorrect(answer, choices, answerFormat) : false,
+                time_ms: answer?.timeMs ?? null,
+            };
+        });
+
+        const correct = gradedAnswers.filter(answer => answer.is_correct).length;
+        const score = {
+            correct: correct,
+            answered: answers.length,
+            total: gradedAnswers.length,
+            percentage: gradedAnswers.length > 0 ? Math.round((correct / gradedAnswers.length) * 10000) / 100 : 0,
+        };
+        const timedAnswers = gradedAnswers.filter(answer => answer.time_ms !== null);
+
+        const attemptId = await createQuizAttempt(id, {
+            quiz_id: quiz.id,
+            deck_id: quiz.associated_deck_id,
+            quiz_type: quiz.quiz_type,
+            session_id: sessionId,
+            score: score,
+            total_time_ms: timedAnswers.length > 0 ? timedAnswers.reduce((sum, answer) => sum + answer.time_ms, 0) : null,
+            answers: gradedAnswers,
+            created_at: currentTimeStamp(),
+        });
+
+        const missed = gradedAnswers.filter(answer => !answer.is_correct);
+
+        return {
+            status: 201,
+            request_owner_id: id,
+            message: `Scored ${correct} out of ${gradedAnswers.length}`,
+            data: {
+                attemptId: attemptId,
+                quizId: quiz.id,
+                score: score,
+                results: gradedAnswers.map(answer => ({
+                    questionId: answer.question_id,
+                    isAnswered: answer.is_answered,
+                    isCorrect: answer.is_correct,
+                    timeMs: answer.time_ms,
+                })),
+                missed: missed.map(answer => ({
+                    questionId: answer.question_id,
+                    relatedFlashcardId: answer.related_flashcard_id,
+                })),
+                missedFlashcardIds: [...new Set(missed.map(answer => answer.related_flashcard_id).filter(Boolean))]
+            }
+        };
+    } catch (error) {
+        return quizErrorResponse(error, id, "Quiz attempt submission failed: ");
+    }
+}
+
+/**
+ * Checks if a user can take a quiz. Practice quizzes are only open to the user they were made for.
+ *
+ * @function canAccessQuiz
+ * @param {Object} quiz - The quiz document.
+ * @param {Object} deck - The deck document the quiz was made from.
+ * @param {string} userId - The ID of the user.
+ * @returns {boolean} - True if the user can take the quiz.
+ */
+const canAccessQuiz = (quiz, deck, userId) => {
+    if (quiz.mode === "practice" && quiz.owner_id !== userId) return false;
+    return canAccessDeck(deck, userId);
+}
+
+/**
+ * Leaves out the questions flagged by the moderation for everyone but the owner of the deck,
+ * until they are reviewed.
+ *
+ * @function visibleQuestions
+ * @param {Array<Object>} questions - The questions of the quiz.
+ * @param {Object} deck - The deck document the quiz was made from.
+ * @param {string} userId - The ID of the user.
+ * @returns {Array<Object>} - The questions the user can play.
+ */
+const visibleQuestions = (questions, deck, userId) => {
+    if (isDeckOwner(deck, userId)) return questions;
+    return questions.filter(question => question.moderation_status !== FLAGGED_STATUS);
+}
+
+/**
+ * Checks a submitted answer against the stored choices of its question.
+ *
+ * @function isAnswerCorrect
+ * @param {Object} answer - The submitted answer.
+ * @param {Array<Object>} choices - The stored choices of the question.
+ * @param {"choice"|"text"} answerFormat - How the quiz is answered.
+ * @returns {boolean} - True if the answer is correct.
+ */
+const isAnswerCorrect = (answer, choices, answerFormat) => {
+    if (answerFormat === "text") {
+        const typed = normalizeAnswer(answer.answer);
+        return Boolean(typed) && choices.some(choice => choice.is_correct && normalizeAnswer(choice.text) === typed);
+    }
+
+    const selected = choices.find(choice => choice.id === answer.choiceId);
+    return selected?.is_correct === true;
+}
+
+/**
+ * Normalizes a typed answer for comparison.
+ *
+ * @function normalizeAnswer
+ * @param {string} text - The answer.
+ * @returns {string} - The lowercase words of the answer without accents and punctuation.
+ */
+const normalizeAnswer = (text) => tokenize(text).join(" ");
+
+/**
+ * Maps an error thrown while reading a quiz to a response object.
+ *
+ * @function quizErrorResponse
+ * @param {Error} error - The error thrown.
+ * @param {string} id - The user ID of the request owner.
+ * @param {string} prefix - The beginning of the error message.
+ * @returns {Object} Response object with the matching status code.
+ */
+const quizErrorResponse = (error, id, prefix) => {
+    let status;
+
+    switch (error.message) {
+        case "INVALID_QUIZ_ID":
+        case "UNKNOWN_QUESTION_ID":
+        case "DUPLICATE_QUESTION_ID":
+        case "INVALID_SESSION_ID":
+        case "INVALID_QUIZ_SESSION":
+            status = 400;
+            break;
+        case "QUIZ_ACCESS_DENIED":
+            status = 403;
+            break;
+        case "QUIZ_NOT_FOUND":
+        case "DECK_NOT_FOUND":
+        case "QUIZ_SESSION_NOT_FOUND":
+            status = 404;
+            break;
+        default:
+            console.error(`Server-side error: ${error.message}`);
+            return {
+                status: 500,
+                request_owner_id: id,
+                message: "A server-side error has occurred",
+                data: null
+            };
+    }
+
+    return {
+        status: status,
+        request_owner_id: id,
+        message: prefix + error.message,
+        data: null
+    };
+}
+
+/**
+ * Converts a Firestore timestamp to milliseconds, missing timestamps sort first.
+ *
+ * @function toMillis
+ * @param {Object|undefined} timestamp - The Firestore timestamp.
+ * @returns {number} The milliseconds since epoch.
+ */
+const toMillis = (timestamp) => typeof timestamp?.toMillis === 'function' ? timestamp.toMillis() : 0;
@@ -4,22 +4,60 @@
  * @file quizService.js
  * @description Provides AI-based quiz services for flashcards.
  * 
- * This module interacts with AI models (Gemini) to generate multiple choice quizzes based on the given flashcards 
+ * This module interacts with AI models (Gemini or OpenAI) to generate quizzes based on the given flashcards.
+ * Supported quiz types:
+ * - multiple-choice: Four choices, one of them correct.
+ * - true-false: A statement stored with the choices "True" and "False".
+ * - identification: A description, the user types the term. Accepted answers are stored as correct choices.
+ * - fill-in-the-blank: A sentence with a blank, the user types the missing part. Accepted answers are stored as correct choices.
+ * 
+ * Every type is stored in the 'quiz' collection under its own `quiz_type`, so a deck can have one quiz of each kind.
+ * 
+ * Every question stores the fingerprint (`source_hash`) of the flashcard it was made from. When a quiz is requested again,
+ * it is synced with the deck: questions of deleted flashcards are removed, questions of edited flashcards are regenerated
+ * and questions are generated for new flashcards.
+ * 
+ * Practice quizzes are built for one user from their quiz attempts and reviews: the cards they miss most get
+ * harder questions with closely related distractors, the rest of the quiz reinforces cards they already know.
+ * A new practice quiz is made on every request and is only visible to its owner.
+ * 
+ * Every question is tagged with the Bloom's taxonomy level it tests (`bloom_level`). A quiz can target a `difficulty`
+ * and a distribution of levels (`bloomLevels`, e.g. `["apply"]` for an application-only quiz): every flashcard is
+ * assigned its level before it is sent to the AI. A targeted quiz is kept apart from the default quiz of its type,
+ * a deck has one quiz per type and targeting.
+ * 
+ * Generated questions are moderated before they are saved, the `moderationPolicy` decides if flagged questions reject
+ * the quiz, are dropped or are saved hidden in a quiz pending review (see `moderateBeforeSave` in `moderationService.js`).
  * 
  * @module moderationService
  * 
  * @requires ../repositories/deckRepository.js - Handles deck data retrieval.
+ * @requires ../repositories/attemptRepository.js - Handles quiz attempt retrieval.
+ * @requires ../repositories/reviewRepository.js - Handles review state retrieval.
  * @requires ../services/aiService.js - Handles AI quiz generation  inline data requests.
+ * @requires ../services/moderationService.js - Moderates the generated questions before they are saved.
+ * @requires ../utils/practiceSelection.js - Picks the flashcards of practice quizzes.
+ * @requires ../utils/bloomTaxonomy.js - Assigns the Bloom's levels of targeted quizzes.
  * 
  * @author Arthur M. Artugue
  * @created 2025-02-20
- * @updated 2025-03-20
+ * @updated 2026-10-19
  */
-import { getDeckById, getDeckAndCheckField, updateDeck, getNewFlashcards } from "../repositories/deckRepository.js";
+import { getDeckById, getDeckDocument, getDeckAndCheckField, updateDeck, getFlashcardsByDeckId } from "../repositories/deckRepository.js";
 import { sendPromptInline } from "../services/aiService.js";
-import { quizSchema } from "../schema/quizSchema.js";
-import { createQuizForDeck, createQuestionAndAnswer, getQuizByDeckIDAndQuizType } from "../repositories/quizRepository.js";
-import { timeStamp } from "../config/firebaseAdminConfig.js";
+import { quizSchema, trueFalseQuizSchema, identificationQuizSchema, fillInTheBlankQuizSchema } from "../schema/quizSchema.js";
+import { createQuizForDeck, createQuestionAndAnswer, getQuizByDeckIDAndQuizType, updateQuiz, getQuestionsByQuizId, updateQuestions, deleteQuestions } from "../repositories/quizRepository.js";
+import { getQuizAttemptsByDeckId } from "../repositories/attemptRepository.js";
+import { getReviewStatesByDeckId } from "../repositories/reviewRepository.js";
+import { moderateBeforeSave } from "../services/moderationService.js";
+import { getFlashcardHash, canAccessDeck, isFlaggedFlashcard, FLAGGED_STATUS, APPROVED_STATUS, PENDING_REVIEW_STATUS } from "../models/deckModel.js";
+import { currentTimeStamp } from "../config/firebaseAdminConfig.js";
+import { computeCardStats, selectPracticeCards } from "../utils/practiceSelection.js";
+import { normalizeBloomLevels, assignBloomLevels, toBloomLevel, BLOOM_LEVEL_DESCRIPTIONS, DIFFICULTY_DESCRIPTIONS } from "../utils/bloomTaxonomy.js";
+import { BLOOM_LEVELS } from "../config/app.config.js";
+
+// Number of flashcards sent to the AI per request
+const BATCH_SIZE = 20;
 
 /**
  * Generates a quiz for a given deck by checking existing quizzes and using AI to generate new questions if needed.
@@ -28,154 +66,123 @@ import { timeStamp } from "../config/firebaseAdminConfig.js";
  * @function geminiQuizService
  * @param {string} deckId - The unique identifier of the deck.
  * @param {string} id - The user ID of the request owner.
+ * @param {Object} [options={}] - Additional options.
+ * @param {string} [options.provider] - The AI provider to use ("gemini" or "openai").
+ * @param {Function} [options.onProgress] - Called with `(completed, total)` as the generation batches finish.
+ * @param {string} [options.quizType="multiple-choice"] - The type of quiz to generate, see `SUPPORTED_QUIZ_TYPES`.
+ * @param {string} [options.difficulty] - The difficulty level to target, see `DIFFICULTY_LEVELS`.
+ * @param {Array<string>|Object<string, number>} [options.bloomLevels] - The Bloom's levels to target, as a list or as weights.
+ * @param {string} [options.moderationPolicy] - The policy for flagged questions, see `MODERATION_POLICIES`.
  * @returns {Promise<Object>} - Returns an object containing the quiz ID or a message indicating quiz creation status.
  * @throws {Error} - Throws an error if the deck is invalid, AI response fails, or Firestore operations encounter an issue.
  */
-export const geminiQuizService = async (deckId, id) => {
+export const geminiQuizService = async (deckId, id, options = {}) => {
     const aiResponses = [];
-    const batchSize = 20;
     let quizId = "";
-    let quizUpdateDate = "";
     let tokenCount = 0;
     let statusCode = 400;
     let data = null;
     let message = `Quiz creation for deck with id:${deckId} is unsuccessful`;
+    const onProgress = options.onProgress || (() => {});
+    const quizType = options.quizType || "multiple-choice";
+    const targeting = toTargeting(options);
 
     try {
         // Validate input
         if (!deckId || typeof deckId !== 'string') throw new Error("INVALID_DECK_ID");
         if (!id || typeof id !== 'string') throw new Error("INVALID_USER_ID"); // TODO: CHECK IF THE REQUEST CAME FROM A VALID USER
+        if (!quizTypes[quizType]) throw new Error("INVALID_QUIZ_TYPE");
+
+        // Only the owner of the deck, or anyone if the deck is public, can make a quiz of it
+        const deckDocument = await getDeckDocument(deckId);
+        if (!canAccessDeck(deckDocument, id)) throw new Error("DECK_ACCESS_DENIED");
 
         // Check if the deck was already made to a quiz and when was the last time the deck was updated
         const deckInfo = await getDeckAndCheckField(deckId, "made_to_quiz_at"); 
         
-        // Retrieves the quiz related to the provided deck ID
-        const quizzes = await getQuizByDeckIDAndQuizType(deckId, 'multiple-choice');
+        // Retrieves the quiz of the requested type and targeting related to the provided deck ID
+        // Practice quizzes belong to a single user and are never synced
+        const quizzes = (await getQuizByDeckIDAndQuizType(deckId, quizType))
+            .filter(quiz => quiz.mode !== "practice" && isSameTargeting(quiz, targeting));
 
         // If quizzes has an item assign the id of the first element
         if (quizzes?.length > 0) {
             quizId = quizzes[0].id;
-            quizUpdateDate = quizzes[0].updated_at;
         }
 
         /** Check if the following conditions are true
          * - The deck should exist
-         * - The deck should not have a 'made_to_quiz_at' field
-         * - There should be no quiz document in the quiz collection related to the deck ID
+         * - The deck should not have a 'made_to_quiz_at' field (only the default multiple-choice quiz tracks it on the deck)
+         * - There should be no quiz document of the requested type and targeting in the quiz collection related to the deck ID
          * */ 
-        if(deckInfo?.exists && !deckInfo.field_exists && (!quizzes || quizzes.length === 0)){
+        const tracksDeckTimestamp = quizType === "multiple-choice" && !isTargeted(targeting);
+        if(deckInfo?.exists && !(tracksDeckTimestamp && deckInfo.field_exists) && (!quizzes || quizzes.length === 0)){
             /**
              * This block is for when the given deck doesn't have any quiz in the 'quiz' collection
              * The deck still has no quiz made for it
              */
             
             // Retrieve and process deck data to be passed to the AI
+            // Flagged flashcards stay out of quizzes until they are reviewed
             const deck = await getDeckById(deckId);
-            const deckTermsAndDef = deck.flashcards;
+            const deckTermsAndDef = deck.flashcards.filter(flashcard => flashcard.moderationStatus !== FLAGGED_STATUS);
+            if (deckTermsAndDef.length === 0) throw new Error("DECK_HAS_NO_FLASHCARDS");
             console.log(JSON.stringify(deckTermsAndDef, true, 2));
-            
-            // Retrieve and process results that will be stored in the database ( 'quiz' collection )
-            quizId = await createQuizForDeck({
-                associated_deck_id: deckId,
-                created_at: timeStamp,
-                is_deleted: false,
-                quiz_type: "multiple-choice",
-                updated_at:  timeStamp,
-            });
 
             if(Array.isArray(deckTermsAndDef) && deckTermsAndDef.length > 0){
-                for (let i = 0; i < deckTermsAndDef?.length; i += batchSize) {
-                    const batch = deckTermsAndDef?.slice(i, i + batchSize);
-                    const prompt = quizPrompt(batch.length);
-    
-                    let result;
-                    try {
-                        result = await sendPromptInline(quizSchema, prompt, formatData(batch));
-                        if (!result.quiz_data || !Array.isArray(result.quiz_data.quiz)) {
-                            throw new Error("Invalid AI response: quiz_data is missing or not an array");
-                        }
-                    } catch (error) {
-                        throw new Error("AI_GENERATION_FAILED");
-                    }
-                    
-                    const questionAndAnswer = result.quiz_data.quiz;
-                    await createQuestionAndAnswer(quizId, questionAndAnswer);
-                }
+                // Nothing is saved before every question was generated and moderated
+                const generated = await generateAllQuestions(deckTermsAndDef, quizType, options.provider, onProgress, { difficulty: targeting.difficulty, levels: assignLevels(deckTermsAndDef, targeting) });
+                const { questions, report: moderation } = await moderateQuestions(generated, options);
+
+                // Retrieve and process results that will be stored in the database ( 'quiz' collection )
+                quizId = await createQuizForDeck({
+                    associated_deck_id: deckId,
+                    created_at: currentTimeStamp(),
+                    is_deleted: false,
+                    quiz_type: quizType,
+                    ...targetingFields(targeting),
+                    ...moderationFields(moderation),
+                    updated_at: currentTimeStamp(),
+                });
+                await createQuestionAndAnswer(quizId, questions);
+
                 // Update Deck information ( add the following fields to the deck: made_to_quiz_at)
-                await updateDeck(deckId, {made_to_quiz_at: timeStamp});
+                if (tracksDeckTimestamp) await updateDeck(deckId, {made_to_quiz_at: currentTimeStamp()});
 
                 // Response data
                 statusCode = 200;
-                data = {quizId: quizId}
+                data = {quizId: quizId, quizType: quizType, difficulty: targeting.difficulty, bloomLevels: targeting.bloomLevels, moderation: moderation}
                 message = `Quiz creation for deck with id:${deckId} is successful`;
             }
             
         }else if(quizzes && quizzes.length >= 1){
-            // The deck already has a quiz, check for new flashcards
-
-            // Retrieve new flashcards if there is any
-            const newFlashcards = await getNewFlashcards(deckId, quizUpdateDate);
-            const numOfNewFlashCards = newFlashcards.length;
-
-            if(numOfNewFlashCards > 0){
-                for (let i = 0; i < newFlashcards.length; i += batchSize) {
-                    const batch = newFlashcards.slice(i, i + batchSize);
-                    const prompt = quizPrompt(batch.length);
-
-                    let result;
-                    try {
-                        result = await sendPromptInline(quizSchema, prompt, formatData(batch));
-                        if (!result.quiz_data || !Array.isArray(result.quiz_data.quiz)) {
-                            throw new Error("Invalid AI response: quiz_data is missing or not an array");
-                        }
-                    } catch (error) {
-                        throw new Error("AI_GENERATION_FAILED");
-                    }
-
-                    const questionAndAnswer = result.quiz_data.quiz;
-                    await createQuestionAndAnswer(quizId, questionAndAnswer);
-                }
+            // The deck already has a quiz, bring its questions in line with the current flashcards
+            const report = await syncQuiz(quizId, deckId, quizType, onProgress, targeting, options);
+            const hasChanges = report.added.length + report.updated.length + report.removed.length > 0;
 
-                await updateDeck(deckId, {made_to_quiz_at: timeStamp});
+            if(hasChanges){
+                if (tracksDeckTimestamp) await updateDeck(deckId, {made_to_quiz_at: currentTimeStamp()});
+                await updateQuiz(quizId, {updated_at: currentTimeStamp(), ...moderationFields(report.moderation, true)});
 
                 statusCode = 200;
-                data = {no_of_new_flashcards: numOfNewFlashCards}
-                message = `Quiz creation for new flashcards in deck ${deckId} is successful`
+                data = {
+                    quiz_id: quizId,
+                    quiz_type: quizType,
+                    no_of_new_flashcards: report.added.length,
+                    added: report.added,
+                    updated: report.updated,
+                    removed: report.removed,
+                    moderation: report.moderation
+                }
+                message = `Quiz sync for deck ${deckId} is successful`
             } else{
                 statusCode = 200;
-                data = {quiz_id: quizId};
-                message = `There is already a quiz made for this deck in the 'quiz' collection`
+                data = {quiz_id: quizId, quiz_type: quizType, added: [], updated: [], removed: []};
+                message = `There is already a ${quizType} quiz made for this deck in the 'quiz' collection`
             }
         }
     } catch (error) {
-        message = "Quiz creation failed: " + error.message
-        data = null;
-
-        switch (error.message) {
-            case "INVALID_DECK_ID":
-                statusCode = 400;
-                break;
-            case "INVALID_USER_ID":
-                statusCode = 400;
-                break;
-            case "DECK_NOT_FOUND":
-                statusCode = 404;
-                break;
-            case "MISSING_MADE_TO_QUIZ_AT_FIELD":
-                statusCode = 404;
-                break;
-            case "NO_VALID_QUESTIONS":
-                statusCode = 400;
-                break;
-            case "AI_GENERATION_FAILED":
-                statusCode = 502; // Bad Gateway (AI Failure)
-                break;
-            default:
-                statusCode = 500;
-                message = "A server-side error has occurred";
-                console.error(`Server-side error: ${error.message}`);
-                break;
-        }
+        return quizErrorResponse(error, id, "Quiz creation failed: ");
     }
     return {
         status: statusCode,
@@ -186,22 +193,564 @@ export const geminiQuizService = async (deckId, id) => {
 }
 
 /**
- * Formats a chunk of questions into a prompt-friendly format.
+ * Generates a practice quiz that focuses on the flashcards the user gets wrong most often.
+ * Most questions are made from the weakest cards, with harder questions and closely related distractors.
+ * The remaining questions reinforce cards the user already knows. Users without any history get a random selection.
+ *
+ * @async
+ * @function geminiPracticeQuizService
+ * @param {string} deckId - The unique identifier of the deck.
+ * @param {string} id - The user ID of the request owner.
+ * @param {Object} [options={}] - Additional options.
+ * @param {string} [options.provider] - The AI provider to use ("gemini" or "openai").
+ * @param {Function} [options.onProgress] - Called with `(completed, total)` as the generation batches finish.
+ * @param {string} [options.quizType="multiple-choice"] - The type of quiz to generate, see `SUPPORTED_QUIZ_TYPES`.
+ * @param {number} [options.numberOfQuestions=10] - The number of questions of the quiz.
+ * @param {string} [options.difficulty] - The difficulty level to target, see `DIFFICULTY_LEVELS`.
+ * @param {Array<string>|Object<string, number>} [options.bloomLevels] - The Bloom's levels to target, as a list or as weights.
+ * @param {string} [options.moderationPolicy] - The policy for flagged questions, see `MODERATION_POLICIES`.
+ * @returns {Promise<Object>} - Returns an object containing the quiz ID and the picked flashcards or an error message.
+ */
+export const geminiPracticeQuizService = async (deckId, id, options = {}) => {
+    const onProgress = options.onProgress || (() => {});
+    const quizType = options.quizType || "multiple-choice";
+    const numberOfQuestions = options.numberOfQuestions || 10;
+    const targeting = toTargeting(options);
+
+    try {
+        if (!deckId || typeof deckId !== 'string') throw new Error("INVALID_DECK_ID");
+        if (!id || typeof id !== 'string') throw new Error("INVALID_USER_ID");
+        if (!quizTypes[quizType]) throw new Error("INVALID_QUIZ_TYPE");
+
+        const deck = await getDeckDocument(deckId);
+        if (!canAccessDeck(deck, id)) throw new Error("DECK_ACCESS_DENIED");
+
+        const flashcards = (await getFlashcardsByDeckId(deckId)).filter(flashcard => !isFlaggedFlashcard(flashcard));
+        if (flashcards.length === 0) throw new Error("DECK_HAS_NO_FLASHCARDS");
+
+        const attempts = await getQuizAttemptsByDeckId(id, deckId);
+        const reviewStates = await getReviewStatesByDeckId(id, deckId);
+        const { focus, reinforcement } = selectPracticeCards(flashcards, computeCardStats(attempts, reviewStates), numberOfQuestions);
+
+        const selected = [...focus, ...reinforcement];
+        const focusIds = new Set(focus.map(flashcard => flashcard.id));
+
+        const generated = await generateAllQuestions(selected, quizType, options.provider, onProgress, { focusIds, difficulty: targeting.difficulty, levels: assignLevels(selected, targeting) });
+        const { questions, report: moderation } = await moderateQuestions(generated, options);
+
+        const quizId = await createQuizForDeck({
+            associated_deck_id: deckId,
+            created_at: currentTimeStamp(),
+            is_deleted: false,
+            quiz_type: quizType,
+            mode: "practice",
+            owner_id: id,
+            focus_flashcard_ids: [...focusIds],
+            ...targetingFields(targeting),
+            ...moderationFields(moderation),
+            updated_at: currentTimeStamp(),
+        });
+        await createQuestionAndAnswer(quizId, questions);
+
+        return {
+            status: 200,
+            request_owner_id: id,
+            message: `Practice quiz creation for deck with id:${deckId} is successful`,
+            data: {
+                quizId: quizId,
+                quizType: quizType,
+                mode: "practice",
+                difficulty: targeting.difficulty,
+                bloomLevels: targeting.bloomLevels,
+                focusFlashcardIds: focus.map(flashcard => flashcard.id),
+                reinforcementFlashcardIds: reinforcement.map(flashcard => flashcard.id),
+                moderation: moderation
+            }
+        };
+    } catch (error) {
+        return quizErrorResponse(error, id, "Practice quiz creation failed: ");
+    }
+}
+
+/**
+ * Maps an error thrown while generating a quiz to a response object.
+ *
+ * @function quizErrorResponse
+ * @param {Error} error - The error thrown.
+ * @param {string} id - The user ID of the request owner.
+ * @param {string} prefix - The beginning of the error message.
+ * @returns {Object} Response object with the matching status code.
+ */
+const quizErrorResponse = (error, id, prefix) => {
+    let statusCode;
+
+    switch (error.message) {
+        case "INVALID_DECK_ID":
+        case "INVALID_USER_ID":
+        case "INVALID_QUIZ_TYPE":
+        case "NO_VALID_QUESTIONS":
+            statusCode = 400;
+            break;
+        case "DECK_ACCESS_DENIED":
+            statusCode = 403;
+            break;
+        case "DECK_NOT_FOUND":
+        case "MISSING_MADE_TO_QUIZ_AT_FIELD":
+            statusCode = 404;
+            break;
+        case "DECK_HAS_NO_FLASHCARDS":
+        case "MODERATION_REJECTED":
+        case "ALL_CONTENT_FLAGGED":
+            statusCode = 422;
+            break;
+        case "AI_GENERATION_FAILED":
+            statusCode = 502; // Bad Gateway (AI Failure)
+            break;
+        case "AI_UNAVAILABLE":
+            statusCode = 503; // Every model failed or has an open circuit
+            break;
+        default:
+            console.error(`Server-side error: ${error.message}`);
+            return {
+                status: 500,
+                request_owner_id: id,
+                message: "A server-side error has occurred",
+                data: null
+            };
+    }
+
+    return {
+        status: statusCode,
+        request_owner_id: id,
+        message: prefix + error.message,
+        data: null
+    };
+}
+
+/**
+ * Syncs the questions of an existing quiz with the current flashcards of the deck.
+ * - Questions whose flashcard was deleted or flagged by the moderation are removed.
+ * - Questions whose flashcard's term or definition changed are regenerated.
+ * - Questions are generated for flashcards that have none.
+ *
+ * Questions made before fingerprints were stored can't be checked, they get the current fingerprint of their flashcard.
+ * New and regenerated questions are moderated before the stale questions are replaced.
+ *
+ * @async
+ * @function syncQuiz
+ * @param {string} quizId - The ID of the quiz.
+ * @param {string} deckId - The ID of the deck.
+ * @param {string} quizType - The type of the quiz.
+ * @param {Function} onProgress - Called with `(completed, total)` as the generation batches finish.
+ * @param {Object} targeting - The difficulty and Bloom's levels of the quiz, see `toTargeting`.
+ * @param {Object} options - The options of the quiz service, with the `provider` and the `moderationPolicy`.
+ * @returns {Promise<{added: Array<string>, updated: Array<string>, removed: Array<string>, moderation: Object|null}>}
+ *   The IDs of the flashcards that got new or regenerated questions, the IDs of the removed questions and the
+ *   moderation report of the generated questions, null if none were generated.
+ */
+const syncQuiz = async (quizId, deckId, quizType, onProgress, targeting, options) => {
+    // Questions of flagged flashcards are removed like those of deleted ones
+    const flashcards = (await getFlashcardsByDeckId(deckId)).filter(flashcard => !isFlaggedFlashcard(flashcard));
+    const questions = await getQuestionsByQuizId(quizId);
+    const flashcardsById = new Map(flashcards.map(flashcard => [flashcard.id, flashcard]));
+
+    const removedQuestions = [];
+    const staleQuestionsByFlashcard = new Map();
+    const legacyQuestions = [];
+    const coveredFlashcards = new Set();
+
+    for (const question of questions) {
+        // Questions without a related flashcard can't go stale
+        if (!question.related_flashcard_id) continue;
+
+        const flashcard = flashcardsById.get(question.related_flashcard_id);
+        if (!flashcard) {
+            removedQuestions.push(question.id);
+            continue;
+        }
+
+        coveredFlashcards.add(flashcard.id);
+        const hash = getFlashcardHash(flashcard);
+
+        if (!question.source_hash) {
+            legacyQuestions.push({ id: question.id, data: { source_hash: hash } });
+        } else if (question.source_hash !== hash) {
+            const stale = staleQuestionsByFlashcard.get(flashcard.id) || [];
+            stale.push(question.id);
+            staleQuestionsByFlashcard.set(flashcard.id, stale);
+        }
+    }
+
+    if (removedQuestions.length > 0) await deleteQuestions(quizId, removedQuestions);
+    if (legacyQuestions.length > 0) await updateQuestions(quizId, legacyQuestions);
+
+    const newFlashcards = flashcards.filter(flashcard => !coveredFlashcards.has(flashcard.id));
+    const editedFlashcards = flashcards.filter(flashcard => staleQuestionsByFlashcard.has(flashcard.id));
+    const toGenerate = [...newFlashcards, ...editedFlashcards];
+
+    const generated = await generateAllQuestions(toGenerate, quizType, options.provider, onProgress, { difficulty: targeting.difficulty, levels: assignLevels(toGenerate, targeting) });
+    const { questions: newQuestions, report: moderation } = await moderateQuestions(generated, options);
+
+    // Replace the stale questions only once their successors were generated and moderated
+    const staleQuestions = editedFlashcards.flatMap(flashcard => staleQuestionsByFlashcard.get(flashcard.id));
+    if (staleQuestions.length > 0) await deleteQuestions(quizId, staleQuestions);
+    if (newQuestions.length > 0) await createQuestionAndAnswer(quizId, newQuestions);
+
+    return {
+        added: newFlashcards.map(flashcard => flashcard.id),
+        updated: editedFlashcards.map(flashcard => flashcard.id),
+        removed: removedQuestions,
+        moderation: moderation
+    };
+}
+
+/**
+ * Generates the questions of a list of flashcards, a batch at a time.
+ *
+ * @async
+ * @function generateAllQuestions
+ * @param {Array<Object>} flashcards - The flashcards questions are generated for.
+ * @param {string} quizType - The type of quiz to generate.
+ * @param {string} [provider] - The AI provider to use.
+ * @param {Function} onProgress - Called with `(completed, total)` as the generation batches finish.
+ * @param {Object} [options] - Generation options, see `generateQuestions`.
+ * @returns {Promise<Array<Object>>} The questions with the fingerprints of their flashcards.
+ */
+const generateAllQuestions = async (flashcards, quizType, provider, onProgress, options = {}) => {
+    const totalBatches = Math.ceil(flashcards.length / BATCH_SIZE);
+    if (totalBatches > 0) await onProgress(0, totalBatches);
+
+    const questions = [];
+    for (let i = 0; i < flashcards.length; i += BATCH_SIZE) {
+        const batch = flashcards.slice(i, i + BATCH_SIZE);
+        const questionAndAnswer = await generateQuestions(batch, quizType, provider, options);
+
+        questions.push(...withSourceHashes(questionAndAnswer, batch));
+        await onProgress(i / BATCH_SIZE + 1, totalBatches);
+    }
+
+    return questions;
+}
+
+/**
+ * Moderates generated questions before they are saved, see `moderateBeforeSave`.
+ * A question is moderated as its text and its correct answers.
+ *
+ * @async
+ * @function moderateQuestions
+ * @param {Array<Object>} questions - The generated questions.
+ * @param {Object} options - The options of the quiz service, with the `provider` and the `moderationPolicy`.
+ * @returns {Promise<{questions: Array<Object>, report: Object|null}>} The questions to save, flagged ones with their
+ *   `moderation_status` and `moderation_reason`, and the moderation report, null if there was nothing to moderate.
+ * @throws {Error} - Throws the errors of `moderateBeforeSave`.
+ */
+const moderateQuestions = async (questions, options) => {
+    if (questions.length === 0) return { questions, report: null };
+
+    const { flashcards: moderated, report } = await moderateBeforeSave(
+        questions.map(question => ({
+            ...question,
+            term: question.question,
+            definition: question.choices.filter(choice => choice.is_correct).map(choice => choice.text).join(", ")
+        })),
+        { policy: options.moderationPolicy, provider: options.provider }
+    );
+
+    return { questions: moderated.map(({ term, definition, ...question }) => question), report };
+}
+
+/**
+ * Builds the moderation fields of a quiz document. A quiz with flagged questions is pending review.
+ *
+ * @function moderationFields
+ * @param {Object|null} moderation - The moderation report, see `moderateBeforeSave`.
+ * @param {boolean} [onlyPendingReview=false] - Only return fields for a pending review, used when a quiz is synced.
+ * @returns {Object} The `moderation_status` and `moderation_policy` of the quiz, or nothing.
+ */
+const moderationFields = (moderation, onlyPendingReview = false) => {
+    if (!moderation) return {};
+
+    const isPendingReview = moderation.outcome === PENDING_REVIEW_STATUS;
+    if (onlyPendingReview && !isPendingReview) return {};
+
+    return {
+        moderation_status: isPendingReview ? PENDING_REVIEW_STATUS : APPROVED_STATUS,
+        moderation_policy: moderation.policy
+    };
+}
+
+/**
+ * Reads the difficulty and Bloom's levels a quiz request targets.
+ *
+ * @function toTargeting
+ * @param {Object} options - The options of the quiz service.
+ * @returns {{difficulty: string|null, bloomLevels: Object<string, number>|null}} The targeting, with the levels as shares.
+ */
+const toTargeting = (options) => ({
+    difficulty: options.difficulty || null,
+    bloomLevels: normalizeBloomLevels(options.bloomLevels)
+});
+
+/**
+ * Checks whether a quiz targets anything other than the default mix of levels.
+ *
+ * @function isTargeted
+ * @param {Object} targeting - The targeting, see `toTargeting`.
+ * @returns {boolean} True if a difficulty or Bloom's levels were requested.
+ */
+const isTargeted = (targeting) => Boolean(targeting.difficulty || targeting.bloomLevels);
+
+/**
+ * Builds the fields a targeted quiz stores, default quizzes store none.
+ *
+ * @function targetingFields
+ * @param {Object} targeting - The targeting, see `toTargeting`.
+ * @returns {Object} The `difficulty` and `bloom_levels` of the quiz document.
+ */
+const targetingFields = (targeting) => isTargeted(targeting)
+    ? { difficulty: targeting.difficulty, bloom_levels: targeting.bloomLevels }
+    : {};
+
+/**
+ * Checks whether a stored quiz was made for the requested targeting.
+ *
+ * @function isSameTargeting
+ * @param {Object} quiz - The quiz document.
+ * @param {Object} targeting - The requested targeting, see `toTargeting`.
+ * @returns {boolean} True if the difficulty and the share of every Bloom's level match.
+ */
+const isSameTargeting = (quiz, targeting) => {
+    return (quiz.difficulty ?? null) === targeting.difficulty
+        && BLOOM_LEVELS.every(level => (quiz.bloom_levels?.[level] ?? 0) === (targeting.bloomLevels?.[level] ?? 0));
+}
+
+/**
+ * Assigns the Bloom's level of the question of every flashcard, following the levels the quiz targets.
+ *
+ * @function assignLevels
+ * @param {Array<Object>} flashcards - The flashcards questions are generated for.
+ * @param {Object} targeting - The targeting, see `toTargeting`.
+ * @returns {Map<string, string>|null} The level keyed by flashcard ID, or null if the quiz doesn't target levels.
+ */
+const assignLevels = (flashcards, targeting) => {
+    if (!targeting.bloomLevels) return null;
+
+    const levels = assignBloomLevels(targeting.bloomLevels, flashcards.length);
+    return new Map(flashcards.map((flashcard, index) => [flashcard.id, levels[index]]));
+}
+
+/**
+ * Adds the fingerprint of the related flashcard to every question.
+ *
+ * @function withSourceHashes
+ * @param {Array<Object>} questions - The generated questions.
+ * @param {Array<Object>} flashcards - The flashcards the questions were generated from.
+ * @returns {Array<Object>} The questions with their `source_hash`.
+ */
+const withSourceHashes = (questions, flashcards) => {
+    const flashcardsById = new Map(flashcards.map(flashcard => [flashcard.id, flashcard]));
+
+    return questions.map(question => {
+        const flashcard = flashcardsById.get(question.related_flashcard_id);
+        return { ...question, source_hash: flashcard ? getFlashcardHash(flashcard) : null };
+    });
+}
+
+/**
+ * Quiz types with the schema, prompt and normalizer used to generate them.
+ * A normalizer turns a question returned by the AI into the stored `{ question, related_flashcard_id, choices }` format,
+ * or returns null if the question is unusable.
+ */
+const quizTypes = {
+    "multiple-choice": { schema: quizSchema, prompt: (number) => quizPrompt(number), normalize: (item) => normalizeMultipleChoice(item) },
+    "true-false": { schema: trueFalseQuizSchema, prompt: (number) => trueFalsePrompt(number), normalize: (item) => normalizeTrueFalse(item) },
+    "identification": { schema: identificationQuizSchema, prompt: (number) => identificationPrompt(number), normalize: (item) => normalizeTypedAnswer(item) },
+    "fill-in-the-blank": { schema: fillInTheBlankQuizSchema, prompt: (number) => fillInTheBlankPrompt(number), normalize: (item) => normalizeTypedAnswer(item, true) },
+};
+
+/**
+ * Generates the questions of one batch of flashcards.
+ *
+ * @async
+ * @function generateQuestions
+ * @param {Array<Object>} batch - The flashcards of the batch.
+ * @param {string} quizType - The type of quiz to generate.
+ * @param {string} [provider] - The AI provider to use.
+ * @param {Object} [options] - Generation options.
+ * @param {Set<string>} [options.focusIds] - The IDs of the weak flashcards, set for practice quizzes only.
+ * @param {string} [options.difficulty] - The difficulty level to target.
+ * @param {Map<string, string>} [options.levels] - The Bloom's level to target per flashcard ID, see `assignLevels`.
+ * @returns {Promise<Array<Object>>} The questions in the stored format, each tagged with its `bloom_level`.
+ * @throws {Error} - Throws `AI_UNAVAILABLE` if every model failed, otherwise `AI_GENERATION_FAILED` for invalid responses.
+ */
+const generateQuestions = async (batch, quizType, provider, options = {}) => {
+    const { schema, prompt, normalize } = quizTypes[quizType];
+    const { focusIds = null, difficulty = null, levels = null } = options;
+    const instructions = prompt(batch.length) + (focusIds ? practicePrompt() : "") + levelPrompt(difficulty, Boolean(levels));
+
+    let result;
+    try {
+        result = await sendPromptInline(schema, instructions, formatData(batch, focusIds, levels), { provider });
+        if (!result.quiz_data || !Array.isArray(result.quiz_data.quiz)) {
+            throw new Error("Invalid AI response: quiz_data is missing or not an array");
+        }
+    } catch (error) {
+        if (error.message === "AI_UNAVAILABLE") throw error;
+        throw new Error("AI_GENERATION_FAILED");
+    }
+
+    // The level the AI reports is kept, the assigned level only fills in a missing one
+    const questions = result.quiz_data.quiz
+        .map(item => {
+            const question = normalize(item);
+            if (!question) return null;
+
+            const bloomLevel = toBloomLevel(item.bloom_level) ?? levels?.get(question.related_flashcard_id) ?? null;
+            return { ...question, bloom_level: bloomLevel, difficulty: difficulty };
+        })
+        .filter(Boolean);
+    if (questions.length === 0) throw new Error("AI_GENERATION_FAILED");
+
+    return questions;
+}
+
+/**
+ * Checks a multiple-choice question, it needs at least two choices and exactly one of them correct.
+ *
+ * @function normalizeMultipleChoice
+ * @param {Object} item - The question returned by the AI.
+ * @returns {Object|null} The question with its choices, or null if it is invalid.
+ */
+const normalizeMultipleChoice = (item) => {
+    if (!item?.question || !Array.isArray(item.choices)) return null;
+
+    const choices = item.choices.filter(choice => typeof choice?.text === "string" && choice.text.trim() && typeof choice.is_correct === "boolean");
+    if (choices.length !== item.choices.length || choices.length < 2) return null;
+    if (choices.filter(choice => choice.is_correct).length !== 1) return null;
+
+    return {
+        question: item.question,
+        related_flashcard_id: item.related_flashcard_id,
+        choices: choices.map(choice => ({ text: choice.text, is_correct: choice.is_correct }))
+    };
+}
+
+/**
+ * Converts a true or false question into choices.
+ *
+ * @function normalizeTrueFalse
+ * @param {Object} item - The question returned by the AI.
+ * @returns {Object|null} The question with "True" and "False" choices, or null if it is invalid.
+ */
+const normalizeTrueFalse = (item) => {
+    if (!item?.question || typeof item.answer !== "boolean") return null;
+
+    return {
+        question: item.question,
+        related_flashcard_id: item.related_flashcard_id,
+        choices: [
+            { text: "True", is_correct: item.answer === true },
+            { text: "False", is_correct: item.answer === false },
+        ]
+    };
+}
+
+/**
+ * Converts a question answered by typing into choices, every accepted answer is stored as a correct choice.
+ *
+ * @function normalizeTypedAnswer
+ * @param {Object} item - The question returned by the AI.
+ * @param {boolean} [requiresBlank=false] - Whether the question must contain a blank (_____).
+ * @returns {Object|null} The question with its accepted answers as choices, or null if it is invalid.
+ */
+const normalizeTypedAnswer = (item, requiresBlank = false) => {
+    if (!item?.question || typeof item.answer !== "string" || !item.answer.trim()) return null;
+    if (requiresBlank && !/_{3,}/.test(item.question)) return null;
+
+    const alternatives = Array.isArray(item.accepted_answers) ? item.accepted_answers : [];
+    const answers = [...new Set([item.answer, ...alternatives]
+        .filter(answer => typeof answer === "string" && answer.trim())
+        .map(answer => answer.trim()))];
+
+    return {
+        question: item.question,
+        related_flashcard_id: item.related_flashcard_id,
+        choices: answers.map(answer => ({ text: answer, is_correct: true }))
+    };
+}
+
+/**
+ * Formats a chunk of flashcards into a prompt-friendly format.
  *
  * @function formatData
- * @param {Array} questionsChunk - The chunk of questions to format.
- * @returns {string} A formatted string for AI moderation.
+ * @param {Array} flashcardsChunk - The chunk of flashcards to format.
+ * @param {Set<string>|null} [focusIds=null] - The IDs of the weak flashcards of a practice quiz.
+ * @param {Map<string, string>|null} [levels=null] - The Bloom's level to target per flashcard ID.
+ * @returns {string} A formatted string for AI quiz generation.
  */
-const formatData = (questionsChunk) => {
-    return questionsChunk.map(q => `ID: ${q.id}\nDescription: ${q.question}\nTerm: ${q.answer}`).join("\n\n");
+const formatData = (flashcardsChunk, focusIds = null, levels = null) => {
+    return flashcardsChunk.map(f => {
+        let card = `ID: ${f.id}\nDescription: ${f.definition}\nTerm: ${f.term}`;
+        if (focusIds) card += `\nFocus: ${focusIds.has(f.id) ? "yes" : "no"}`;
+        if (levels) card += `\nBloom level: ${levels.get(f.id)}`;
+        return card;
+    }).join("\n\n");
 };
 
 /**
- * Generates a moderation prompt for the AI.
+ * Generates the extra instructions of a practice quiz, appended to the prompt of the quiz type.
+ *
+ * @function practicePrompt
+ * @returns {string} The practice instructions for the AI.
+ */
+const practicePrompt = () => {
+    const prompt = `
+
+    ### Practice Mode:
+    This quiz is for a student who keeps getting some of these flashcards wrong. Every flashcard is marked with "Focus: yes" or "Focus: no".
+    - Focus Cards ("Focus: yes"): The student struggles with these. Ask harder questions that test understanding rather than recall,
+        and make the distractors or false statements closely related to the correct answer (e.g., terms from the same topic that are easy to mix up).
+    - Reinforcement Cards ("Focus: no"): The student already knows these. Ask straightforward questions to reinforce them.
+    - Still generate exactly one question per flashcard and keep the expected output format.`;
+    return prompt;
+}
+
+/**
+ * Generates the level instructions, appended to the prompt of every quiz type.
+ * Every question is tagged with its Bloom's level, targeted quizzes also get the level of every question and the difficulty.
  *
- * @function moderationPrompt
- * @param {string} questionsChunk - A formatted chunk of questions.
- * @returns {string} A structured prompt for AI moderation.
+ * @function levelPrompt
+ * @param {string|null} difficulty - The difficulty level to target.
+ * @param {boolean} hasLevels - Whether every flashcard is marked with the Bloom's level of its question.
+ * @returns {string} The level instructions for the AI.
+ */
+const levelPrompt = (difficulty, hasLevels) => {
+    let prompt = `
+
+    ### Bloom's Levels:
+    - Tag every question with the "bloom_level" of Bloom's taxonomy it tests: ${BLOOM_LEVELS.join(", ")}.`;
+
+    if (hasLevels) {
+        const descriptions = Object.entries(BLOOM_LEVEL_DESCRIPTIONS).map(([level, description]) => `${level}: the student has to ${description}`).join("; ");
+        prompt += `
+    - Every flashcard is marked with "Bloom level: <level>". Write its question at exactly that level, this replaces any mix of question types asked for above.
+        Levels: ${descriptions}.`;
+    }
+
+    if (difficulty) {
+        prompt += `
+    - Difficulty: Write for ${DIFFICULTY_DESCRIPTIONS[difficulty]} (${difficulty} level), both in the questions and the distractors.`;
+    }
+
+    return prompt;
+}
+
+/**
+ * Generates a multiple-choice quiz prompt for the AI.
+ *
+ * @function quizPrompt
+ * @param {number} number - The number of questions to generate.
+ * @returns {string} A structured prompt for AI quiz generation.
  */
 const quizPrompt = (number) => {
     const prompt = `You are an expert quiz generator. Based on the provided flashcards, create a well-balanced multiple-choice quiz. 
@@ -255,3 +804,112 @@ const quizPrompt = (number) => {
     return prompt;
 }
 
+
+/**
+ * Generates a true or false quiz prompt for the AI.
+ *
+ * @function trueFalsePrompt
+ * @param {number} number - The number of questions to generate.
+ * @returns {string} A structured prompt for AI quiz generation.
+ */
+const trueFalsePrompt = (number) => {
+    const prompt = `You are an expert quiz generator. Based on the provided flashcards, create a well-balanced true or false quiz. 
+    Each statement should assess understanding of the terms and definitions given. Follow these strict requirements:
+
+    - Number of Questions: Generate exactly ${number} statements, one per flashcard. Do not return more or fewer.
+    - Statement Quality: Each statement must be clear, unambiguous and either completely true or completely false.
+    - Rephrasing Requirement: Avoid copying the exact wording from the flashcard. Instead, rephrase to encourage critical thinking.
+    - Balance: Make roughly half of the statements true and half false.
+    - False Statements: A false statement should change one key detail of the flashcard (e.g., swap the term for a related one), not be absurd.
+    - Error Handling: If the flashcard set is too small to generate the required number of statements, 
+        return the following error message instead of an incomplete quiz:
+        { "quiz": [], "errorMessage": "Insufficient flashcards to generate ${number} questions." }
+
+    ## Expected sample output format ##
+    {
+        "quiz": [
+            {
+                "question": "Photosynthesis converts sunlight into chemical energy stored in glucose.",
+                "related_flashcard_id": "HTALJDF134",
+                "answer": true
+            },
+            {
+                "question": "Meiosis produces two genetically identical daughter cells.",
+                "related_flashcard_id": "LKNDALFK923",
+                "answer": false
+            }
+        ],
+        "errorMessage": null
+    }`;
+    return prompt;
+}
+
+/**
+ * Generates an identification quiz prompt for the AI.
+ *
+ * @function identificationPrompt
+ * @param {number} number - The number of questions to generate.
+ * @returns {string} A structured prompt for AI quiz generation.
+ */
+const identificationPrompt = (number) => {
+    const prompt = `You are an expert quiz generator. Based on the provided flashcards, create an identification quiz 
+    where the user reads a description and types the term it describes. Follow these strict requirements:
+
+    - Number of Questions: Generate exactly ${number} questions, one per flashcard. Do not return more or fewer.
+    - Question Quality: Each question must describe exactly one term of the flashcards, clearly enough that only that term fits.
+    - Rephrasing Requirement: Avoid copying the exact wording from the flashcard. Instead, rephrase to encourage critical thinking.
+    - No Giveaways: The question must not contain the term itself.
+    - Answer: The answer is the term of the flashcard. List common abbreviations or alternative spellings in "accepted_answers".
+    - Error Handling: If the flashcard set is too small to generate the required number of questions, 
+        return the following error message instead of an incomplete quiz:
+        { "quiz": [], "errorMessage": "Insufficient flashcards to generate ${number} questions." }
+
+    ## Expected sample output format ##
+    {
+        "quiz": [
+            {
+                "question": "The molecule that carries the genetic instructions of living organisms.",
+                "related_flashcard_id": "HTALJDF134",
+                "answer": "Deoxyribonucleic acid",
+                "accepted_answers": ["DNA"]
+            }
+        ],
+        "errorMessage": null
+    }`;
+    return prompt;
+}
+
+/**
+ * Generates a fill-in-the-blank (cloze) quiz prompt for the AI.
+ *
+ * @function fillInTheBlankPrompt
+ * @param {number} number - The number of questions to generate.
+ * @returns {string} A structured prompt for AI quiz generation.
+ */
+const fillInTheBlankPrompt = (number) => {
+    const prompt = `You are an expert quiz generator. Based on the provided flashcards, create a fill-in-the-blank quiz. 
+    Each question is a sentence with one key word or short phrase removed. Follow these strict requirements:
+
+    - Number of Questions: Generate exactly ${number} questions, one per flashcard. Do not return more or fewer.
+    - Blank: Replace the removed part with exactly five underscores (_____). Each sentence must contain one blank only.
+    - Blank Quality: The removed part must be a key word of the flashcard (usually the term), never a filler word.
+    - Rephrasing Requirement: Avoid copying the exact wording from the flashcard. Instead, rephrase to encourage critical thinking.
+    - Answer: The answer is the removed word or phrase. List other wordings that also fit the blank in "accepted_answers".
+    - Error Handling: If the flashcard set is too small to generate the required number of questions, 
+        return the following error message instead of an incomplete quiz:
+        { "quiz": [], "errorMessage": "Insufficient flashcards to generate ${number} questions." }
+
+    ## Expected sample output format ##
+    {
+        "quiz": [
+            {
+                "question": "Plants convert sunlight into chemical energy through _____.",
+                "related_flashcard_id": "HTALJDF134",
+                "answer": "photosynthesis",
+                "accepted_answers": []
+            }
+        ],
+        "errorMessage": null
+    }`;
+    return prompt;
+}
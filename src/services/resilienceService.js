@@ -0,0 +1,357 @@
+/**
+ * Deck API - AI Resilience Service
+ *
+ * @file resilienceService.js
+ * @description Shared resilience layer for every call made to an AI provider.
+ *
+ * This module wraps AI calls with:
+ * - Error classification: Decides from HTTP status codes and network errors whether a failure is worth
+ *   retrying (429, 5xx, timeouts, connection errors) or falling back from.
+ * - Model fallback: Tries the requested model first, then the provider's fallback model
+ *   (e.g. `gemini-1.5-flash` when `gemini-2.0-flash` fails) and finally `AI_FAILOVER_PROVIDER` if one is set.
+ * - Circuit breaker: Stops sending requests to a model after consecutive failures and lets a single trial
+ *   request through once the cooldown has passed. Other requests skip the model while the trial is running.
+ * - Timeout budget: Every attempt has its own time limit and all attempts of one call share a total budget.
+ * - Streams: A stream that stays silent for too long is cancelled, and failures after the stream started
+ *   count towards the circuit of the model even though they can no longer fall back.
+ *
+ * @module resilienceService
+ *
+ * @requires ./providerService.js
+ * @requires ../config/app.config.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+import { getProvider } from './providerService.js';
+import { aiConfig } from '../config/app.config.js';
+import { delay } from '../utils/utils.js';
+
+/**
+ * Circuit state of every provider and model pair, keyed by `provider:model`.
+ * @type {Map<string, {failures: number, openedAt: number|null, trialInFlight: boolean}>}
+ */
+const circuits = new Map();
+
+/**
+ * Runs an AI operation against the requested provider, retrying and falling back to other models when it fails.
+ *
+ * @async
+ * @function runWithResilience
+ * @param {Function} operation - Async function called with `{ provider, model, signal }` that performs the AI call.
+ * @param {Object} [options={}] - Additional options.
+ * @param {string} [options.provider] - The AI provider requested by the client.
+ * @param {string} [options.label="AI call"] - Name of the call used in logs.
+ * @param {number} [options.budgetMs] - Total time budget of the call, defaults to `AI_CALL_BUDGET_MS`.
+ * @returns {Promise<{result: *, provider: string, model: string}>} - The result of the operation and the model that produced it.
+ * @throws {Error} - Rethrows errors that no retry or fallback can fix, otherwise throws `AI_UNAVAILABLE` once every model failed.
+ */
+export async function runWithResilience(operation, options = {}) {
+    const { maxAttempts, baseDelayMs, callTimeoutMs, budgetMs } = aiConfig.resilience;
+    const label = options.label || "AI call";
+    const deadline = Date.now() + (options.budgetMs || budgetMs);
+    const candidates = getCandidates(options.provider);
+    let lastError = null;
+
+    for (const candidate of candidates) {
+        const key = `${candidate.provider.name}:${candidate.model}`;
+
+        const access = enterCircuit(key);
+        if (!access) {
+            console.warn(`[${label}] Circuit for ${key} is open, skipping to the next model...`);
+            continue;
+        }
+
+        try {
+            for (let attempt = 0; attempt < maxAttempts; attempt++) {
+                const remaining = deadline - Date.now();
+                if (remaining <= 0) {
+                    console.error(`[${label}] Time budget exhausted.`);
+                    throw unavailableError(lastError);
+                }
+
+                try {
+                    console.log(`[${label}] Attempt ${attempt + 1} on ${key}...`);
+                    const result = await withTimeout(
+                        (signal) => operation({ provider: candidate.provider, model: candidate.model, signal }),
+                        Math.min(callTimeoutMs, remaining)
+                    );
+
+                    recordSuccess(key);
+                    return { result, provider: candidate.provider.name, model: candidate.model };
+                } catch (error) {
+                    lastError = error;
+                    const classification = classifyAIError(error);
+                    console.error(`[${label}] Error on attempt ${attempt + 1} on ${key} (${classification.type}): ${error.message}`);
+
+                    if (classification.tripsBreaker) recordFailure(key);
+
+                    // Errors caused by the request itself won't be fixed by another attempt or model
+                    if (!classification.retryable && !classification.fallback) throw error;
+
+                    if (!classification.retryable || isCircuitOpen(key) || attempt === maxAttempts - 1) break;
+
+                    // Exponential backoff delay
+                    const backoff = baseDelayMs * Math.pow(2, attempt); // 1s, 2s, 4s...
+                    console.log(`[${label}] Retrying in ${backoff / 1000} seconds...`);
+                    await delay(Math.min(backoff, Math.max(deadline - Date.now(), 0)));
+                }
+            }
+        } finally {
+            if (access === "trial") releaseTrial(key);
+        }
+    }
+
+    console.error(`[${label}] Every model failed or is unavailable.`);
+    throw unavailableError(lastError);
+}
+
+/**
+ * Classifies an error thrown by an AI provider SDK.
+ * Errors without a known status or message (e.g. SDK errors without a parsed status, empty or blocked responses)
+ * are not retried on the same model, but another model may still succeed.
+ *
+ * @function classifyAIError
+ * @param {Error} error - The error to classify.
+ * @returns {{type: string, retryable: boolean, fallback: boolean, tripsBreaker: boolean}}
+ *   - type: The kind of failure.
+ *   - retryable: Whether the same model should be tried again.
+ *   - fallback: Whether another model could succeed where this one failed.
+ *   - tripsBreaker: Whether the failure counts towards opening the model's circuit.
+ */
+export function classifyAIError(error) {
+    const status = error?.status ?? error?.response?.status;
+    const message = error?.message || "";
+
+    if (status === 429) return { type: "RATE_LIMITED", retryable: true, fallback: true, tripsBreaker: true };
+    if (status === 408) return { type: "TIMEOUT", retryable: true, fallback: true, tripsBreaker: true };
+    if (status >= 500) return { type: "SERVER_ERROR", retryable: true, fallback: true, tripsBreaker: true };
+    if (status === 401 || status === 403) return { type: "AUTH_ERROR", retryable: false, fallback: true, tripsBreaker: true };
+    if (status === 404) return { type: "MODEL_UNAVAILABLE", retryable: false, fallback: true, tripsBreaker: true };
+    if (status >= 400) return { type: "BAD_REQUEST", retryable: false, fallback: false, tripsBreaker: false };
+
+    if (message === "AI_TIMEOUT" || error?.name === "AbortError" || /timed? ?out/i.test(message)) {
+        return { type: "TIMEOUT", retryable: true, fallback: true, tripsBreaker: true };
+    }
+    if (/fetch failed|connection error|ECONNRESET|ECONNREFUSED|ENOTFOUND|ETIMEDOUT|EAI_AGAIN|socket hang up/i.test(message)) {
+        return { type: "NETWORK_ERROR", retryable: true, fallback: true, tripsBreaker: true };
+    }
+    if (message === "INVALID_RESPONSE_FORMAT") {
+        return { type: "INVALID_RESPONSE", retryable: true, fallback: true, tripsBreaker: false };
+    }
+    if (message === "OPENAI_API_KEY_MISSING") {
+        return { type: "NOT_CONFIGURED", retryable: false, fallback: true, tripsBreaker: false };
+    }
+
+    return { type: "UNKNOWN", retryable: false, fallback: true, tripsBreaker: false };
+}
+
+/**
+ * Iterates a stream and fails with `AI_TIMEOUT` when no chunk arrives in time.
+ * The controller is aborted on timeout so the underlying request is cancelled as well.
+ *
+ * @async
+ * @generator
+ * @function withIdleTimeout
+ * @param {AsyncIterable<*>} stream - The stream returned by the provider.
+ * @param {AbortController} controller - The controller whose signal was given to the provider.
+ * @param {number} [idleTimeoutMs] - The longest wait for a chunk, defaults to `AI_STREAM_IDLE_TIMEOUT_MS`.
+ * @yields {*} - The chunks of the stream.
+ * @throws {Error} - Throws `AI_TIMEOUT` if the stream stalls, or the error of the stream.
+ */
+export async function* withIdleTimeout(stream, controller, idleTimeoutMs = aiConfig.resilience.streamIdleTimeoutMs) {
+    const iterator = stream[Symbol.asyncIterator]();
+    let finished = false;
+
+    try {
+        while (true) {
+            const next = iterator.next();
+            // The pending chunk may still reject after a timeout, nobody is waiting for it then
+            next.catch(() => {});
+
+            let timer;
+            const idle = new Promise((_, reject) => {
+                timer = setTimeout(() => {
+                    controller.abort();
+                    reject(new Error("AI_TIMEOUT"));
+                }, idleTimeoutMs);
+            });
+
+            let chunk;
+            try {
+                chunk = await Promise.race([next, idle]);
+            } finally {
+                clearTimeout(timer);
+            }
+
+            if (chunk.done) {
+                finished = true;
+                return;
+            }
+            yield chunk.value;
+        }
+    } finally {
+        // Closes the provider's stream when the caller stopped early, without waiting for a stalled request
+        if (!finished) iterator.return?.()?.catch(() => {});
+    }
+}
+
+/**
+ * Records a failure of a stream that already started.
+ * The stream can't fall back to another model anymore, but the failure still counts towards the model's circuit.
+ *
+ * @function reportStreamFailure
+ * @param {string} providerName - The provider that served the stream.
+ * @param {string} model - The model that served the stream.
+ * @param {Error} error - The error thrown by the stream.
+ * @param {string} [label="AI stream"] - Name of the call used in logs.
+ * @returns {Error} - The `AI_UNAVAILABLE` error to throw.
+ */
+export function reportStreamFailure(providerName, model, error, label = "AI stream") {
+    const key = `${providerName}:${model}`;
+    const classification = classifyAIError(error);
+    console.error(`[${label}] Stream on ${key} failed (${classification.type}): ${error.message}`);
+
+    if (classification.tripsBreaker) recordFailure(key);
+
+    return unavailableError(error);
+}
+
+/**
+ * Builds the ordered list of provider and model pairs to try.
+ *
+ * @function getCandidates
+ * @param {string|undefined} providerName - The provider requested by the client.
+ * @returns {Array<{provider: Object, model: string}>} - The candidates, without duplicates.
+ */
+const getCandidates = (providerName) => {
+    const provider = getProvider(providerName);
+    const candidates = [
+        { provider, model: provider.defaultModel },
+        { provider, model: aiConfig.fallbackModels[provider.name] },
+    ];
+
+    if (aiConfig.failoverProvider && aiConfig.failoverProvider !== provider.name) {
+        const failover = getProvider(aiConfig.failoverProvider);
+        candidates.push({ provider: failover, model: failover.defaultModel });
+    }
+
+    return candidates.filter((candidate, index) => candidate.model && candidates.findIndex(
+        other => other.provider.name === candidate.provider.name && other.model === candidate.model
+    ) === index);
+}
+
+/**
+ * Runs a task and rejects with `AI_TIMEOUT` if it does not settle in time.
+ * The task receives an AbortSignal so the underlying request is cancelled as well.
+ *
+ * @async
+ * @function withTimeout
+ * @param {Function} task - Async function called with an AbortSignal.
+ * @param {number} timeoutMs - The time limit in milliseconds.
+ * @returns {Promise<*>} - The result of the task.
+ */
+const withTimeout = async (task, timeoutMs) => {
+    const controller = new AbortController();
+    let timer;
+
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            controller.abort();
+            reject(new Error("AI_TIMEOUT"));
+        }, timeoutMs);
+    });
+
+    try {
+        return await Promise.race([task(controller.signal), timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Checks if the circuit of a model is open and still cooling down.
+ *
+ * @function isCircuitOpen
+ * @param {string} key - The `provider:model` key.
+ * @returns {boolean} - True if requests to the model should be skipped.
+ */
+const isCircuitOpen = (key) => {
+    const circuit = circuits.get(key);
+    if (!circuit || circuit.openedAt === null) return false;
+    return Date.now() - circuit.openedAt < aiConfig.resilience.breakerCooldownMs;
+}
+
+/**
+ * Lets a request through the circuit of a model.
+ * An open circuit becomes half-open once the cooldown has passed: the first request becomes the trial request,
+ * and every other request is skipped until the trial has settled.
+ *
+ * @function enterCircuit
+ * @param {string} key - The `provider:model` key.
+ * @returns {"closed"|"trial"|null} - How the request may be sent to the model, null if it has to be skipped.
+ */
+const enterCircuit = (key) => {
+    const circuit = circuits.get(key);
+    if (!circuit || circuit.openedAt === null) return "closed";
+    if (isCircuitOpen(key) || circuit.trialInFlight) return null;
+
+    circuit.trialInFlight = true;
+    return "trial";
+}
+
+/**
+ * Ends the trial request of a half-open circuit.
+ * A trial that failed without tripping the breaker leaves the circuit half-open for the next request.
+ *
+ * @function releaseTrial
+ * @param {string} key - The `provider:model` key.
+ */
+const releaseTrial = (key) => {
+    const circuit = circuits.get(key);
+    if (circuit) circuit.trialInFlight = false;
+}
+
+/**
+ * Records a failed request, opening the circuit once the threshold is reached.
+ * A failed trial request of a half-open circuit opens it again right away.
+ *
+ * @function recordFailure
+ * @param {string} key - The `provider:model` key.
+ */
+const recordFailure = (key) => {
+    const circuit = circuits.get(key) || { failures: 0, openedAt: null, trialInFlight: false };
+    circuit.failures += 1;
+
+    if (circuit.openedAt !== null || circuit.failures >= aiConfig.resilience.breakerThreshold) {
+        circuit.openedAt = Date.now();
+        console.warn(`Circuit for ${key} opened after ${circuit.failures} consecutive failures.`);
+    }
+
+    circuits.set(key, circuit);
+}
+
+/**
+ * Records a successful request, closing the circuit.
+ *
+ * @function recordSuccess
+ * @param {string} key - The `provider:model` key.
+ */
+const recordSuccess = (key) => {
+    circuits.set(key, { failures: 0, openedAt: null, trialInFlight: false });
+}
+
+/**
+ * Creates the error thrown when no model could serve the call.
+ *
+ * @function unavailableError
+ * @param {Error|null} cause - The last error encountered.
+ * @returns {Error} - The `AI_UNAVAILABLE` error.
+ */
+const unavailableError = (cause) => {
+    const error = new Error("AI_UNAVAILABLE");
+    error.cause = cause;
+    return error;
+}
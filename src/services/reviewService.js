@@ -0,0 +1,213 @@
+/**
+ * Deck API - Review Service
+ *
+ * @file reviewService.js
+ * @description Provides spaced-repetition services for the flashcards of a deck.
+ *
+ * Grades sent by the client are run through the SM-2 scheduler (`spacedRepetition.js`) and the resulting
+ * ease, interval and due date are stored per user and flashcard. Cards that were never reviewed are due right away.
+ * Flashcards flagged by the moderation are only studied by the owner of the deck.
+ *
+ * @module reviewService
+ *
+ * @requires ../repositories/deckRepository.js
+ * @requires ../repositories/reviewRepository.js
+ * @requires ../utils/spacedRepetition.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+import { getDeckDocument, getFlashcardsByDeckId } from "../repositories/deckRepository.js";
+import { getReviewStatesByDeckId, saveReviewStates } from "../repositories/reviewRepository.js";
+import { canAccessDeck, visibleFlashcards } from "../models/deckModel.js";
+import { toTimeStamp } from "../config/firebaseAdminConfig.js";
+import { scheduleReview, isDue, endOfDay } from "../utils/spacedRepetition.js";
+
+/**
+ * Records the grades of reviewed flashcards and schedules their next review.
+ *
+ * @async
+ * @function reviewFlashcardsService
+ * @param {string} deckId - The ID of the deck.
+ * @param {string} id - The user ID of the request owner.
+ * @param {Array<{flashcardId: string, grade: number}>} grades - The SM-2 grade (0-5) of every reviewed flashcard.
+ * @returns {Promise<Object>} Response object containing the new schedule or an error message.
+ */
+export const reviewFlashcardsService = async (deckId, id, grades) => {
+    try {
+        const deck = await getDeckDocument(deckId);
+        if (!canAccessDeck(deck, id)) throw new Error("DECK_ACCESS_DENIED");
+
+        const flashcardIds = new Set(visibleFlashcards(await getFlashcardsByDeckId(deckId), deck, id).map(flashcard => flashcard.id));
+        if (grades.some(grade => !flashcardIds.has(grade.flashcardId))) throw new Error("UNKNOWN_FLASHCARD_ID");
+
+        const states = await getReviewStatesByDeckId(id, deckId);
+        const now = new Date();
+
+        const reviewed = grades.map(({ flashcardId, grade }) => ({
+            flashcardId,
+            state: scheduleReview(fromStoredState(states.get(flashcardId)), grade, now)
+        }));
+
+        await saveReviewStates(id, reviewed.map(({ flashcardId, state }) => toStoredState(deckId, flashcardId, state)));
+
+        return {
+            status: 200,
+            request_owner_id: id,
+            message: `Scheduled ${reviewed.length} flashcard(s) for review`,
+            data: {
+                deckId: deckId,
+                reviews: reviewed.map(({ flashcardId, state }) => formatSchedule(flashcardId, state))
+            }
+        };
+    } catch (error) {
+        return reviewErrorResponse(error, id, "Flashcard review failed: ");
+    }
+}
+
+/**
+ * Retrieves the flashcards of a deck that are due for review today (UTC).
+ *
+ * @async
+ * @function getDueFlashcardsService
+ * @param {string} deckId - The ID of the deck.
+ * @param {string} id - The user ID of the request owner.
+ * @param {Object} [options={}] - Retrieval options.
+ * @param {boolean} [options.includeNew=true] - Include flashcards that were never reviewed.
+ * @param {number|null} [options.limit=null] - Maximum number of flashcards to return.
+ * @returns {Promise<Object>} Response object containing the due flashcards or an error message.
+ */
+export const getDueFlashcardsService = async (deckId, id, options = {}) => {
+    const { includeNew = true, limit = null } = options;
+
+    try {
+        const deck = await getDeckDocument(deckId);
+        if (!canAccessDeck(deck, id)) throw new Error("DECK_ACCESS_DENIED");
+
+        const flashcards = visibleFlashcards(await getFlashcardsByDeckId(deckId), deck, id);
+        const states = await getReviewStatesByDeckId(id, deckId);
+        const until = endOfDay(new Date());
+
+        let due = flashcards
+            .map(flashcard => ({ flashcard, state: fromStoredState(states.get(flashcard.id)) }))
+            .filter(({ state }) => (state || includeNew) && isDue(state, until))
+            // Most overdue first, new cards last
+            .sort((a, b) => (a.state?.dueAt.getTime() ?? Infinity) - (b.state?.dueAt.getTime() ?? Infinity));
+
+        const totalDue = due.length;
+        if (limit) due = due.slice(0, limit);
+
+        return {
+            status: 200,
+            request_owner_id: id,
+            message: `${totalDue} flashcard(s) are due for review`,
+            data: {
+                deckId: deckId,
+                totalDue: totalDue,
+                flashcards: due.map(({ flashcard, state }) => ({
+                    id: flashcard.id,
+                    term: flashcard.term,
+                    definition: flashcard.definition,
+                    isNew: !state,
+                    dueAt: state ? state.dueAt.toISOString() : null,
+                    intervalDays: state ? state.intervalDays : 0,
+                    easeFactor: state ? state.easeFactor : null,
+                }))
+            }
+        };
+    } catch (error) {
+        return reviewErrorResponse(error, id, "Due flashcard retrieval failed: ");
+    }
+}
+
+/**
+ * Converts a stored review state to the scheduler format.
+ *
+ * @function fromStoredState
+ * @param {Object|undefined} stored - The review state read from Firestore.
+ * @returns {Object|null} The scheduler state, or null if the flashcard was never reviewed.
+ */
+const fromStoredState = (stored) => {
+    if (!stored) return null;
+
+    return {
+        easeFactor: stored.ease_factor,
+        intervalDays: stored.interval_days,
+        repetitions: stored.repetitions,
+        lapses: stored.lapses,
+        dueAt: stored.due_at.toDate(),
+        lastReviewedAt: stored.last_reviewed_at ? stored.last_reviewed_at.toDate() : null,
+        lastGrade: stored.last_grade ?? null,
+    };
+}
+
+/**
+ * Converts a scheduler state to the stored format.
+ *
+ * @function toStoredState
+ * @param {string} deckId - The ID of the deck.
+ * @param {string} flashcardId - The ID of the flashcard.
+ * @param {Object} state - The scheduler state.
+ * @returns {Object} The review state to write to Firestore.
+ */
+const toStoredState = (deckId, flashcardId, state) => ({
+    deck_id: deckId,
+    flashcard_id: flashcardId,
+    ease_factor: state.easeFactor,
+    interval_days: state.intervalDays,
+    repetitions: state.repetitions,
+    lapses: state.lapses,
+    due_at: toTimeStamp(state.dueAt),
+    last_reviewed_at: state.lastReviewedAt ? toTimeStamp(state.lastReviewedAt) : null,
+    last_grade: state.lastGrade,
+});
+
+/**
+ * Formats the schedule of a reviewed flashcard for the API response.
+ *
+ * @function formatSchedule
+ * @param {string} flashcardId - The ID of the flashcard.
+ * @param {Object} state - The scheduler state.
+ * @returns {Object} The formatted schedule.
+ */
+const formatSchedule = (flashcardId, state) => ({
+    flashcardId: flashcardId,
+    easeFactor: state.easeFactor,
+    intervalDays: state.intervalDays,
+    repetitions: state.repetitions,
+    lapses: state.lapses,
+    dueAt: state.dueAt.toISOString(),
+});
+
+/**
+ * Maps an error thrown by a review service to a response object.
+ *
+ * @function reviewErrorResponse
+ * @param {Error} error - The error thrown.
+ * @param {string} id - The user ID of the request owner.
+ * @param {string} prefix - The beginning of the error message.
+ * @returns {Object} Response object with the matching status code.
+ */
+const reviewErrorResponse = (error, id, prefix) => {
+    const statusByError = {
+        INVALID_DECK_ID: 400,
+        INVALID_GRADE: 400,
+        UNKNOWN_FLASHCARD_ID: 400,
+        DECK_ACCESS_DENIED: 403,
+        DECK_NOT_FOUND: 404,
+    };
+
+    if (!statusByError[error.message]) {
+        console.error(`Server-side error: ${error.message}`);
+        return { status: 500, request_owner_id: id, message: "A server-side error has occurred", data: null };
+    }
+
+    return {
+        status: statusByError[error.message],
+        request_owner_id: id,
+        message: prefix + error.message,
+        data: null
+    };
+}
@@ -0,0 +1,214 @@
+/**
+ * Deck API - Translation Service
+ *
+ * @file translationService.js
+ * @description Creates translated copies of decks.
+ *
+ * The copy is a new private deck of the requester, the original deck is not changed. Every translated flashcard keeps
+ * the ID of the flashcard it was translated from in `original_flashcard_id`, and the copy remembers its original deck
+ * in `translated_from`. Image occlusion cards keep their diagram, only the labels and descriptions of its regions are
+ * translated. The copy is moderated once it was saved, like any other AI-generated deck.
+ *
+ * @module translationService
+ *
+ * @requires ../repositories/deckRepository.js
+ * @requires ./aiService.js
+ * @requires ./moderationService.js
+ * @requires ../schema/translationSchema.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+import { getDeckDocument, getFlashcardsByDeckId, createDeck, createFlashcard } from '../repositories/deckRepository.js';
+import { sendPromptInline } from './aiService.js';
+import { geminiModerationService } from './moderationService.js';
+import { flashcardTranslationSchema } from '../schema/translationSchema.js';
+import { canAccessDeck, visibleFlashcards, OCCLUSION_CARD_TYPE } from '../models/deckModel.js';
+import { currentTimeStamp } from '../config/firebaseAdminConfig.js';
+import { SUPPORTED_LANGUAGES } from '../config/app.config.js';
+
+// Number of flashcards translated per AI request
+const BATCH_SIZE = 25;
+
+/**
+ * Translates a deck into another language and saves the translation as a new deck.
+ *
+ * @async
+ * @function translateDeckService
+ * @param {string} deckId - The ID of the deck to translate.
+ * @param {string} id - The request owner ID, who becomes the owner of the copy.
+ * @param {Object} options - Translation options.
+ * @param {string} options.language - The code of the target language.
+ * @param {string} [options.provider] - The AI provider to use ("gemini" or "openai").
+ * @returns {Promise<Object>} Response object containing the ID of the translated deck and its moderation, or an error message.
+ */
+export const translateDeckService = async (deckId, id, options) => {
+    const { language, provider } = options;
+
+    try {
+        const deck = await getDeckDocument(deckId);
+        if (!canAccessDeck(deck, id)) throw new Error("DECK_ACCESS_DENIED");
+
+        // Flagged flashcards of other users' decks are not copied
+        const flashcards = visibleFlashcards(await getFlashcardsByDeckId(deckId), deck, id);
+        if (flashcards.length === 0) throw new Error("DECK_HAS_NO_FLASHCARDS");
+
+        const translations = await translateFlashcards(flashcards, language, provider);
+
+        const translatedDeckId = await createDeck({
+            created_at: currentTimeStamp(),
+            is_deleted: false,
+            is_private: true,
+            title: `${deck.title} (${SUPPORTED_LANGUAGES[language]})`,
+            owner_id: id,
+            cover_photo: deck.cover_photo ?? null,
+            language: language,
+            ...(deck.difficulty ? { difficulty: deck.difficulty } : {}),
+            translated_from: { deck_id: deckId, language: deck.language ?? null }
+        });
+
+        await createFlashcard(translatedDeckId, toTranslatedCards(flashcards, translations, language));
+
+        // A failed moderation doesn't undo the translation, the copy can be moderated again later
+        const moderation = await geminiModerationService(translatedDeckId, id, { provider });
+
+        return {
+            status: 200,
+            request_owner_id: id,
+            message: "Deck was translated successfully",
+            data: {
+                deckId: translatedDeckId,
+                originalDeckId: deckId,
+                language: language,
+                numberOfFlashcards: flashcards.length,
+                moderation: moderation.status === 200 ? moderation.data : null
+            }
+        };
+    } catch (error) {
+        console.error('Error during deck translation:', error);
+
+        const statusByError = {
+            INVALID_DECK_ID: 400,
+            DECK_ACCESS_DENIED: 403,
+            DECK_NOT_FOUND: 404,
+            DECK_HAS_NO_FLASHCARDS: 422,
+            INCOMPLETE_TRANSLATION: 502,
+            AI_UNAVAILABLE: 503
+        };
+        return {
+            status: statusByError[error.message] || 500,
+            request_owner_id: id,
+            message: "Deck translation failed: " + error.message,
+            data: null
+        };
+    }
+}
+
+/**
+ * Translates the term and definition of every flashcard, a batch at a time.
+ * Occlusion cards are translated through the label and description of their region.
+ *
+ * @async
+ * @function translateFlashcards
+ * @param {Array<Object>} flashcards - The flashcards of the deck, with their IDs.
+ * @param {string} language - The code of the target language.
+ * @param {string} [provider] - The AI provider to use.
+ * @returns {Promise<Map<string, {term: string, definition: string}>>} - The translations keyed by flashcard ID.
+ * @throws {Error} - Throws `INCOMPLETE_TRANSLATION` if the AI skipped flashcards, or `AI_UNAVAILABLE`.
+ */
+const translateFlashcards = async (flashcards, language, provider) => {
+    const translations = new Map();
+
+    for (let i = 0; i < flashcards.length; i += BATCH_SIZE) {
+        const batch = flashcards.slice(i, i + BATCH_SIZE);
+        const data = batch.map(flashcard => `ID: ${flashcard.id}\nTerm: ${flashcard.term}\nDefinition: ${flashcard.definition}`).join("\n\n");
+
+        const result = await sendPromptInline(flashcardTranslationSchema, translationPrompt(language), data, { provider });
+        const items = Array.isArray(result.quiz_data?.flashcards) ? result.quiz_data.flashcards : [];
+
+        for (const item of items) {
+            if (typeof item?.term === 'string' && item.term.trim() && typeof item?.definition === 'string') {
+                translations.set(String(item.id), { term: item.term.trim(), definition: item.definition.trim() });
+            }
+        }
+
+        if (batch.some(flashcard => !translations.has(flashcard.id))) throw new Error("INCOMPLETE_TRANSLATION");
+    }
+
+    return translations;
+}
+
+/**
+ * Builds the flashcards of the translated deck.
+ *
+ * @function toTranslatedCards
+ * @param {Array<Object>} flashcards - The original flashcards.
+ * @param {Map<string, Object>} translations - The translations keyed by flashcard ID.
+ * @param {string} language - The code of the target language.
+ * @returns {Array<Object>} - The flashcards to save, each with the ID of its original.
+ */
+const toTranslatedCards = (flashcards, translations, language) => {
+    // Every region of a diagram is asked by one card, so the cards of a diagram translate all of its regions
+    const translatedRegions = new Map();
+    for (const flashcard of flashcards) {
+        if (flashcard.type === OCCLUSION_CARD_TYPE) translatedRegions.set(`${flashcard.image_ref}#${flashcard.region_id}`, translations.get(flashcard.id));
+    }
+
+    return flashcards.map(flashcard => {
+        const translation = translations.get(flashcard.id);
+
+        if (flashcard.type === OCCLUSION_CARD_TYPE) {
+            return {
+                type: OCCLUSION_CARD_TYPE,
+                image_ref: flashcard.image_ref,
+                image_width: flashcard.image_width,
+                image_height: flashcard.image_height,
+                diagram_title: flashcard.diagram_title,
+                regions: flashcard.regions.map(region => {
+                    const regionTranslation = translatedRegions.get(`${flashcard.image_ref}#${region.id}`);
+                    return regionTranslation
+                        ? { ...region, label: regionTranslation.term, description: regionTranslation.definition || region.description }
+                        : region;
+                }),
+                region_id: flashcard.region_id,
+                original_flashcard_id: flashcard.id
+            };
+        }
+
+        return {
+            term: translation.term,
+            definition: translation.definition,
+            language: language,
+            ...(flashcard.source ? { source: flashcard.source } : {}),
+            ...(flashcard.difficulty ? { difficulty: flashcard.difficulty } : {}),
+            ...(flashcard.bloom_level ? { bloom_level: flashcard.bloom_level } : {}),
+            original_flashcard_id: flashcard.id
+        };
+    });
+}
+
+/**
+ * Generates the translation prompt. The flashcards are sent as inline data.
+ *
+ * @function translationPrompt
+ * @param {string} language - The code of the target language.
+ * @returns {string} - The prompt.
+ */
+const translationPrompt = (language) => {
+    return `You are a professional translator of study material. Translate the attached flashcards to ${SUPPORTED_LANGUAGES[language]}.
+
+    ### Instructions:
+    1. Translate the term and the definition of every flashcard and return them with the flashcard's ID.
+    2. Use the established ${SUPPORTED_LANGUAGES[language]} terminology of the subject. Keep names, formulas and symbols that are not translated in ${SUPPORTED_LANGUAGES[language]}.
+    3. Keep the meaning and level of detail of the definitions, don't add or leave out facts.
+    4. Flashcards that are already in ${SUPPORTED_LANGUAGES[language]} are returned unchanged.
+
+    ## Expected sample output format ##
+    {
+        "flashcards": [
+            { "id": "<flashcard ID>", "term": "<translated term>", "definition": "<translated definition>" }
+        ]
+    }`;
+}
@@ -0,0 +1,147 @@
+/**
+ * Deck API - Verification Service
+ *
+ * @file verificationService.js
+ * @description Checks flashcards generated from a document against the text of that document.
+ *
+ * Every generated definition is compared with the extracted source text and gets a verdict:
+ * - supported: The document states it.
+ * - unsupported: The document doesn't say it (the AI added knowledge or made it up).
+ * - contradicted: The document says something else.
+ *
+ * Depending on the verification mode of the request, unsupported and contradicted flashcards are saved with their
+ * verdict ("flag") or not saved at all ("drop"). The verdicts are stored on the flashcards and returned to the client.
+ *
+ * @module verificationService
+ *
+ * @requires ./aiService.js
+ * @requires ../schema/verificationSchema.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+import { sendPromptInline } from './aiService.js';
+import { flashcardVerificationSchema } from '../schema/verificationSchema.js';
+
+/**
+ * Supported verification modes: flag or drop unsupported flashcards, or skip the verification.
+ */
+export const VERIFICATION_MODES = ['flag', 'drop', 'off'];
+
+const VERDICTS = ['supported', 'unsupported', 'contradicted'];
+
+// Number of flashcards checked per AI request
+const BATCH_SIZE = 20;
+
+/**
+ * Asks the AI for a verdict on every flashcard, based on the text it was generated from.
+ * A failed verification doesn't fail the generation, the flashcards of the failed batch are marked `unverified`.
+ *
+ * @async
+ * @function verifyFlashcards
+ * @param {Array<Object>} flashcards - The generated flashcards.
+ * @param {string} sourceText - The extracted text the flashcards were generated from.
+ * @param {Object} [options={}] - Additional options.
+ * @param {string} [options.provider] - The AI provider to use ("gemini" or "openai").
+ * @returns {Promise<Array<Object>>} - The flashcards with their `verification` (`{ verdict, reason }`).
+ */
+export const verifyFlashcards = async (flashcards, sourceText, options = {}) => {
+    const verified = [];
+
+    for (let i = 0; i < flashcards.length; i += BATCH_SIZE) {
+        const batch = flashcards.slice(i, i + BATCH_SIZE);
+        let verdicts = new Map();
+
+        try {
+            const result = await sendPromptInline(flashcardVerificationSchema, verificationPrompt(batch), sourceText, { provider: options.provider });
+            const items = Array.isArray(result.quiz_data?.verdicts) ? result.quiz_data.verdicts : [];
+            verdicts = new Map(items.filter(item => VERDICTS.includes(item?.verdict)).map(item => [String(item.id), item]));
+        } catch (error) {
+            console.error(`Flashcard verification failed: ${error.message}`);
+        }
+
+        batch.forEach((flashcard, index) => {
+            const verdict = verdicts.get(String(index + 1));
+            verified.push({
+                ...flashcard,
+                verification: verdict
+                    ? { verdict: verdict.verdict, reason: verdict.verdict === 'supported' ? null : (verdict.reason || null) }
+                    : { verdict: 'unverified', reason: 'The flashcard could not be checked against the source.' }
+            });
+        });
+    }
+
+    return verified;
+}
+
+/**
+ * Applies the verification mode to verified flashcards. Flashcards without a verification are always kept.
+ *
+ * @function applyVerificationMode
+ * @param {Array<Object>} flashcards - The flashcards, some of them with a `verification`.
+ * @param {"flag"|"drop"} mode - Whether unsupported and contradicted flashcards are flagged or dropped.
+ * @returns {{flashcards: Array<Object>, report: Object}} - The flashcards to save and the verification report of the response.
+ */
+export const applyVerificationMode = (flashcards, mode) => {
+    const report = { mode: mode, supported: 0, unsupported: 0, contradicted: 0, unverified: 0, notChecked: 0, dropped: 0, verdicts: [] };
+    const kept = [];
+
+    for (const flashcard of flashcards) {
+        if (!flashcard.verification) {
+            report.notChecked += 1;
+            kept.push(flashcard);
+            continue;
+        }
+
+        const { verdict, reason } = flashcard.verification;
+        const isRejected = verdict === 'unsupported' || verdict === 'contradicted';
+        const action = !isRejected ? 'kept' : (mode === 'drop' ? 'dropped' : 'flagged');
+
+        report[verdict] += 1;
+        report.verdicts.push({ term: flashcard.term, verdict, reason, action });
+
+        if (action === 'dropped') report.dropped += 1;
+        else kept.push(flashcard);
+    }
+
+    return { flashcards: kept, report };
+}
+
+/**
+ * Generates the verification prompt for a batch of flashcards. The source text is sent as inline data.
+ *
+ * @function verificationPrompt
+ * @param {Array<Object>} flashcards - The flashcards to check.
+ * @returns {string} - The prompt.
+ */
+const verificationPrompt = (flashcards) => {
+    const cards = flashcards
+        .map((flashcard, index) => `ID: ${index + 1}\nTerm: ${flashcard.term}\nDefinition: ${flashcard.definition}`)
+        .join("\n\n");
+
+    return `You are a careful fact checker. The attached text is a student's study material. The flashcards below were generated from it.
+    Decide for every flashcard whether the attached text backs up its definition. Judge only against the attached text, not your own knowledge.
+    The flashcards may be written in another language than the text, compare their meaning.
+
+    ### Verdicts:
+    - supported: The attached text states the definition or clearly implies it.
+    - unsupported: The attached text doesn't mention it, or the definition adds facts that are not in the text.
+    - contradicted: The attached text says something different (e.g., other numbers, names, dates or causes).
+
+    ### Instructions:
+    1. Return exactly one verdict per flashcard, using the flashcard's ID.
+    2. For unsupported and contradicted flashcards, give a one-sentence reason (quote the text for contradictions).
+
+    ## Expected sample output format ##
+    {
+        "verdicts": [
+            { "id": "1", "verdict": "supported", "reason": null },
+            { "id": "2", "verdict": "contradicted", "reason": "The text says mitochondria produce ATP, not glucose." }
+        ]
+    }
+
+    ### Flashcards:
+    ${cards}`;
+}
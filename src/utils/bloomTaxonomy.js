@@ -0,0 +1,146 @@
+/**
+ * Deck API - Bloom's Taxonomy
+ *
+ * @file bloomTaxonomy.js
+ * @description Helpers for targeting the difficulty and the Bloom's taxonomy levels of generated flashcards and questions.
+ *
+ * A request can ask for a distribution of levels, either as a list (`["apply"]`, every level gets the same share)
+ * or as weights (`{ "remember": 1, "apply": 3 }`). The distribution is stored as shares that add up to 1, and every
+ * flashcard or question is assigned its level up front so the AI gets one clear target per item.
+ *
+ * Nothing in this module touches the AI or the database.
+ *
+ * @module bloomTaxonomy
+ *
+ * @requires ../config/app.config.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+import { BLOOM_LEVELS } from '../config/app.config.js';
+
+/**
+ * What each Bloom's level asks of a student, used in the prompts.
+ */
+export const BLOOM_LEVEL_DESCRIPTIONS = {
+    remember: 'recall a fact, term or definition as learned',
+    understand: 'explain, paraphrase or recognize an example of a concept',
+    apply: 'use a concept in a new, concrete situation or scenario',
+    analyze: 'break a situation down, compare concepts or find the cause of something',
+    evaluate: 'judge, justify or pick the best option using criteria',
+    create: 'combine concepts to propose, design or predict something new',
+};
+
+/**
+ * What each difficulty level means for the audience, used in the prompts.
+ */
+export const DIFFICULTY_DESCRIPTIONS = {
+    intro: 'students meeting the topic for the first time: core concepts, plain wording, no assumed background',
+    intermediate: 'students who know the basics: standard terminology, connections between concepts',
+    advanced: 'students who master the basics: specialized terms, nuances, exceptions and edge cases',
+};
+
+/**
+ * Checks the `bloomLevels` of a request: a non-empty list of levels, or an object of levels with non-negative weights
+ * where at least one weight is above zero.
+ *
+ * @function isValidBloomLevels
+ * @param {*} bloomLevels - The `bloomLevels` field of the request body.
+ * @returns {boolean} - True if the distribution is valid.
+ */
+export const isValidBloomLevels = (bloomLevels) => {
+    if (Array.isArray(bloomLevels)) {
+        return bloomLevels.length > 0 && bloomLevels.every(level => BLOOM_LEVELS.includes(level));
+    }
+    if (!bloomLevels || typeof bloomLevels !== 'object') return false;
+
+    const entries = Object.entries(bloomLevels);
+    return entries.length > 0
+        && entries.every(([level, weight]) => BLOOM_LEVELS.includes(level) && Number.isFinite(weight) && weight >= 0)
+        && entries.some(([, weight]) => weight > 0);
+}
+
+/**
+ * Turns a valid `bloomLevels` field into shares of every level that add up to 1.
+ * The same distribution always gives the same shares, whichever form it was sent in.
+ *
+ * @function normalizeBloomLevels
+ * @param {Array<string>|Object<string, number>|undefined} bloomLevels - The distribution of the request.
+ * @returns {Object<string, number>|null} - The share of every requested level, in taxonomy order, or null without a distribution.
+ */
+export const normalizeBloomLevels = (bloomLevels) => {
+    if (bloomLevels === undefined || bloomLevels === null) return null;
+
+    const weights = Array.isArray(bloomLevels)
+        ? Object.fromEntries(bloomLevels.map(level => [level, 1]))
+        : bloomLevels;
+    const total = BLOOM_LEVELS.reduce((sum, level) => sum + (weights[level] || 0), 0);
+
+    const shares = {};
+    for (const level of BLOOM_LEVELS) {
+        if (weights[level] > 0) shares[level] = Math.round(weights[level] / total * 10_000) / 10_000;
+    }
+    return shares;
+}
+
+/**
+ * Assigns a level to each of `count` items so the levels follow the shares (largest remainder).
+ * The levels are spread over the list instead of grouped, so every batch of the list gets a similar mix.
+ *
+ * @function assignBloomLevels
+ * @param {Object<string, number>} shares - The share of every level, see `normalizeBloomLevels`.
+ * @param {number} count - The number of items.
+ * @returns {Array<string>} - The level of every item.
+ */
+export const assignBloomLevels = (shares, count) => {
+    const levels = Object.keys(shares);
+    const exact = levels.map(level => shares[level] * count);
+    const counts = exact.map(Math.floor);
+
+    let remaining = count - counts.reduce((sum, value) => sum + value, 0);
+    const byRemainder = exact
+        .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+        .sort((a, b) => b.remainder - a.remainder);
+
+    for (const { index } of byRemainder) {
+        if (remaining === 0) break;
+        counts[index] += 1;
+        remaining -= 1;
+    }
+
+    // Place the n items of a level at the middle of n equal slices of the list
+    return levels
+        .flatMap((level, index) => Array.from({ length: counts[index] }, (_, k) => ({ level, position: (k + 0.5) / counts[index] })))
+        .sort((a, b) => a.position - b.position)
+        .map(item => item.level);
+}
+
+/**
+ * Counts how many items were assigned each level.
+ *
+ * @function countBloomLevels
+ * @param {Array<string>} levels - The assigned levels.
+ * @returns {Object<string, number>} - The number of items of every level, in taxonomy order.
+ */
+export const countBloomLevels = (levels) => {
+    const counts = {};
+    for (const level of BLOOM_LEVELS) {
+        const count = levels.filter(assigned => assigned === level).length;
+        if (count > 0) counts[level] = count;
+    }
+    return counts;
+}
+
+/**
+ * Reads a level returned by the AI.
+ *
+ * @function toBloomLevel
+ * @param {*} value - The level returned by the AI.
+ * @returns {string|null} - The level, or null if it isn't one of `BLOOM_LEVELS`.
+ */
+export const toBloomLevel = (value) => {
+    const level = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    return BLOOM_LEVELS.includes(level) ? level : null;
+}
@@ -0,0 +1,202 @@
+/**
+ * Deck API - Document Chunker
+ *
+ * @file documentChunker.js
+ * @description Splits long documents into chunks so flashcards are generated from the whole file.
+ *
+ * A document is first cut into sections: the pages of a PDF, or the parts between the headings of other documents
+ * (slides of a presentation are headings too). Consecutive sections are then packed into chunks of similar size and
+ * every chunk gets a share of the requested flashcards proportional to its length. Every chunk is sent to the AI on
+ * its own and keeps a label ("Pages 12-18", "Slide 4: Photosynthesis - Slide 9: Respiration") that is stored on the
+ * flashcards generated from it.
+ *
+ * A single AI request never asks for more than `maxFlashcardsPerChunk` flashcards. A chunk whose share is larger
+ * (e.g. a short document asked for many flashcards) is sent several times, each time for a part of its share.
+ *
+ * Nothing in this module touches the AI or the database.
+ *
+ * @module documentChunker
+ *
+ * @requires ../config/app.config.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+import { documentConfig } from '../config/app.config.js';
+
+/**
+ * Splits a document at its Markdown headings.
+ * Text before the first heading becomes a section of its own, documents without headings are a single section.
+ *
+ * @function splitIntoSections
+ * @param {string} text - The text of the document, headings as Markdown headings.
+ * @returns {Array<{label: string|null, text: string}>} - The sections in document order.
+ */
+export const splitIntoSections = (text) => {
+    const sections = [];
+    let current = { label: null, lines: [] };
+
+    for (const line of text.split('\n')) {
+        const heading = line.match(/^#{1,6}\s+(.+)$/);
+        if (heading) {
+            sections.push(current);
+            current = { label: heading[1].trim(), lines: [] };
+        }
+        current.lines.push(line);
+    }
+    sections.push(current);
+
+    return sections
+        .map(section => ({ label: section.label, text: section.lines.join('\n').trim() }))
+        .filter(section => section.text);
+}
+
+/**
+ * Packs the sections of a document into chunks and spreads the requested flashcards across them.
+ *
+ * @function planChunks
+ * @param {Array<{label: string|null, text: string, page?: number}>} sections - The sections in document order.
+ * @param {number} numberOfFlashcards - The number of flashcards requested for the whole document.
+ * @returns {Array<{label: string|null, text: string, pageStart: number|null, pageEnd: number|null, numberOfFlashcards: number}>}
+ *   The chunks that get at least one flashcard, in document order. A chunk is repeated when its share is larger than
+ *   `maxFlashcardsPerChunk`, the repetitions are next to each other.
+ */
+export const planChunks = (sections, numberOfFlashcards) => {
+    const parts = sections.flatMap(section => splitSection(section, documentConfig.chunkChars));
+    const totalChars = parts.reduce((sum, part) => sum + part.text.length, 0);
+    if (totalChars === 0) return [];
+
+    // Enough chunks to cover the file and to keep every prompt at a reasonable number of flashcards
+    const minChunks = Math.ceil(numberOfFlashcards / documentConfig.maxFlashcardsPerChunk);
+    const targetChunks = Math.min(Math.max(Math.ceil(totalChars / documentConfig.chunkChars), minChunks), numberOfFlashcards);
+    const chunkSize = Math.ceil(totalChars / targetChunks);
+
+    const chunks = [];
+    let current = [];
+    let currentSize = 0;
+
+    for (const part of parts) {
+        if (current.length > 0 && currentSize + part.text.length > chunkSize) {
+            chunks.push(current);
+            current = [];
+            currentSize = 0;
+        }
+        current.push(part);
+        currentSize += part.text.length;
+    }
+    if (current.length > 0) chunks.push(current);
+
+    const shares = allocate(chunks.map(chunk => chunk.reduce((sum, part) => sum + part.text.length, 0)), numberOfFlashcards);
+
+    return chunks.flatMap((chunk, index) => {
+        const description = describeChunk(chunk, index, chunks.length);
+        return splitFlashcards(shares[index]).map(share => ({ ...description, numberOfFlashcards: share }));
+    });
+}
+
+/**
+ * Splits a number of flashcards into the requests of at most `maxFlashcardsPerChunk` flashcards needed to generate
+ * them, as evenly as possible.
+ *
+ * @function splitFlashcards
+ * @param {number} numberOfFlashcards - The number of flashcards to generate.
+ * @returns {Array<number>} - The number of flashcards of every request, empty if no flashcard is requested.
+ */
+export const splitFlashcards = (numberOfFlashcards) => {
+    if (!(numberOfFlashcards > 0)) return [];
+
+    const numberOfRequests = Math.ceil(numberOfFlashcards / documentConfig.maxFlashcardsPerChunk);
+    return allocate(Array(numberOfRequests).fill(1), numberOfFlashcards);
+}
+
+/**
+ * Splits a section that is larger than a chunk at its lines.
+ *
+ * @function splitSection
+ * @param {Object} section - The section to split.
+ * @param {number} maxChars - The size of a chunk.
+ * @returns {Array<Object>} - The parts of the section, each with the label and page of the section.
+ */
+const splitSection = (section, maxChars) => {
+    if (section.text.length <= maxChars) return [section];
+
+    const parts = [];
+    let current = '';
+
+    for (const line of section.text.split(/\n+/)) {
+        if (current && current.length + line.length > maxChars) {
+            parts.push(current);
+            current = '';
+        }
+        current = current ? `${current}\n${line}` : line;
+
+        // A single line larger than a chunk is cut as-is
+        while (current.length > maxChars) {
+            parts.push(current.slice(0, maxChars));
+            current = current.slice(maxChars);
+        }
+    }
+    if (current) parts.push(current);
+
+    return parts.map(text => ({ ...section, text }));
+}
+
+/**
+ * Spreads a number of flashcards proportionally to the size of the chunks (largest remainder method).
+ *
+ * @function allocate
+ * @param {Array<number>} sizes - The number of characters of every chunk.
+ * @param {number} total - The number of flashcards to spread.
+ * @returns {Array<number>} - The number of flashcards of every chunk.
+ */
+const allocate = (sizes, total) => {
+    const totalSize = sizes.reduce((sum, size) => sum + size, 0);
+    const exact = sizes.map(size => size / totalSize * total);
+    const shares = exact.map(Math.floor);
+
+    let remaining = total - shares.reduce((sum, share) => sum + share, 0);
+    const byRemainder = exact
+        .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+        .sort((a, b) => b.remainder - a.remainder);
+
+    for (const { index } of byRemainder) {
+        if (remaining === 0) break;
+        shares[index] += 1;
+        remaining -= 1;
+    }
+
+    return shares;
+}
+
+/**
+ * Builds the label, page range and text of a chunk.
+ *
+ * @function describeChunk
+ * @param {Array<Object>} parts - The section parts of the chunk.
+ * @param {number} index - The position of the chunk in the document.
+ * @param {number} numberOfChunks - The number of chunks of the document.
+ * @returns {{label: string|null, text: string, pageStart: number|null, pageEnd: number|null}} - The chunk.
+ */
+const describeChunk = (parts, index, numberOfChunks) => {
+    const pages = parts.map(part => part.page).filter(Number.isInteger);
+    const pageStart = pages.length > 0 ? Math.min(...pages) : null;
+    const pageEnd = pages.length > 0 ? Math.max(...pages) : null;
+
+    let label;
+    if (pageStart !== null) {
+        label = pageStart === pageEnd ? `Page ${pageStart}` : `Pages ${pageStart}-${pageEnd}`;
+    } else {
+        const labels = [...new Set(parts.map(part => part.label).filter(Boolean))];
+        if (labels.length === 0) label = numberOfChunks > 1 ? `Part ${index + 1}` : null;
+        else label = labels.length === 1 ? labels[0] : `${labels[0]} - ${labels[labels.length - 1]}`;
+    }
+
+    // Repeat the page of every part so the AI knows where each passage comes from
+    const text = parts
+        .map(part => Number.isInteger(part.page) ? `[Page ${part.page}]\n${part.text}` : part.text)
+        .join('\n\n');
+
+    return { label, text, pageStart, pageEnd };
+}
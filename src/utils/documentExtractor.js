@@ -0,0 +1,308 @@
+/**
+ * Deck API - Document Extractor
+ *
+ * @file documentExtractor.js
+ * @description Turns uploaded documents into plain text before they are sent to the AI.
+ *
+ * Gemini rejects Office documents, so they are read locally and sent to the model as inline text instead of a file.
+ * Supported formats:
+ * - docx: Paragraphs in order, headings are kept as Markdown headings and list items as bullets.
+ * - pptx: Slides in order, every slide starts with its number and title.
+ * - txt: Read as-is.
+ * - md: Read as-is, images and links are reduced to their text.
+ *
+ * DOCX and PPTX files are ZIP archives of XML parts, they are unpacked with `zlib` so no extra dependency is needed.
+ * Entries are inflated asynchronously, and the text unpacked from one archive is limited to
+ * `DOCUMENT_MAX_EXTRACTED_BYTES`, so a ZIP bomb is rejected before it fills the memory.
+ *
+ * @module documentExtractor
+ *
+ * @requires fs/promises
+ * @requires zlib
+ * @requires ../config/app.config.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+import { readFile } from 'fs/promises';
+import { inflateRaw } from 'zlib';
+import { promisify } from 'util';
+import { documentConfig } from '../config/app.config.js';
+
+const inflateRawAsync = promisify(inflateRaw);
+
+/**
+ * File extensions that are turned into text locally instead of being uploaded to the AI.
+ */
+export const LOCALLY_EXTRACTED_EXTENSIONS = ['docx', 'pptx', 'txt', 'md'];
+
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+
+/**
+ * Normalizes a file extension to its lowercase form without the leading dot.
+ *
+ * @function normalizeExtension
+ * @param {string} extension - The file extension (e.g., '.DOCX', 'pdf').
+ * @returns {string} - The normalized extension (e.g., 'docx').
+ */
+export const normalizeExtension = (extension) => (extension || '').trim().replace(/^\./, '').toLowerCase();
+
+/**
+ * Checks if a file is turned into text locally.
+ *
+ * @function isLocallyExtracted
+ * @param {string} extension - The file extension.
+ * @returns {boolean} - True if the file is read by `extractDocumentText`.
+ */
+export const isLocallyExtracted = (extension) => LOCALLY_EXTRACTED_EXTENSIONS.includes(normalizeExtension(extension));
+
+/**
+ * Extracts the text of a document.
+ *
+ * @async
+ * @function extractDocumentText
+ * @param {string} filePath - The path to the document.
+ * @param {string} extension - The file extension of the document.
+ * @returns {Promise<string>} - The text of the document.
+ * @throws {Error} - Throws `UNSUPPORTED_FILE_TYPE` for other formats, `INVALID_DOCUMENT` for unreadable files,
+ *   `DOCUMENT_TOO_LARGE` if an archive unpacks to more than `DOCUMENT_MAX_EXTRACTED_BYTES` and `EMPTY_DOCUMENT`
+ *   if the document has no text.
+ */
+export const extractDocumentText = async (filePath, extension) => {
+    const type = normalizeExtension(extension);
+    if (!LOCALLY_EXTRACTED_EXTENSIONS.includes(type)) throw new Error("UNSUPPORTED_FILE_TYPE");
+
+    const buffer = await readFile(filePath);
+    let text;
+
+    try {
+        switch (type) {
+            case 'docx':
+                text = await extractDocxText(buffer);
+                break;
+            case 'pptx':
+                text = await extractPptxText(buffer);
+                break;
+            case 'md':
+                text = cleanMarkdown(decodeText(buffer));
+                break;
+            default:
+                text = decodeText(buffer);
+                break;
+        }
+    } catch (error) {
+        console.error(`Document extraction error (${type}): ${error.message}`);
+        throw new Error(error.message === "DOCUMENT_TOO_LARGE" ? "DOCUMENT_TOO_LARGE" : "INVALID_DOCUMENT");
+    }
+
+    text = text
+        .replace(/[ \t]+\n/g, '\n')  // Remove trailing spaces
+        .replace(/\n{3,}/g, '\n\n')  // Keep at most one empty line
+        .trim();
+
+    if (!text) throw new Error("EMPTY_DOCUMENT");
+    return text;
+}
+
+/**
+ * Extracts the paragraphs of a Word document.
+ *
+ * @async
+ * @function extractDocxText
+ * @param {Buffer} buffer - The content of the .docx file.
+ * @returns {Promise<string>} - The text of the document.
+ */
+const extractDocxText = async (buffer) => {
+    const entries = await readZipEntries(buffer, name => name === 'word/document.xml');
+    const xml = entries.get('word/document.xml');
+    if (!xml) throw new Error("word/document.xml is missing");
+
+    const paragraphs = xml.match(/<w:p[ >][\s\S]*?<\/w:p>/g) || [];
+
+    return paragraphs.map(paragraph => {
+        const text = collectText(paragraph, /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:br\/>/g);
+        if (!text.trim()) return '';
+
+        const style = paragraph.match(/<w:pStyle w:val="([^"]+)"/)?.[1] || '';
+        const headingLevel = style === 'Title' ? 1 : Number(style.match(/^Heading(\d)$/)?.[1]);
+
+        if (headingLevel) return `\n${'#'.repeat(headingLevel)} ${text.trim()}`;
+        if (paragraph.includes('<w:numPr>')) return `- ${text.trim()}`;
+        return text;
+    }).join('\n');
+}
+
+/**
+ * Extracts the slides of a PowerPoint presentation.
+ *
+ * @async
+ * @function extractPptxText
+ * @param {Buffer} buffer - The content of the .pptx file.
+ * @returns {Promise<string>} - The text of every slide, starting with its number and title.
+ */
+const extractPptxText = async (buffer) => {
+    const slideNumber = (name) => Number(name.match(/^ppt\/slides\/slide(\d+)\.xml$/)?.[1]);
+    const entries = await readZipEntries(buffer, name => Boolean(slideNumber(name)));
+
+    const slides = [...entries.keys()].sort((a, b) => slideNumber(a) - slideNumber(b));
+    if (slides.length === 0) throw new Error("The presentation has no slides");
+
+    return slides.map(name => {
+        const shapes = entries.get(name).match(/<p:sp>[\s\S]*?<\/p:sp>/g) || [];
+        let title = '';
+        const lines = [];
+
+        for (const shape of shapes) {
+            const paragraphs = (shape.match(/<a:p>[\s\S]*?<\/a:p>/g) || [])
+                .map(paragraph => collectText(paragraph, /<a:t>([^<]*)<\/a:t>|<a:br\/>/g).trim())
+                .filter(Boolean);
+
+            if (!title && /<p:ph[^>]*type="(?:title|ctrTitle)"/.test(shape)) {
+                title = paragraphs.join(' ');
+            } else {
+                lines.push(...paragraphs.map(paragraph => `- ${paragraph}`));
+            }
+        }
+
+        const heading = `## Slide ${slideNumber(name)}${title ? `: ${title}` : ''}`;
+        return [heading, ...lines].join('\n');
+    }).join('\n\n');
+}
+
+/**
+ * Joins the text runs of an XML fragment. Tab and break elements become a tab and a line break.
+ *
+ * @function collectText
+ * @param {string} xml - The XML fragment.
+ * @param {RegExp} pattern - Global pattern matching the text runs (first group), tabs and breaks.
+ * @returns {string} - The decoded text.
+ */
+const collectText = (xml, pattern) => {
+    let text = '';
+    for (const match of xml.matchAll(pattern)) {
+        if (match[1] !== undefined) text += decodeXmlEntities(match[1]);
+        else text += match[0].includes('tab') ? '\t' : '\n';
+    }
+    return text;
+}
+
+/**
+ * Decodes the XML entities of a text.
+ *
+ * @function decodeXmlEntities
+ * @param {string} text - The escaped text.
+ * @returns {string} - The decoded text.
+ */
+const decodeXmlEntities = (text) => text
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+/**
+ * Decodes a UTF-8 text file and normalizes its line breaks.
+ *
+ * @function decodeText
+ * @param {Buffer} buffer - The content of the file.
+ * @returns {string} - The text.
+ */
+const decodeText = (buffer) => buffer.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+
+/**
+ * Reduces Markdown images and links to their text, the rest of the Markdown is kept for the AI.
+ *
+ * @function cleanMarkdown
+ * @param {string} markdown - The Markdown text.
+ * @returns {string} - The cleaned text.
+ */
+const cleanMarkdown = (markdown) => markdown
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')  // Images
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')   // Links
+    .replace(/<!--[\s\S]*?-->/g, '');          // Comments
+
+/**
+ * Reads the entries of a ZIP archive whose name matches the filter.
+ * Only stored and deflated entries are supported, which covers every Office document.
+ * The matching entries may unpack to `maxBytes` together: an entry that declares a larger size is rejected before it
+ * is inflated, and inflating stops as soon as the limit is reached.
+ *
+ * @async
+ * @function readZipEntries
+ * @param {Buffer} buffer - The content of the archive.
+ * @param {Function} filter - Called with the name of every entry, returns true for the entries to read.
+ * @param {number} [maxBytes=documentConfig.maxExtractedBytes] - The maximum number of unpacked bytes.
+ * @returns {Promise<Map<string, string>>} - The UTF-8 content of the matching entries keyed by name.
+ * @throws {Error} - Throws `DOCUMENT_TOO_LARGE` if the entries unpack to more than `maxBytes`, or an error describing
+ *   why the archive can't be read.
+ */
+export const readZipEntries = async (buffer, filter, maxBytes = documentConfig.maxExtractedBytes) => {
+    // The end of central directory record is at least 22 bytes long and may be followed by a comment
+    let end = buffer.length - 22;
+    while (end >= 0 && buffer.readUInt32LE(end) !== ZIP_END_OF_CENTRAL_DIRECTORY) end--;
+    if (end < 0) throw new Error("Not a ZIP archive");
+
+    const entryCount = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    const entries = new Map();
+    let remainingBytes = maxBytes;
+
+    for (let i = 0; i < entryCount; i++) {
+        if (buffer.readUInt32LE(offset) !== ZIP_CENTRAL_DIRECTORY_HEADER) throw new Error("Corrupted ZIP central directory");
+
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const uncompressedSize = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        offset += 46 + nameLength + extraLength + commentLength;
+        if (!filter(name)) continue;
+
+        // The declared size can be forged, inflating is limited as well
+        if (uncompressedSize > remainingBytes) throw new Error("DOCUMENT_TOO_LARGE");
+
+        if (buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_FILE_HEADER) throw new Error(`Corrupted ZIP entry: ${name}`);
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+        let content;
+        if (method === 0) content = data;
+        else if (method === 8) content = await inflateEntry(data, remainingBytes);
+        else throw new Error(`Unsupported ZIP compression method ${method}: ${name}`);
+
+        if (content.length > remainingBytes) throw new Error("DOCUMENT_TOO_LARGE");
+        remainingBytes -= content.length;
+        entries.set(name, content.toString('utf8'));
+    }
+
+    return entries;
+}
+
+/**
+ * Inflates a deflated ZIP entry without blocking the event loop.
+ *
+ * @async
+ * @function inflateEntry
+ * @param {Buffer} data - The compressed data.
+ * @param {number} maxBytes - The maximum size of the inflated data.
+ * @returns {Promise<Buffer>} - The inflated data.
+ * @throws {Error} - Throws `DOCUMENT_TOO_LARGE` if the data inflates to more than `maxBytes`.
+ */
+const inflateEntry = async (data, maxBytes) => {
+    try {
+        return await inflateRawAsync(data, { maxOutputLength: Math.max(maxBytes, 1) });
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new Error("DOCUMENT_TOO_LARGE");
+        throw error;
+    }
+}
@@ -0,0 +1,81 @@
+/**
+ * Deck API - Image Processor
+ *
+ * @file imageProcessor.js
+ * @description Prepares uploaded photos (whiteboards, handwritten notes, book pages) before they are sent to the AI.
+ *
+ * Phone photos are large and come in several formats, so every image is normalized locally first:
+ * - HEIC/HEIF photos (iPhone default) are decoded with `heic-convert`, the image library can't read them.
+ * - The image is rotated upright according to its EXIF orientation, the EXIF data itself is dropped.
+ * - The longest side is scaled down to `IMAGE_MAX_DIMENSION`, smaller images keep their size.
+ * - Transparent areas (PNG) become white and the result is saved as a JPEG.
+ *
+ * @module imageProcessor
+ *
+ * @requires fs/promises
+ * @requires sharp
+ * @requires heic-convert
+ * @requires ../config/app.config.js
+ * @requires ./documentExtractor.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+import { readFile } from 'fs/promises';
+import sharp from 'sharp';
+import heicConvert from 'heic-convert';
+import { SUPPORTED_IMAGE_EXTENSIONS, imageConfig } from '../config/app.config.js';
+import { normalizeExtension } from './documentExtractor.js';
+
+const HEIC_EXTENSIONS = ['heic', 'heif'];
+
+/**
+ * Checks if a file is an image.
+ *
+ * @function isImage
+ * @param {string} extension - The file extension.
+ * @returns {boolean} - True if the file is one of the supported image formats.
+ */
+export const isImage = (extension) => SUPPORTED_IMAGE_EXTENSIONS.includes(normalizeExtension(extension));
+
+/**
+ * Normalizes an uploaded image and saves it as a JPEG next to the original.
+ *
+ * @async
+ * @function normalizeImage
+ * @param {string} filePath - The path to the uploaded image.
+ * @param {string} extension - The file extension of the image.
+ * @returns {Promise<{path: string, mimeType: string, width: number, height: number}>} - The normalized image and its size in pixels.
+ * @throws {Error} - Throws `UNSUPPORTED_FILE_TYPE` for other formats and `INVALID_IMAGE` for unreadable images.
+ */
+export const normalizeImage = async (filePath, extension) => {
+    const type = normalizeExtension(extension);
+    if (!SUPPORTED_IMAGE_EXTENSIONS.includes(type)) throw new Error("UNSUPPORTED_FILE_TYPE");
+
+    const outputPath = `${filePath.replace(/\.[^./\\]*$/, '')}-normalized.jpg`;
+    let output;
+
+    try {
+        let input = await readFile(filePath);
+        if (HEIC_EXTENSIONS.includes(type)) {
+            input = Buffer.from(await heicConvert({ buffer: input, format: 'JPEG', quality: 1 }));
+        }
+
+        output = await sharp(input)
+            .rotate()
+            .resize({ width: imageConfig.maxDimension, height: imageConfig.maxDimension, fit: 'inside', withoutEnlargement: true })
+            .flatten({ background: '#ffffff' })
+            .toColourspace('srgb')
+            .jpeg({ quality: imageConfig.jpegQuality, mozjpeg: true })
+            .toFile(outputPath);
+
+        console.log(`Normalized image ${filePath}: ${output.width}x${output.height}, ${Math.round(output.size / 1024)} KB`);
+    } catch (error) {
+        console.error(`Image normalization error (${type}): ${error.message}`);
+        throw new Error("INVALID_IMAGE");
+    }
+
+    return { path: outputPath, mimeType: 'image/jpeg', width: output.width, height: output.height };
+}
@@ -0,0 +1,90 @@
+/**
+ * Deck API - JSON Stream Parser
+ *
+ * @file jsonStreamParser.js
+ * @description Extracts complete objects from a JSON array while the JSON text is still being streamed.
+ *
+ * Streamed model responses arrive in arbitrary chunks, so a flashcard can be split across several of them.
+ * The parser looks for the array stored under the given key and returns every object of that array
+ * as soon as its closing brace has been received.
+ *
+ * @module jsonStreamParser
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+/**
+ * Creates a parser for the items of the array stored under `arrayKey`.
+ *
+ * @function createArrayItemParser
+ * @param {string} arrayKey - The key of the array to read the items from (e.g., "terms_and_definitions").
+ * @returns {{push: function(string): Array<Object>, isDone: function(): boolean}}
+ *   - push: Adds a chunk of text and returns the objects completed by it.
+ *   - isDone: Whether the closing bracket of the array has been received.
+ */
+export const createArrayItemParser = (arrayKey) => {
+    const keyPattern = new RegExp(`"${arrayKey}"\\s*:\\s*\\[`);
+    let buffer = "";
+    let position = -1;      // Index of the next character to scan, -1 until the array was found
+    let depth = 0;          // Nesting depth inside the array
+    let itemStart = -1;     // Index where the current item starts
+    let inString = false;
+    let escaped = false;
+    let done = false;
+
+    const push = (chunk) => {
+        const items = [];
+        if (done) return items;
+
+        buffer += chunk;
+
+        if (position === -1) {
+            const match = keyPattern.exec(buffer);
+            if (!match) return items;
+            position = match.index + match[0].length;
+        }
+
+        for (; position < buffer.length; position++) {
+            const char = buffer[position];
+
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (char === "\\") escaped = true;
+                else if (char === '"') inString = false;
+                continue;
+            }
+
+            if (char === '"') {
+                inString = true;
+            } else if (char === "{" || char === "[") {
+                if (depth === 0) itemStart = position;
+                depth++;
+            } else if (char === "}" || char === "]") {
+                if (depth === 0) {
+                    // Closing bracket of the array itself
+                    done = true;
+                    break;
+                }
+
+                depth--;
+                if (depth === 0 && char === "}") {
+                    try {
+                        items.push(JSON.parse(buffer.slice(itemStart, position + 1)));
+                    } catch (error) {
+                        console.error(`Skipping malformed streamed item: ${error.message}`);
+                    }
+                    itemStart = -1;
+                }
+            }
+        }
+
+        return items;
+    };
+
+    return {
+        push: push,
+        isDone: () => done,
+    };
+}
@@ -0,0 +1,254 @@
+/**
+ * Deck API - Moderation Rules
+ *
+ * @file moderationRules.js
+ * @description Deterministic first stage of the moderation, run before flashcards are sent to the AI.
+ *
+ * Every flashcard is checked against local rules:
+ * - Word lists per language (profanity and slurs). Text is normalized first so obfuscated words still match:
+ *   accents and zero-width characters are removed, leetspeak is decoded ("sh1t", "$hit"), separators between
+ *   single letters are dropped ("f.u.c.k", "f u c k") and repeated letters are collapsed ("fuuuck").
+ * - Personal data: email addresses and phone numbers.
+ * - Links and spam heuristics: link shorteners, several links, promotional phrases, long character runs
+ *   and words repeated over and over.
+ * - Blank flashcards (no term).
+ *
+ * A rule either blocks a flashcard, which is then flagged without asking the AI, or marks it as suspicious, which
+ * only adds a hint for the AI. Flashcards no rule blocks are ambiguous: the rules can't tell that they are
+ * appropriate, so they are still sent to the AI.
+ *
+ * The default word lists are extended with the lists of the JSON file in `MODERATION_WORD_LIST_FILE`
+ * (`{ "<language code>": ["word", "a phrase"] }`).
+ *
+ * Nothing in this module touches the AI or the database.
+ *
+ * @module moderationRules
+ *
+ * @requires fs
+ * @requires ../config/app.config.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+import { readFileSync } from 'fs';
+import { moderationConfig } from '../config/app.config.js';
+
+/**
+ * Default word lists per language. Words that are also common in study material (e.g. "dick" in "Moby Dick"
+ * or "bobo" in "Bobo doll experiment") are left to the AI.
+ */
+const DEFAULT_WORD_LISTS = {
+    en: ['fuck', 'fucker', 'motherfucker', 'shit', 'bullshit', 'bitch', 'cunt', 'asshole', 'dickhead', 'nigger', 'faggot', 'son of a bitch'],
+    fil: ['putangina', 'tangina', 'puta', 'gago', 'tarantado', 'ulol', 'kupal', 'pakyu', 'kantot'],
+    es: ['puta', 'mierda', 'cabron', 'pendejo', 'gilipollas', 'joder', 'maricon', 'hijo de puta'],
+};
+
+// Endings a listed word can have and still match, e.g. "bitches" or "fucking"
+const WORD_ENDINGS = ['', 's', 'es', 'ed', 'ing', 'er', 'ers'];
+
+const LEETSPEAK = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '@': 'a', '$': 's', '!': 'i', '|': 'i', '+': 't' };
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/i;
+
+const PHONE_PATTERNS = [
+    /(?<![\w+])\+\d{1,3}[\s.-]?\(?\d{1,4}\)?(?:[\s.-]?\d{2,4}){2,3}(?!\w)/,   // +63 917 123 4567
+    /(?<![\w.])\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}(?![\w.])/,                  // (555) 123-4567
+    /(?<!\w)09\d{2}[\s-]?\d{3}[\s-]?\d{4}(?!\w)/,                             // 0917 123 4567
+];
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s]+|\bwww\.[^\s]+|\b[a-z0-9-]+\.(?:com|net|org|io|ly|xyz|info|biz|me|gg|co)\b(?:\/[^\s]*)?/gi;
+
+const URL_SHORTENERS = ['bit.ly', 'tinyurl.com', 't.co', 'goo.gl', 'is.gd', 'ow.ly', 'cutt.ly'];
+
+const PROMOTIONAL_PHRASES = [
+    'buy now', 'click here', 'free money', 'limited offer', 'subscribe to', 'follow me', 'dm me', 'promo code',
+    'earn money', 'work from home', 'casino', 'giveaway', 'discount code',
+];
+
+let wordLists = null;
+
+/**
+ * Checks a flashcard against the rules.
+ *
+ * @function checkFlashcard
+ * @param {Object} flashcard - The flashcard, with its term and definition.
+ * @param {Array<string>|null} [languages=null] - The codes of the word lists to use, every list without languages.
+ * @returns {{blocked: Array<string>, suspicious: Array<string>}} - The reasons of the blocking and the suspicious rules.
+ */
+export const checkFlashcard = (flashcard, languages = null) => {
+    const term = typeof flashcard.term === 'string' ? flashcard.term : '';
+    const definition = typeof flashcard.definition === 'string' ? flashcard.definition : '';
+    const text = `${term}\n${definition}`;
+
+    const blocked = [];
+    const suspicious = [];
+
+    if (!term.trim()) blocked.push('Blank flashcard: the term is empty');
+
+    const words = findListedWords(text, languages);
+    if (words.length > 0) blocked.push(`Profanity or offensive language: ${words.map(word => `"${word}"`).join(', ')}`);
+
+    if (EMAIL_PATTERN.test(text)) blocked.push('Contains personal data: an email address');
+    if (PHONE_PATTERNS.some(pattern => pattern.test(text))) blocked.push('Contains personal data: a phone number');
+
+    // The domain of an email address is not a link
+    const urls = text.replace(new RegExp(EMAIL_PATTERN, 'gi'), '').match(URL_PATTERN) || [];
+    const joined = ` ${normalizeText(text).join(' ')} `;
+    const promotional = PROMOTIONAL_PHRASES.filter(phrase => joined.includes(` ${normalizeText(phrase).join(' ')} `));
+
+    if (urls.some(url => URL_SHORTENERS.includes(urlHost(url)))) {
+        blocked.push('Looks like spam: a shortened link');
+    } else if (urls.length > 1 || (urls.length > 0 && promotional.length > 0)) {
+        blocked.push('Looks like spam: promotional links');
+    } else if (urls.length > 0) {
+        suspicious.push('contains a link');
+    } else if (promotional.length > 0) {
+        suspicious.push(`contains promotional wording (${promotional.join(', ')})`);
+    }
+
+    if (/(\p{L})\1{9,}/u.test(text.replace(/\s/g, '')) || hasRepeatedWords(text)) blocked.push('Looks like spam: repeated characters or words');
+
+    const letters = text.replace(/[^\p{L}]/gu, '');
+    if (letters.length >= 20 && letters.replace(/[^\p{Lu}]/gu, '').length / letters.length > 0.8) suspicious.push('written in capital letters');
+
+    return { blocked, suspicious };
+}
+
+/**
+ * Normalizes a text for the word lists: decodes leetspeak, drops accents, zero-width characters and separators
+ * between single letters, and collapses repeated letters.
+ *
+ * @function normalizeText
+ * @param {string} text - The text to normalize.
+ * @returns {Array<string>} - The normalized words of the text.
+ */
+export const normalizeText = (text) => {
+    if (typeof text !== 'string') return [];
+
+    const chunks = text
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f\u200b-\u200d\u2060\ufeff]/g, '')
+        .toLowerCase()
+        .split(/\s+/)
+        // Sentence punctuation around a word is not leetspeak
+        .map(chunk => chunk.replace(/^["'(\[{]+|[.,!?;:"')\]}]+$/g, ''))
+        .filter(Boolean);
+
+    const words = [];
+    let letters = '';
+
+    for (const chunk of chunks) {
+        // Leetspeak is only decoded in words that have letters, so numbers stay numbers
+        const decoded = /\p{L}/u.test(chunk) ? [...chunk].map(char => LEETSPEAK[char] ?? char).join('') : chunk;
+        const parts = decoded.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+        // "f u c k" is spelled with single letters, "f.u.c.k" with separated letters
+        if (parts.length === 1 && parts[0].length === 1) {
+            letters += parts[0];
+            continue;
+        }
+        if (letters) words.push(letters);
+        letters = '';
+        if (parts.length > 1 && parts.every(part => part.length === 1)) words.push(parts.join(''));
+        else words.push(...parts);
+    }
+    if (letters) words.push(letters);
+
+    return words.map(collapseRepeats);
+}
+
+/**
+ * Finds the listed words and phrases in a text.
+ *
+ * @function findListedWords
+ * @param {string} text - The text to check.
+ * @param {Array<string>|null} languages - The codes of the word lists to use, every list without languages.
+ * @returns {Array<string>} - The listed words and phrases found, once each.
+ */
+const findListedWords = (text, languages) => {
+    const words = normalizeText(text);
+    const joined = ` ${words.join(' ')} `;
+    const lists = getWordLists();
+    const codes = languages?.length ? languages.filter(code => lists[code]) : Object.keys(lists);
+
+    const found = new Set();
+    for (const code of codes) {
+        for (const entry of lists[code]) {
+            const isPhrase = entry.words.length > 1;
+            const matches = isPhrase
+                ? joined.includes(` ${entry.words.join(' ')} `)
+                : words.some(word => WORD_ENDINGS.some(ending => collapseRepeats(entry.words[0] + ending) === word));
+            if (matches) found.add(entry.text);
+        }
+    }
+
+    return [...found];
+}
+
+/**
+ * Loads the word lists once: the defaults, extended with the lists of `MODERATION_WORD_LIST_FILE`.
+ * An unreadable file is logged and the defaults are used.
+ *
+ * @function getWordLists
+ * @returns {Object<string, Array<{text: string, words: Array<string>}>>} - The normalized entries of every language.
+ */
+const getWordLists = () => {
+    if (wordLists) return wordLists;
+
+    const lists = Object.fromEntries(Object.entries(DEFAULT_WORD_LISTS).map(([code, list]) => [code, [...list]]));
+
+    if (moderationConfig.wordListFile) {
+        try {
+            const extra = JSON.parse(readFileSync(moderationConfig.wordListFile, 'utf-8'));
+            for (const [code, list] of Object.entries(extra)) {
+                if (Array.isArray(list)) lists[code] = [...(lists[code] || []), ...list.filter(word => typeof word === 'string')];
+            }
+        } catch (error) {
+            console.error(`Could not read the moderation word lists (${moderationConfig.wordListFile}): ${error.message}`);
+        }
+    }
+
+    wordLists = Object.fromEntries(Object.entries(lists).map(([code, list]) => [
+        code,
+        list.map(text => ({ text, words: normalizeText(text) })).filter(entry => entry.words.length > 0)
+    ]));
+    return wordLists;
+}
+
+/**
+ * Checks if a text repeats the same word five times or more in a row.
+ *
+ * @function hasRepeatedWords
+ * @param {string} text - The text to check.
+ * @returns {boolean} - True if a word is repeated.
+ */
+const hasRepeatedWords = (text) => {
+    const words = normalizeText(text);
+    let run = 1;
+
+    for (let i = 1; i < words.length; i++) {
+        run = words[i] === words[i - 1] ? run + 1 : 1;
+        if (run >= 5) return true;
+    }
+    return false;
+}
+
+/**
+ * Extracts the host of a link, without "www.".
+ *
+ * @function urlHost
+ * @param {string} url - The link, with or without its protocol.
+ * @returns {string} - The lowercase host.
+ */
+const urlHost = (url) => url.toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split(/[/?#]/)[0];
+
+/**
+ * Collapses repeated characters, "fuuuck" and "fuck" become the same word.
+ *
+ * @function collapseRepeats
+ * @param {string} word - The word.
+ * @returns {string} - The word without repeated characters.
+ */
+const collapseRepeats = (word) => word.replace(/(.)\1+/gu, '$1');
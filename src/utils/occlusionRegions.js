@@ -0,0 +1,78 @@
+/**
+ * Deck API - Occlusion Regions
+ *
+ * @file occlusionRegions.js
+ * @description Turns the labelled regions the AI found on a diagram into the regions stored on image occlusion cards.
+ *
+ * The AI returns bounding boxes as `[ymin, xmin, ymax, xmax]` on a 0-1000 grid, whatever the size of the image.
+ * They are stored as `{ x, y, width, height }` fractions of the image (0 to 1, from the top left corner), so clients
+ * can draw the masks on the image at any display size.
+ *
+ * Nothing in this module touches the AI or the database.
+ *
+ * @module occlusionRegions
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+const GRID_SIZE = 1000;
+
+// Boxes smaller than this share of the image side can't be tapped or read
+const MIN_BOX_SIDE = 0.005;
+
+/**
+ * Converts the regions returned by the AI. Regions without a label or with an unusable box are dropped,
+ * and a label that appears twice only keeps its first region.
+ *
+ * @function toRegions
+ * @param {Array<Object>} aiRegions - The regions returned by the AI (`{ label, description, box_2d }`).
+ * @param {number} maxRegions - The maximum number of regions to keep.
+ * @returns {Array<{id: string, label: string, description: string|null, box: {x: number, y: number, width: number, height: number}}>}
+ *   The regions, with IDs "r1", "r2", ... in the order the AI returned them.
+ */
+export const toRegions = (aiRegions, maxRegions) => {
+    const regions = [];
+    const labels = new Set();
+
+    for (const aiRegion of Array.isArray(aiRegions) ? aiRegions : []) {
+        if (regions.length >= maxRegions) break;
+
+        const label = typeof aiRegion?.label === 'string' ? aiRegion.label.trim() : '';
+        const box = toBox(aiRegion?.box_2d);
+        if (!label || !box || labels.has(label.toLowerCase())) continue;
+
+        labels.add(label.toLowerCase());
+        regions.push({
+            id: `r${regions.length + 1}`,
+            label: label,
+            description: typeof aiRegion.description === 'string' && aiRegion.description.trim() ? aiRegion.description.trim() : null,
+            box: box
+        });
+    }
+
+    return regions;
+}
+
+/**
+ * Converts a `[ymin, xmin, ymax, xmax]` box on the 0-1000 grid to fractions of the image.
+ *
+ * @function toBox
+ * @param {Array<number>} box2d - The box returned by the AI.
+ * @returns {{x: number, y: number, width: number, height: number}|null} - The box, or null if it is malformed or too small.
+ */
+const toBox = (box2d) => {
+    if (!Array.isArray(box2d) || box2d.length !== 4 || !box2d.every(Number.isFinite)) return null;
+
+    const [ymin, xmin, ymax, xmax] = box2d.map(value => Math.min(Math.max(value, 0), GRID_SIZE) / GRID_SIZE);
+    const x = Math.min(xmin, xmax);
+    const y = Math.min(ymin, ymax);
+    const width = Math.abs(xmax - xmin);
+    const height = Math.abs(ymax - ymin);
+
+    if (width < MIN_BOX_SIDE || height < MIN_BOX_SIDE) return null;
+
+    const round = (value) => Math.round(value * 10_000) / 10_000;
+    return { x: round(x), y: round(y), width: round(width), height: round(height) };
+}
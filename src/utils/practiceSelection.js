@@ -0,0 +1,100 @@
+/**
+ * Deck API - Practice Selection
+ *
+ * @file practiceSelection.js
+ * @description Picks the flashcards a practice quiz is made of.
+ *
+ * Every flashcard gets a weakness score from the user's quiz attempts and spaced-repetition reviews:
+ * wrong answers and lapses count as misses, every answer and review counts as an exposure. Questions left unanswered
+ * in an attempt count as neither.
+ * The score is the smoothed miss rate `(misses + 1) / (exposures + 2)`, so a card that was never seen scores 0.5.
+ *
+ * A practice quiz focuses on the weakest cards and spreads the remaining questions across
+ * well-known cards for reinforcement. Nothing in this module touches the database.
+ *
+ * @module practiceSelection
+ *
+ * @requires ./utils.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+import { shuffleArray } from './utils.js';
+
+/**
+ * Share of a practice quiz that goes to weak cards.
+ */
+export const FOCUS_SHARE = 0.7;
+
+/**
+ * Collects the misses and exposures of every flashcard.
+ *
+ * @function computeCardStats
+ * @param {Array<Object>} attempts - The raw quiz attempts, each with `answers[]` holding `related_flashcard_id`,
+ *   `is_answered` and `is_correct`.
+ * @param {Map<string, Object>} reviewStates - The raw review states keyed by flashcard ID.
+ * @returns {Map<string, {misses: number, exposures: number, weakness: number}>} The statistics keyed by flashcard ID.
+ */
+export const computeCardStats = (attempts, reviewStates) => {
+    const stats = new Map();
+    const statsOf = (flashcardId) => {
+        if (!stats.has(flashcardId)) stats.set(flashcardId, { misses: 0, exposures: 0, weakness: 0 });
+        return stats.get(flashcardId);
+    };
+
+    for (const attempt of attempts) {
+        for (const answer of attempt.answers || []) {
+            if (!answer.related_flashcard_id || answer.is_answered === false) continue;
+
+            const card = statsOf(answer.related_flashcard_id);
+            card.exposures += 1;
+            if (!answer.is_correct) card.misses += 1;
+        }
+    }
+
+    for (const [flashcardId, state] of reviewStates) {
+        const card = statsOf(flashcardId);
+        card.exposures += (state.repetitions || 0) + (state.lapses || 0);
+        card.misses += state.lapses || 0;
+    }
+
+    for (const card of stats.values()) {
+        card.weakness = (card.misses + 1) / (card.exposures + 2);
+    }
+
+    return stats;
+}
+
+/**
+ * Picks the flashcards of a practice quiz.
+ * Weak cards are the ones the user missed at least once, the weakest first. The rest of the quiz is filled
+ * with random well-known cards, falling back to unseen cards when there aren't enough.
+ *
+ * @function selectPracticeCards
+ * @param {Array<Object>} flashcards - The flashcards of the deck.
+ * @param {Map<string, Object>} stats - The statistics from `computeCardStats`.
+ * @param {number} count - The number of flashcards to pick.
+ * @returns {{focus: Array<Object>, reinforcement: Array<Object>}} The weak cards and the reinforcement cards.
+ */
+export const selectPracticeCards = (flashcards, stats, count) => {
+    const weaknessOf = (flashcard) => stats.get(flashcard.id)?.weakness ?? 0.5;
+    const missed = flashcards
+        .filter(flashcard => (stats.get(flashcard.id)?.misses || 0) > 0)
+        .sort((a, b) => weaknessOf(b) - weaknessOf(a));
+
+    const focus = missed.slice(0, Math.min(Math.ceil(count * FOCUS_SHARE), count));
+    const focusIds = new Set(focus.map(flashcard => flashcard.id));
+
+    const remaining = flashcards.filter(flashcard => !focusIds.has(flashcard.id));
+    const known = shuffleArray(remaining.filter(flashcard => stats.has(flashcard.id)));
+    const unseen = shuffleArray(remaining.filter(flashcard => !stats.has(flashcard.id)));
+
+    // Prefer the cards the user knows best for reinforcement
+    known.sort((a, b) => weaknessOf(a) - weaknessOf(b));
+
+    const reinforcement = [...known, ...unseen].slice(0, count - focus.length);
+
+    return { focus, reinforcement };
+}
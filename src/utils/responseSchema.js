@@ -0,0 +1,104 @@
+/**
+ * Deck API - Response Schema
+ *
+ * @file responseSchema.js
+ * @description Makes the Gemini response schemas of `src/schema` usable with other providers.
+ *
+ * Gemini enforces the schema it is given. Other providers get the schema converted to a standard JSON Schema
+ * (`toJsonSchema`), and their parsed response is checked against it (`validateResponse`) so every provider returns
+ * decks, quizzes and moderation results of the same shape.
+ *
+ * Checked are the type of every value, `required` properties, `nullable` and `enum`. Properties the schema doesn't
+ * know are allowed.
+ *
+ * @module responseSchema
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+/**
+ * Converts a Gemini response schema to a JSON Schema.
+ *
+ * @function toJsonSchema
+ * @param {Object} schema - The Gemini schema (`SchemaType` types, `nullable`, `format: "enum"`).
+ * @returns {Object} - The JSON Schema, with `nullable` values typed as `[type, "null"]`.
+ */
+export const toJsonSchema = (schema) => {
+    const jsonSchema = { type: schema.nullable ? [schema.type, "null"] : schema.type };
+
+    if (schema.description) jsonSchema.description = schema.description;
+    if (Array.isArray(schema.enum)) jsonSchema.enum = schema.nullable ? [...schema.enum, null] : [...schema.enum];
+    if (schema.items) jsonSchema.items = toJsonSchema(schema.items);
+    if (schema.properties) {
+        jsonSchema.properties = Object.fromEntries(
+            Object.entries(schema.properties).map(([key, property]) => [key, toJsonSchema(property)])
+        );
+    }
+    if (Array.isArray(schema.required)) jsonSchema.required = [...schema.required];
+
+    return jsonSchema;
+}
+
+/**
+ * Checks a parsed response against a Gemini response schema.
+ *
+ * @function validateResponse
+ * @param {*} value - The parsed response.
+ * @param {Object} schema - The Gemini schema.
+ * @param {string} [path="response"] - Where the value is, used in the error messages.
+ * @returns {Array<string>} - What doesn't match the schema, empty if the response is valid.
+ */
+export const validateResponse = (value, schema, path = "response") => {
+    if (value === null) return schema.nullable ? [] : [`${path} is null`];
+    if (!matchesType(value, schema.type)) return [`${path} is not of type ${schema.type}`];
+    if (Array.isArray(schema.enum) && !schema.enum.includes(value)) return [`${path} is not one of ${schema.enum.join(", ")}`];
+
+    if (Array.isArray(value) && schema.items) {
+        return value.flatMap((item, index) => validateResponse(item, schema.items, `${path}[${index}]`));
+    }
+
+    if (isObject(value) && schema.properties) {
+        const missing = (schema.required || [])
+            .filter(key => value[key] === undefined)
+            .map(key => `${path}.${key} is missing`);
+
+        const invalid = Object.entries(schema.properties)
+            .filter(([key]) => value[key] !== undefined)
+            .flatMap(([key, property]) => validateResponse(value[key], property, `${path}.${key}`));
+
+        return [...missing, ...invalid];
+    }
+
+    return [];
+}
+
+/**
+ * Checks if a value is of a schema type.
+ *
+ * @function matchesType
+ * @param {*} value - The value to check.
+ * @param {string} type - The schema type ("object", "array", "string", "number", "integer" or "boolean").
+ * @returns {boolean} - True if the value has the type, or if the type is unknown.
+ */
+const matchesType = (value, type) => {
+    switch (String(type).toLowerCase()) {
+        case "object": return isObject(value);
+        case "array": return Array.isArray(value);
+        case "string": return typeof value === "string";
+        case "number": return typeof value === "number" && Number.isFinite(value);
+        case "integer": return Number.isInteger(value);
+        case "boolean": return typeof value === "boolean";
+        default: return true;
+    }
+}
+
+/**
+ * Checks if a value is a plain object.
+ *
+ * @function isObject
+ * @param {*} value - The value to check.
+ * @returns {boolean} - True for objects that are not arrays.
+ */
+const isObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
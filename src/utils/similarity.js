@@ -0,0 +1,144 @@
+/**
+ * Deck API - Similarity Utilities
+ *
+ * @file similarity.js
+ * @description Helpers used to compare flashcards with each other.
+ *
+ * Terms are normalized before they are compared, so "Photosynthesis" and "photosynthesis process"
+ * reduce to the same words. Definitions are compared with the cosine similarity of either provider
+ * embeddings or, when those are not available, local character trigram vectors.
+ *
+ * @module similarity
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+/**
+ * Words that don't change what a term refers to.
+ */
+const FILLER_WORDS = new Set([
+    'a', 'an', 'the', 'of', 'and', 'in', 'on', 'to', 'for',
+    'process', 'concept', 'definition', 'term', 'principle', 'method', 'meaning',
+]);
+
+/**
+ * Splits a text into lowercase words without accents and punctuation.
+ *
+ * @function tokenize
+ * @param {string} text - The text to split.
+ * @returns {Array<string>} - The words of the text.
+ */
+export const tokenize = (text) => {
+    if (typeof text !== 'string') return [];
+
+    return text
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+}
+
+/**
+ * Reduces a term to its significant words: filler words are dropped and simple plurals are singularized.
+ *
+ * @function normalizeTerm
+ * @param {string} term - The flashcard term.
+ * @returns {Array<string>} - The sorted, unique significant words of the term.
+ */
+export const normalizeTerm = (term) => {
+    const words = tokenize(term);
+    const significant = words.filter(word => !FILLER_WORDS.has(word));
+
+    // A term made of filler words only keeps them, otherwise it would match everything
+    return [...new Set((significant.length > 0 ? significant : words).map(singularize))].sort();
+}
+
+/**
+ * Checks how two normalized terms relate to each other.
+ *
+ * @function compareTerms
+ * @param {Array<string>} termA - The first normalized term.
+ * @param {Array<string>} termB - The second normalized term.
+ * @returns {"same"|"related"|"different"} - "same" if both have the same words,
+ *   "related" if the words of one are contained in the other, otherwise "different".
+ */
+export const compareTerms = (termA, termB) => {
+    if (termA.length === 0 || termB.length === 0) return 'different';
+    if (termA.join(' ') === termB.join(' ')) return 'same';
+
+    const [shorter, longer] = termA.length <= termB.length ? [termA, termB] : [termB, termA];
+    const longerWords = new Set(longer);
+
+    return shorter.every(word => longerWords.has(word)) ? 'related' : 'different';
+}
+
+/**
+ * Builds a local vector of a text from its character trigrams.
+ *
+ * @function textToVector
+ * @param {string} text - The text to vectorize.
+ * @returns {Map<string, number>} - The trigram counts of the text.
+ */
+export const textToVector = (text) => {
+    const vector = new Map();
+
+    for (const word of tokenize(text)) {
+        const padded = ` ${word} `;
+        for (let i = 0; i < padded.length - 2; i++) {
+            const trigram = padded.slice(i, i + 3);
+            vector.set(trigram, (vector.get(trigram) || 0) + 1);
+        }
+    }
+
+    return vector;
+}
+
+/**
+ * Computes the cosine similarity of two vectors.
+ * Accepts either two arrays (embeddings) or two Maps (local trigram vectors).
+ *
+ * @function cosineSimilarity
+ * @param {Array<number>|Map<string, number>} a - The first vector.
+ * @param {Array<number>|Map<string, number>} b - The second vector.
+ * @returns {number} - The similarity, between 0 and 1 for non-negative vectors. Returns 0 for empty vectors.
+ */
+export const cosineSimilarity = (a, b) => {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    if (a instanceof Map) {
+        for (const [key, value] of a) {
+            dot += value * (b.get(key) || 0);
+            normA += value * value;
+        }
+        for (const value of b.values()) normB += value * value;
+    } else {
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+    }
+
+    if (normA === 0 || normB === 0) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Turns a simple English plural into its singular form.
+ *
+ * @function singularize
+ * @param {string} word - The word.
+ * @returns {string} - The singular form, or the word itself.
+ */
+const singularize = (word) => {
+    if (word.length <= 3 || /(ss|us|is)$/.test(word)) return word;
+    if (word.endsWith('ies')) return word.slice(0, -3) + 'y';
+    if (word.endsWith('s')) return word.slice(0, -1);
+    return word;
+}
@@ -0,0 +1,120 @@
+/**
+ * Deck API - Source Citation
+ *
+ * @file sourceCitation.js
+ * @description Checks the source citations the AI adds to flashcards generated from a document.
+ *
+ * The AI returns a page number and a short quote for every flashcard. When the text of the document was extracted
+ * locally, the quote is looked up in that text: a quote that is found gets the page it was found on, a quote that
+ * can't be found is dropped so no made-up quote is ever stored. Citations of documents that were uploaded to the AI
+ * (scanned PDFs) can't be checked and are stored as unverified.
+ *
+ * Nothing in this module touches the AI or the database.
+ *
+ * @module sourceCitation
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+/**
+ * Maximum length of a stored excerpt.
+ */
+export const MAX_EXCERPT_LENGTH = 200;
+
+/**
+ * Turns the citation returned by the AI into the stored `source` of a flashcard.
+ *
+ * @function resolveCitation
+ * @param {Object|null|undefined} citation - The citation returned by the AI (`{ page, excerpt }`).
+ * @param {string|null} sourceText - The extracted text the flashcard was generated from, with `[Page N]` markers
+ *   for PDFs, or null if the document was uploaded to the AI.
+ * @returns {{page: number|null, excerpt: string|null, verified: boolean}|null} - The source, or null if the AI cited nothing.
+ */
+export const resolveCitation = (citation, sourceText) => {
+    const page = Number.isInteger(citation?.page) && citation.page > 0 ? citation.page : null;
+    const excerpt = typeof citation?.excerpt === 'string'
+        ? citation.excerpt.trim().replace(/^["'“”‘’]+|["'“”‘’]+$/g, '').trim()
+        : '';
+
+    if (!excerpt && page === null) return null;
+
+    if (sourceText === null) {
+        return { page: page, excerpt: excerpt ? truncateExcerpt(excerpt) : null, verified: false };
+    }
+
+    const match = excerpt ? findExcerpt(excerpt, sourceText) : null;
+    if (!match) {
+        // Keep the page only if the text actually has it
+        const pages = splitPages(sourceText).map(segment => segment.page);
+        return { page: pages.includes(page) ? page : null, excerpt: null, verified: false };
+    }
+
+    return { page: match.page, excerpt: truncateExcerpt(excerpt), verified: true };
+}
+
+/**
+ * Looks up an excerpt in the source text, ignoring case, spacing, and quote and dash styles.
+ *
+ * @function findExcerpt
+ * @param {string} excerpt - The quoted excerpt.
+ * @param {string} sourceText - The source text.
+ * @returns {{page: number|null}|null} - The page the excerpt was found on, or null if it wasn't found.
+ */
+const findExcerpt = (excerpt, sourceText) => {
+    const needle = normalize(excerpt);
+    if (!needle) return null;
+
+    const segment = splitPages(sourceText).find(segment => normalize(segment.text).includes(needle));
+    return segment ? { page: segment.page } : null;
+}
+
+/**
+ * Splits a source text at its `[Page N]` markers.
+ *
+ * @function splitPages
+ * @param {string} sourceText - The source text.
+ * @returns {Array<{page: number|null, text: string}>} - The text of every page, a single segment without page if there are no markers.
+ */
+const splitPages = (sourceText) => {
+    const parts = sourceText.split(/^\[Page (\d+)\]$/m);
+    if (parts.length === 1) return [{ page: null, text: sourceText }];
+
+    const segments = [];
+    for (let i = 1; i < parts.length; i += 2) {
+        segments.push({ page: Number(parts[i]), text: parts[i + 1] || '' });
+    }
+    return segments;
+}
+
+/**
+ * Normalizes a text for comparison.
+ *
+ * @function normalize
+ * @param {string} text - The text.
+ * @returns {string} - The lowercase text with straight quotes, plain dashes and single spaces.
+ */
+const normalize = (text) => text
+    .toLowerCase()
+    .replace(/[“”]/g, '"')
+    .replace(/[‘’]/g, "'")
+    .replace(/[‐‑‒–—]/g, '-')
+    .replace(/-\s+/g, '-')    // Words hyphenated across lines
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Shortens an excerpt to `MAX_EXCERPT_LENGTH` characters at a word boundary.
+ *
+ * @function truncateExcerpt
+ * @param {string} excerpt - The excerpt.
+ * @returns {string} - The excerpt, ending with "..." if it was shortened.
+ */
+const truncateExcerpt = (excerpt) => {
+    if (excerpt.length <= MAX_EXCERPT_LENGTH) return excerpt;
+
+    const cut = excerpt.slice(0, MAX_EXCERPT_LENGTH - 3);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${lastSpace > 0 ? cut.slice(0, lastSpace) : cut}...`;
+}
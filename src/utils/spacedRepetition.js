@@ -0,0 +1,125 @@
+/**
+ * Deck API - Spaced Repetition Scheduler
+ *
+ * @file spacedRepetition.js
+ * @description Pure implementation of the SM-2 spaced-repetition algorithm.
+ *
+ * A review state holds how well a user knows a flashcard:
+ * - easeFactor: How fast the interval grows, never below 1.3.
+ * - intervalDays: Days until the card has to be reviewed again.
+ * - repetitions: Consecutive successful reviews.
+ * - lapses: Number of times the card was forgotten.
+ * - dueAt: When the card has to be reviewed again.
+ *
+ * Grades follow SM-2 (0-5): 5 perfect, 4 correct after hesitation, 3 correct with difficulty,
+ * 2 wrong but familiar, 1 wrong, 0 complete blackout. Grades below 3 restart the card.
+ *
+ * Nothing in this module touches the database, the caller passes the current time in.
+ *
+ * @module spacedRepetition
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-19
+ * @updated 2026-10-19
+ */
+
+export const MIN_GRADE = 0;
+export const MAX_GRADE = 5;
+export const PASSING_GRADE = 3;
+
+const DEFAULT_EASE_FACTOR = 2.5;
+const MIN_EASE_FACTOR = 1.3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Checks if a value is a valid SM-2 grade.
+ *
+ * @function isValidGrade
+ * @param {*} grade - The value to check.
+ * @returns {boolean} - True if the grade is an integer between 0 and 5.
+ */
+export const isValidGrade = (grade) => Number.isInteger(grade) && grade >= MIN_GRADE && grade <= MAX_GRADE;
+
+/**
+ * Creates the review state of a card that was never reviewed. A new card is due right away.
+ *
+ * @function createReviewState
+ * @param {Date} now - The current time.
+ * @returns {Object} - The initial review state.
+ */
+export const createReviewState = (now) => ({
+    easeFactor: DEFAULT_EASE_FACTOR,
+    intervalDays: 0,
+    repetitions: 0,
+    lapses: 0,
+    dueAt: new Date(now.getTime()),
+    lastReviewedAt: null,
+    lastGrade: null,
+});
+
+/**
+ * Computes the next review state of a card after it was graded.
+ *
+ * @function scheduleReview
+ * @param {Object|null} state - The current review state, or null for a card that was never reviewed.
+ * @param {number} grade - The SM-2 grade of the review (0-5).
+ * @param {Date} now - The time of the review.
+ * @returns {Object} - The new review state.
+ * @throws {Error} - Throws `INVALID_GRADE` if the grade is not between 0 and 5.
+ */
+export const scheduleReview = (state, grade, now) => {
+    if (!isValidGrade(grade)) throw new Error("INVALID_GRADE");
+
+    const current = state || createReviewState(now);
+    let { repetitions, intervalDays, lapses } = current;
+
+    if (grade >= PASSING_GRADE) {
+        if (repetitions === 0) intervalDays = 1;
+        else if (repetitions === 1) intervalDays = 6;
+        else intervalDays = Math.round(intervalDays * current.easeFactor);
+        repetitions += 1;
+    } else {
+        // Forgotten cards start over
+        repetitions = 0;
+        intervalDays = 1;
+        lapses += 1;
+    }
+
+    const easeFactor = Math.max(
+        MIN_EASE_FACTOR,
+        current.easeFactor + (0.1 - (MAX_GRADE - grade) * (0.08 + (MAX_GRADE - grade) * 0.02))
+    );
+
+    return {
+        easeFactor: Math.round(easeFactor * 100) / 100,
+        intervalDays: intervalDays,
+        repetitions: repetitions,
+        lapses: lapses,
+        dueAt: new Date(now.getTime() + intervalDays * DAY_MS),
+        lastReviewedAt: new Date(now.getTime()),
+        lastGrade: grade,
+    };
+}
+
+/**
+ * Checks if a card is due before the given time.
+ *
+ * @function isDue
+ * @param {Object|null} state - The review state, or null for a card that was never reviewed.
+ * @param {Date} until - The time to compare the due date with.
+ * @returns {boolean} - True if the card has to be reviewed.
+ */
+export const isDue = (state, until) => !state || state.dueAt.getTime() <= until.getTime();
+
+/**
+ * Returns the last moment of the UTC day of the given time.
+ *
+ * @function endOfDay
+ * @param {Date} now - The current time.
+ * @returns {Date} - 23:59:59.999 UTC of the same day.
+ */
+export const endOfDay = (now) => {
+    const end = new Date(now.getTime());
+    end.setUTCHours(23, 59, 59, 999);
+    return end;
+}
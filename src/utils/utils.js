@@ -7,26 +7,28 @@
  * This utility module provides helper functions for tasks such as:
  * - Delaying code execution.
  * - Validating integer input.
- * - Creating and managing threads with the OpenAI API.
- * - Extracting text from PDF files.
+ * - Detecting asynchronous job requests.
+ * - Shuffling arrays.
+ * - Extracting text from PDF files page by page.
  * - Deleting files from the local filesystem.
- * - Cleaning string content by removing special characters, multiple spaces, and bullets.
+ * - Cleaning extracted text by removing control characters, multiple spaces, and bullets.
  * 
  * @module utils
  * 
- * @requires ../config/openaiConfig.js
  * @requires pdf.js-extract
+ * @requires mime
  * @requires flashcard
  * 
  * @author Arthur M. Artugue
  * @created 2024-06-10
- * @updated 2025-02-19
+ * @updated 2026-10-19
  * 
  */
 
 
 import { PDFExtract } from 'pdf.js-extract';
 import fs from 'fs';
+import mime from 'mime';
 import * as dotenv from 'dotenv';
 dotenv.config();
 
@@ -42,59 +44,61 @@ export function delay(ms) {
 /**
  * Checks if a value is a valid integer within a specific range.
  * @param {*} value - The value to validate.
- * @returns {boolean} - True if the value is an integer between 2 and 20, otherwise false.
+ * @param {number} [max=20] - The largest valid value.
+ * @returns {boolean} - True if the value is an integer between 2 and `max`, otherwise false.
  */
-export function isValidInteger(value) {
-    return typeof value === 'number' && Number.isInteger(value) && value > 1 && value <= 20;
+export function isValidInteger(value, max = 20) {
+    return typeof value === 'number' && Number.isInteger(value) && value > 1 && value <= max;
 }
 
 /**
- * Creates or retrieves a thread based on the input parameters.
- * @param {boolean} isNewMessage - Indicates if a new thread is to be created.
- * @param {string} givenThread - An existing thread ID or 'no_thread_id' if not applicable.
- * @returns {Promise<string>} - The ID of the created or provided thread.
+ * Checks if the client asked for a request to be processed as an asynchronous job.
+ * Either `"async": true` in the request body or `?async=true` in the query string enables it.
+ * @param {Object} req - Express request object.
+ * @returns {boolean} - True if the request should be processed asynchronously, otherwise false.
  */
-export async function createThread(isNewMessage, givenThread) {
-    let thread;
-    let threadObj;
-
-    if (isNewMessage) {
-        threadObj = await openai.beta.threads.create();
-        thread = threadObj.id;
-    } else if (!isNewMessage && givenThread !== "no_thread_id") {
-        thread = givenThread;
+export function isAsyncRequest(req) {
+    return req.body?.async === true || req.query?.async === 'true';
+}
+
+/**
+ * Returns a shuffled copy of an array using the Fisher-Yates algorithm.
+ * @param {Array} array - The array to shuffle.
+ * @returns {Array} - A new array with the same items in random order.
+ */
+export function shuffleArray(array) {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
     }
-    return thread;
+    return shuffled;
 }
 
 /**
- * Extracts and concatenates text from a PDF file.
+ * Extracts the text of a PDF file page by page.
+ * Text items on the same line are joined with spaces, a change of line starts a new line.
  * @param {string} pdfFilePath - The path to the PDF file.
- * @returns {Promise<string>} - A promise that resolves with the extracted text.
+ * @param {Object} [options={}] - Extraction options.
+ * @param {number} [options.pageStart] - The first page to extract (1-based). Defaults to the first page.
+ * @param {number} [options.pageEnd] - The last page to extract. Defaults to the last page.
+ * @returns {Promise<Array<{page: number, text: string}>>} - A promise that resolves with the cleaned text of every extracted page.
  */
-export function extractPdfText(pdfFilePath) {
+export function extractPdfText(pdfFilePath, options = {}) {
     return new Promise((resolve, reject) => {
         try {
             const pdfExtract = new PDFExtract();
-            const options = { normalizeWhitespace: true };
+            const extractOptions = { normalizeWhitespace: true, firstPage: options.pageStart, lastPage: options.pageEnd };
 
-            pdfExtract.extract(pdfFilePath, options, (err, data) => {
+            pdfExtract.extract(pdfFilePath, extractOptions, (err, data) => {
                 if (err) {
                     console.error('Error extracting PDF:', err);
                     reject(err);
                 } else {
-                    const { pages } = data;
-                    let concatenatedText = '';
-
-                    pages.forEach((page, pageIndex) => {
-                        console.log(`Content of Page ${pageIndex + 1}:`);
-                        page.content.forEach(textElement => {
-                            console.log(`String content: ${textElement.str}`);
-                            concatenatedText += textElement.str;
-                        });
-                    });
-
-                    resolve(cleanString(concatenatedText));
+                    resolve(data.pages.map(page => ({
+                        page: page.pageInfo.num,
+                        text: cleanString(joinPdfTextItems(page.content))
+                    })));
                 }
             });
         } catch (error) {
@@ -104,6 +108,33 @@ export function extractPdfText(pdfFilePath) {
     });
 }
 
+/**
+ * Joins the text items of a PDF page into lines.
+ * @param {Array<Object>} items - The text items of the page, with their position and size.
+ * @returns {string} - The text of the page.
+ */
+function joinPdfTextItems(items) {
+    let text = '';
+    let previous = null;
+
+    for (const item of items) {
+        if (!item.str) continue;
+
+        if (previous) {
+            const isNewLine = Math.abs(item.y - previous.y) > Math.max(previous.height, 1) / 2;
+            const hasGap = item.x > previous.x + previous.width + 1;
+
+            if (isNewLine) text += '\n';
+            else if (hasGap && !text.endsWith(' ') && !item.str.startsWith(' ')) text += ' ';
+        }
+
+        text += item.str;
+        previous = item;
+    }
+
+    return text;
+}
+
 /**
  * Deletes a file from the file system.
  * @param {string} filePath - The path to the file to delete.
@@ -126,15 +157,19 @@ export function deleteFile(filePath) {
 }
 
 /**
- * Cleans a string by removing special characters, multiple spaces, and bullets.
+ * Cleans extracted text by removing control characters, multiple spaces and bullets.
+ * Punctuation and non-ASCII characters (accents, symbols, other scripts) are kept.
  * @param {string} inputString - The string to clean.
  * @returns {string} - The cleaned string.
  */
 export function cleanString(inputString) {
-    let cleanedString = inputString.replace(/[^\w\s]/gi, '');  // Remove special characters
-    cleanedString = cleanedString.replace(/\s{2,}/g, ' ');     // Remove multiple spaces
-    cleanedString = cleanedString.replace(/•/g, '');            // Remove bullet characters
-    return cleanedString;
+    return inputString
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '')  // Remove control characters
+        .replace(/[•▪◦●]\s*/g, '- ')                                       // Turn bullets into dashes
+        .replace(/[ \t]{2,}/g, ' ')                                        // Remove multiple spaces
+        .replace(/ *\n */g, '\n')                                          // Remove spaces around line breaks
+        .replace(/\n{3,}/g, '\n\n')                                         // Keep at most one empty line
+        .trim();
 }
 
 export function isJson(obj) {
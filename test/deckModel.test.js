@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isAwaitingReview, visibleFlashcards, FLAGGED_STATUS, PENDING_REVIEW_STATUS, APPROVED_STATUS, REJECTED_STATUS } from '../src/models/deckModel.js';
+
+test('decks flagged after saving and decks saved pending review both wait for a moderator', () => {
+    assert.equal(isAwaitingReview({ moderation_status: FLAGGED_STATUS }), true);
+    assert.equal(isAwaitingReview({ moderation_status: PENDING_REVIEW_STATUS }), true);
+});
+
+test('approved, rejected and unmoderated decks do not wait for a moderator', () => {
+    assert.equal(isAwaitingReview({ moderation_status: APPROVED_STATUS }), false);
+    assert.equal(isAwaitingReview({ moderation_status: REJECTED_STATUS }), false);
+    assert.equal(isAwaitingReview({}), false);
+    assert.equal(isAwaitingReview(null), false);
+});
+
+test('flagged flashcards are only visible to the owner', () => {
+    const deck = { owner_id: 'owner', moderation_status: PENDING_REVIEW_STATUS };
+    const flashcards = [{ id: 'a' }, { id: 'b', moderation_status: FLAGGED_STATUS }];
+
+    assert.equal(visibleFlashcards(flashcards, deck, 'owner').length, 2);
+    assert.deepEqual(visibleFlashcards(flashcards, deck, 'someone else').map(flashcard => flashcard.id), ['a']);
+});
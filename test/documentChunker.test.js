@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planChunks, splitFlashcards, splitIntoSections } from '../src/utils/documentChunker.js';
+import { documentConfig } from '../src/config/app.config.js';
+
+const total = (chunks) => chunks.reduce((sum, chunk) => sum + chunk.numberOfFlashcards, 0);
+
+test('every requested flashcard is planned', () => {
+    const sections = [
+        { label: 'Page 1', page: 1, text: 'a'.repeat(documentConfig.chunkChars) },
+        { label: 'Page 2', page: 2, text: 'b'.repeat(documentConfig.chunkChars / 2) },
+    ];
+
+    const chunks = planChunks(sections, 30);
+    assert.equal(total(chunks), 30);
+    assert.deepEqual(chunks.map(chunk => chunk.label), ['Page 1', 'Page 2']);
+});
+
+test('no chunk asks for more than maxFlashcardsPerChunk flashcards', () => {
+    const chunks = planChunks([{ label: null, text: 'x'.repeat(1159) }], 100);
+
+    assert.equal(total(chunks), 100);
+    assert.ok(chunks.every(chunk => chunk.numberOfFlashcards <= documentConfig.maxFlashcardsPerChunk));
+    // A short document is repeated instead of split
+    assert.ok(chunks.every(chunk => chunk.text === chunks[0].text));
+});
+
+test('long sections are split into chunks of at most chunkChars', () => {
+    const chunks = planChunks([{ label: 'Intro', text: 'line\n'.repeat(documentConfig.chunkChars) }], 10);
+
+    assert.ok(chunks.length > 1);
+    assert.equal(total(chunks), 10);
+    assert.ok(chunks.every(chunk => chunk.label === 'Intro'));
+});
+
+test('empty documents have no chunks', () => {
+    assert.deepEqual(planChunks([], 10), []);
+});
+
+test('splitFlashcards spreads flashcards evenly over capped requests', () => {
+    assert.deepEqual(splitFlashcards(45), [15, 15, 15]);
+    assert.deepEqual(splitFlashcards(7), [7]);
+    assert.deepEqual(splitFlashcards(0), []);
+});
+
+test('splitIntoSections cuts a document at its headings', () => {
+    const sections = splitIntoSections('Preface\n# One\nfirst\n## Two\nsecond');
+    assert.deepEqual(sections.map(section => section.label), [null, 'One', 'Two']);
+});
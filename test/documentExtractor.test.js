@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync } from 'zlib';
+import { readZipEntries } from '../src/utils/documentExtractor.js';
+
+/**
+ * Builds a ZIP archive. `declaredSize` overrides the uncompressed size written in the central directory.
+ */
+const buildZip = (entries) => {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const { name, content, deflate = true, declaredSize } of entries) {
+        const data = deflate ? deflateRawSync(content) : content;
+        const nameBuffer = Buffer.from(name);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(deflate ? 8 : 0, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(content.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(deflate ? 8 : 0, 10);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(declaredSize ?? content.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, nameBuffer, data);
+        centrals.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + data.length;
+    }
+
+    const centralDirectory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, centralDirectory, end]);
+}
+
+test('reads the stored and deflated entries that match the filter', async () => {
+    const zip = buildZip([
+        { name: 'word/document.xml', content: Buffer.from('<w:t>Hello</w:t>') },
+        { name: 'word/styles.xml', content: Buffer.from('<styles/>') },
+        { name: 'ppt/slides/slide1.xml', content: Buffer.from('<a:t>Slide</a:t>'), deflate: false },
+    ]);
+
+    const entries = await readZipEntries(zip, name => name !== 'word/styles.xml');
+    assert.deepEqual([...entries.entries()], [
+        ['word/document.xml', '<w:t>Hello</w:t>'],
+        ['ppt/slides/slide1.xml', '<a:t>Slide</a:t>'],
+    ]);
+});
+
+test('rejects an entry whose declared size is over the limit', async () => {
+    const zip = buildZip([{ name: 'word/document.xml', content: Buffer.from('a'.repeat(2000)) }]);
+    await assert.rejects(readZipEntries(zip, () => true, 1000), { message: 'DOCUMENT_TOO_LARGE' });
+});
+
+test('stops inflating an entry that declares a smaller size than it has', async () => {
+    const zip = buildZip([{ name: 'word/document.xml', content: Buffer.alloc(1024 * 1024, 'a'), declaredSize: 10 }]);
+    await assert.rejects(readZipEntries(zip, () => true, 64 * 1024), { message: 'DOCUMENT_TOO_LARGE' });
+});
+
+test('limits the size of all entries together', async () => {
+    const zip = buildZip([
+        { name: 'ppt/slides/slide1.xml', content: Buffer.alloc(600, 'a') },
+        { name: 'ppt/slides/slide2.xml', content: Buffer.alloc(600, 'b'), deflate: false },
+    ]);
+
+    assert.equal((await readZipEntries(zip, () => true, 1200)).size, 2);
+    await assert.rejects(readZipEntries(zip, () => true, 1000), { message: 'DOCUMENT_TOO_LARGE' });
+});
+
+test('rejects files that are not ZIP archives', async () => {
+    await assert.rejects(readZipEntries(Buffer.from('not a zip archive at all'), () => true), { message: 'Not a ZIP archive' });
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeCardStats } from '../src/utils/practiceSelection.js';
+
+test('wrong answers count as misses and every answer as an exposure', () => {
+    const attempts = [{
+        answers: [
+            { related_flashcard_id: 'a', is_answered: true, is_correct: false },
+            { related_flashcard_id: 'a', is_answered: true, is_correct: true },
+        ],
+    }];
+
+    const card = computeCardStats(attempts, new Map()).get('a');
+
+    assert.equal(card.misses, 1);
+    assert.equal(card.exposures, 2);
+    assert.equal(card.weakness, 2 / 4);
+});
+
+test('unanswered questions are not counted', () => {
+    const attempts = [{
+        answers: [
+            { related_flashcard_id: 'a', is_answered: false, is_correct: false },
+            { related_flashcard_id: 'b', is_answered: true, is_correct: true },
+        ],
+    }];
+
+    const stats = computeCardStats(attempts, new Map());
+
+    assert.equal(stats.has('a'), false);
+    assert.equal(stats.get('b').misses, 0);
+});
+
+test('lapses of the review states count as misses', () => {
+    const reviewStates = new Map([['a', { repetitions: 2, lapses: 1 }]]);
+
+    const card = computeCardStats([], reviewStates).get('a');
+
+    assert.equal(card.misses, 1);
+    assert.equal(card.exposures, 3);
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The providers read their configuration when they are loaded, no request is sent by these tests
+process.env.GEMINI_API_KEY ||= 'test-key';
+process.env.AI_MAX_ATTEMPTS = '1';
+process.env.AI_BREAKER_THRESHOLD = '1';
+process.env.AI_BREAKER_COOLDOWN_MS = '50';
+
+const { classifyAIError, runWithResilience, withIdleTimeout, reportStreamFailure } = await import('../src/services/resilienceService.js');
+const { delay } = await import('../src/utils/utils.js');
+
+const withStatus = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+test('rate limits, timeouts, server and network errors are retried and fall back', () => {
+    for (const error of [withStatus(429), withStatus(408), withStatus(503), new Error('AI_TIMEOUT'), new Error('fetch failed')]) {
+        const classification = classifyAIError(error);
+        assert.equal(classification.retryable, true, error.message);
+        assert.equal(classification.fallback, true, error.message);
+        assert.equal(classification.tripsBreaker, true, error.message);
+    }
+});
+
+test('auth errors and missing models are not retried but fall back', () => {
+    assert.deepEqual(classifyAIError(withStatus(401)), { type: 'AUTH_ERROR', retryable: false, fallback: true, tripsBreaker: true });
+    assert.deepEqual(classifyAIError(withStatus(404)), { type: 'MODEL_UNAVAILABLE', retryable: false, fallback: true, tripsBreaker: true });
+});
+
+test('bad requests are neither retried nor sent to another model', () => {
+    assert.deepEqual(classifyAIError(withStatus(400)), { type: 'BAD_REQUEST', retryable: false, fallback: false, tripsBreaker: false });
+});
+
+test('invalid responses are retried without tripping the breaker', () => {
+    assert.deepEqual(classifyAIError(new Error('INVALID_RESPONSE_FORMAT')), { type: 'INVALID_RESPONSE', retryable: true, fallback: true, tripsBreaker: false });
+});
+
+test('unknown errors fall back to another model', async () => {
+    assert.deepEqual(classifyAIError(new Error('Candidate was blocked')), { type: 'UNKNOWN', retryable: false, fallback: true, tripsBreaker: false });
+
+    let calls = 0;
+    const { model } = await runWithResilience(async ({ model }) => {
+        calls += 1;
+        if (calls === 1) throw new Error('Candidate was blocked');
+        return model;
+    }, { provider: 'gemini', label: 'test' });
+
+    assert.equal(calls, 2);
+    assert.ok(model);
+});
+
+test('an open circuit lets a single trial request through once the cooldown passed', async () => {
+    const failing = async () => { throw withStatus(503); };
+    await assert.rejects(runWithResilience(failing, { provider: 'gemini', label: 'test' }), { message: 'AI_UNAVAILABLE' });
+
+    // Every model is skipped while its circuit cools down
+    let calls = 0;
+    await assert.rejects(runWithResilience(async () => { calls += 1; }, { provider: 'gemini', label: 'test' }), { message: 'AI_UNAVAILABLE' });
+    assert.equal(calls, 0);
+
+    await delay(60);
+
+    const models = [];
+    const slow = async ({ model }) => {
+        models.push(model);
+        await delay(20);
+        return model;
+    };
+    const [first, second] = await Promise.allSettled([
+        runWithResilience(slow, { provider: 'gemini', label: 'test' }),
+        runWithResilience(slow, { provider: 'gemini', label: 'test' }),
+    ]);
+
+    // The second call skips the model whose trial is running and gets the trial of the fallback model
+    assert.equal(models.length, 2);
+    assert.equal(first.status, 'fulfilled');
+    assert.equal(second.status, 'fulfilled');
+    assert.notEqual(first.value.model, second.value.model);
+});
+
+test('a stalled stream fails with a timeout and aborts its request', async () => {
+    const controller = new AbortController();
+    async function* stalling() {
+        yield 'first';
+        await delay(1000);
+        yield 'never';
+    }
+
+    const chunks = [];
+    await assert.rejects(async () => {
+        for await (const chunk of withIdleTimeout(stalling(), controller, 20)) chunks.push(chunk);
+    }, { message: 'AI_TIMEOUT' });
+
+    assert.deepEqual(chunks, ['first']);
+    assert.equal(controller.signal.aborted, true);
+});
+
+test('a failure after the stream started is reported as unavailable', () => {
+    const error = reportStreamFailure('gemini', 'stream-test', withStatus(503), 'test');
+
+    assert.equal(error.message, 'AI_UNAVAILABLE');
+    assert.equal(error.cause.status, 503);
+});
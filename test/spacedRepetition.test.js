@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createReviewState, scheduleReview, isDue, endOfDay } from '../src/utils/spacedRepetition.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-10-19T08:00:00.000Z');
+
+test('a new card is due right away with the default ease', () => {
+    const state = createReviewState(now);
+
+    assert.equal(state.easeFactor, 2.5);
+    assert.equal(state.intervalDays, 0);
+    assert.equal(state.repetitions, 0);
+    assert.equal(state.dueAt.getTime(), now.getTime());
+    assert.equal(isDue(null, now), true);
+});
+
+test('passing reviews grow the interval from 1 to 6 days, then by the ease factor', () => {
+    const first = scheduleReview(null, 4, now);
+    assert.equal(first.intervalDays, 1);
+    assert.equal(first.repetitions, 1);
+    assert.equal(first.dueAt.getTime(), now.getTime() + DAY_MS);
+
+    const second = scheduleReview(first, 4, first.dueAt);
+    assert.equal(second.intervalDays, 6);
+    assert.equal(second.repetitions, 2);
+
+    const third = scheduleReview(second, 4, second.dueAt);
+    assert.equal(third.intervalDays, Math.round(6 * second.easeFactor));
+    assert.equal(third.repetitions, 3);
+    assert.equal(third.lapses, 0);
+});
+
+test('the ease factor follows the grade and never drops below 1.3', () => {
+    assert.equal(scheduleReview(null, 5, now).easeFactor, 2.6);
+    assert.equal(scheduleReview(null, 4, now).easeFactor, 2.5);
+    assert.equal(scheduleReview(null, 3, now).easeFactor, 2.36);
+
+    let state = null;
+    for (let i = 0; i < 10; i++) state = scheduleReview(state, 0, now);
+    assert.equal(state.easeFactor, 1.3);
+});
+
+test('a failed review is a lapse and restarts the card', () => {
+    let state = scheduleReview(null, 5, now);
+    state = scheduleReview(state, 5, state.dueAt);
+    state = scheduleReview(state, 5, state.dueAt);
+    assert.equal(state.repetitions, 3);
+
+    const lapsed = scheduleReview(state, 2, state.dueAt);
+    assert.equal(lapsed.repetitions, 0);
+    assert.equal(lapsed.intervalDays, 1);
+    assert.equal(lapsed.lapses, 1);
+    assert.equal(lapsed.lastGrade, 2);
+
+    // The next passing review starts over at 1 day
+    assert.equal(scheduleReview(lapsed, 4, lapsed.dueAt).intervalDays, 1);
+});
+
+test('grades outside 0-5 are rejected', () => {
+    assert.throws(() => scheduleReview(null, 6, now), { message: 'INVALID_GRADE' });
+    assert.throws(() => scheduleReview(null, 2.5, now), { message: 'INVALID_GRADE' });
+});
+
+test('a card is due until the end of its day', () => {
+    const state = scheduleReview(null, 4, now);
+    const dueDay = state.dueAt;
+
+    assert.equal(isDue(state, new Date(dueDay.getTime() - 1)), false);
+    assert.equal(isDue(state, dueDay), true);
+    assert.equal(isDue(state, endOfDay(new Date(dueDay.getTime() - 60 * 60 * 1000))), true);
+    assert.equal(endOfDay(now).toISOString(), '2026-10-19T23:59:59.999Z');
+});